@@ -30,12 +30,18 @@ window.loadFile = function() {
         var mcryst = document.getElementById('molcryst-check').checked;
         var name = file.name.split('.')[0];
         var loaded;
+        var params = {
+            supercell: [sx, sy, sz],
+            molecularCrystal: mcryst,
+            vdwScaling: vdwf
+        };
         try {
-            loaded = visualizer.loadModels(reader.result, extension, name, {
-                supercell: [sx, sy, sz],
-                molecularCrystal: mcryst,
-                vdwScaling: vdwf
-            });
+            try {
+                loaded = visualizer.loadModels(reader.result, extension, name, params);
+            } catch (e) {
+                // Unknown extension: guess the format from the contents
+                loaded = visualizer.loadModels(reader.result, 'auto', name, params);
+            }
         } catch (e) {
             showError('Could not load file: ' + e.message);
             return;
@@ -75,7 +81,7 @@ window.loadFile = function() {
         }
 
         // Isosurface only makes sense once a model (with a cell) is loaded
-        document.getElementById('isosurf-check').disabled = false;
+        document.getElementById('isosurf-check').disabled = !model.periodic;
 
     };
 }
@@ -3,9 +3,13 @@
 import {
     CrystVis
 } from './lib/visualizer.js';
+import {
+    Loader
+} from './lib/loader.js';
 
 export {
-    CrystVis
+    CrystVis,
+    Loader
 }
 
-export default CrystVis;
\ No newline at end of file
+export default CrystVis;
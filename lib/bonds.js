@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * @fileoverview BondList class to store the bonds of a model sparsely, as
+ * lists of bonded atoms and cells for each atom.
+ * @module
+ */
+
+import _ from 'lodash';
+
+class BondList {
+
+    /**
+     * Create an empty BondList object for a given number of atoms. Each atom
+     * has a list of [j, ijk] entries, one for every bond to the copy of atom
+     * j in cell ijk (relative to that of the atom), sorted by j and then in
+     * the order in which the bonds were added. Every bond is listed from
+     * both of its atoms, with opposite cells, so memory only grows with the
+     * number of bonds.
+     *
+     * @param {int} N   Number of atoms
+     */
+    constructor(N) {
+        this._rows = [];
+        for (let i = 0; i < N; ++i) {
+            this._rows.push([]);
+        }
+    }
+
+    /**
+     * Number of atoms
+     * @readonly
+     * @type {int}
+     */
+    get length() {
+        return this._rows.length;
+    }
+
+    /**
+     * Number of bonds
+     * @readonly
+     * @type {int}
+     */
+    get size() {
+        // Every bond has two entries
+        return this._rows.reduce((n, row) => n + row.length, 0)/2;
+    }
+
+    /**
+     * Add a bond between atom i and the copy of atom j in cell ijk. A bond
+     * of an atom with one of its own copies is listed twice, once for each
+     * direction.
+     *
+     * @param {int}   i     Index of the first atom
+     * @param {int}   j     Index of the second atom
+     * @param {int[]} ijk   Cell of the second atom, relative to the first
+     */
+    add(i, j, ijk) {
+        this._insert(i, j, [ijk[0], ijk[1], ijk[2]]);
+        this._insert(j, i, [-ijk[0], -ijk[1], -ijk[2]]);
+    }
+
+    /**
+     * Remove the bond between atom i and the copy of atom j in cell ijk, if
+     * present, from the lists of both atoms
+     *
+     * @param {int}   i     Index of the first atom
+     * @param {int}   j     Index of the second atom
+     * @param {int[]} ijk   Cell of the second atom, relative to the first
+     *
+     * @return {bool}       Whether the bond was there
+     */
+    remove(i, j, ijk) {
+        const match = (k, c, s) => (e) => (e[0] === k && e[1][0] === s*c[0] &&
+            e[1][1] === s*c[1] && e[1][2] === s*c[2]);
+        let found = this.has(i, j, ijk);
+        _.remove(this._rows[i], match(j, ijk, 1));
+        _.remove(this._rows[j], match(i, ijk, -1));
+        return found;
+    }
+
+    /**
+     * Whether atom i is bonded to the copy of atom j in cell ijk
+     *
+     * @param {int}   i     Index of the first atom
+     * @param {int}   j     Index of the second atom
+     * @param {int[]} ijk   Cell of the second atom, relative to the first
+     *
+     * @return {bool}       Whether the bond exists
+     */
+    has(i, j, ijk) {
+        return this._rows[i].some(([k, c]) => (k === j && c[0] === ijk[0] &&
+            c[1] === ijk[1] && c[2] === ijk[2]));
+    }
+
+    /**
+     * Cells of all copies of atom j bonded to atom i
+     *
+     * @param {int}   i     Index of the first atom
+     * @param {int}   j     Index of the second atom
+     *
+     * @return {Array}      List of cells, relative to that of atom i
+     */
+    cells(i, j) {
+        return this._rows[i].filter(([k]) => (k === j)).map(([, c]) => c);
+    }
+
+    /**
+     * All bonds of atom i
+     *
+     * @param {int}   i     Index of the atom
+     *
+     * @return {Array}      List of [j, ijk] entries (not to be modified)
+     */
+    row(i) {
+        return this._rows[i];
+    }
+
+    /**
+     * All bonds as a list of [i, j, cells] entries, with i <= j, listing
+     * the cells of the copies of atom j bonded to atom i
+     *
+     * @return {Array}      List of bonds
+     */
+    pairs() {
+        let pairs = [];
+        this._rows.forEach((row, i) => {
+            row.forEach(([j, c]) => {
+                if (j < i) {
+                    return;
+                }
+                let last = pairs[pairs.length - 1];
+                if (last && last[0] === i && last[1] === j) {
+                    last[2].push(c);
+                } else {
+                    pairs.push([i, j, [c]]);
+                }
+            });
+        });
+        return pairs;
+    }
+
+    /**
+     * Build a BondList from a list of bonds as returned by pairs()
+     *
+     * @param {int}   N     Number of atoms
+     * @param {Array} pairs List of [i, j, cells] entries, with i <= j
+     *
+     * @return {BondList}   Bond list
+     */
+    static fromPairs(N, pairs) {
+        let bonds = new BondList(N);
+        pairs.forEach(([i, j, cells]) => {
+            cells.forEach((c) => {
+                if (i === j) {
+                    // Already listed in both directions
+                    bonds._insert(i, i, [c[0], c[1], c[2]]);
+                } else {
+                    bonds.add(i, j, c);
+                }
+            });
+        });
+        return bonds;
+    }
+
+    // Insert an entry in the list of atom i, after all those of atoms <= j
+    _insert(i, j, c) {
+        let row = this._rows[i];
+        let k = row.length;
+        while (k > 0 && row[k - 1][0] > j) {
+            --k;
+        }
+        row.splice(k, 0, [j, c]);
+    }
+}
+
+export {
+    BondList
+};
@@ -29,6 +29,24 @@ const vdwRadii = [1.77, // Z = 0 is used as the default
     1.7, 1.7, 1.7
 ];
 
+// Covalent radii by atomic number, from B. Cordero et al., Dalton Trans.
+// (2008) 2832-2838 (sp3 for carbon, low spin for Mn, Fe and Co)
+const covalentRadii = [0.2, // Z = 0 is used as the default
+    0.31, 0.28, 1.28, 0.96, 0.84,
+    0.76, 0.71, 0.66, 0.57, 0.58, 1.66, 1.41, 1.21,
+    1.11, 1.07, 1.05, 1.02, 1.06, 2.03, 1.76, 1.70,
+    1.60, 1.53, 1.39, 1.39, 1.32, 1.26, 1.24, 1.32,
+    1.22, 1.22, 1.20, 1.19, 1.20, 1.20, 1.16, 2.20,
+    1.95, 1.90, 1.75, 1.64, 1.54, 1.47, 1.46, 1.42,
+    1.39, 1.45, 1.44, 1.42, 1.39, 1.39, 1.38, 1.39,
+    1.40, 2.44, 2.15, 2.07, 2.04, 2.03, 2.01, 1.99,
+    1.98, 1.98, 1.96, 1.94, 1.92, 1.92, 1.89, 1.90,
+    1.87, 1.87, 1.75, 1.70, 1.62, 1.51, 1.44, 1.41,
+    1.36, 1.36, 1.32, 1.45, 1.46, 1.48, 1.40, 1.50,
+    1.50, 2.60, 2.21, 2.15, 2.06, 2.00, 1.96, 1.90,
+    1.87, 1.80, 1.69
+];
+
 const cpkColors = [0xff1493, // Z = 0 is used as the default
     0xffffff, 0xd9ffff, 0xcc80ff, 0xc2ff00, 0xffb5b5, 0x909090, 0x3050f8, 0xff0d0d,
     0x90e050, 0xb3e3f5, 0xab5cf2, 0x8aff00, 0xbfa6a6, 0xf0c8a0, 0xff8000, 0xffff30,
@@ -53,6 +71,12 @@ function getVdwRadius(symbol) {
     return vdwRadii[Z];
 }
 
+function getCovalentRadius(symbol) {
+    var el = PeriodicTable.getElement(symbol);
+    var Z = (el ? el.number : 0);
+    return (Z < covalentRadii.length)? covalentRadii[Z] : covalentRadii[0];
+}
+
 function getCpkColor(symbol, isotope=null) {
     var el = PeriodicTable.getElement(symbol);
     var Z = (el ? el.number : 0);
@@ -116,8 +140,10 @@ function getIsotopeData(symbol, iso=null) {
 
 export {
     vdwRadii,
+    covalentRadii,
     cpkColors,
     getVdwRadius,
+    getCovalentRadius,
     getCpkColor,
     getIsotopeList,
     getElementData,
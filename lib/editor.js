@@ -0,0 +1,417 @@
+'use strict';
+
+/**
+ * @fileoverview Classes to edit the structure of a Model (moving, adding,
+ * deleting atoms or changing their element) and keep a history of the edits
+ * for undo and redo.
+ * @module
+ */
+
+import _ from 'lodash';
+import {
+    PeriodicTable as PeriodicTable
+} from 'mendeleev';
+import {
+    Atoms
+} from '@ccp-nc/crystcif-parse';
+import {
+    ModelView
+} from './modelview.js';
+import {
+    PropertyArray
+} from './property.js';
+
+// Per-atom array for a new list of atoms, given the index of each in the
+// original array, or -1 for new atoms (whose values are zero, or null)
+function pickArray(arr, indices) {
+
+    let N0 = arr.length;
+
+    if (arr instanceof PropertyArray) {
+        let n = arr.size;
+        let empty = (arr.dtype === 'string')? '' : 0;
+        let values = [];
+        indices.forEach((i) => {
+            for (let j = 0; j < n; ++j) {
+                values.push((i >= 0)? arr.data[i*n+j] : empty);
+            }
+        });
+        return new PropertyArray(values, arr.dtype, [indices.length].concat(arr.shape.slice(1)));
+    }
+
+    // Two-atom arrays (e.g. isc) must be picked along both dimensions
+    let twoatom = arr.every((v) => (_.isArray(v) && v.length === N0)) &&
+        arr.some((v) => v.some((x) => (x instanceof Object && !_.isArray(x))));
+
+    return indices.map((i) => {
+        if (i < 0) {
+            return twoatom? indices.map(() => null) : null;
+        }
+        return twoatom? indices.map((j) => ((j >= 0)? arr[i][j] : null)) : arr[i];
+    });
+}
+
+// Info for a new list of atoms, with the entries that refer to atoms by
+// index (bonds from PDB or SDF files, ionic constraints from cell files)
+// remapped through newindex, and those of deleted atoms dropped. Species
+// are the new labels (e.g. H:Mu for custom species of cell files), or the
+// elements
+function remapInfo(info, newindex, species) {
+
+    info = _.clone(info);
+
+    if (info['bonds']) {
+        info['bonds'] = info['bonds'].filter(([i, j]) => (i in newindex && j in newindex))
+            .map(([i, j, ...rest]) => [newindex[i], newindex[j]].concat(rest));
+        if (info['bonds_complete'] && species.length > _.size(newindex)) {
+            // New atoms aren't listed, so they need bonds from distances
+            info['bonds_complete'] = false;
+        }
+    }
+
+    if (info['ionic_constraints']) {
+        // Ions are numbered within their species
+        info['ionic_constraints'] = info['ionic_constraints'].filter((c) => (c.atom in newindex))
+            .map((c) => {
+                let atom = newindex[c.atom];
+                let sp = species[atom];
+                return _.merge({}, c, {
+                    species: sp,
+                    ion: species.slice(0, atom + 1).filter((x) => (x === sp)).length,
+                    atom: atom
+                });
+            });
+    }
+
+    return info;
+}
+
+/** A set of edits to the structure of a Model, applied all at once to make a new one */
+class ModelEditor {
+
+    /**
+     * Create a ModelEditor for a Model. Edits are recorded by calling its
+     * methods, which can be chained, and refer to the atoms of the original
+     * model whatever edits came before; apply() then returns a new Model.
+     * Edits act on the atoms of the model's original cell, so that moving
+     * or deleting any periodic copy of an atom acts on all of them.
+     *
+     * @param  {Model} model    Model to edit
+     */
+    constructor(model) {
+
+        this._model = model;
+
+        // Current state of the atoms: original ones first, then new ones
+        let base = model._atoms_base;
+        this._symbols = base.get_chemical_symbols();
+        this._positions = base.get_positions();
+        this._origin = _.range(model.length);
+        this._deleted = this._origin.map(() => false);
+        this._relabel = this._origin.map(() => false);
+    }
+
+    /**
+     * Model being edited
+     * @readonly
+     * @type {Model}
+     */
+    get model() {
+        return this._model;
+    }
+
+    /**
+     * Move atoms by a vector
+     *
+     * @param  {ModelView} view     Atoms to move
+     * @param  {float[]}   vector   Cartesian displacement, in Angstrom
+     *
+     * @return {ModelEditor}        This editor
+     */
+    moveAtoms(view, vector) {
+        this._checkVector(vector);
+        this._atomIndices(view).forEach((i) => {
+            let p = this._positions[i];
+            this._positions[i] = [p[0] + vector[0], p[1] + vector[1], p[2] + vector[2]];
+        });
+        return this;
+    }
+
+    /**
+     * Change the element of atoms. They get new crystallographic labels
+     *
+     * @param  {ModelView} view     Atoms to change
+     * @param  {String}    element  Symbol of the new element
+     *
+     * @return {ModelEditor}        This editor
+     */
+    setElement(view, element) {
+        element = this._checkElement(element);
+        this._atomIndices(view).forEach((i) => {
+            this._symbols[i] = element;
+            this._relabel[i] = true;
+        });
+        return this;
+    }
+
+    /**
+     * Delete atoms
+     *
+     * @param  {ModelView} view     Atoms to delete
+     *
+     * @return {ModelEditor}        This editor
+     */
+    deleteAtoms(view) {
+        this._atomIndices(view).forEach((i) => {
+            this._deleted[i] = true;
+        });
+        return this;
+    }
+
+    /**
+     * Add an atom. Its per-atom properties (e.g. charges or tensors) are
+     * set to zero, or null if they have no type
+     *
+     * @param  {String}  element    Symbol of the element
+     * @param  {float[]} position   Cartesian position, in Angstrom
+     *
+     * @return {ModelEditor}        This editor
+     */
+    addAtom(element, position) {
+        element = this._checkElement(element);
+        this._checkVector(position);
+        this._symbols.push(element);
+        this._positions.push([position[0], position[1], position[2]]);
+        this._origin.push(-1);
+        this._deleted.push(false);
+        this._relabel.push(true);
+        return this;
+    }
+
+    /**
+     * Apply the edits, and return a new Model with the same parameters as
+     * the original one, and its bonds, molecules and labels recomputed.
+     * Bonds added or removed by hand and measurements are kept for the atoms
+     * that are still there. The new model is added to the edit history of
+     * the original one, after it (dropping any model that was undone to get
+     * to it)
+     *
+     * @return {Model}      Edited model
+     */
+    apply() {
+
+        let model = this._model;
+        let base = model._atoms_base;
+        let keep = _.range(this._symbols.length).filter((i) => !this._deleted[i]);
+        let indices = keep.map((i) => this._origin[i]);
+        let changed = keep.some((i) => this._relabel[i]);
+
+        // New index of each original atom that is kept
+        let newindex = {};
+        indices.forEach((i, k) => {
+            if (i >= 0) {
+                newindex[i] = k;
+            }
+        });
+
+        let symbols = keep.map((i) => this._symbols[i]);
+        let atoms = new Atoms(symbols, keep.map((i) => this._positions[i]),
+            model.periodic? model.cell : null);
+
+        for (let name in base._arrays) {
+            if (['symbols', 'numbers', 'positions', 'labels'].includes(name)) {
+                continue;
+            }
+            if (name === 'magres-labels' && changed) {
+                // These go with the elements, so they will have to be rebuilt
+                continue;
+            }
+            atoms.set_array(name, pickArray(base._arrays[name], indices));
+        }
+
+        if (model._has_cif_labels) {
+            // Keep the labels, giving new ones (element and first free
+            // number) to the atoms that need them. Atoms that shared a label
+            // (e.g. symmetry copies) and have the same new element share
+            // the new one too
+            let labels = keep.map((i) => (this._relabel[i]? null : model._labels[this._origin[i]]));
+            let used = new Set(labels);
+            let renamed = {};
+            labels = labels.map((l, k) => {
+                if (l !== null) {
+                    return l;
+                }
+                let i = keep[k];
+                let el = this._symbols[i];
+                let key = (this._origin[i] >= 0)? model._labels[this._origin[i]] + ' ' + el : null;
+                if (key in renamed) {
+                    return renamed[key];
+                }
+                let n = 1;
+                while (used.has(el + n)) {
+                    ++n;
+                }
+                used.add(el + n);
+                if (key !== null) {
+                    renamed[key] = el + n;
+                }
+                return el + n;
+            });
+            // Labels that all match their elements (e.g. once the only
+            // custom species of a cell file is deleted) aren't kept, as they
+            // wouldn't be taken as crystallographic ones
+            if (labels.some((l, k) => (l !== symbols[k]))) {
+                atoms.set_array('labels', labels);
+            }
+        }
+
+        atoms.info = remapInfo(base.info, newindex, atoms.get_array('labels') || symbols);
+
+        // Bonds added or removed by hand, for the new indices
+        let overrides = model.bondOverrides.filter(([i, j]) => (i in newindex && j in newindex));
+        overrides = overrides.map(([i, j, c, bonded]) => [newindex[i], newindex[j], c, bonded]);
+
+        // Same for measurements; those of deleted atoms are dropped
+        let measurements = _.pickBy(model._measurementData(), (m) => m.atoms.every(([i]) => i in newindex));
+        _.forEach(measurements, (m) => {
+            m.atoms = m.atoms.map(([i, c]) => [newindex[i], c]);
+        });
+
+        let edited = model._rebuild(atoms, overrides, measurements);
+        model.history.push(edited, model);
+
+        return edited;
+    }
+
+    // Indices of the atoms in a view, in the original cell
+    _atomIndices(view) {
+        if (!(view instanceof ModelView) || view.model !== this._model) {
+            throw Error('Edits must use a ModelView of the edited model');
+        }
+        return _.uniq(view.atoms.map((a) => a.index));
+    }
+
+    _checkElement(element) {
+        let el = PeriodicTable.getElement(element);
+        if (!el) {
+            throw Error('Invalid element: ' + element);
+        }
+        return el.symbol;
+    }
+
+    _checkVector(v) {
+        if (!(v instanceof Array) || v.length !== 3 || !v.every(Number.isFinite)) {
+            throw Error('Invalid vector or position: ' + v);
+        }
+    }
+}
+
+/** The history of the edits of a Model, as a list of models to go back and forth between */
+class EditHistory {
+
+    /**
+     * Create an EditHistory starting from a Model
+     *
+     * @param  {Model} model    Original model
+     */
+    constructor(model) {
+        this._models = [model];
+        this._index = 0;
+    }
+
+    /**
+     * Model at the current point of the history
+     * @readonly
+     * @type {Model}
+     */
+    get current() {
+        return this._models[this._index];
+    }
+
+    /**
+     * Number of models in the history
+     * @readonly
+     * @type {int}
+     */
+    get length() {
+        return this._models.length;
+    }
+
+    /**
+     * Position of the current model in the history
+     * @readonly
+     * @type {int}
+     */
+    get index() {
+        return this._index;
+    }
+
+    /**
+     * Whether there's an earlier model to go back to
+     * @readonly
+     * @type {bool}
+     */
+    get canUndo() {
+        return this._index > 0;
+    }
+
+    /**
+     * Whether there's a later model to go forward to
+     * @readonly
+     * @type {bool}
+     */
+    get canRedo() {
+        return this._index < this._models.length - 1;
+    }
+
+    /**
+     * Add a new model after another one in the history (by default the
+     * current one), dropping those that came after it
+     *
+     * @param  {Model} model    Model to add
+     * @param  {Model} [after]  Model to add it after
+     */
+    push(model, after = null) {
+        if (after !== null) {
+            this._index = this._models.indexOf(after);
+            if (this._index < 0) {
+                throw Error('Model is not part of this history');
+            }
+        }
+        this._models.splice(this._index + 1);
+        this._models.push(model);
+        this._index = this._models.length - 1;
+        model._history = this;
+    }
+
+    /**
+     * Go back to the previous model
+     *
+     * @return {Model}      Previous model, or null if there's none
+     */
+    undo() {
+        if (!this.canUndo) {
+            return null;
+        }
+        this._index -= 1;
+        return this.current;
+    }
+
+    /**
+     * Go forward to the next model
+     *
+     * @return {Model}      Next model, or null if there's none
+     */
+    redo() {
+        if (!this.canRedo) {
+            return null;
+        }
+        this._index += 1;
+        return this.current;
+    }
+}
+
+export {
+    ModelEditor,
+    EditHistory
+};
@@ -0,0 +1,224 @@
+'use strict';
+
+/**
+ * @fileoverview Function for loading the JSON files written by the Atomic
+ * Simulation Environment (ASE), both single Atoms objects and ase.db exports
+ * @module
+ */
+
+import _ from 'lodash';
+import {
+    Atoms
+} from '@ccp-nc/crystcif-parse';
+import {
+    PropertyArray
+} from '../property.js';
+
+// Row entries that go in the info, even if they have one value per atom
+const info_keys = ['stress', 'dipole', 'celldisp', 'constraints', 'data', 'calculator_parameters'];
+
+// PropertyArray type for a NumPy data type
+function arrayDtype(dtype) {
+    if (/^float/.test(dtype)) {
+        return 'float64';
+    } else if (/^u?int/.test(dtype)) {
+        return 'int32';
+    } else if (dtype === 'bool') {
+        return 'bool';
+    }
+    return null;
+}
+
+// NumPy arrays are encoded as {__ndarray__: [shape, dtype, flat data]}
+function isNdarray(v) {
+    return _.isPlainObject(v) && ('__ndarray__' in v);
+}
+
+// Nested Arrays from a flat list of values and a shape
+function nested(data, shape) {
+    if (shape.length <= 1) {
+        return Array.from(data);
+    }
+    let n = data.length/shape[0];
+    return _.range(shape[0]).map((i) => nested(data.slice(i*n, (i+1)*n), shape.slice(1)));
+}
+
+// Turn encoded NumPy arrays and ASE objects into plain values
+function decode(v) {
+    if (isNdarray(v)) {
+        let [shape, dtype, data] = v['__ndarray__'];
+        if (dtype === 'bool') {
+            data = data.map((x) => !!x);
+        }
+        return nested(data, shape);
+    } else if (_.isPlainObject(v) && v['__ase_objtype__'] === 'cell') {
+        return decode(v['array']);
+    } else if (v instanceof Array) {
+        return v.map(decode);
+    } else if (_.isPlainObject(v)) {
+        return _.mapValues(v, decode);
+    }
+    return v;
+}
+
+// Per-atom array, typed after the NumPy array if possible, or from its values
+function atomArray(v) {
+
+    let shape;
+    let dtype;
+    let data;
+
+    if (isNdarray(v)) {
+        [shape, dtype, data] = v['__ndarray__'];
+        dtype = arrayDtype(dtype);
+    } else {
+        v = decode(v);
+        shape = [v.length];
+        for (let x = v[0]; x instanceof Array; x = x[0]) {
+            shape.push(x.length);
+        }
+        data = _.flattenDeep(v);
+        if (data.length !== shape.reduce((a, b) => a*b, 1)) {
+            // Ragged
+            return v;
+        }
+        if (data.every(_.isBoolean)) {
+            dtype = 'bool';
+        } else if (data.every(_.isString)) {
+            dtype = 'string';
+        } else if (data.every(Number.isInteger)) {
+            dtype = 'int32';
+        } else if (data.every(_.isNumber)) {
+            dtype = 'float64';
+        }
+    }
+
+    if (!dtype || shape.length > 3) {
+        return decode(v);
+    }
+
+    return new PropertyArray(data, dtype, shape);
+}
+
+// Build an Atoms object from an encoded Atoms object or a database row
+function rowToAtoms(row, name) {
+
+    if (!_.isPlainObject(row) || !('numbers' in row) || !('positions' in row)) {
+        throw Error('Invalid ASE JSON file: no numbers or positions found for ' + name);
+    }
+
+    let numbers = decode(row.numbers);
+    let positions = decode(row.positions);
+    let N = numbers.length;
+    if (positions.length !== N) {
+        throw Error('Invalid ASE JSON file: numbers and positions of ' + name + ' do not match');
+    }
+
+    // Like for extended XYZ files, the structure is periodic unless it has
+    // no periodic direction or no cell
+    let cell = ('cell' in row)? decode(row.cell) : null;
+    let pbc = ('pbc' in row)? decode(row.pbc) : [true, true, true];
+    if (!cell || !pbc.some((x) => x) || _.flatten(cell).every((x) => x === 0)) {
+        cell = null;
+    }
+
+    let info = {};
+    let arrays = {};
+
+    const perAtom = (v) => ((isNdarray(v)? v['__ndarray__'][0][0] : (v instanceof Array) && v.length) === N);
+
+    _.forEach(row, (v, k) => {
+        if (['numbers', 'positions', 'cell', 'pbc', '__ase_objtype__'].includes(k)) {
+            return;
+        }
+        if (k === 'key_value_pairs' || k === 'info') {
+            _.assign(info, decode(v));
+        } else if (info_keys.includes(k) || !perAtom(v)) {
+            info[k] = decode(v);
+        } else {
+            arrays[k] = atomArray(v);
+        }
+    });
+
+    let a = new Atoms(numbers, positions, cell, info);
+    _.forEach(arrays, (arr, k) => {
+        a.set_array(k, arr);
+    });
+
+    return a;
+}
+
+/**
+ * Load a JSON file written by ASE: either a single Atoms object (as written
+ * by ase.io.jsonio) or an ase.db database export, with one structure per
+ * row. Atomic numbers, positions, cell and pbc give the structure, which is
+ * not periodic if no direction is. Any other entry with one value per atom
+ * (tags, momenta, initial_magmoms, forces, custom arrays...) is stored as a
+ * typed PropertyArray with the same name. Key-value pairs of database rows,
+ * and the info of Atoms objects, go in the info; so do the results of the
+ * calculation (energy, stress...), other row entries (id, unique_id,
+ * calculator...), and the 'data', 'constraints' and
+ * 'calculator_parameters' entries, as they are.
+ *
+ * @param {string} contents             Contents of the file
+ * @param {string} [filename='ase']     Name for the returned structure.
+ *                                      Databases with more than one row
+ *                                      return them as filename_id, with the
+ *                                      id of each row
+ *
+ * @returns {Object} Dictionary mapping filename to Atoms object
+ */
+function load(contents, filename='ase') {
+
+    let json;
+    try {
+        // Python writes NaN and Infinity, which are not valid JSON
+        json = JSON.parse(contents.replace(/(?<=[:,[]\s*)-?(NaN|Infinity)(?=\s*[,\]}])/g, 'null'));
+    } catch (err) {
+        throw Error('Invalid ASE JSON file: ' + err.message);
+    }
+
+    if (!_.isPlainObject(json)) {
+        throw Error('Invalid ASE JSON file: not a JSON object');
+    }
+
+    let structs = {};
+
+    if ('numbers' in json) {
+        structs[filename] = rowToAtoms(json, filename);
+        return structs;
+    }
+
+    // Database: rows are stored by id, listed in 'ids' if present
+    let ids = ('ids' in json)? json.ids.map(String) : _.keys(json).filter((k) => /^\d+$/.test(k));
+    if (ids.length === 0) {
+        throw Error('Invalid ASE JSON file: no structures found');
+    }
+
+    ids.forEach((id) => {
+        let name = (ids.length > 1)? filename + '_' + id : filename;
+        structs[name] = rowToAtoms(json[id], name);
+    });
+
+    return structs;
+}
+
+/**
+ * Score how likely some contents are to be an ASE JSON file, from 0 to 1.
+ *
+ * @param {string} contents     Contents of the file
+ *
+ * @returns {float} Score
+ */
+function detect(contents) {
+    if (!/^\s*\{/.test(contents)) {
+        return 0;
+    }
+    let head = contents.slice(0, 65536);
+    if (/"numbers"\s*:/.test(head) && /"positions"\s*:/.test(head)) {
+        return 1.0;
+    }
+    return (/"nextid"\s*:|"__ndarray__"\s*:/.test(head))? 0.5 : 0;
+}
+
+export { load, detect };
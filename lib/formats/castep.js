@@ -0,0 +1,315 @@
+'use strict';
+
+/**
+ * @fileoverview Functions for loading CASTEP's .castep output files
+ * @module
+ */
+
+import _ from 'lodash';
+import {
+    Atoms
+} from '@ccp-nc/crystcif-parse';
+
+const num = '([-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eEdD][-+]?\\d+)?)';
+
+const lattice_re = /^\s*Real Lattice\(A\)/;
+const contents_re = /^\s*Cell Contents\s*$/;
+const atom_re = /^\s*x\s+([A-Za-z][\w:]*)\s+(\d+)\s+(\S+)\s+(\S+)\s+(\S+)\s+x\s*$/;
+const forces_re = /^\s*\*+\s*(?:[A-Za-z]+\s+)*Forces\s*\*+\s*$/;
+const stress_re = /^\s*\*+\s*(?:[A-Za-z]+\s+)*Stress Tensor\s*\*+\s*$/;
+const table_row_re = /^\s*\*\s+([A-Za-z][\w:]*)\s+(\d+)\s+(.*?)\s*\*\s*$/;
+const stress_row_re = /^\s*\*\s+([xyz])\s+(\S+)\s+(\S+)\s+(\S+)\s*\*\s*$/;
+const pressure_re = new RegExp('Pressure:\\s*' + num);
+const mulliken_re = /Atomic Populations \(Mulliken\)/;
+const shielding_re = /^\s*\|.*Chemical Shielding/;
+const shielding_row_re = /^\s*\|\s*([A-Za-z][\w:]*)\s+(\d+)\s+(.*?)\s*\|\s*$/;
+
+// Energies, stored in the info of the current step
+const energy_res = {
+    'energy': new RegExp('^\\s*Final energy(?:, E)?\\s*=\\s*' + num + '\\s*eV'),
+    'free_energy': new RegExp('^\\s*Final free energy \\(E-TS\\)\\s*=\\s*' + num + '\\s*eV'),
+    'enthalpy': new RegExp('(?:with enthalpy=|Final Enthalpy\\s*=)\\s*' + num + '\\s*eV'),
+};
+
+// Columns of the NMR summary table, and the arrays they are stored in
+const shielding_columns = {
+    'iso(ppm)': 'ms_iso',
+    'aniso(ppm)': 'ms_aniso',
+    'asym': 'ms_asym',
+    'cq(mhz)': 'efg_cq',
+    'eta': 'efg_eta'
+};
+
+function parseNum(x) {
+    // Fortran may write exponents with a D
+    return parseFloat(x.replace(/[dD]/, 'e'));
+}
+
+/**
+ * Parse all the ionic steps of a .castep file. A new step begins with each
+ * Cell Contents section; the cell is the last one printed before it, and
+ * energies, forces, stresses and populations printed after it belong to it.
+ *
+ * @param  {string} contents    Contents of the file
+ *
+ * @return {Object[]}   List of {cell, species, positions, info, arrays}
+ * @private
+ */
+function parseSteps(contents) {
+
+    let lines = _.split(contents, '\n');
+
+    let cell = null;
+    let steps = [];
+    let step = null;
+
+    // Index of an atom from its species and ion number (within the species)
+    const atomIndex = (sp, ion) => {
+        let i = step.index[sp + ' ' + ion];
+        if (i === undefined) {
+            throw Error('Invalid CASTEP file: unknown ion ' + sp + ' ' + ion);
+        }
+        return i;
+    };
+    // Set a value in a per-atom array of the current step
+    const setAtomValue = (name, sp, ion, value) => {
+        let arr = step.arrays[name];
+        if (!arr) {
+            arr = step.species.map(() => null);
+            step.arrays[name] = arr;
+        }
+        arr[atomIndex(sp, ion)] = value;
+    };
+
+    for (let i = 0; i < lines.length; ++i) {
+
+        let l = lines[i];
+
+        if (lattice_re.test(l)) {
+            cell = lines.slice(i+1, i+4).map((r) => _.trim(r).split(/\s+/).slice(0, 3).map(parseNum));
+            if (cell.length < 3 || cell.some((r) => (r.length < 3 || r.some(isNaN)))) {
+                throw Error('Invalid CASTEP file: could not parse lattice');
+            }
+            i += 3;
+            continue;
+        }
+
+        if (contents_re.test(l)) {
+            if (cell === null) {
+                throw Error('Invalid CASTEP file: positions found before the lattice');
+            }
+            step = {
+                cell: cell,
+                species: [],
+                positions: [],
+                info: {},
+                arrays: {},
+                index: {}
+            };
+            // Skip to the first atom, then read them all
+            let j = i+1;
+            while (j < lines.length && !atom_re.test(lines[j])) {
+                j++;
+            }
+            let m;
+            while (j < lines.length && (m = atom_re.exec(lines[j]))) {
+                step.index[m[1] + ' ' + m[2]] = step.species.length;
+                step.species.push(m[1]);
+                step.positions.push(m.slice(3, 6).map(parseNum));
+                j++;
+            }
+            if (step.species.length === 0) {
+                throw Error('Invalid CASTEP file: no atoms found in cell contents');
+            }
+            steps.push(step);
+            i = j-1;
+            continue;
+        }
+
+        if (step === null) {
+            continue;
+        }
+
+        _.forEach(energy_res, (re, name) => {
+            let m = re.exec(l);
+            if (m) {
+                step.info[name] = parseNum(m[1]);
+            }
+        });
+
+        if (forces_re.test(l)) {
+            let j = i+1;
+            for (; j < lines.length && !/^\s*\*+\s*$/.test(lines[j]); ++j) {
+                let m = table_row_re.exec(lines[j]);
+                if (m) {
+                    // Constrained components are marked with (cons'd)
+                    let f = m[3].replace(/\(cons'd\)/g, '').split(/\s+/).map(parseNum);
+                    setAtomValue('forces', m[1], m[2], f);
+                }
+            }
+            i = j;
+            continue;
+        }
+
+        if (stress_re.test(l)) {
+            let stress = [];
+            let j = i+1;
+            for (; j < lines.length && !/^\s*\*+\s*$/.test(lines[j]); ++j) {
+                let m = stress_row_re.exec(lines[j]);
+                if (m) {
+                    stress.push(m.slice(2, 5).map(parseNum));
+                }
+                m = pressure_re.exec(lines[j]);
+                if (m) {
+                    step.info['pressure'] = parseNum(m[1]);
+                }
+            }
+            if (stress.length === 3) {
+                step.info['stress'] = stress;
+            }
+            i = j;
+            continue;
+        }
+
+        if (mulliken_re.test(l)) {
+            // Header, then rows between two lines of =
+            let j = i+1;
+            while (j < lines.length && !/^\s*Species/.test(lines[j])) {
+                j++;
+            }
+            let spin = /Spin/.test(lines[j] || '');
+            j += 2;
+            for (; j < lines.length && !/^\s*=+\s*$/.test(lines[j]); ++j) {
+                let ls = _.trim(lines[j]).split(/\s+/);
+                // Spin down rows have no species and no totals
+                if (ls.length < 4 || !/^\d+$/.test(ls[1])) {
+                    continue;
+                }
+                let vals = ls.map(parseNum);
+                let n = vals.length;
+                if (spin) {
+                    setAtomValue('charge', ls[0], ls[1], vals[n-2]);
+                    setAtomValue('spin', ls[0], ls[1], vals[n-1]);
+                } else {
+                    setAtomValue('charge', ls[0], ls[1], vals[n-1]);
+                }
+            }
+            i = j;
+            continue;
+        }
+
+        if (shielding_re.test(l)) {
+            let j = i+1;
+            while (j < lines.length && !/^\s*\|\s*Species\s+Ion/.test(lines[j])) {
+                j++;
+            }
+            if (j === lines.length) {
+                continue;
+            }
+            let columns = _.trim(lines[j].replace(/\|/g, '')).split(/\s+/).slice(2).map((c) => shielding_columns[c.toLowerCase()]);
+            for (j = j+1; j < lines.length && !/^\s*=+\s*$/.test(lines[j]); ++j) {
+                let m = shielding_row_re.exec(lines[j]);
+                if (!m) {
+                    continue;
+                }
+                m[3].split(/\s+/).forEach((x, k) => {
+                    if (columns[k]) {
+                        setAtomValue(columns[k], m[1], m[2], parseNum(x));
+                    }
+                });
+            }
+            i = j;
+            continue;
+        }
+    }
+
+    if (steps.length === 0) {
+        throw Error('Invalid CASTEP file: no structures found');
+    }
+
+    return steps;
+}
+
+// Build an Atoms object from a parsed step
+function stepToAtoms(step) {
+
+    // Custom species have the form ELEMENT:LABEL
+    let elems = step.species.map((s) => s.split(':')[0]);
+
+    let a = new Atoms(elems, step.positions, step.cell, step.info, true);
+
+    if (step.species.some((s, i) => (s !== elems[i]))) {
+        a.set_array('labels', step.species);
+    }
+    _.forEach(step.arrays, (arr, name) => {
+        a.set_array(name, arr);
+    });
+
+    return a;
+}
+
+/**
+ * Load a CASTEP .castep output file. Every ionic step (e.g. of a geometry
+ * optimisation or molecular dynamics run) is read, with its cell, positions,
+ * energy, free energy and enthalpy (in eV), stress tensor and pressure (in
+ * GPa) in the info and forces (in eV/A) in the 'forces' array. Mulliken
+ * charges and spins go in the 'charge' and 'spin' arrays, and the NMR
+ * summary table in the 'ms_iso', 'ms_aniso', 'ms_asym', 'efg_cq' and
+ * 'efg_eta' arrays (null for atoms not in the table). Note that at the end
+ * of a geometry optimisation CASTEP prints the final structure again, so it
+ * appears as a separate step.
+ *
+ * @param {string} contents             Contents of the file
+ * @param {string} [filename='castep']  Name for the returned structure
+ * @param {number} [index=-1]           Step to load (0-based, negative counts
+ *                                      from the end)
+ *
+ * @returns {Object} Dictionary mapping filename to Atoms object
+ */
+function load(contents, filename='castep', index=-1) {
+
+    let steps = parseSteps(contents);
+
+    let i = index < 0 ? steps.length + index : index;
+    if (!Number.isInteger(i) || i < 0 || i >= steps.length) {
+        throw Error('Step index out of range for CASTEP file.');
+    }
+
+    let structs = {};
+    structs[filename] = stepToAtoms(steps[i]);
+
+    return structs;
+}
+
+/**
+ * Load all the ionic steps of a CASTEP .castep output file as a trajectory.
+ * See `load` for what is read from each step.
+ *
+ * @param {string} contents             Contents of the file
+ * @param {string} [filename='castep']  Name for the returned trajectory
+ *
+ * @returns {Object} Dictionary mapping filename to an Array of Atoms objects
+ */
+function loadTrajectory(contents, filename='castep') {
+
+    let structs = {};
+    structs[filename] = parseSteps(contents).map(stepToAtoms);
+
+    return structs;
+}
+
+/**
+ * Score how likely some contents are to be a .castep file, from 0 to 1.
+ *
+ * @param {string} contents     Contents of the file
+ *
+ * @returns {float} Score
+ */
+function detect(contents) {
+    if (/^\s*Real Lattice\(A\)/m.test(contents) && /^\s*Cell Contents\s*$/m.test(contents)) {
+        return 1.0;
+    }
+    return (/CASTEP version/i.test(contents.slice(0, 8192)))? 0.5 : 0;
+}
+
+export { load, loadTrajectory, detect };
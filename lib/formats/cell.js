@@ -1,7 +1,7 @@
 'use strict';
 
 /**
- * @fileoverview Function for loading CASTEP's Cell files
+ * @fileoverview Functions for loading and writing CASTEP's Cell files
  * @module
  */
 
@@ -49,16 +49,90 @@ function cellBlocks(lines, units={}) {
     return blocks;
 }
 
+// Per-atom keywords that can follow the coordinates in a positions block
+const spin_re = /\bSPIN\s*[=:]\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/i;
+const mixture_re = /\bMIXTURE\s*:?\s*\(\s*(\d+)\s+([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*\)/i;
+
+// Conversion factors of the units of SPECIES_MASS to atomic mass units
+const mass_conv = {
+    'amu': 1.0,
+    'me': 5.48579909065e-4,
+    'kg': 1.0/1.66053906660e-27,
+    'g': 1.0/1.66053906660e-24
+};
+
+// Parse a positions block line into species, coordinates, spin and mixture
+function parsePositionLine(l) {
+
+    let m = /^\s*(\S+)\s+(\S+)\s+(\S+)\s+(\S+)(.*)$/.exec(l);
+    if (!m) {
+        throw Error('Incomplete line in positions block');
+    }
+
+    let p = m.slice(2, 5).map(parseFloat);
+    if (p.some(isNaN)) {
+        throw Error('Invalid coordinates in positions block');
+    }
+
+    let spin = spin_re.exec(m[5]);
+    let mix = mixture_re.exec(m[5]);
+
+    return {
+        species: m[1],
+        position: p,
+        spin: spin? parseFloat(spin[1]) : null,
+        mixture: mix? [parseInt(mix[1]), parseFloat(mix[2])] : null
+    };
+}
+
+// Read a boolean keyword (like FIX_ALL_IONS : TRUE) outside of blocks.
+// Returns null if the keyword is not present
+function cellKeyword(lines, blocks, name) {
+
+    const kw_re = new RegExp('^\\s*' + name + '(?:\\s*[=:]\\s*|\\s+|$)(\\S*)', 'i');
+    let inblock = (i) => _.some(blocks, (b) => (i > b.start && i < b.end));
+
+    for (let i = 0; i < lines.length; ++i) {
+        let m = kw_re.exec(lines[i]);
+        if (m && !inblock(i)) {
+            let v = m[1].toLowerCase();
+            return !(v === 'false' || v === 'f');
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Load a CASTEP cell file. Besides the lattice and positions, this reads:
+ *
+ *  - custom species (like H:Mu), stored as crystallographic labels as in
+ *    Magres files
+ *  - the SPIN of each atom, in the 'spin' array
+ *  - MIXTURE atoms, in the 'mixture' array as [index, weight] (or null).
+ *    The weight is also used as the atom's occupancy, and the atoms of each
+ *    mixture are alternative disorder groups, so they don't bond to each
+ *    other
+ *  - SPECIES_MASS (in amu), IONIC_CONSTRAINTS, FIX_ALL_IONS and
+ *    SYMMETRY_OPS, in the info as 'species_mass', 'ionic_constraints',
+ *    'fix_all_ions' and 'symmetry_ops'
+ *
+ * @param {string} contents             Contents of the file
+ * @param {string} [filename='cell']    Name for the returned structure
+ *
+ * @returns {Object} Dictionary mapping filename to Atoms object
+ */
 function load(contents, filename='cell') {
 
-    // Split the file into lines
-    let lines = _.split(contents, '\n');
+    // Split the file into lines, without comments
+    let lines = _.split(contents, '\n').map((l) => l.replace(/[#!].*$/, ''));
 
     // Admissible units
     const units = {
         'LATTICE_CART':  ['ang', 'bohr'],
         'LATTICE_ABC':   ['ang', 'bohr'],
         'POSITIONS_ABS': ['ang', 'bohr'],
+        'SPECIES_MASS':  _.keys(mass_conv),
     };
     // conversion factors
     const unit_conv = {
@@ -92,8 +166,11 @@ function load(contents, filename='cell') {
             break;
     }
 
+    // Non-empty lines of a block
+    const blockLines = (name) => blocks[name].lines.filter((l) => _.trim(l).length > 0);
+
     // Parse the cell
-    let cell = ccart? blocks['LATTICE_CART'].lines : blocks['LATTICE_ABC'].lines;
+    let cell = ccart? blockLines('LATTICE_CART') : blockLines('LATTICE_ABC');
     cell = cell.map((l) => (_.trim(l).split(/\s+/).map(parseFloat)));
 
     // Scale cell by units
@@ -107,26 +184,103 @@ function load(contents, filename='cell') {
         cell[0] = cell[0].map((x) => (x*unit_conv[u]));
     }
 
-    let elems = [];
-    let positions = [];
+    let pblock = pabs? blockLines('POSITIONS_ABS') : blockLines('POSITIONS_FRAC');
+    // if units is not defined, assume angstroms
+    let pu = pabs? unit_conv[blocks['POSITIONS_ABS']['units'] || 'ang'] : 1.0;
+
+    let atoms_data = pblock.map(parsePositionLine);
+
+    let species = atoms_data.map((d) => d.species);
+    // Custom species have the form ELEMENT:LABEL
+    let elems = species.map((s) => s.split(':')[0]);
+    let positions = atoms_data.map((d) => d.position.map((x) => x*pu));
+
+    let info = {};
+
+    if ('SPECIES_MASS' in blocks) {
+        let u = mass_conv[blocks['SPECIES_MASS']['units'] || 'amu'];
+        info['species_mass'] = {};
+        blockLines('SPECIES_MASS').forEach((l) => {
+            l = _.trim(l).split(/\s+/);
+            let m = parseFloat(l[1]);
+            if (isNaN(m)) {
+                throw Error('Invalid line in SPECIES_MASS block');
+            }
+            info['species_mass'][l[0]] = m*u;
+        });
+    }
+
+    if ('IONIC_CONSTRAINTS' in blocks) {
+        let lspecies = species.map((s) => s.toLowerCase());
+        info['ionic_constraints'] = blockLines('IONIC_CONSTRAINTS').map((l) => {
+            l = _.trim(l).split(/\s+/);
+            let ion = parseInt(l[2]);
+            let vector = l.slice(3, 6).map(parseFloat);
+            if (l.length < 6 || isNaN(ion) || vector.some(isNaN)) {
+                throw Error('Invalid line in IONIC_CONSTRAINTS block');
+            }
+            // Find the atom: ions are numbered within their species
+            let atom = -1;
+            let count = 0;
+            for (let i = 0; i < lspecies.length; ++i) {
+                if (lspecies[i] === l[1].toLowerCase() && ++count === ion) {
+                    atom = i;
+                    break;
+                }
+            }
+            if (atom < 0) {
+                throw Error('IONIC_CONSTRAINTS refers to a non-existing ion ' + l[1] + ' ' + ion);
+            }
+            return {
+                constraint: parseInt(l[0]),
+                species: l[1],
+                ion: ion,
+                atom: atom,
+                vector: vector
+            };
+        });
+    }
 
-    let pblock = pabs? blocks['POSITIONS_ABS'].lines : blocks['POSITIONS_FRAC'].lines;
+    let fix_all = cellKeyword(lines, blocks, 'FIX_ALL_IONS');
+    if (fix_all !== null) {
+        info['fix_all_ions'] = fix_all;
+    }
 
-    pblock.forEach((l) => {
-        l = _.trim(l).split(/\s+/);
-        if (l.length < 4) 
-            throw Error('Incomplete line in positions block');
-        elems.push(l[0]);
-        positions.push(l.slice(1,4).map(parseFloat));
-        // scale by units if in absolute units
-        if (pabs) {
-            // if units is not defined, assume angstroms
-            let u = blocks['POSITIONS_ABS']['units'] || 'ang';
-            positions[positions.length-1] = positions[positions.length-1].map((x) => (x*unit_conv[u]));
+    if ('SYMMETRY_OPS' in blocks) {
+        let ops = blockLines('SYMMETRY_OPS').map((l) => _.trim(l).split(/\s+/).map(parseFloat));
+        if (ops.length % 4 !== 0 || ops.some((r) => (r.length < 3 || r.slice(0, 3).some(isNaN)))) {
+            throw Error('Invalid SYMMETRY_OPS block');
         }
-    });
-    
-    var a = new Atoms(elems, positions, cell, {}, pfrac);
+        // Each operation is a rotation (three rows) and a translation
+        info['symmetry_ops'] = _.chunk(ops.map((r) => r.slice(0, 3)), 4).map((op) => [op.slice(0, 3), op[3]]);
+    }
+
+    var a = new Atoms(elems, positions, cell, info, pfrac);
+
+    // Custom species are kept as crystallographic labels
+    if (species.some((s, i) => (s !== elems[i]))) {
+        a.set_array('labels', species);
+    }
+
+    if (atoms_data.some((d) => (d.spin !== null))) {
+        a.set_array('spin', atoms_data.map((d) => (d.spin === null? 0 : d.spin)));
+    }
+
+    if (atoms_data.some((d) => (d.mixture !== null))) {
+        let mixtures = atoms_data.map((d) => d.mixture);
+        a.set_array('mixture', mixtures);
+        a.set_array('occupancy', mixtures.map((m) => (m? m[1] : 1.0)));
+        // Each atom of a mixture is an alternative for the same site
+        let counts = {};
+        a.set_array('disorder_assembly', mixtures.map((m) => (m? 'mixture_' + m[0] : null)));
+        a.set_array('disorder_group', mixtures.map((m) => {
+            if (!m) {
+                return null;
+            }
+            counts[m[0]] = (counts[m[0]] || 0) + 1;
+            return counts[m[0]];
+        }));
+    }
 
     var structs = {};
     structs[filename] = a;
@@ -134,4 +288,121 @@ function load(contents, filename='cell') {
     return structs;
 }
 
-export { load };
\ No newline at end of file
+/**
+ * Write an Atoms object as a CASTEP cell file, with the cell in a
+ * LATTICE_CART block and fractional coordinates in a POSITIONS_FRAC block
+ * (both in Angstrom). Only periodic structures can be written. Atoms whose
+ * crystallographic label differs from their element are written as custom
+ * species, ELEMENT:LABEL (or just the label, if it already has that form).
+ * The extras read by load() are written back too: the 'spin' and 'mixture'
+ * arrays as SPIN and MIXTURE keywords, and the 'species_mass' (in amu),
+ * 'ionic_constraints', 'fix_all_ions' and 'symmetry_ops' info as the
+ * corresponding blocks and keywords. Ionic constraints are renumbered to
+ * match the written atoms, and those referring to missing atoms are dropped.
+ *
+ * @param {Atoms}  atoms  Structure to write
+ *
+ * @returns {string} Contents of the cell file
+ */
+function write(atoms) {
+
+    if (atoms._pbc.includes(false)) {
+        throw Error('Can not write a non-periodic structure as a cell file');
+    }
+
+    let elems = atoms.get_array('symbols');
+    let labels = atoms.get_array('labels');
+    let fpos = atoms.get_scaled_positions();
+
+    let species = elems.map((el, i) => {
+        let l = labels? labels[i] : null;
+        if (!l || l === el) {
+            return el;
+        }
+        return (l.split(':')[0] === el)? l : el + ':' + l;
+    });
+
+    let lines = ['%BLOCK LATTICE_CART', 'ang'];
+    atoms._cell.forEach((r) => {
+        lines.push('    ' + r.map((x) => x.toFixed(8)).join('    '));
+    });
+    lines.push('%ENDBLOCK LATTICE_CART');
+    lines.push('');
+    lines.push('%BLOCK POSITIONS_FRAC');
+    let spins = atoms.get_array('spin');
+    let mixtures = atoms.get_array('mixture');
+    species.forEach((s, i) => {
+        let l = s + '    ' + fpos[i].map((x) => x.toFixed(8)).join('    ');
+        if (spins) {
+            l += '    SPIN=' + spins[i];
+        }
+        if (mixtures && mixtures[i]) {
+            l += '    MIXTURE:( ' + mixtures[i][0] + ' ' + mixtures[i][1] + ' )';
+        }
+        lines.push(l);
+    });
+    lines.push('%ENDBLOCK POSITIONS_FRAC');
+
+    let info = atoms.info || {};
+
+    if (!_.isEmpty(info['species_mass'])) {
+        lines.push('');
+        lines.push('%BLOCK SPECIES_MASS');
+        lines.push('amu');
+        _.forEach(info['species_mass'], (m, s) => {
+            lines.push(s + '    ' + m);
+        });
+        lines.push('%ENDBLOCK SPECIES_MASS');
+    }
+
+    if ('fix_all_ions' in info) {
+        lines.push('');
+        lines.push('FIX_ALL_IONS : ' + (info['fix_all_ions']? 'TRUE' : 'FALSE'));
+    }
+
+    // Constraints refer to ions by their number within their species
+    let constraints = (info['ionic_constraints'] || []).filter((c) => (c.atom >= 0 && c.atom < species.length));
+    if (constraints.length > 0) {
+        let lspecies = species.map((s) => s.toLowerCase());
+        lines.push('');
+        lines.push('%BLOCK IONIC_CONSTRAINTS');
+        constraints.forEach((c) => {
+            let ls = lspecies[c.atom];
+            let ion = lspecies.slice(0, c.atom+1).filter((x) => (x === ls)).length;
+            lines.push([c.constraint, species[c.atom], ion].concat(c.vector.map((x) => x.toFixed(8))).join('    '));
+        });
+        lines.push('%ENDBLOCK IONIC_CONSTRAINTS');
+    }
+
+    if (!_.isEmpty(info['symmetry_ops'])) {
+        lines.push('');
+        lines.push('%BLOCK SYMMETRY_OPS');
+        info['symmetry_ops'].forEach(([R, t], i) => {
+            if (i > 0) {
+                lines.push('');
+            }
+            R.concat([t]).forEach((r) => {
+                lines.push('    ' + r.map((x) => x.toFixed(8)).join('    '));
+            });
+        });
+        lines.push('%ENDBLOCK SYMMETRY_OPS');
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Score how likely some contents are to be a CASTEP cell file, from 0 to 1.
+ *
+ * @param {string} contents     Contents of the file
+ *
+ * @returns {float} Score
+ */
+function detect(contents) {
+    if (!(/^\s*%BLOCK\s+/im.test(contents))) {
+        return 0;
+    }
+    return (/^\s*%BLOCK\s+(POSITIONS_(FRAC|ABS)|LATTICE_(CART|ABC))/im.test(contents))? 1.0 : 0.5;
+}
+
+export { load, write, detect };
\ No newline at end of file
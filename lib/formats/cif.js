@@ -1,16 +1,426 @@
 'use strict';
 
 /**
- * @fileoverview Function for loading CIF files (wrapper)
+ * @fileoverview Functions for loading and writing CIF files (wrapper)
  * @module
  */
 
 import _ from 'lodash';
-import { Atoms } from '@ccp-nc/crystcif-parse';
+import * as mjs from 'mathjs';
+import { Atoms, parseCif } from '@ccp-nc/crystcif-parse';
+import { TensorData } from '../tensor.js';
+import { parseSymOp } from '../utils.js';
 
+// Conversion factor from B to U displacement parameters
+const B2U = 1.0/(8.0*Math.PI*Math.PI);
+
+// CIF tags are case insensitive; lowercase them for lookup
+function blockTags(block) {
+    return _.mapKeys(block, (v, k) => k.toLowerCase());
+}
+
+// Get the values of a tag, as an array, with unknown or missing values set
+// to null. Tags must have been lowercased with blockTags
+function tagValues(tags, name) {
+    let t = tags[name];
+    if (!t) {
+        return null;
+    }
+    let vals = (t.type === 'loop')? t.value : [t.value];
+    return vals.map((v) => {
+        v = v? v.get_value() : null;
+        return (v === undefined)? null : v;
+    });
+}
+
+// Shortest distance between two fractional positions
+const pdist = (p1, p2) => mjs.norm(mjs.subtract(p1, p2).map((x) => (x - Math.round(x))));
+
+// Wrap fractional coordinates to [0, 1)
+const mod1 = (p) => p.map((x) => {
+    x = x % 1;
+    return (x >= 0)? x : x + 1;
+});
+
+// Parse a magnetic symmetry operation in the 'x, -y+1/2, z, -1' form, whose
+// last term is -1 for operations combined with time reversal, into a
+// rotation matrix, a translation vector and the time reversal factor
+function parseMagnSymOp(op) {
+    let terms = op.replace(/[\s']/g, '').split(',');
+    if (terms.length !== 4 || !/^[+-]?1$/.test(terms[3])) {
+        throw Error('Invalid magnetic symmetry operation ' + op);
+    }
+    return parseSymOp(terms.slice(0, 3).join(',')).concat([parseInt(terms[3])]);
+}
+
+// Symmetry operations of a data block, as [R, t, theta] with theta the time
+// reversal factor. For magnetic CIF files these are all combinations of the
+// magnetic operations and centring translations; otherwise the ordinary
+// operations, none of which reverses time. Tags must have been lowercased
+// with blockTags
+function blockSymops(tags) {
+
+    const magnTag = (name) => (tagValues(tags, '_space_group_symop_magn_' + name + '.xyz') ||
+        tagValues(tags, '_space_group_symop_magn_' + name + '_xyz'));
+
+    let mops = magnTag('operation');
+    if (mops) {
+        let cents = magnTag('centering') || ['x,y,z,+1'];
+        mops = mops.map(parseMagnSymOp);
+        let symops = [];
+        cents.map(parseMagnSymOp).forEach(([Rc, tc, thc]) => {
+            mops.forEach(([R, t, th]) => {
+                symops.push([mjs.multiply(R, Rc), mjs.add(mjs.multiply(R, tc), t), th*thc]);
+            });
+        });
+        return symops;
+    }
+
+    let ops = tagValues(tags, '_space_group_symop_operation_xyz') ||
+        tagValues(tags, '_symmetry_equiv_pos_as_xyz') || [];
+    return ops.map((op) => parseSymOp(op).concat([1]));
+}
+
+// Find the symmetry operation taking the fractional position p0 to p, or
+// null if there's none
+function findSymop(symops, p0, p) {
+    const dist = ([R, t]) => pdist(mjs.add(mjs.multiply(R, p0), t), p);
+    let best = _.minBy(symops, dist);
+    return (best && dist(best) < 1e-3)? best : null;
+}
+
+// Original fractional positions of the sites of a data block
+function sitePositions(tags, cell) {
+    let fx = ['x', 'y', 'z'].map((x) => tagValues(tags, '_atom_site_fract_' + x));
+    let cx = ['x', 'y', 'z'].map((x) => tagValues(tags, '_atom_site_cartn_' + x));
+    if (fx.every((x) => x !== null)) {
+        return _.zip(...fx);
+    } else if (cx.every((x) => x !== null)) {
+        return mjs.multiply(_.zip(...cx), mjs.inv(cell));
+    }
+    return null;
+}
+
+// Build the Atoms object for a CIF data block, adding the copies of each
+// site generated by the symmetry operations (magnetic ones included). This
+// follows what Atoms.readCif does in crystcif-parse, without parsing the
+// file again. Only explicit lists of operations are used, not Hall symbols
+function blockAtoms(tags, symtol=1e-3) {
+
+    let labels = tagValues(tags, '_atom_site_label');
+    let types = tagValues(tags, '_atom_site_type_symbol');
+
+    let cellpars = ['length_a', 'length_b', 'length_c', 'angle_alpha', 'angle_beta',
+        'angle_gamma'].map((p) => {
+        let v = tagValues(tags, '_cell_' + p);
+        return v? v[0] : null;
+    });
+    let cell = null;
+    if (cellpars.every(_.isFinite) && cellpars.slice(0, 3).every((x) => (x !== 0))) {
+        // Let crystcif-parse turn the parameters into lattice vectors
+        cell = new Atoms([], [], _.chunk(cellpars, 3)).get_cell();
+    }
+
+    let symbols = labels.map((l, i) => {
+        // Without a type symbol, use the letters at the start of the label
+        let s = (types && types[i] !== null)? types[i] : String(l).split(/[^a-zA-Z]+/)[0];
+        if (!s) {
+            throw Error('Could not determine symbol for atom ' + l);
+        }
+        return s;
+    });
+
+    let cx = ['x', 'y', 'z'].map((x) => tagValues(tags, '_atom_site_cartn_' + x));
+    let fx = ['x', 'y', 'z'].map((x) => tagValues(tags, '_atom_site_fract_' + x));
+    let positions = labels.map((l, i) => {
+        let p = cx.map((c) => (c? c[i] : null));
+        if (p.every(_.isFinite)) {
+            return p;
+        }
+        if (!cell) {
+            throw Error('Absolute coordinates are necessary without a unit cell');
+        }
+        p = fx.map((f) => (f? f[i] : null));
+        if (!p.every(_.isFinite)) {
+            throw Error('Missing coordinates for atom ' + l);
+        }
+        return mjs.multiply(p, cell);
+    });
+
+    let symops = blockSymops(tags);
+    if (cell && symops.length > 1) {
+        let fpos = mjs.multiply(positions, mjs.inv(cell));
+        let allfpos = [];
+        let allsyms = [];
+        let alllabs = [];
+        fpos.forEach((p0, i) => {
+            let allp = [p0];
+            symops.forEach(([R, t]) => {
+                let p = mod1(mjs.add(mjs.multiply(R, p0), t));
+                if (!allp.some((q) => (pdist(p, q) < symtol))) {
+                    allp.push(p);
+                }
+            });
+            allfpos = allfpos.concat(allp);
+            allsyms = allsyms.concat(Array(allp.length).fill(symbols[i]));
+            alllabs = alllabs.concat(Array(allp.length).fill(labels[i]));
+        });
+        positions = mjs.multiply(allfpos, cell);
+        symbols = allsyms;
+        labels = alllabs;
+    }
+
+    let a = new Atoms(symbols, positions, cell, {});
+    a.set_array('labels', labels);
+
+    return a;
+}
+
+// Read the magnetic moments of a magnetic CIF data block and store them in
+// the 'moment' array of the corresponding Atoms object, as Cartesian
+// vectors in Bohr magnetons (null for atoms without a moment). Moments given
+// along the crystal axes are in units of the unit vectors along a, b and c.
+// Copies of a site generated by symmetry get the moment transformed as an
+// axial vector, and reversed by operations with time reversal
+function readMoments(atoms, tags) {
+
+    const mtag = (name) => (tagValues(tags, '_atom_site_moment.' + name) ||
+        tagValues(tags, '_atom_site_moment_' + name));
+
+    let mlabels = mtag('label');
+    let cell = atoms.get_cell();
+    if (!mlabels || !cell) {
+        return;
+    }
+
+    let axes = ['x', 'y', 'z'];
+    let comps = axes.map((x) => mtag('crystalaxis_' + x));
+    let basis;
+    if (comps.every((c) => c !== null)) {
+        basis = cell.map((v) => mjs.divide(v, mjs.norm(v)));
+    } else {
+        comps = axes.map((x) => mtag('cartn_' + x));
+        if (comps.some((c) => c === null)) {
+            return;
+        }
+        basis = mjs.identity(3).toArray();
+    }
+
+    let moments = {};
+    mlabels.forEach((l, i) => {
+        let m = comps.map((c) => c[i]);
+        if (m.every(_.isFinite)) {
+            moments[l] = mjs.multiply(m, basis);
+        }
+    });
+
+    let slabels = tagValues(tags, '_atom_site_label');
+    let sindex = _.fromPairs(slabels.map((l, i) => [l, i]));
+    let sfpos = sitePositions(tags, cell);
+
+    let symops = [[mjs.identity(3).toArray(), [0, 0, 0], 1]].concat(blockSymops(tags));
+    let A = mjs.transpose(cell);
+    let invA = mjs.inv(A);
+    let fpos = atoms.get_scaled_positions();
+
+    let labels = atoms.get_array('labels');
+    atoms.set_array('moment', labels.map((l, i) => {
+        let m = moments[l];
+        if (!m) {
+            return null;
+        }
+        let op = (sfpos && sindex[l] !== undefined)? findSymop(symops, sfpos[sindex[l]], fpos[i]) : null;
+        if (!op) {
+            return m;
+        }
+        let [R, , theta] = op;
+        let Rc = mjs.multiply(mjs.multiply(A, R), invA);
+        return mjs.multiply(Rc, m).map((x) => x*theta*mjs.det(R));
+    }));
+}
+
+// Read the anisotropic (or, as fallback, isotropic) displacement parameters
+// of a CIF data block, and store them in the 'adp' array of the
+// corresponding Atoms object, as Cartesian tensors in Ang^2. Copies of a site
+// generated by symmetry get the site's tensor rotated accordingly
+function readADPs(atoms, tags) {
+
+    let slabels = tagValues(tags, '_atom_site_label');
+    if (!slabels) {
+        return;
+    }
+
+    let sites = {};
+    let uiso = tagValues(tags, '_atom_site_u_iso_or_equiv');
+    let biso = tagValues(tags, '_atom_site_b_iso_or_equiv');
+    slabels.forEach((l, i) => {
+        let u = (uiso && _.isFinite(uiso[i]))? uiso[i] : null;
+        if (u === null && biso && _.isFinite(biso[i])) {
+            u = biso[i]*B2U;
+        }
+        sites[l] = {
+            index: i,
+            uiso: u,
+            uani: null
+        };
+    });
+
+    let cell = atoms.get_cell();
+    let alabels = tagValues(tags, '_atom_site_aniso_label');
+    if (alabels && cell) {
+        // Order is 11, 22, 33, 23, 13, 12
+        const ij = [[0, 0], [1, 1], [2, 2], [1, 2], [0, 2], [0, 1]];
+        let comps = null;
+        let conv = 1.0;
+        for (let X of ['u', 'b']) {
+            comps = ['11', '22', '33', '23', '13', '12'].map((c) => tagValues(tags, '_atom_site_aniso_' + X + '_' + c));
+            if (comps.every((c) => c !== null)) {
+                conv = (X === 'b')? B2U : 1.0;
+                break;
+            }
+            comps = null;
+        }
+        if (comps) {
+            alabels.forEach((l, i) => {
+                let s = sites[l];
+                if (!s || comps.some((c) => !_.isFinite(c[i]))) {
+                    return;
+                }
+                let U = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+                ij.forEach(([j, k], n) => {
+                    U[j][k] = U[k][j] = comps[n][i]*conv;
+                });
+                s.uani = U;
+            });
+        }
+    }
+
+    if (!_.some(sites, (s) => (s.uiso !== null || s.uani !== null))) {
+        return;
+    }
+
+    let A = null;
+    let invA = null;
+    let sfpos = null;
+    let symops = [[mjs.identity(3).toArray(), [0, 0, 0]]];
+    if (cell) {
+        // Columns of A are the lattice vectors
+        A = mjs.transpose(cell);
+        invA = mjs.inv(A);
+        // Reciprocal lattice vector lengths are the norms of the rows of A^-1
+        let N = mjs.diag(invA.map((r) => mjs.norm(r)));
+        let M = mjs.multiply(A, N);
+        _.forEach(sites, (s) => {
+            if (s.uani) {
+                s.uani = mjs.multiply(mjs.multiply(M, s.uani), mjs.transpose(M));
+            }
+        });
+
+        // Original positions of the sites
+        sfpos = sitePositions(tags, cell);
+        symops = symops.concat(blockSymops(tags));
+    }
+
+    let labels = atoms.get_array('labels');
+    let fpos = cell? atoms.get_scaled_positions() : null;
+
+    let adp = labels.map((l, i) => {
+        let s = sites[l];
+        if (!s) {
+            return null;
+        }
+        if (!s.uani) {
+            return (s.uiso !== null)? new TensorData(mjs.multiply(mjs.identity(3), s.uiso).toArray()) : null;
+        }
+
+        let U = s.uani;
+        if (sfpos) {
+            // Find the operation that generated this copy of the site
+            let op = findSymop(symops, sfpos[s.index], fpos[i]);
+            if (op) {
+                let R = op[0];
+                let Rc = mjs.multiply(mjs.multiply(A, R), invA);
+                U = mjs.multiply(mjs.multiply(Rc, U), mjs.transpose(Rc));
+            } else {
+                // Unknown operation; the best we can do is the equivalent
+                // isotropic tensor
+                U = mjs.multiply(mjs.identity(3), mjs.trace(U)/3.0).toArray();
+            }
+        }
+
+        return new TensorData(U);
+    });
+
+    atoms.set_array('adp', adp);
+}
+
+// Read site occupancies and disorder assemblies and groups into the
+// 'occupancy', 'disorder_assembly' and 'disorder_group' arrays. Sites
+// without a disorder group (or in group 0) get null
+function readDisorder(atoms, tags) {
+
+    let slabels = tagValues(tags, '_atom_site_label');
+    if (!slabels) {
+        return;
+    }
+
+    let sindex = _.fromPairs(slabels.map((l, i) => [l, i]));
+    let labels = atoms.get_array('labels');
+
+    const perAtom = (vals, f) => labels.map((l) => {
+        let i = sindex[l];
+        return f((i === undefined)? null : vals[i]);
+    });
+
+    let occ = tagValues(tags, '_atom_site_occupancy');
+    if (occ) {
+        atoms.set_array('occupancy', perAtom(occ, (v) => (_.isFinite(v)? v : 1.0)));
+    }
+
+    const group = (v) => ((v === null || v === 0)? null : v);
+    let dgrp = tagValues(tags, '_atom_site_disorder_group');
+    if (dgrp) {
+        atoms.set_array('disorder_group', perAtom(dgrp, group));
+        let dasm = tagValues(tags, '_atom_site_disorder_assembly');
+        if (dasm) {
+            atoms.set_array('disorder_assembly', perAtom(dasm, (v) => v));
+        }
+    }
+}
+
+/**
+ * Load a CIF file. Besides positions and labels, anisotropic displacement
+ * parameters (_atom_site_aniso_U_* or _atom_site_aniso_B_*) are read, with
+ * the isotropic _atom_site_U_iso_or_equiv or _atom_site_B_iso_or_equiv used
+ * as fallback, and stored as Cartesian TensorData objects in the 'adp'
+ * array (in Ang^2; null for atoms without any). Site occupancies and
+ * disorder groups and assemblies are stored in the 'occupancy',
+ * 'disorder_group' and 'disorder_assembly' arrays. Magnetic CIF (mcif)
+ * files are expanded with their magnetic symmetry operations, and their
+ * magnetic moments (_atom_site_moment.crystalaxis_* or
+ * _atom_site_moment.Cartn_*) stored as Cartesian vectors, in Bohr magnetons,
+ * in the 'moment' array (null for atoms without one).
+ *
+ * @param {string} contents     Contents of the file
+ * @param {string} [filename]   Prefix for the names of the structures
+ *
+ * @returns {Object} Dictionary mapping data block names to Atoms objects
+ */
 function load(contents, filename) {
 
-    let structs = Atoms.readCif(contents);
+    let structs = {};
+
+    _.forEach(parseCif(contents), (block, k) => {
+        let tags = blockTags(block);
+        if (!tags._atom_site_label) {
+            return;
+        }
+        let a = blockAtoms(tags);
+        readADPs(a, tags);
+        readDisorder(a, tags);
+        readMoments(a, tags);
+        structs[k] = a;
+    });
 
     if (filename) {
         structs = _.mapKeys(structs, (v, k) => (filename + '_' + k));
@@ -19,4 +429,102 @@ function load(contents, filename) {
     return structs;
 }
 
-export { load };
\ No newline at end of file
+// Quote a CIF value if it contains whitespace or starts with a reserved
+// character
+function cifValue(v) {
+    v = String(v);
+    if (/\s/.test(v) || /^[_#$'";[\]]/.test(v) || v === '') {
+        return '\'' + v + '\'';
+    }
+    return v;
+}
+
+/**
+ * Write an Atoms object as a CIF file, with a single data block in P1
+ * symmetry. Periodic structures are written with their cell parameters and
+ * fractional coordinates, non-periodic ones with Cartesian coordinates.
+ * Crystallographic labels are taken from the 'labels' array, and occupancies
+ * and disorder groups from the 'occupancy', 'disorder_assembly' and
+ * 'disorder_group' arrays, if present.
+ *
+ * @param {Atoms}  atoms                Structure to write
+ * @param {string} [name='crystvis']    Name of the data block
+ *
+ * @returns {string} Contents of the CIF file
+ */
+function write(atoms, name='crystvis') {
+
+    let elems = atoms.get_array('symbols');
+    let labels = atoms.get_array('labels') || elems.map((el, i) => (el + (i+1)));
+    let periodic = !atoms._pbc.includes(false);
+
+    let lines = ['data_' + name.replace(/\s+/g, '_')];
+
+    let pos;
+    let ptags;
+    if (periodic) {
+        let cell = atoms._cell;
+        let lengths = cell.map((v) => mjs.norm(v));
+        let angles = [[1, 2], [0, 2], [0, 1]].map(([i, j]) => {
+            let cosa = mjs.dot(cell[i], cell[j])/(lengths[i]*lengths[j]);
+            return Math.acos(cosa)*180.0/Math.PI;
+        });
+
+        _.forEach(['a', 'b', 'c'], (x, i) => {
+            lines.push('_cell_length_' + x + '    ' + lengths[i].toFixed(8));
+        });
+        _.forEach(['alpha', 'beta', 'gamma'], (x, i) => {
+            lines.push('_cell_angle_' + x + '    ' + angles[i].toFixed(8));
+        });
+        lines.push('_symmetry_space_group_name_H-M    \'P 1\'');
+        lines.push('loop_');
+        lines.push('_symmetry_equiv_pos_as_xyz');
+        lines.push('  \'x, y, z\'');
+
+        pos = atoms.get_scaled_positions();
+        ptags = ['fract_x', 'fract_y', 'fract_z'];
+    } else {
+        pos = atoms.get_array('positions');
+        ptags = ['Cartn_x', 'Cartn_y', 'Cartn_z'];
+    }
+
+    // Occupancies and disorder, if present
+    let extra = _.pickBy({
+        'occupancy': atoms.get_array('occupancy'),
+        'disorder_assembly': atoms.get_array('disorder_assembly'),
+        'disorder_group': atoms.get_array('disorder_group')
+    });
+
+    lines.push('loop_');
+    lines.push('_atom_site_label');
+    lines.push('_atom_site_type_symbol');
+    ptags.concat(_.keys(extra)).forEach((t) => {
+        lines.push('_atom_site_' + t);
+    });
+
+    for (let i = 0; i < elems.length; ++i) {
+        let row = [cifValue(labels[i]), elems[i]].concat(pos[i].map((x) => x.toFixed(8)));
+        _.forEach(extra, (arr) => {
+            row.push((arr[i] === null)? '.' : cifValue(arr[i]));
+        });
+        lines.push('  ' + row.join('  '));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Score how likely some contents are to be a CIF file, from 0 to 1.
+ *
+ * @param {string} contents     Contents of the file
+ *
+ * @returns {float} Score
+ */
+function detect(contents) {
+    if (!(/^\s*data_\S*/m.test(contents))) {
+        return 0;
+    }
+    return (/^\s*_atom_site_(label|fract_x|Cartn_x)/m.test(contents))? 1.0 : 0.5;
+}
+
+export { load, write, detect };
@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * @fileoverview Functions for loading Gaussian cube files
+ * @module
+ */
+
+import _ from 'lodash';
+import {
+    Atoms
+} from '@ccp-nc/crystcif-parse';
+import {
+    VolumetricData
+} from '../volumetric.js';
+
+const bohr2ang = 0.52917721067; // CODATA 2014, as used by Gaussian
+
+function splitLine(l) {
+    return _.trim(l).split(/\s+/).filter((s) => (s.length > 0));
+}
+
+/**
+ * Parse a Gaussian cube file into its atoms and grid. Lengths are converted
+ * to Angstrom. Most cube files describe molecules, so by default the atoms
+ * have no unit cell and the grid is not periodic; for periodic systems, the
+ * atoms are given the lattice spanned by the grid as their unit cell. If the
+ * file contains more than one value per grid point (e.g. several orbitals),
+ * only the first is kept.
+ *
+ * @param {string} contents             Contents of the file
+ * @param {bool}   [periodic=false]     Whether the system is periodic, with
+ *                                      the grid spanning its unit cell
+ *
+ * @returns {Object} Object with the Atoms in `atoms` and the VolumetricData
+ *                   in `grids.cube`
+ */
+function loadVolumetric(contents, periodic=false) {
+
+    let lines = _.split(contents, '\n');
+
+    if (lines.length < 6) {
+        throw Error('Invalid cube file: file is too short');
+    }
+
+    let comment = [_.trim(lines[0]), _.trim(lines[1])];
+
+    // Number of atoms and origin
+    let l = splitLine(lines[2]);
+    let natoms = parseInt(l[0]);
+    let origin = l.slice(1, 4).map(parseFloat);
+    let nval = (l.length > 4)? parseInt(l[4]) : 1;
+    if (isNaN(natoms) || origin.length < 3 || origin.some(isNaN) || isNaN(nval)) {
+        throw Error('Invalid cube file: could not parse number of atoms and origin');
+    }
+
+    // Grid shape and voxel vectors. Negative numbers of points mean Angstrom
+    let shape = [];
+    let lattice = [];
+    let unit = bohr2ang;
+    for (let i = 0; i < 3; ++i) {
+        l = splitLine(lines[3+i]);
+        let n = parseInt(l[0]);
+        let v = l.slice(1, 4).map(parseFloat);
+        if (isNaN(n) || n === 0 || v.length < 3 || v.some(isNaN)) {
+            throw Error('Invalid cube file: could not parse grid vector ' + (i+1));
+        }
+        if (n < 0) {
+            unit = 1.0;
+        }
+        shape.push(Math.abs(n));
+        lattice.push(v.map((x) => (x*Math.abs(n))));
+    }
+    lattice = lattice.map((r) => r.map((x) => (x*unit)));
+    origin = origin.map((x) => (x*unit));
+
+    // Atoms
+    let li = 6;
+    let elems = [];
+    let positions = [];
+    for (let i = 0; i < Math.abs(natoms); ++i) {
+        l = splitLine(lines[li+i] || '').map(parseFloat);
+        if (l.length < 5 || l.some(isNaN)) {
+            throw Error('Invalid cube file: could not parse atom on line ' + (li+i+1));
+        }
+        elems.push(Math.round(l[0]));
+        positions.push(l.slice(2, 5).map((x) => (x*unit)));
+    }
+    li += Math.abs(natoms);
+
+    if (natoms < 0) {
+        // Orbital cube: a line with the number of orbitals and their indices
+        l = splitLine(lines[li]);
+        nval = parseInt(l[0]);
+        li++;
+    }
+
+    // Now the values themselves
+    let npoints = shape[0]*shape[1]*shape[2];
+    let data = new Float64Array(npoints);
+    let c = 0;
+    for (; li < lines.length && c < npoints*nval; ++li) {
+        l = splitLine(lines[li]);
+        for (let j = 0; j < l.length; ++j) {
+            if (c % nval === 0) {
+                data[c/nval] = parseFloat(l[j]);
+            }
+            c++;
+        }
+    }
+
+    if (c < npoints*nval) {
+        throw Error('Invalid cube file: not enough grid values');
+    }
+
+    let atoms = new Atoms(elems, positions, periodic? lattice : null, {
+        'comment': comment.join(' ')
+    });
+
+    return {
+        atoms: atoms,
+        grids: {
+            cube: new VolumetricData(data, shape, lattice, origin, periodic)
+        }
+    };
+}
+
+/**
+ * Load the atoms in a Gaussian cube file. The grid is attached to the
+ * structure's info as 'volumetric', a dictionary of VolumetricData objects.
+ *
+ * @param {string} contents             Contents of the file
+ * @param {string} [filename='cube']    Name for the returned structure
+ * @param {bool}   [periodic=false]     Whether the system is periodic (see
+ *                                      loadVolumetric)
+ *
+ * @returns {Object} Dictionary mapping filename to Atoms object
+ */
+function load(contents, filename='cube', periodic=false) {
+
+    let vol = loadVolumetric(contents, periodic);
+    vol.atoms.info['volumetric'] = vol.grids;
+
+    let structs = {};
+    structs[filename] = vol.atoms;
+
+    return structs;
+}
+
+/**
+ * Score how likely some contents are to be a Gaussian cube file, from 0 to 1.
+ * After two comment lines, this expects the atom count and origin, and three
+ * lines with the number of points and voxel vector.
+ *
+ * @param {string} contents     Contents of the file
+ *
+ * @returns {float} Score
+ */
+function detect(contents) {
+
+    let lines = _.split(contents.slice(0, 4096), '\n');
+    if (lines.length < 7) {
+        return 0;
+    }
+
+    const isNum = (x) => !isNaN(Number(x));
+    const isInt = (x) => /^-?\d+$/.test(x);
+
+    let l = splitLine(lines[2]);
+    if (!((l.length === 4 || l.length === 5) && isInt(l[0]) && l.every(isNum))) {
+        return 0;
+    }
+    for (let i = 3; i < 6; ++i) {
+        l = splitLine(lines[i]);
+        if (!(l.length === 4 && isInt(l[0]) && l.every(isNum))) {
+            return 0;
+        }
+    }
+
+    return 0.9;
+}
+
+export { load, loadVolumetric, detect };
@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * @fileoverview Function for loading CASTEP's formatted grid files
+ * (.den_fmt, .chdiff_fmt)
+ * @module
+ */
+
+import _ from 'lodash';
+import {
+    VolumetricData
+} from '../volumetric.js';
+
+function splitLine(l) {
+    return _.trim(l).split(/\s+/).filter((s) => (s.length > 0));
+}
+
+/**
+ * Parse a CASTEP formatted grid file, like a charge density (.den_fmt) or
+ * density difference (.chdiff_fmt). These files contain no atoms. Values are
+ * kept in CASTEP's own units (electrons per grid point times the number of
+ * grid points). For spin-polarised files the spin density is returned too.
+ *
+ * @param {string} contents     Contents of the file
+ *
+ * @returns {Object} Object with `atoms` set to null and the VolumetricData in
+ *                   `grids.density` (and `grids.spin_density` if present)
+ */
+function loadVolumetric(contents) {
+
+    let lines = _.split(contents, '\n');
+
+    let lattice = null;
+    let shape = null;
+    let li = 0;
+
+    for (; li < lines.length; ++li) {
+        let l = lines[li];
+        if (l.includes('Real Lattice')) {
+            lattice = [];
+            for (let i = 1; i <= 3; ++i) {
+                let row = splitLine(lines[li+i] || '').slice(0, 3).map(parseFloat);
+                if (row.length < 3 || row.some(isNaN)) {
+                    throw Error('Invalid CASTEP grid file: could not parse lattice');
+                }
+                lattice.push(row);
+            }
+            li += 3;
+        } else if (l.includes('fine FFT grid')) {
+            shape = splitLine(l).slice(0, 3).map((x) => parseInt(x));
+            if (shape.length < 3 || shape.some(isNaN)) {
+                throw Error('Invalid CASTEP grid file: could not parse grid size');
+            }
+        } else if (l.includes('END header')) {
+            li++;
+            break;
+        }
+    }
+
+    if (lattice === null || shape === null) {
+        throw Error('Invalid CASTEP grid file: incomplete header');
+    }
+
+    let npoints = shape[0]*shape[1]*shape[2];
+    let density = new Float64Array(npoints);
+    let spin = null;
+    let c = 0;
+
+    for (; li < lines.length; ++li) {
+        let l = splitLine(lines[li]);
+        if (l.length < 4) {
+            continue;
+        }
+        // Grid indices are 1-based
+        let ijk = l.slice(0, 3).map((x) => (parseInt(x)-1));
+        if (ijk.some((x, i) => (isNaN(x) || x < 0 || x >= shape[i]))) {
+            throw Error('Invalid CASTEP grid file: invalid grid point on line ' + (li+1));
+        }
+        let n = (ijk[0]*shape[1] + ijk[1])*shape[2] + ijk[2];
+        density[n] = parseFloat(l[3]);
+        if (l.length > 4) {
+            spin = spin || new Float64Array(npoints);
+            spin[n] = parseFloat(l[4]);
+        }
+        c++;
+    }
+
+    if (c < npoints) {
+        throw Error('Invalid CASTEP grid file: not enough grid values');
+    }
+
+    let grids = {
+        density: new VolumetricData(density, shape, lattice)
+    };
+    if (spin) {
+        grids.spin_density = new VolumetricData(spin, shape, lattice);
+    }
+
+    return {
+        atoms: null,
+        grids: grids
+    };
+}
+
+export { loadVolumetric };
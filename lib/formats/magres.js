@@ -1,7 +1,7 @@
 'use strict';
 
 /**
- * @fileoverview Function for loading Magres files
+ * @fileoverview Functions for loading and writing Magres files
  * @module
  */
 
@@ -32,6 +32,14 @@ const MagresUnits = {
     }
 };
 
+// Energy units for the cutoff of the calculation block, in eV
+const CalculationEnergyUnits = {
+    eV: 1.0,
+    Hartree: 27.211386245988,
+    Ha: 27.211386245988,
+    Ry: 13.605693122994
+};
+
 // Magres parsing utility functions
 function parseNoAtomLine(line, units) {
     // Assumed to be just nine numbers, a full 3x3 matrix.
@@ -260,6 +268,112 @@ function parseMagresOldBlock(text, mlabels, N) {
     return { hf_data, gamma_ratios };
 }
 
+/**
+ * Parse the calculation block, describing how the data was computed, into
+ * a metadata object with the following properties (null if not in the
+ * file):
+ *
+ *  - `code`, `version`, `hgVersion`, `platform`: program used, with its
+ *    version, revision and build platform
+ *  - `name`, `comment`: name of the calculation and any comment
+ *  - `xcFunctional`: exchange-correlation functional
+ *  - `cutoffEnergy`: plane wave cutoff energy, in eV
+ *  - `kpointGrid`, `kpointOffset`: Monkhorst-Pack grid and its offset
+ *  - `pseudopotentials`: pseudopotential (or its file) for each species
+ *  - `other`: dictionary of any other tag, as text
+ *
+ * @param {string[]}  lines     Lines of the calculation block
+ * @returns {Object}            Calculation metadata
+ */
+function parseCalculationBlock(lines) {
+
+    const calc = {
+        code: null,
+        version: null,
+        hgVersion: null,
+        platform: null,
+        name: null,
+        comment: null,
+        xcFunctional: null,
+        cutoffEnergy: null,
+        kpointGrid: null,
+        kpointOffset: null,
+        pseudopotentials: {},
+        other: {}
+    };
+
+    const text_tags = {
+        calc_code: 'code',
+        calc_code_version: 'version',
+        calc_code_hgversion: 'hgVersion',
+        calc_code_platform: 'platform',
+        calc_name: 'name',
+        calc_comment: 'comment',
+        calc_xcfunctional: 'xcFunctional'
+    };
+
+    // Units can come before or after the values, so we apply them at the end
+    let cutoff = null;
+    let cutoff_units = 'eV';
+
+    lines.forEach((l) => {
+        let lspl = _.trim(l).split(/\s+/);
+        let tag = lspl[0];
+        let value = lspl.slice(1).join(' ');
+
+        if (tag === '') {
+            return;
+        }
+
+        if (tag === 'units') {
+            if (lspl[1] === 'calc_cutoffenergy') {
+                cutoff_units = lspl[2];
+            }
+            return;
+        }
+
+        if (tag in text_tags) {
+            calc[text_tags[tag]] = value || null;
+            return;
+        }
+
+        switch (tag) {
+            case 'calc_cutoffenergy':
+                cutoff = parseFloat(lspl[1]);
+                if (lspl.length > 2) {
+                    cutoff_units = lspl[2];
+                }
+                break;
+            case 'calc_kpoint_mp_grid':
+                calc.kpointGrid = lspl.slice(1, 4).map((x) => parseInt(x));
+                break;
+            case 'calc_kpoint_mp_offset':
+                calc.kpointOffset = lspl.slice(1, 4).map(parseFloat);
+                break;
+            case 'calc_pspot':
+                calc.pseudopotentials[lspl[1]] = lspl.slice(2).join(' ');
+                break;
+            default:
+                calc.other[tag] = value;
+                break;
+        }
+    });
+
+    if (cutoff !== null) {
+        let u = CalculationEnergyUnits[cutoff_units];
+        if (!u || isNaN(cutoff)) {
+            throw Error('Invalid Magres file format: invalid cutoff energy');
+        }
+        calc.cutoffEnergy = cutoff*u;
+    }
+    if ((calc.kpointGrid && calc.kpointGrid.some(isNaN)) ||
+        (calc.kpointOffset && calc.kpointOffset.some(isNaN))) {
+        throw Error('Invalid Magres file format: invalid k-point grid');
+    }
+
+    return calc;
+}
+
 function load(contents, filename='magres') {
 
     const known_blocks = ['atoms', 'magres'];
@@ -321,6 +435,10 @@ function load(contents, filename='magres') {
         }
     }
 
+    // The calculation block is parsed on its own, as its units lines can
+    // come after the tags they refer to
+    let calculation = blocks.calculation? parseCalculationBlock(blocks.calculation) : null;
+
     // Process each block
     for (let bname in blocks) {
         let block = blocks[bname];
@@ -391,11 +509,8 @@ function load(contents, filename='magres') {
         }
     }
 
-    // Reject if we don't have a cell
-    if (!cell) {
-        throw Error('No unit cell found in Magres file. We only support Magres files with a Lattice block.');
-    }
-    
+    // Without a cell, the structure is non-periodic (e.g. a molecule)
+
     // Read in the atom positions and species
     let elems = [];
     let pos = [];
@@ -435,6 +550,9 @@ function load(contents, filename='magres') {
         'magres-blocks': blocks,
         'magres-version': version,
     });
+    if (calculation) {
+        atoms.info['magres-calculation'] = calculation;
+    }
     // Add array
     atoms.set_array('labels', labels);
     atoms.set_array('magres-labels', mlabels);
@@ -521,6 +639,142 @@ function load(contents, filename='magres') {
     return structs;
 }
 
+// Units used for each tag when writing
+const MagresWriteUnits = {
+    lattice: 'Angstrom',
+    atom: 'Angstrom',
+    sus: '10^-6.cm^3.mol^-1',
+    ms: 'ppm',
+    efg: 'au',
+    isc: '10^19.T^2.J^-1'
+};
+
+function formatTensor(T) {
+    return _.flatten(T.data).map((x) => x.toFixed(8)).join(' ');
+}
+
+/**
+ * Write an Atoms object as a Magres file. Magres labels are taken from the
+ * 'magres-labels' array if present, otherwise they are built from the
+ * 'labels' array (or the chemical symbols) by numbering each label in order.
+ * Arrays of TensorData whose name starts with ms or efg (one tensor per atom)
+ * or isc (one tensor per pair of atoms) are written in the magres block, as
+ * is the 'sus' tensor from the info. Any unknown block read from a Magres
+ * file and stored in the 'magres-blocks' info entry is written back as is.
+ *
+ * @param {Atoms}  atoms  Structure to write
+ *
+ * @returns {string} Contents of the Magres file
+ */
+function write(atoms) {
+
+    let elems = atoms.get_array('symbols');
+    let pos = atoms.get_array('positions');
+    let N = elems.length;
+
+    let mlabels = atoms.get_array('magres-labels');
+    if (!mlabels) {
+        let labels = atoms.get_array('labels') || elems;
+        let count = {};
+        mlabels = labels.map((l) => {
+            l = String(l).replace(/\s+/g, '_');
+            count[l] = (count[l] || 0) + 1;
+            return [l, count[l]];
+        });
+    }
+    let mlstr = mlabels.map((ml) => (ml[0] + ' ' + ml[1]));
+
+    let lines = ['#$magres-abinitio-v1.0', '[atoms]'];
+
+    if (!atoms._pbc.includes(false)) {
+        lines.push('units lattice ' + MagresWriteUnits.lattice);
+        lines.push('lattice ' + _.flatten(atoms._cell).map((x) => x.toFixed(8)).join(' '));
+    }
+    lines.push('units atom ' + MagresWriteUnits.atom);
+    for (let i = 0; i < N; ++i) {
+        lines.push('atom ' + elems[i] + ' ' + mlstr[i] + ' ' + 
+            pos[i].map((x) => x.toFixed(8)).join(' '));
+    }
+    lines.push('[/atoms]');
+
+    // Magres data
+    let mlines = [];
+
+    if (atoms.info.sus instanceof TensorData) {
+        mlines.push('units sus ' + MagresWriteUnits.sus);
+        mlines.push('sus ' + formatTensor(atoms.info.sus));
+    }
+
+    for (let tag in atoms._arrays) {
+        let tag_type = tag.split('_')[0];
+        let arr = atoms._arrays[tag];
+        let tlines = [];
+        switch (MagresParsers[tag_type]) {
+            case parseOneAtomLine:
+                for (let i = 0; i < N; ++i) {
+                    if (arr[i] instanceof TensorData) {
+                        tlines.push(tag + ' ' + mlstr[i] + ' ' + formatTensor(arr[i]));
+                    }
+                }
+                break;
+            case parseTwoAtomLine:
+                // Symmetric, so only write each pair once
+                for (let i = 0; i < N; ++i) {
+                    for (let j = i; j < N; ++j) {
+                        if (arr[i] && (arr[i][j] instanceof TensorData)) {
+                            tlines.push(tag + ' ' + mlstr[i] + ' ' + mlstr[j] + 
+                                ' ' + formatTensor(arr[i][j]));
+                        }
+                    }
+                }
+                break;
+            default:
+                break;
+        }
+        if (tlines.length > 0) {
+            mlines.push('units ' + tag + ' ' + MagresWriteUnits[tag_type]);
+            mlines = mlines.concat(tlines);
+        }
+    }
+
+    if (mlines.length > 0) {
+        lines.push('[magres]');
+        lines = lines.concat(mlines);
+        lines.push('[/magres]');
+    }
+
+    // Any other blocks, stored as text
+    _.forEach(atoms.info['magres-blocks'], (b, name) => {
+        if (_.isString(b)) {
+            lines.push('[' + name + ']');
+            lines.push(b);
+            lines.push('[/' + name + ']');
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Score how likely some contents are to be a Magres file, from 0 to 1.
+ *
+ * @param {string} contents     Contents of the file
+ *
+ * @returns {float} Score
+ */
+function detect(contents) {
+    if (/^#\$magres-abinitio-v[0-9]/.test(contents)) {
+        return 1.0;
+    }
+    // Header missing, but the blocks are there
+    if (/^\s*[[<]atoms[\]>]/m.test(contents) && /^\s*[[<]magres[\]>]/m.test(contents)) {
+        return 0.5;
+    }
+    return 0;
+}
+
 export {
-    load
+    load,
+    write,
+    detect
 };
\ No newline at end of file
@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * @fileoverview Function for loading Protein Data Bank (PDB) files
+ * @module
+ */
+
+import _ from 'lodash';
+import {
+    Atoms
+} from '@ccp-nc/crystcif-parse';
+import {
+    PeriodicTable
+} from 'mendeleev';
+
+// Fixed-width column, 1-based and inclusive as in the PDB format
+// specification
+function column(l, start, end) {
+    return _.trim(l.slice(start-1, end));
+}
+
+// Element of an atom without the element columns, from its name. Names of
+// one-letter elements are written starting from column 14, so those of
+// two-letter elements fill column 13 as well
+function elementFromName(name, raw) {
+    let two = _.trim(raw.slice(0, 2));
+    if (raw[0] !== ' ' && /^[A-Za-z]{2}$/.test(two)) {
+        let el = two[0].toUpperCase() + two[1].toLowerCase();
+        if (PeriodicTable.getElement(el)) {
+            return el;
+        }
+    }
+    let m = /[A-Za-z]/.exec(name);
+    return m? m[0].toUpperCase() : name;
+}
+
+/**
+ * Load a PDB file. ATOM and HETATM records give the atoms; their names,
+ * residue names and numbers, chains and temperature factors are stored in
+ * the 'labels', 'residue_name', 'residue_number', 'chain' and 'b_factor'
+ * arrays, and their occupancies and alternate locations in the 'occupancy'
+ * and 'disorder_group' arrays (as for CIF files). A CRYST1 record makes the
+ * structure periodic, unless it's the 1 x 1 x 1 A placeholder cell. Bonds
+ * from CONECT records are stored in the info as 'bonds' ([i, j, order]
+ * triplets, with order given by how many times a bond is repeated). Only
+ * the first MODEL of the file is read.
+ *
+ * @param {string} contents             Contents of the file
+ * @param {string} [filename='pdb']     Name for the returned structure
+ *
+ * @returns {Object} Dictionary mapping filename to Atoms object
+ */
+function load(contents, filename='pdb') {
+
+    let lines = _.split(contents, '\n');
+
+    let cell = null;
+    let elems = [];
+    let positions = [];
+    let arrays = {
+        labels: [],
+        residue_name: [],
+        residue_number: [],
+        chain: [],
+        occupancy: [],
+        disorder_group: [],
+        b_factor: []
+    };
+    // Atom index by serial number
+    let serials = {};
+    // CONECT bonds, counted in both directions
+    let conect = {};
+
+    for (let l of lines) {
+
+        let record = l.slice(0, 6).trim().toUpperCase();
+
+        if (record === 'ENDMDL' || record === 'END') {
+            break;
+        }
+
+        switch (record) {
+            case 'CRYST1': {
+                let abc = [column(l, 7, 15), column(l, 16, 24), column(l, 25, 33)].map(parseFloat);
+                let angles = [column(l, 34, 40), column(l, 41, 47), column(l, 48, 54)].map(parseFloat);
+                if (abc.concat(angles).some(isNaN)) {
+                    throw Error('Invalid PDB file: could not parse CRYST1 record');
+                }
+                // A unit cube is used by programs when there's no cell
+                if (!abc.every((x) => x === 1)) {
+                    cell = [abc, angles];
+                }
+                break;
+            }
+            case 'ATOM':
+            case 'HETATM': {
+                let p = [column(l, 31, 38), column(l, 39, 46), column(l, 47, 54)].map(parseFloat);
+                if (p.some(isNaN)) {
+                    throw Error('Invalid PDB file: could not parse coordinates of atom ' + column(l, 7, 11));
+                }
+                let name = column(l, 13, 16);
+                let el = column(l, 77, 78);
+                el = el? el[0].toUpperCase() + el.slice(1).toLowerCase() : elementFromName(name, l.slice(12, 16));
+
+                serials[parseInt(column(l, 7, 11))] = elems.length;
+                elems.push(el);
+                positions.push(p);
+
+                let occ = parseFloat(column(l, 55, 60));
+                let bf = parseFloat(column(l, 61, 66));
+                arrays.labels.push(name);
+                arrays.residue_name.push(column(l, 18, 20));
+                arrays.residue_number.push(parseInt(column(l, 23, 26)));
+                arrays.chain.push(column(l, 22, 22));
+                arrays.occupancy.push(isNaN(occ)? 1.0 : occ);
+                arrays.disorder_group.push(column(l, 17, 17) || null);
+                arrays.b_factor.push(isNaN(bf)? null : bf);
+                break;
+            }
+            case 'CONECT': {
+                let a = parseInt(column(l, 7, 11));
+                for (let c = 12; c <= 27; c += 5) {
+                    let b = parseInt(column(l, c, c+4));
+                    if (!isNaN(b)) {
+                        let key = a + '_' + b;
+                        conect[key] = (conect[key] || 0) + 1;
+                    }
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    if (elems.length === 0) {
+        throw Error('Invalid PDB file: no atoms found');
+    }
+
+    let a = new Atoms(elems, positions, cell, {});
+
+    if (!arrays.disorder_group.some((g) => g !== null)) {
+        delete arrays.disorder_group;
+    }
+    _.forEach(arrays, (arr, name) => {
+        a.set_array(name, arr);
+    });
+
+    // Bonds are usually listed from both ends; the order is the number of
+    // times they're repeated on either
+    let bonds = {};
+    _.forEach(conect, (n, key) => {
+        let [sa, sb] = key.split('_').map((x) => parseInt(x));
+        let i = serials[sa];
+        let j = serials[sb];
+        if (i === undefined || j === undefined) {
+            throw Error('Invalid PDB file: CONECT record refers to non-existing atom');
+        }
+        let bkey = Math.min(i, j) + '_' + Math.max(i, j);
+        bonds[bkey] = Math.max(bonds[bkey] || 0, n);
+    });
+    a.info['bonds'] = _.map(bonds, (n, key) => key.split('_').map((x) => parseInt(x)).concat([n]));
+    // Standard residues usually have no CONECT records
+    a.info['bonds_complete'] = false;
+
+    let structs = {};
+    structs[filename] = a;
+
+    return structs;
+}
+
+/**
+ * Score how likely some contents are to be a PDB file, from 0 to 1.
+ *
+ * @param {string} contents     Contents of the file
+ *
+ * @returns {float} Score
+ */
+function detect(contents) {
+    let lines = _.split(contents.slice(0, 65536), '\n');
+    let atom_re = /^(ATOM {2}|HETATM)[ \d]{5} .{15}.{4}\s*-?\d+\.\d{3}\s*-?\d+\.\d{3}\s*-?\d+\.\d{3}/;
+    if (lines.some((l) => atom_re.test(l))) {
+        return 1.0;
+    }
+    return lines.some((l) => /^(CRYST1|HEADER|COMPND|REMARK) /.test(l))? 0.3 : 0;
+}
+
+export { load, detect };
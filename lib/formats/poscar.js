@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * @fileoverview Function for loading VASP's POSCAR/CONTCAR files
+ * @module
+ */
+
+import _ from 'lodash';
+import * as mjs from 'mathjs';
+import {
+    Atoms
+} from '@ccp-nc/crystcif-parse';
+
+// Split a line into its non-empty, whitespace separated tokens
+function splitLine(l) {
+    return _.trim(l).split(/\s+/).filter((s) => (s.length > 0));
+}
+
+// Species names in VASP 5/6 headers can carry POTCAR suffixes, like Si_pv or
+// Fe/5a1b2c3d. We only keep the element symbol.
+function cleanSpecies(s) {
+    return s.split(/[_/.]/)[0];
+}
+
+/**
+ * Load a VASP POSCAR or CONTCAR file. Both VASP 4 headers (no species line;
+ * species names are then read from the comment line, as written by ASE) and
+ * VASP 5 headers are supported, as well as Direct and Cartesian coordinates,
+ * the universal scaling factor (negative values are interpreted as the cell
+ * volume) and selective dynamics flags. The flags are stored in the
+ * 'selective_dynamics' array, with one [bool, bool, bool] triplet per atom.
+ *
+ * @param {string} contents             Contents of the file
+ * @param {string} [filename='poscar']  Name for the returned structure
+ *
+ * @returns {Object} Dictionary mapping filename to Atoms object
+ */
+function load(contents, filename='poscar') {
+
+    let lines = _.split(contents, '\n');
+
+    // Skip any leading empty lines
+    while (lines.length > 0 && _.trim(lines[0]) === '') {
+        lines.shift();
+    }
+
+    // Strip inline comments, except from the first line, which is itself a
+    // comment
+    lines = lines.map((l, i) => (i > 0? l.replace(/[#!].*$/, '') : l));
+
+    if (lines.length < 8) {
+        throw Error('Invalid POSCAR file: file is too short');
+    }
+
+    let comment = _.trim(lines[0]);
+
+    // Scaling factor
+    let scale = splitLine(lines[1]).map(parseFloat);
+    if (!(scale.length === 1 || scale.length === 3) || scale.some(isNaN)) {
+        throw Error('Invalid POSCAR file: could not parse scaling factor');
+    }
+
+    // Lattice vectors
+    let cell = [];
+    for (let i = 2; i < 5; ++i) {
+        let row = splitLine(lines[i]).slice(0, 3).map(parseFloat);
+        if (row.length < 3 || row.some(isNaN)) {
+            throw Error('Invalid POSCAR file: could not parse lattice vector ' + (i-1));
+        }
+        cell.push(row);
+    }
+
+    if (scale.length === 3) {
+        // VASP 6: separate scaling factors for each Cartesian direction
+        if (scale.some((s) => s <= 0)) {
+            throw Error('Invalid POSCAR file: three scaling factors must be positive');
+        }
+    } else if (scale[0] < 0) {
+        // Negative factor means target volume
+        let V = Math.abs(mjs.det(cell));
+        scale = Array(3).fill(Math.cbrt(-scale[0]/V));
+    } else {
+        scale = Array(3).fill(scale[0]);
+    }
+
+    cell = cell.map((r) => r.map((x, j) => x*scale[j]));
+
+    // Species and counts; in VASP 4 the species line is missing
+    let li = 5;
+    let species = null;
+    let lspl = splitLine(lines[li]);
+    if (lspl.length > 0 && isNaN(parseInt(lspl[0]))) {
+        species = lspl.map(cleanSpecies);
+        li++;
+    }
+    let counts = splitLine(lines[li]).map((x) => parseInt(x));
+    li++;
+    if (counts.length === 0 || counts.some(isNaN)) {
+        throw Error('Invalid POSCAR file: could not parse atom counts');
+    }
+
+    if (species === null) {
+        // VASP 4 file; look for the species in the comment line
+        species = splitLine(comment).slice(0, counts.length).map(cleanSpecies);
+        if (species.length < counts.length) {
+            throw Error('Invalid POSCAR file: no species names found');
+        }
+    } else if (species.length !== counts.length) {
+        throw Error('Invalid POSCAR file: species and counts do not match');
+    }
+
+    let elems = _.flatten(species.map((s, i) => Array(counts[i]).fill(s)));
+    let N = elems.length;
+
+    // Selective dynamics?
+    let seldyn = false;
+    let ctype = _.trim(lines[li]);
+    if (ctype[0] && ctype[0].toLowerCase() === 's') {
+        seldyn = true;
+        li++;
+        ctype = _.trim(lines[li]);
+    }
+    li++;
+
+    if (!ctype[0]) {
+        throw Error('Invalid POSCAR file: missing coordinate type line');
+    }
+
+    // Cartesian can be given as C or K
+    let cartesian = ('ck'.includes(ctype[0].toLowerCase()));
+
+    if (lines.length < li + N) {
+        throw Error('Invalid POSCAR file: not enough atomic positions');
+    }
+
+    let positions = [];
+    let flags = [];
+    for (let i = 0; i < N; ++i) {
+        lspl = splitLine(lines[li+i]);
+        let p = lspl.slice(0, 3).map(parseFloat);
+        if (p.length < 3 || p.some(isNaN)) {
+            throw Error('Invalid POSCAR file: could not parse position on line ' + (li+i+1));
+        }
+        if (cartesian) {
+            p = p.map((x, j) => x*scale[j]);
+        }
+        positions.push(p);
+
+        if (seldyn) {
+            let f = lspl.slice(3, 6).map((x) => x.toUpperCase()[0]);
+            if (f.length < 3 || f.some((x) => (x !== 'T' && x !== 'F'))) {
+                throw Error('Invalid POSCAR file: could not parse selective dynamics flags on line ' + (li+i+1));
+            }
+            flags.push(f.map((x) => (x === 'T')));
+        }
+    }
+
+    let a = new Atoms(elems, positions, cell, {
+        'comment': comment
+    }, !cartesian);
+
+    if (seldyn) {
+        a.set_array('selective_dynamics', flags);
+    }
+
+    let structs = {};
+    structs[filename] = a;
+
+    return structs;
+}
+
+/**
+ * Score how likely some contents are to be a POSCAR file, from 0 to 1. This
+ * looks for a scaling factor, three lattice vectors and the atom counts
+ * (preceded by the species, for VASP 5) in the right places.
+ *
+ * @param {string} contents     Contents of the file
+ *
+ * @returns {float} Score
+ */
+function detect(contents) {
+
+    let lines = _.split(_.trimStart(contents.slice(0, 4096)), '\n');
+    if (lines.length < 8) {
+        return 0;
+    }
+    lines = lines.slice(1, 8).map((l) => splitLine(l.replace(/[#!].*$/, '')));
+
+    const isNum = (x) => !isNaN(Number(x));
+    const isInt = (x) => /^\d+$/.test(x);
+
+    if (!(lines[0].length === 1 || lines[0].length === 3) || !lines[0].every(isNum)) {
+        return 0;
+    }
+    for (let i = 1; i < 4; ++i) {
+        if (lines[i].length !== 3 || !lines[i].every(isNum)) {
+            return 0;
+        }
+    }
+
+    if (lines[4].length > 0 && lines[4].every(isInt)) {
+        // VASP 4
+        return 0.6;
+    }
+    if (lines[4].length > 0 && lines[4].every((x) => /^[A-Z][a-z]?/.test(x)) &&
+        lines[5].length === lines[4].length && lines[5].every(isInt)) {
+        return 0.9;
+    }
+
+    return 0;
+}
+
+export { load, detect };
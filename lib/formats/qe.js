@@ -0,0 +1,508 @@
+'use strict';
+
+/**
+ * @fileoverview Functions for loading Quantum ESPRESSO pw.x input files and
+ * pw.x/gipaw.x output files
+ * @module
+ */
+
+import _ from 'lodash';
+import * as mjs from 'mathjs';
+import {
+    Atoms
+} from '@ccp-nc/crystcif-parse';
+import {
+    PeriodicTable
+} from 'mendeleev';
+import { TensorData } from '../tensor.js';
+
+// Bohr radius in Angstrom, as used by Quantum ESPRESSO
+const bohr = 0.529177210903;
+
+const num = '([-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eEdD][-+]?\\d+)?)';
+
+const card_re = /^\s*(ATOMIC_SPECIES|ATOMIC_POSITIONS|CELL_PARAMETERS|K_POINTS|CONSTRAINTS|OCCUPATIONS|ATOMIC_VELOCITIES|ATOMIC_FORCES|ADDITIONAL_K_POINTS|SOLVENTS|HUBBARD)\b/i;
+const card_units_re = /^\s*\w+\s*[({]?\s*([A-Za-z_]+)?\s*(?:=\s*([-+\d.eEdD]+))?/;
+const atom_line_re = new RegExp('^\\s*([A-Za-z][\\w.-]*)\\s+' + num + '\\s+' + num + '\\s+' + num + '(?:\\s+(\\d)\\s+(\\d)\\s+(\\d))?\\s*$');
+const vector_re = new RegExp('^\\s*' + num + '\\s+' + num + '\\s+' + num + '\\s*$');
+
+function parseNum(x) {
+    // Fortran may write exponents with a D
+    return parseFloat(x.replace(/[dD]/, 'e'));
+}
+
+// Quantum ESPRESSO labels (like Fe1 or H_mu) start with the element symbol
+function elementFromLabel(label) {
+    let m = /^([A-Za-z])([a-z]?)/.exec(label);
+    if (m) {
+        let one = m[1].toUpperCase();
+        if (m[2] && PeriodicTable.getElement(one + m[2])) {
+            return one + m[2];
+        }
+        if (PeriodicTable.getElement(one)) {
+            return one;
+        }
+    }
+    throw Error('Invalid Quantum ESPRESSO file: can not find the element of species ' + label);
+}
+
+/**
+ * Parse the namelists (&CONTROL, &SYSTEM...) of a pw.x input
+ *
+ * @param  {String[]} lines     Lines of the file, without comments
+ *
+ * @return {Object}     Dictionary of namelists (lowercase names) of
+ *                      dictionaries of values (lowercase keys, like
+ *                      'celldm(1)')
+ * @private
+ */
+function parseNamelists(lines) {
+
+    const value_re = /([A-Za-z_]\w*(?:\(\s*\d+\s*(?:,\s*\d+\s*)*\))?)\s*=\s*('[^']*'|"[^"]*"|[^,\s]+)/g;
+
+    let namelists = {};
+    let current = null;
+
+    lines.forEach((l) => {
+        let m = /^\s*&(\w+)/.exec(l);
+        if (m) {
+            current = {};
+            namelists[m[1].toLowerCase()] = current;
+            l = l.slice(m[0].length);
+        }
+        if (current === null) {
+            return;
+        }
+        let end = /^\s*\/\s*$/.test(l);
+        for (let v of l.matchAll(value_re)) {
+            let key = v[1].toLowerCase().replace(/\s+/g, '');
+            let val = v[2];
+            if (/^['"]/.test(val)) {
+                val = val.slice(1, -1);
+            } else if (/^\.?t(rue)?\.?$/i.test(val)) {
+                val = true;
+            } else if (/^\.?f(alse)?\.?$/i.test(val)) {
+                val = false;
+            } else {
+                val = parseNum(val);
+            }
+            current[key] = val;
+        }
+        if (end) {
+            current = null;
+        }
+    });
+
+    return namelists;
+}
+
+/**
+ * Lattice vectors for a Bravais lattice index and celldm parameters, as
+ * defined in the pw.x input documentation
+ *
+ * @param  {int}      ibrav     Bravais lattice index
+ * @param  {float[]}  celldm    celldm(1) to celldm(6), celldm(1) in Bohr
+ *
+ * @return {Array[]}  Lattice vectors (in Bohr)
+ * @private
+ */
+function ibravToCell(ibrav, celldm) {
+
+    let [a, ba, ca, c4, c5, c6] = celldm;
+    let b = a*ba;
+    let c = a*ca;
+    let s3 = Math.sqrt(3);
+
+    switch (ibrav) {
+        case 1:
+            return [[a, 0, 0], [0, a, 0], [0, 0, a]];
+        case 2:
+            return [[-a/2, 0, a/2], [0, a/2, a/2], [-a/2, a/2, 0]];
+        case 3:
+            return [[a/2, a/2, a/2], [-a/2, a/2, a/2], [-a/2, -a/2, a/2]];
+        case -3:
+            return [[-a/2, a/2, a/2], [a/2, -a/2, a/2], [a/2, a/2, -a/2]];
+        case 4:
+            return [[a, 0, 0], [-a/2, a*s3/2, 0], [0, 0, c]];
+        case 5:
+        case -5: {
+            let tx = Math.sqrt((1-c4)/2);
+            let ty = Math.sqrt((1-c4)/6);
+            let tz = Math.sqrt((1+2*c4)/3);
+            if (ibrav === 5) {
+                return [[a*tx, -a*ty, a*tz], [0, 2*a*ty, a*tz], [-a*tx, -a*ty, a*tz]];
+            }
+            let ap = a/s3;
+            let u = tz - 2*Math.sqrt(2)*ty;
+            let v = tz + Math.sqrt(2)*ty;
+            return [[ap*u, ap*v, ap*v], [ap*v, ap*u, ap*v], [ap*v, ap*v, ap*u]];
+        }
+        case 6:
+            return [[a, 0, 0], [0, a, 0], [0, 0, c]];
+        case 7:
+            return [[a/2, -a/2, c/2], [a/2, a/2, c/2], [-a/2, -a/2, c/2]];
+        case 8:
+            return [[a, 0, 0], [0, b, 0], [0, 0, c]];
+        case 9:
+            return [[a/2, b/2, 0], [-a/2, b/2, 0], [0, 0, c]];
+        case -9:
+            return [[a/2, -b/2, 0], [a/2, b/2, 0], [0, 0, c]];
+        case 91:
+            return [[a, 0, 0], [0, b/2, -c/2], [0, b/2, c/2]];
+        case 10:
+            return [[a/2, 0, c/2], [a/2, b/2, 0], [0, b/2, c/2]];
+        case 11:
+            return [[a/2, b/2, c/2], [-a/2, b/2, c/2], [-a/2, -b/2, c/2]];
+        case 12:
+            return [[a, 0, 0], [b*c4, b*Math.sqrt(1-c4*c4), 0], [0, 0, c]];
+        case -12:
+            return [[a, 0, 0], [0, b, 0], [c*c5, 0, c*Math.sqrt(1-c5*c5)]];
+        case 13:
+            return [[a/2, 0, -c/2], [b*c4, b*Math.sqrt(1-c4*c4), 0], [a/2, 0, c/2]];
+        case -13:
+            return [[a/2, b/2, 0], [-a/2, b/2, 0], [c*c5, 0, c*Math.sqrt(1-c5*c5)]];
+        case 14: {
+            // celldm(4), (5), (6) are the cosines of alpha, beta and gamma
+            let sg = Math.sqrt(1-c6*c6);
+            return [
+                [a, 0, 0],
+                [b*c6, b*sg, 0],
+                [c*c5, c*(c4-c5*c6)/sg,
+                    c*Math.sqrt(1+2*c4*c5*c6-c4*c4-c5*c5-c6*c6)/sg]
+            ];
+        }
+        default:
+            throw Error('Invalid Quantum ESPRESSO file: unsupported ibrav = ' + ibrav);
+    }
+}
+
+// celldm(1) to (6) from the &SYSTEM namelist, using A, B, C, cosAB, cosAC
+// and cosBC if they're given instead
+function readCelldm(system) {
+
+    let ibrav = system['ibrav'];
+    let celldm = _.range(1, 7).map((i) => system['celldm(' + i + ')'] || 0);
+
+    if ('a' in system) {
+        if (celldm[0] !== 0) {
+            throw Error('Invalid Quantum ESPRESSO file: both celldm and A are given');
+        }
+        let a = system['a'];
+        celldm[0] = a/bohr;
+        celldm[1] = (system['b'] || a)/a;
+        celldm[2] = (system['c'] || a)/a;
+        if (ibrav === 14) {
+            celldm[3] = system['cosbc'] || 0;
+            celldm[4] = system['cosac'] || 0;
+            celldm[5] = system['cosab'] || 0;
+        } else if (ibrav === -12 || ibrav === -13) {
+            celldm[4] = system['cosac'] || 0;
+        } else {
+            celldm[3] = system['cosab'] || 0;
+        }
+    }
+
+    return celldm;
+}
+
+// Read the rows of a card, starting at line i, that match the given regex
+function readCardRows(lines, i, re, n=Infinity) {
+    let rows = [];
+    for (let j = i; j < lines.length && rows.length < n; ++j) {
+        if (_.trim(lines[j]) === '' && rows.length === 0) {
+            continue;
+        }
+        let m = re.exec(lines[j]);
+        if (!m) {
+            break;
+        }
+        rows.push(m);
+    }
+    return rows;
+}
+
+// Units of a card, like crystal in ATOMIC_POSITIONS {crystal}, and the
+// value of alat if given as CELL_PARAMETERS (alat= 10.2)
+function cardUnits(line) {
+    let m = card_units_re.exec(line);
+    return {
+        units: m[1]? m[1].toLowerCase() : null,
+        alat: m[2]? parseNum(m[2]) : null
+    };
+}
+
+/**
+ * Convert positions from a ATOMIC_POSITIONS card to Angstrom, or leave them
+ * fractional for the crystal units
+ * @private
+ */
+function convertPositions(pos, units, alat) {
+    switch (units) {
+        case 'alat':
+            return pos.map((p) => p.map((x) => x*alat*bohr));
+        case 'bohr':
+            return pos.map((p) => p.map((x) => x*bohr));
+        case 'angstrom':
+        case 'crystal':
+            return pos;
+        default:
+            throw Error('Invalid Quantum ESPRESSO file: unsupported ATOMIC_POSITIONS units ' + units);
+    }
+}
+
+// Build the Atoms object from species labels and positions
+function makeAtoms(labels, positions, cell, fractional, info, if_pos=null) {
+
+    let elems = labels.map(elementFromLabel);
+    let a = new Atoms(elems, positions, cell, info, fractional);
+
+    if (labels.some((l, i) => (l !== elems[i]))) {
+        a.set_array('labels', labels);
+    }
+    if (if_pos && if_pos.some((f) => f !== null)) {
+        a.set_array('selective_dynamics', if_pos.map((f) => (f || [true, true, true])));
+    }
+
+    return a;
+}
+
+/**
+ * Load a pw.x input file
+ * @private
+ */
+function loadInput(lines) {
+
+    let namelists = parseNamelists(lines);
+    let system = namelists['system'];
+    if (!system || !('ibrav' in system)) {
+        throw Error('Invalid Quantum ESPRESSO file: no ibrav found in &SYSTEM');
+    }
+
+    let ibrav = system['ibrav'];
+    let celldm = readCelldm(system);
+    // alat, in Bohr
+    let alat = celldm[0];
+
+    let cards = {};
+    lines.forEach((l, i) => {
+        let m = card_re.exec(l);
+        if (m) {
+            cards[m[1].toUpperCase()] = i;
+        }
+    });
+
+    let cell;
+    if (ibrav === 0) {
+        if (!('CELL_PARAMETERS' in cards)) {
+            throw Error('Invalid Quantum ESPRESSO file: ibrav = 0 needs CELL_PARAMETERS');
+        }
+        let i = cards['CELL_PARAMETERS'];
+        let units = cardUnits(lines[i]).units;
+        cell = readCardRows(lines, i+1, vector_re, 3).map((m) => m.slice(1, 4).map(parseNum));
+        if (cell.length < 3) {
+            throw Error('Invalid Quantum ESPRESSO file: incomplete CELL_PARAMETERS');
+        }
+        // Without units, the cell is in alat if that was given, else Bohr
+        units = units || (alat? 'alat' : 'bohr');
+        switch (units) {
+            case 'alat':
+                if (!alat) {
+                    throw Error('Invalid Quantum ESPRESSO file: CELL_PARAMETERS in alat units, but alat is not given');
+                }
+                cell = mjs.multiply(cell, alat*bohr);
+                break;
+            case 'bohr':
+                cell = mjs.multiply(cell, bohr);
+                break;
+            case 'angstrom':
+                break;
+            default:
+                throw Error('Invalid Quantum ESPRESSO file: unsupported CELL_PARAMETERS units ' + units);
+        }
+        if (units !== 'alat') {
+            // alat is then the length of the first vector
+            alat = mjs.norm(cell[0])/bohr;
+        }
+    } else {
+        if (!alat) {
+            throw Error('Invalid Quantum ESPRESSO file: no celldm(1) or A given');
+        }
+        cell = mjs.multiply(ibravToCell(ibrav, celldm), bohr);
+    }
+
+    if (!('ATOMIC_POSITIONS' in cards)) {
+        throw Error('Invalid Quantum ESPRESSO file: no ATOMIC_POSITIONS found');
+    }
+    let i = cards['ATOMIC_POSITIONS'];
+    let units = cardUnits(lines[i]).units || 'alat';
+    let rows = readCardRows(lines, i+1, atom_line_re, system['nat'] || Infinity);
+    if (rows.length === 0 || ('nat' in system && rows.length < system['nat'])) {
+        throw Error('Invalid Quantum ESPRESSO file: incomplete ATOMIC_POSITIONS');
+    }
+
+    let labels = rows.map((m) => m[1]);
+    let positions = convertPositions(rows.map((m) => m.slice(2, 5).map(parseNum)), units, alat);
+    let if_pos = rows.map((m) => (m[5] === undefined? null : m.slice(5, 8).map((x) => x === '1')));
+
+    let info = {
+        'namelists': namelists
+    };
+    if ('ATOMIC_SPECIES' in cards) {
+        info['species_mass'] = {};
+        info['pseudopotentials'] = {};
+        const species_re = new RegExp('^\\s*([A-Za-z][\\w.-]*)\\s+' + num + '\\s+(\\S+)');
+        readCardRows(lines, cards['ATOMIC_SPECIES']+1, species_re, system['ntyp'] || Infinity).forEach((m) => {
+            info['species_mass'][m[1]] = parseNum(m[2]);
+            info['pseudopotentials'][m[1]] = m[3];
+        });
+    }
+
+    return makeAtoms(labels, positions, cell, units === 'crystal', info, if_pos);
+}
+
+/**
+ * Load a pw.x or gipaw.x output file
+ * @private
+ */
+function loadOutput(lines) {
+
+    let alat = null;
+    let cell = null;
+    let labels = null;
+    let positions = null;
+    let units = null;
+    let nat = null;
+    let nmr_start = -1;
+
+    const alat_re = new RegExp('lattice parameter \\(alat\\)\\s*=\\s*' + num);
+    const nat_re = /number of atoms\/cell\s*=\s*(\d+)/;
+    const axis_re = new RegExp('a\\(\\d\\)\\s*=\\s*\\(\\s*' + num + '\\s+' + num + '\\s+' + num + '\\s*\\)');
+    const tau_re = new RegExp('^\\s*\\d+\\s+(\\S+)\\s+tau\\(\\s*\\d+\\)\\s*=\\s*\\(\\s*' + num + '\\s+' + num + '\\s+' + num + '\\s*\\)');
+
+    for (let i = 0; i < lines.length; ++i) {
+        let l = lines[i];
+        let m;
+
+        if ((m = alat_re.exec(l))) {
+            alat = parseNum(m[1]);
+        } else if ((m = nat_re.exec(l))) {
+            nat = parseInt(m[1]);
+        } else if (/crystal axes: \(cart\. coord\. in units of alat\)/.test(l)) {
+            cell = readCardRows(lines, i+1, axis_re, 3).map((m) => m.slice(1, 4).map((x) => parseNum(x)*alat*bohr));
+        } else if (/site n\.\s+atom\s+positions \(alat units\)/.test(l)) {
+            let rows = readCardRows(lines, i+1, tau_re, nat || Infinity);
+            labels = rows.map((m) => m[1]);
+            positions = rows.map((m) => m.slice(2, 5).map(parseNum));
+            units = 'alat';
+        } else if (/^\s*CELL_PARAMETERS/.test(l)) {
+            // Printed at each step of a variable-cell relaxation
+            let cu = cardUnits(l);
+            let v = readCardRows(lines, i+1, vector_re, 3).map((m) => m.slice(1, 4).map(parseNum));
+            if (cu.units === 'alat') {
+                alat = cu.alat || alat;
+                cell = mjs.multiply(v, alat*bohr);
+            } else {
+                cell = (cu.units === 'bohr')? mjs.multiply(v, bohr) : v;
+            }
+        } else if (/^\s*ATOMIC_POSITIONS/.test(l)) {
+            // Printed at each step of a relaxation
+            units = cardUnits(l).units || 'alat';
+            let rows = readCardRows(lines, i+1, atom_line_re, nat || Infinity);
+            labels = rows.map((m) => m[1]);
+            positions = rows.map((m) => m.slice(2, 5).map(parseNum));
+        } else if (/Total NMR chemical shifts/.test(l)) {
+            nmr_start = i;
+        }
+    }
+
+    if (cell === null || positions === null || positions.length === 0) {
+        throw Error('Invalid Quantum ESPRESSO file: no structure found in output');
+    }
+
+    let a = makeAtoms(labels, convertPositions(positions, units, alat), cell, units === 'crystal', {});
+
+    if (nmr_start >= 0) {
+        // Tensors follow each atom's line, as three rows
+        const sigma_re = /^\s*Atom\s+(\d+)\s+\S+\s+pos:.*Total sigma:/;
+        let ms = labels.map(() => null);
+        for (let i = nmr_start+1; i < lines.length; ++i) {
+            let m = sigma_re.exec(lines[i]);
+            if (!m) {
+                continue;
+            }
+            let rows = readCardRows(lines, i+1, vector_re, 3).map((m) => m.slice(1, 4).map(parseNum));
+            let k = parseInt(m[1])-1;
+            if (rows.length < 3 || k >= ms.length) {
+                throw Error('Invalid Quantum ESPRESSO file: could not parse shielding tensor of atom ' + m[1]);
+            }
+            ms[k] = new TensorData(rows);
+            i += 3;
+        }
+        a.set_array('ms', ms);
+    }
+
+    return a;
+}
+
+/**
+ * Load a Quantum ESPRESSO file. This can be either:
+ *
+ *  - a pw.x input (.pwi, .in), with the lattice given by ibrav and celldm
+ *    or A, B, C... in &SYSTEM, or by CELL_PARAMETERS, and ATOMIC_POSITIONS
+ *    in alat, bohr, angstrom or crystal units. Namelists are stored in the
+ *    info as 'namelists', ATOMIC_SPECIES as 'species_mass' and
+ *    'pseudopotentials', and any if_pos flags in the 'selective_dynamics'
+ *    array (as for POSCAR files)
+ *  - a pw.x output (.pwo, .out), from which the final structure is read
+ *    (the last one printed, e.g. at the end of a relaxation)
+ *  - a gipaw.x output, from which the structure and the total shielding
+ *    tensors are read; the latter go into the 'ms' array, in ppm
+ *
+ * Species labels that are not plain element symbols (like Fe1) are kept as
+ * crystallographic labels.
+ *
+ * @param {string} contents         Contents of the file
+ * @param {string} [filename='qe']  Name for the returned structure
+ *
+ * @returns {Object} Dictionary mapping filename to Atoms object
+ */
+function load(contents, filename='qe') {
+
+    let lines = _.split(contents, '\n');
+    let a;
+
+    if (isOutput(contents)) {
+        a = loadOutput(lines);
+    } else {
+        a = loadInput(lines.map((l) => l.replace(/[!#].*$/, '')));
+    }
+
+    let structs = {};
+    structs[filename] = a;
+
+    return structs;
+}
+
+function isOutput(contents) {
+    return /Program (PWSCF|GIPAW)/.test(contents) || /lattice parameter \(alat\)\s*=/.test(contents);
+}
+
+/**
+ * Score how likely some contents are to be a Quantum ESPRESSO file, from 0
+ * to 1.
+ *
+ * @param {string} contents     Contents of the file
+ *
+ * @returns {float} Score
+ */
+function detect(contents) {
+    if (isOutput(contents)) {
+        return 1.0;
+    }
+    if (/^\s*&SYSTEM\b/im.test(contents)) {
+        return /^\s*ATOMIC_POSITIONS/im.test(contents)? 1.0 : 0.5;
+    }
+    return 0;
+}
+
+export { load, detect };
@@ -0,0 +1,267 @@
+'use strict';
+
+/**
+ * @fileoverview Functions for loading MDL MOL and SDF files (V2000 and
+ * V3000 connection tables)
+ * @module
+ */
+
+import _ from 'lodash';
+import {
+    Atoms
+} from '@ccp-nc/crystcif-parse';
+
+// Bond types of the connection table. Aromatic bonds get order 1.5; query
+// types (single or double, any...) are taken as single bonds
+const bond_orders = {
+    1: 1,
+    2: 2,
+    3: 3,
+    4: 1.5
+};
+
+// Formal charges from the V2000 atom block charge field
+const v2000_charges = {
+    1: 3,
+    2: 2,
+    3: 1,
+    5: -1,
+    6: -2,
+    7: -3
+};
+
+function bondOrder(type) {
+    return bond_orders[type] || 1;
+}
+
+// Fixed-width field, 0-based start and length
+function field(l, start, length) {
+    return _.trim(l.slice(start, start+length));
+}
+
+/**
+ * Parse a V2000 connection table
+ * @private
+ */
+function parseV2000(lines) {
+
+    let counts = lines[3];
+    let na = parseInt(field(counts, 0, 3));
+    let nb = parseInt(field(counts, 3, 3));
+    if (isNaN(na) || isNaN(nb) || lines.length < 4+na+nb) {
+        throw Error('Invalid MOL file: could not parse counts line');
+    }
+
+    let elems = [];
+    let positions = [];
+    let charges = [];
+    for (let i = 0; i < na; ++i) {
+        let l = lines[4+i];
+        let p = [field(l, 0, 10), field(l, 10, 10), field(l, 20, 10)].map(parseFloat);
+        if (p.some(isNaN)) {
+            throw Error('Invalid MOL file: could not parse atom ' + (i+1));
+        }
+        positions.push(p);
+        elems.push(field(l, 31, 3));
+        charges.push(v2000_charges[parseInt(field(l, 36, 3))] || 0);
+    }
+
+    let bonds = [];
+    for (let i = 0; i < nb; ++i) {
+        let l = lines[4+na+i];
+        let b = [field(l, 0, 3), field(l, 3, 3), field(l, 6, 3)].map((x) => parseInt(x));
+        if (b.some(isNaN) || b[0] > na || b[1] > na) {
+            throw Error('Invalid MOL file: could not parse bond ' + (i+1));
+        }
+        bonds.push([b[0]-1, b[1]-1, bondOrder(b[2])]);
+    }
+
+    // Properties block; M  CHG replaces all charges of the atom block
+    let chg_reset = false;
+    for (let i = 4+na+nb; i < lines.length; ++i) {
+        let l = lines[i];
+        if (/^M {2}END/.test(l)) {
+            break;
+        }
+        if (/^M {2}CHG/.test(l)) {
+            if (!chg_reset) {
+                charges = charges.map(() => 0);
+                chg_reset = true;
+            }
+            let vals = _.trim(l.slice(6)).split(/\s+/).map((x) => parseInt(x));
+            for (let k = 0; k < vals[0]; ++k) {
+                charges[vals[1+2*k]-1] = vals[2+2*k];
+            }
+        }
+    }
+
+    return {
+        elems: elems,
+        positions: positions,
+        charges: charges,
+        bonds: bonds
+    };
+}
+
+/**
+ * Parse a V3000 connection table
+ * @private
+ */
+function parseV3000(lines) {
+
+    // Join continuation lines (ending with a dash) and strip the prefix
+    let v30 = [];
+    let cont = false;
+    lines.forEach((l) => {
+        if (!/^M {2}V30 /.test(l)) {
+            return;
+        }
+        l = l.slice(7).replace(/\s+$/, '');
+        if (cont) {
+            v30[v30.length-1] += l;
+        } else {
+            v30.push(l);
+        }
+        cont = l.endsWith('-');
+        if (cont) {
+            v30[v30.length-1] = v30[v30.length-1].slice(0, -1);
+        }
+    });
+
+    let elems = [];
+    let positions = [];
+    let charges = [];
+    let bonds = [];
+    let index = {};
+    let block = null;
+
+    v30.forEach((l) => {
+        let ls = _.trim(l).split(/\s+/);
+        if (ls[0] === 'BEGIN' || ls[0] === 'END') {
+            block = (ls[0] === 'BEGIN')? ls[1] : null;
+            return;
+        }
+        if (block === 'ATOM') {
+            let p = ls.slice(2, 5).map(parseFloat);
+            if (ls.length < 5 || p.some(isNaN)) {
+                throw Error('Invalid MOL file: could not parse atom ' + ls[0]);
+            }
+            index[ls[0]] = elems.length;
+            elems.push(ls[1]);
+            positions.push(p);
+            let chg = _.find(ls.slice(6), (x) => x.startsWith('CHG='));
+            charges.push(chg? parseInt(chg.slice(4)) : 0);
+        } else if (block === 'BOND') {
+            let i = index[ls[2]];
+            let j = index[ls[3]];
+            if (ls.length < 4 || i === undefined || j === undefined) {
+                throw Error('Invalid MOL file: could not parse bond ' + ls[0]);
+            }
+            bonds.push([i, j, bondOrder(parseInt(ls[1]))]);
+        }
+    });
+
+    if (elems.length === 0) {
+        throw Error('Invalid MOL file: no atoms found');
+    }
+
+    return {
+        elems: elems,
+        positions: positions,
+        charges: charges,
+        bonds: bonds
+    };
+}
+
+// Parse one record (a MOL file, or one molecule of an SDF file)
+function parseRecord(lines) {
+
+    if (lines.length < 4) {
+        throw Error('Invalid MOL file: file is too short');
+    }
+
+    let counts = lines[3];
+    let ctab = /V3000/.test(counts)? parseV3000(lines) : parseV2000(lines);
+
+    let a = new Atoms(ctab.elems, ctab.positions, null, {
+        'title': _.trim(lines[0]),
+        'bonds': ctab.bonds,
+        // Connection tables list all bonds
+        'bonds_complete': true
+    });
+    if (ctab.charges.some((c) => c !== 0)) {
+        a.set_array('formal_charge', ctab.charges);
+    }
+
+    // SDF data items
+    let data = {};
+    let mend = _.findIndex(lines, (l) => /^M {2}END/.test(l));
+    for (let i = mend+1; i < lines.length; ++i) {
+        let m = /^>.*<([^>]+)>/.exec(lines[i]);
+        if (m) {
+            let vals = [];
+            for (i = i+1; i < lines.length && _.trim(lines[i]) !== ''; ++i) {
+                vals.push(lines[i]);
+            }
+            data[m[1]] = vals.join('\n');
+        }
+    }
+    if (!_.isEmpty(data)) {
+        a.info['sdf_data'] = data;
+    }
+
+    return a;
+}
+
+/**
+ * Load a MOL or SDF file. Atoms and bonds are read from the connection
+ * table; bonds go in the info as 'bonds' ([i, j, order] triplets, with
+ * aromatic bonds having order 1.5), and formal charges, if any, in the
+ * 'formal_charge' array. SDF data items are stored in the info as
+ * 'sdf_data', and the title line as 'title'. The structures are not
+ * periodic.
+ *
+ * @param {string} contents             Contents of the file
+ * @param {string} [filename='sdf']     Name for the returned structure. SDF
+ *                                      files with more than one molecule
+ *                                      return them as filename_1,
+ *                                      filename_2...
+ *
+ * @returns {Object} Dictionary mapping filename to Atoms object
+ */
+function load(contents, filename='sdf') {
+
+    let records = contents.replace(/\r/g, '').split(/^\$\$\$\$.*$/m);
+    // Records start on the line after the $$$$ separator; the first line of
+    // the file is already a title line, even if empty
+    records = records.map((r, i) => (i > 0? r.replace(/^\n/, '') : r)).filter((r) => _.trim(r).length > 0);
+
+    if (records.length === 0) {
+        throw Error('Invalid MOL file: no molecules found');
+    }
+
+    let structs = {};
+    records.forEach((r, i) => {
+        let name = (records.length > 1)? filename + '_' + (i+1) : filename;
+        structs[name] = parseRecord(_.split(r, '\n'));
+    });
+
+    return structs;
+}
+
+/**
+ * Score how likely some contents are to be a MOL or SDF file, from 0 to 1.
+ *
+ * @param {string} contents     Contents of the file
+ *
+ * @returns {float} Score
+ */
+function detect(contents) {
+    let lines = _.split(contents.slice(0, 4096), '\n');
+    if (lines.length > 3 && /V[23]000\s*$/.test(lines[3])) {
+        return 1.0;
+    }
+    return (/^M {2}END/m.test(contents))? 0.5 : 0;
+}
+
+export { load, detect };
@@ -0,0 +1,287 @@
+'use strict';
+
+/**
+ * @fileoverview Function for loading SHELX (.res and .ins) files, including
+ * those written by AIRSS
+ * @module
+ */
+
+import _ from 'lodash';
+import * as mjs from 'mathjs';
+import {
+    Atoms
+} from '@ccp-nc/crystcif-parse';
+import {
+    parseSymOp
+} from '../utils.js';
+
+// SHELXL instructions; lines starting with anything else are atoms
+const instructions = [
+    'TITL', 'CELL', 'ZERR', 'LATT', 'SYMM', 'SFAC', 'DISP', 'UNIT', 'LAUE',
+    'REM', 'MORE', 'TIME', 'END', 'HKLF', 'OMIT', 'SHEL', 'BASF', 'TWIN',
+    'TWST', 'EXTI', 'SWAT', 'HOPE', 'MERG', 'SPEC', 'RESI', 'MOVE', 'ANIS',
+    'AFIX', 'HFIX', 'FRAG', 'FEND', 'EXYZ', 'EADP', 'EQIV', 'CONN', 'PART',
+    'BIND', 'FREE', 'DFIX', 'DANG', 'BUMP', 'SAME', 'SADI', 'CHIV', 'FLAT',
+    'DELU', 'SIMU', 'RIGU', 'DEFS', 'ISOR', 'NCSY', 'SUMP', 'L.S.', 'CGLS',
+    'BLOC', 'DAMP', 'STIR', 'WGHT', 'FVAR', 'BOND', 'CONF', 'MPLA', 'RTAB',
+    'HTAB', 'LIST', 'ACTA', 'SIZE', 'TEMP', 'WPDB', 'FMAP', 'GRID', 'PLAN',
+    'MOLE', 'ABIN', 'ANSC', 'ANSR', 'NEUT', 'PRIG', 'XNPD', 'WIGL', 'BEDE',
+    'LONE'
+];
+
+// Centring translations for each lattice type (absolute value of LATT)
+const centrings = {
+    1: [[0, 0, 0]],
+    2: [[0, 0, 0], [0.5, 0.5, 0.5]],
+    3: [[0, 0, 0], [2/3, 1/3, 1/3], [1/3, 2/3, 2/3]],
+    4: [[0, 0, 0], [0, 0.5, 0.5], [0.5, 0, 0.5], [0.5, 0.5, 0]],
+    5: [[0, 0, 0], [0, 0.5, 0.5]],
+    6: [[0, 0, 0], [0.5, 0, 0.5]],
+    7: [[0, 0, 0], [0.5, 0.5, 0]]
+};
+
+// Shortest distance between two fractional positions
+const pdist = (p1, p2) => mjs.norm(mjs.subtract(p1, p2).map((x) => (x - Math.round(x))));
+
+// Decode a refinable parameter written as 10*m + p: m = 0 means a free
+// value, m = +-1 a fixed one, and larger m a value tied to free variable m
+// (p*fv(m), or p*(fv(-m)-1) for negative m)
+function paramValue(v, fvar) {
+    let m = Math.sign(v)*Math.round(Math.abs(v)/10);
+    if (m === 0) {
+        return v;
+    }
+    let p = v - 10*m;
+    if (Math.abs(m) === 1) {
+        return p;
+    }
+    let fv = fvar[Math.abs(m)-1];
+    if (fv === undefined) {
+        throw Error('Invalid SHELX file: free variable ' + Math.abs(m) + ' is not defined');
+    }
+    return (m > 0)? p*fv : p*(fv-1);
+}
+
+// Element symbols as Xx
+function elementSymbol(s) {
+    return s[0].toUpperCase() + s.slice(1).toLowerCase();
+}
+
+// Fields of the TITL line of AIRSS files:
+// TITL name pressure volume enthalpy spin modspin nsym (spacegroup) n - times
+function airssTitle(tokens) {
+    let vals = tokens.slice(2, 7).map(parseFloat);
+    if (tokens.length < 7 || vals.some(isNaN)) {
+        return null;
+    }
+    let sg = /\(([^)]*)\)/.exec(tokens.join(' '));
+    let times = parseInt(_.last(tokens));
+    return {
+        name: tokens[1],
+        pressure: vals[0],
+        volume: vals[1],
+        enthalpy: vals[2],
+        spin: vals[3],
+        modSpin: vals[4],
+        spaceGroup: sg? sg[1] : null,
+        timesFound: isNaN(times)? null : times
+    };
+}
+
+/**
+ * Load a SHELX .res or .ins file. The asymmetric unit is expanded to the
+ * full cell with the symmetry operations (SYMM) and the lattice centring
+ * and inversion (LATT); all copies of an atom keep its name as
+ * crystallographic label in the 'labels' array. Site occupancies (with the
+ * factor for special positions taken out) and PART numbers are stored in
+ * the 'occupancy' and 'disorder_group' arrays, as for CIF files, if any is
+ * not trivial. The title is stored in the info as 'title'; for AIRSS files,
+ * the fields of the title line (name, pressure, volume, enthalpy, spin,
+ * modSpin, spaceGroup and timesFound) also go in the info as 'airss'.
+ * Q-peaks are ignored.
+ *
+ * @param {string} contents             Contents of the file
+ * @param {string} [filename='shelx']   Name for the returned structure
+ *
+ * @returns {Object} Dictionary mapping filename to Atoms object
+ */
+function load(contents, filename='shelx') {
+
+    // Join continuation lines (ending with =), skipping comments
+    let lines = [];
+    let cont = false;
+    _.split(contents.replace(/\r/g, ''), '\n').forEach((l) => {
+        if (/^\s*REM\b/i.test(l)) {
+            return;
+        }
+        l = l.replace(/!.*$/, '');
+        if (cont) {
+            lines[lines.length-1] += ' ' + l;
+        } else {
+            lines.push(l);
+        }
+        cont = /=\s*$/.test(l);
+        if (cont) {
+            lines[lines.length-1] = lines[lines.length-1].replace(/=\s*$/, '');
+        }
+    });
+
+    let info = {};
+    let abc = null;
+    let angles = null;
+    let latt = 1;
+    let symops = [[[[1, 0, 0], [0, 1, 0], [0, 0, 1]], [0, 0, 0]]];
+    let sfac = [];
+    let fvar = [];
+    let part = 0;
+    let sites = [];
+
+    for (let l of lines) {
+
+        let ls = _.trim(l).split(/\s+/);
+        let cmd = ls[0].toUpperCase();
+
+        if (cmd === 'END' || cmd === 'HKLF') {
+            break;
+        }
+
+        switch (cmd) {
+            case '':
+                break;
+            case 'TITL': {
+                info['title'] = _.trim(_.trim(l).slice(4));
+                let airss = airssTitle(ls);
+                if (airss) {
+                    info['airss'] = airss;
+                }
+                break;
+            }
+            case 'CELL': {
+                let vals = ls.slice(2, 8).map(parseFloat);
+                if (vals.length < 6 || vals.some(isNaN)) {
+                    throw Error('Invalid SHELX file: could not parse CELL line');
+                }
+                abc = vals.slice(0, 3);
+                angles = vals.slice(3);
+                break;
+            }
+            case 'LATT':
+                latt = parseInt(ls[1]);
+                if (!(Math.abs(latt) in centrings)) {
+                    throw Error('Invalid SHELX file: invalid LATT value');
+                }
+                break;
+            case 'SYMM':
+                symops.push(parseSymOp(_.trim(l).slice(4)));
+                break;
+            case 'SFAC':
+                // Either a list of elements, or one element with its
+                // scattering factor coefficients
+                if (ls.length > 2 && !isNaN(parseFloat(ls[2]))) {
+                    sfac.push(elementSymbol(ls[1]));
+                } else {
+                    sfac = sfac.concat(ls.slice(1).map(elementSymbol));
+                }
+                break;
+            case 'FVAR':
+                fvar = fvar.concat(ls.slice(1).map(parseFloat));
+                break;
+            case 'PART':
+                part = parseInt(ls[1]) || 0;
+                break;
+            default: {
+                if (instructions.includes(cmd) || /^Q\d+$/.test(cmd) || ls.length < 5) {
+                    break;
+                }
+                let el = parseInt(ls[1]);
+                let vals = ls.slice(2, 6).map(parseFloat);
+                if (!/^\d+$/.test(ls[1]) || vals.slice(0, 3).some(isNaN)) {
+                    break;
+                }
+                if (el < 1 || el > sfac.length) {
+                    throw Error('Invalid SHELX file: atom ' + ls[0] + ' has an invalid SFAC number');
+                }
+                sites.push({
+                    label: ls[0],
+                    element: sfac[el-1],
+                    position: vals.slice(0, 3).map((x) => paramValue(x, fvar)),
+                    sof: isNaN(vals[3])? 1.0 : paramValue(vals[3], fvar),
+                    part: part
+                });
+            }
+        }
+    }
+
+    if (abc === null) {
+        throw Error('Invalid SHELX file: no CELL line found');
+    }
+    if (sites.length === 0) {
+        throw Error('Invalid SHELX file: no atoms found');
+    }
+
+    // All operations: the given ones, their inverses for centrosymmetric
+    // lattices, and their combinations with the centring translations
+    let ops = symops;
+    if (latt > 0) {
+        ops = ops.concat(ops.map(([R, t]) => [mjs.multiply(R, -1), mjs.multiply(t, -1)]));
+    }
+    ops = _.flatMap(centrings[Math.abs(latt)], (c) => ops.map(([R, t]) => [R, mjs.add(t, c)]));
+
+    let elems = [];
+    let fpos = [];
+    let labels = [];
+    let occupancy = [];
+    let disorder_group = [];
+
+    sites.forEach((site) => {
+        let copies = [];
+        ops.forEach(([R, t]) => {
+            let p = mjs.add(mjs.multiply(R, site.position), t).map((x) => (x - Math.floor(x)));
+            if (!copies.some((p2) => (pdist(p, p2) < 1e-3))) {
+                copies.push(p);
+            }
+        });
+        // Occupancies of atoms on special positions are scaled by their
+        // site symmetry. AIRSS writes 1.0 for all atoms though, hence the cap
+        let occ = Math.min(site.sof*ops.length/copies.length, 1.0);
+        copies.forEach((p) => {
+            elems.push(site.element);
+            fpos.push(p);
+            labels.push(site.label);
+            occupancy.push(occ);
+            disorder_group.push(site.part === 0? null : site.part);
+        });
+    });
+
+    let a = new Atoms(elems, fpos, [abc, angles], info, true);
+    a.set_array('labels', labels);
+    if (occupancy.some((o) => Math.abs(o-1) > 1e-6)) {
+        a.set_array('occupancy', occupancy);
+    }
+    if (disorder_group.some((g) => g !== null)) {
+        a.set_array('disorder_group', disorder_group);
+    }
+
+    let structs = {};
+    structs[filename] = a;
+
+    return structs;
+}
+
+/**
+ * Score how likely some contents are to be a SHELX file, from 0 to 1.
+ *
+ * @param {string} contents     Contents of the file
+ *
+ * @returns {float} Score
+ */
+function detect(contents) {
+    let head = contents.slice(0, 65536);
+    let cell = /^CELL\s+[\d.]+(\s+[\d.]+){6}/mi.test(head);
+    if (cell && /^SFAC\s/mi.test(head)) {
+        return 1.0;
+    }
+    return (cell || /^TITL\s/mi.test(head))? 0.5 : 0;
+}
+
+export { load, detect };
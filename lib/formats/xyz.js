@@ -1,32 +1,45 @@
 'use strict';
 
 /**
- * @fileoverview Function for loading XYZ files
+ * @fileoverview Functions for loading and writing XYZ files
  * @module
  */
 
 import _ from 'lodash';
 import { Atoms } from '@ccp-nc/crystcif-parse';
 import { TensorData } from '../tensor.js';
+import { PropertyArray } from '../property.js';
+
+// Data types of the Extended XYZ column types
+const column_dtypes = {
+    'S': 'string',
+    'R': 'float64',
+    'I': 'int32',
+    'L': 'bool'
+};
 
 /**
- * Load an Extended XYZ file (optionally multi-frame), extracting NMR tensor data as TensorData objects.
+ * Load an XYZ or Extended XYZ file (optionally multi-frame), extracting NMR tensor data as TensorData objects.
  *
- * Only the Extended XYZ format (with a unit cell specified via the Lattice property) is supported.
- * Standard/plain XYZ files (without a cell) are not supported and will result in an error.
+ * If a unit cell is specified via the Lattice property the structure is periodic; standard/plain XYZ files,
+ * and Extended XYZ files without a Lattice (or with pbc="F F F"), are loaded as non-periodic structures.
  * Extended XYZ files can contain additional per-atom properties, including NMR tensors (e.g., magnetic shielding or EFG tensors)
  * stored as 9 real values per atom. These are automatically converted to TensorData objects if the property name matches
- * the provided shielding_tag or efg_tag (defaults: 'ms' and 'efg').
+ * the provided shielding_tag or efg_tag (defaults: 'ms' and 'efg'). All other columns (e.g. forces, charges or magnetic
+ * moments) are stored as PropertyArray objects, typed after the Properties spec (S, R, I or L: 'string', 'float64', 'int32'
+ * or 'bool'), with shape [N] for one value per atom and [N, n] for n values.
  *
- * Multi-frame files are supported: use the index argument to select a frame (default: -1, last frame).
+ * Multi-frame files are supported: use the index argument to select a frame (default: -1, last frame), or
+ * loadTrajectory() to load all of them.
  *
  * @param {string} contents - The contents of the Extended XYZ file.
  * @param {string} [filename='xyz'] - Optional name for the returned structure (used as key in result object).
  * @param {string} [shielding_tag='ms'] - Property name to treat as magnetic shielding tensor (9 real values per atom).
  * @param {string} [efg_tag='efg'] - Property name to treat as EFG tensor (9 real values per atom).
  * @param {number} [index=-1] - Frame index to load (0-based, negative counts from end; default -1 = last frame).
- * @returns {Object} Dictionary mapping filename to Atoms object. Per-atom tensor arrays are stored as TensorData objects.
- * @throws {Error} If the file is not valid Extended XYZ (e.g., missing cell), or if tensor arrays are malformed.
+ * @returns {Object} Dictionary mapping filename to Atoms object. Per-atom tensor arrays are stored as TensorData objects,
+ * and other per-atom arrays as PropertyArray objects.
+ * @throws {Error} If the file is not valid XYZ or Extended XYZ, or if tensor arrays are malformed.
  *
  * Example usage:
  *   load(contents, 'mystruct', 'ms', 'efg', -1)
@@ -35,7 +48,45 @@ import { TensorData } from '../tensor.js';
  */
 function load(contents, filename='xyz', shielding_tag='ms', efg_tag='efg', index=-1) {
 
-    // Split into frames
+    let frames = splitFrames(contents);
+
+    // Select frame
+    let frame_idx = index < 0 ? frames.length + index : index;
+    if (frame_idx < 0 || frame_idx >= frames.length) {
+        throw Error('Frame index out of range for XYZ/Extended XYZ file.');
+    }
+
+    let structs = {};
+    structs[filename] = parseFrame(frames[frame_idx], shielding_tag, efg_tag);
+
+    return structs;
+}
+
+/**
+ * Load all the frames of a multi-frame XYZ or Extended XYZ file (e.g. a
+ * molecular dynamics or geometry optimisation trajectory). Each frame is
+ * parsed as in load().
+ *
+ * @param {string} contents - The contents of the Extended XYZ file.
+ * @param {string} [filename='xyz'] - Optional name for the returned trajectory.
+ * @param {string} [shielding_tag='ms'] - Property name to treat as magnetic shielding tensor.
+ * @param {string} [efg_tag='efg'] - Property name to treat as EFG tensor.
+ * @returns {Object} Dictionary mapping filename to an Array of Atoms objects, one per frame.
+ * @throws {Error} If the file is not valid XYZ or Extended XYZ.
+ */
+function loadTrajectory(contents, filename='xyz', shielding_tag='ms', efg_tag='efg') {
+
+    let frames = splitFrames(contents);
+
+    let structs = {};
+    structs[filename] = frames.map((f) => parseFrame(f, shielding_tag, efg_tag));
+
+    return structs;
+}
+
+// Split the contents of a file into the lines of each frame
+function splitFrames(contents) {
+
     let lines = _.split(contents, '\n');
     let frames = [];
     let i = 0;
@@ -62,12 +113,12 @@ function load(contents, filename='xyz', shielding_tag='ms', efg_tag='efg', index
     if (frames.length === 0) {
         throw Error('No valid frames found in XYZ/Extended XYZ file.');
     }
-    // Select frame
-    let frame_idx = index < 0 ? frames.length + index : index;
-    if (frame_idx < 0 || frame_idx >= frames.length) {
-        throw Error('Frame index out of range for XYZ/Extended XYZ file.');
-    }
-    lines = frames[frame_idx];
+
+    return frames;
+}
+
+// Parse the lines of a single frame into an Atoms object
+function parseFrame(lines, shielding_tag, efg_tag) {
 
     // Parse the first line: number of atoms
     let N = parseInt(_.trim(lines[0]));
@@ -81,7 +132,16 @@ function load(contents, filename='xyz', shielding_tag='ms', efg_tag='efg', index
     let rext = /([A-Za-z_]+)=(([A-Za-z0-9.:_-]+)|"([^"]+)")/g;
     let matches = [];
     let cell = null;
-    let columns = [];
+    // Without a Properties key, the columns are just species and positions
+    let columns = [{
+        'name': 'species',
+        'type': 'S',
+        'n': 1
+    }, {
+        'name': 'pos',
+        'type': 'R',
+        'n': 3
+    }];
     
     let m;
     while ((m = rext.exec(info)) !== null) {
@@ -95,22 +155,27 @@ function load(contents, filename='xyz', shielding_tag='ms', efg_tag='efg', index
             m = matches[i];
             props[m[1]] = m[3] || m[4];
         }
-        if ((_.has(props, 'Lattice') && _.has(props, 'Properties'))) {
+        // A lattice is ignored if explicitly non-periodic
+        let nopbc = _.has(props, 'pbc') && !(/[Tt]/.test(props['pbc']));
+        if (_.has(props, 'Lattice') && !nopbc) {
             // Parse the lattice
             let latt = _.split(props['Lattice'], /\s+/).filter(s => s.length > 0);
             cell = [];
             for (let i = 0; i < 3; ++i) {
                 let row = _.map(latt.slice(3 * i, 3 * i + 3), parseFloat);
-                if (row.some(v => isNaN(v))) {
+                if (row.length < 3 || row.some(v => isNaN(v))) {
                     throw Error('Invalid Extended XYZ file: could not parse cell row.');
                 }
                 cell.push(row);
             }
+        }
+        if (_.has(props, 'Properties')) {
             if (!props['Properties'].startsWith('species:S:1:pos:R:3')) {
                 throw Error('Invalid Extended XYZ file: Properties string does not start with species:S:1:pos:R:3');
             }
             // Parse the properties
-            let propre = /([A-Za-z_]+):(S|R|I):([0-9]+)/g;
+            columns = [];
+            let propre = /([A-Za-z_]+):(S|R|I|L):([0-9]+)/g;
             while ((m = propre.exec(props['Properties'])) !== null) {
                 columns.push({
                     'name': m[1],
@@ -127,14 +192,11 @@ function load(contents, filename='xyz', shielding_tag='ms', efg_tag='efg', index
         };
     }
 
-    // Check if we have a cell
-    if (cell === null) {
-        throw Error('No unit cell (Lattice property) found in this file. Only Extended XYZ format with a cell is supported; plain XYZ files are not supported.');
-    }
-
     // Initialize arrays for additional properties (skip species and pos which are columns 0 and 1)
+    const isTensor = (col) => (col.type === 'R' && col.n === 9 && (col.name === shielding_tag || col.name === efg_tag));
     let arrays = {};
     for (let i = 2; i < columns.length; ++i) {
+        // Tensors are stored per atom; everything else as flat values
         arrays[columns[i].name] = [];
     }
 
@@ -183,6 +245,7 @@ function load(contents, filename='xyz', shielding_tag='ms', efg_tag='efg', index
                 'S': function(s) { return String(s); },
                 'R': function(s) { return parseFloat(s); },
                 'I': function(s) { return parseInt(s); },
+                'L': function(s) { return ['T', 'TRUE'].includes(s.toUpperCase()); },
             }[col.type];
             
             for (let k = 0; k < col.n; ++k) {
@@ -193,34 +256,197 @@ function load(contents, filename='xyz', shielding_tag='ms', efg_tag='efg', index
             }
             
             // Convert 9-element real arrays into TensorData immediately for shielding/EFG
-            if (col.type === 'R' && col.n === 9 && (col.name === shielding_tag || col.name === efg_tag)) {
+            if (isTensor(col)) {
                 if (v.length !== 9) {
                     throw Error('Invalid tensor array for ' + col.name);
                 }
-                v = new TensorData([
+                arrays[col.name].push(new TensorData([
                     [v[0], v[1], v[2]],
                     [v[3], v[4], v[5]],
                     [v[6], v[7], v[8]]
-                ]);
+                ]));
             } else {
-                v = v.length > 1 ? v : v[0];
+                arrays[col.name].push(...v);
             }
-            
-            arrays[col.name].push(v);
         }
     }
 
     let a = new Atoms(elems, pos, cell, info);
     
     // Add all arrays to atoms object
-    for (let name in arrays) {
-        a.set_array(name, arrays[name]);
+    for (let c = 2; c < columns.length; ++c) {
+        let col = columns[c];
+        let arr = arrays[col.name];
+        if (!isTensor(col)) {
+            let shape = (col.n === 1)? [N] : [N, col.n];
+            arr = new PropertyArray(arr, column_dtypes[col.type], shape);
+        }
+        a.set_array(col.name, arr);
     }
 
-    let structs = {};
-    structs[filename] = a;
+    return a;
+}
 
-    return structs;
+// Find the Extended XYZ type and number of columns for a per-atom array;
+// returns null if it can't be represented as columns
+function columnType(arr) {
+
+    if (arr instanceof PropertyArray) {
+        return {type: _.findKey(column_dtypes, (t) => (t === arr.dtype)), n: arr.size};
+    }
+
+    if (arr.every((v) => (v instanceof TensorData))) {
+        return {type: 'R', n: 9};
+    }
+
+    let rows = arr.map((v) => (_.isArray(v)? v : [v]));
+    let n = rows[0].length;
+    if (n === 0 || rows.some((r) => (r.length !== n))) {
+        return null;
+    }
+
+    let flat = _.flatten(rows);
+    let type = null;
+    if (flat.every(_.isBoolean)) {
+        type = 'L';
+    } else if (flat.every(_.isFinite)) {
+        type = flat.every(Number.isInteger)? 'I' : 'R';
+    } else if (flat.every(_.isString)) {
+        type = 'S';
+    }
+
+    return type? {type: type, n: n} : null;
+}
+
+function formatValue(v, type) {
+    switch (type) {
+        case 'R':
+            return v.toFixed(8);
+        case 'L':
+            return v? 'T' : 'F';
+        case 'S':
+            // No whitespace allowed within a column
+            return String(v).replace(/\s+/g, '_') || '_';
+        default:
+            return String(v);
+    }
+}
+
+/**
+ * Write an Atoms object as an Extended XYZ file. The cell is stored in the
+ * Lattice property, and any per-atom array that can be represented as a
+ * fixed number of string, real, integer or logical columns is written in the
+ * Properties, with TensorData arrays stored as 9 real values per atom. Other
+ * arrays (for example, two-atom ones like 'isc') are skipped, and so are
+ * non-scalar info entries.
+ *
+ * @param {Atoms}  atoms  Structure to write
+ *
+ * @returns {string} Contents of the Extended XYZ file
+ */
+function write(atoms) {
+
+    let elems = atoms.get_array('symbols');
+    let pos = atoms.get_array('positions');
+    let N = elems.length;
+    let periodic = !atoms._pbc.includes(false);
+
+    let columns = [];
+    let props = 'species:S:1:pos:R:3';
+    for (let name in atoms._arrays) {
+        if (['symbols', 'numbers', 'positions'].includes(name) ||
+            !(/^[A-Za-z_]+$/.test(name))) {
+            continue;
+        }
+        let arr = atoms._arrays[name];
+        let ctype = columnType(arr);
+        if (ctype === null) {
+            continue;
+        }
+        props += ':' + name + ':' + ctype.type + ':' + ctype.n;
+        let values;
+        if (arr instanceof PropertyArray) {
+            values = _.chunk(Array.from(arr.data), ctype.n);
+        } else {
+            values = arr.map((v) => {
+                if (v instanceof TensorData) {
+                    return _.flatten(v.data);
+                }
+                return _.isArray(v)? v : [v];
+            });
+        }
+        columns.push({
+            'type': ctype.type,
+            'values': values
+        });
+    }
+
+    let comment = [];
+    if (periodic) {
+        comment.push('Lattice="' + _.flatten(atoms._cell).map((x) => x.toFixed(8)).join(' ') + '"');
+    }
+    comment.push('Properties=' + props);
+
+    _.forEach(atoms.info, (v, k) => {
+        if (['Lattice', 'Properties', 'pbc'].includes(k) || 
+            !(/^[A-Za-z_]+$/.test(k))) {
+            return;
+        }
+        if (_.isBoolean(v)) {
+            v = v? 'T' : 'F';
+        } else if (_.isFinite(v)) {
+            v = String(v);
+        } else if (_.isString(v)) {
+            v = v.replace(/"/g, '\'');
+            if (!(/^[A-Za-z0-9.:_-]+$/.test(v))) {
+                v = '"' + v + '"';
+            }
+        } else {
+            return;
+        }
+        comment.push(k + '=' + v);
+    });
+
+    comment.push('pbc="' + atoms._pbc.map((x) => (x? 'T' : 'F')).join(' ') + '"');
+
+    let lines = [String(N), comment.join(' ')];
+    for (let i = 0; i < N; ++i) {
+        let l = [elems[i]].concat(pos[i].map((x) => x.toFixed(8)));
+        columns.forEach((c) => {
+            l = l.concat(c.values[i].map((x) => formatValue(x, c.type)));
+        });
+        lines.push(l.join(' '));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Score how likely some contents are to be an XYZ file, from 0 to 1. An
+ * atom count followed by a Lattice= comment line is a sure sign of
+ * Extended XYZ; an atom count followed by lines of symbol and coordinates
+ * is likely plain XYZ.
+ *
+ * @param {string} contents     Contents of the file
+ *
+ * @returns {float} Score
+ */
+function detect(contents) {
+
+    let lines = _.split(_.trimStart(contents.slice(0, 4096)), '\n');
+    if (lines.length < 3 || !(/^\d+$/.test(_.trim(lines[0])))) {
+        return 0;
+    }
+    if (/Lattice=/.test(lines[1])) {
+        return 1.0;
+    }
+    let l = _.trim(lines[2]).split(/\s+/);
+    if (l.length >= 4 && /^[A-Za-z]{1,3}$/.test(l[0]) && 
+        l.slice(1, 4).every((x) => !isNaN(Number(x)))) {
+        return 0.6;
+    }
+
+    return 0;
 }
 
-export { load };
\ No newline at end of file
+export { load, loadTrajectory, write, detect };
\ No newline at end of file
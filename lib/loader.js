@@ -9,9 +9,66 @@ import * as CIF from './formats/cif.js';
 import * as XYZ from './formats/xyz.js';
 import * as Magres from './formats/magres.js';
 import * as CELL from './formats/cell.js';
+import * as POSCAR from './formats/poscar.js';
+import * as Cube from './formats/cube.js';
+import * as CASTEP from './formats/castep.js';
+import * as QE from './formats/qe.js';
+import * as PDB from './formats/pdb.js';
+import * as SDF from './formats/sdf.js';
+import * as SHELX from './formats/shelx.js';
+import * as ASE from './formats/ase.js';
+import * as DenFmt from './formats/den_fmt.js';
 
+import _ from 'lodash';
+import {
+    gunzipSync,
+    unzipSync,
+    strFromU8
+} from 'fflate';
 import { addStaticVar } from './utils.js';
 
+// Registry of the supported structure formats, filled with Loader.registerFormat
+const formats = {};
+
+// Find the registered format for a name or file extension
+function resolveFormat(name) {
+    if (name in formats) {
+        return name;
+    }
+    let f = _.findKey(formats, (spec) => spec.extensions.includes(name));
+    return f || null;
+}
+
+// View binary input (ArrayBuffer or typed array) as bytes, or return null
+// for anything else
+function asBytes(data) {
+    if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data);
+    }
+    if (ArrayBuffer.isView(data)) {
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    return null;
+}
+
+function isGzip(bytes) {
+    return bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+function isZip(bytes) {
+    // PK\x03\x04 starts a zip with members, PK\x05\x06 an empty one
+    return bytes.length > 3 && bytes[0] === 0x50 && bytes[1] === 0x4b &&
+        ((bytes[2] === 0x03 && bytes[3] === 0x04) || (bytes[2] === 0x05 && bytes[3] === 0x06));
+}
+
+// Decompress gzipped bytes, if they are
+function gunzip(bytes) {
+    while (isGzip(bytes)) {
+        bytes = gunzipSync(bytes);
+    }
+    return bytes;
+}
+
 /**
  * Loader - Object used to load various file types into Atoms objects and
  * store any status and error messages resulting from failure.
@@ -21,6 +78,8 @@ class Loader {
     constructor() {
         this._status = Loader.STATUS_UNUSED;
         this._error = '';
+        this._format = null;
+        this._candidates = [];
     }
 
     get status() {
@@ -32,58 +91,138 @@ class Loader {
     }
 
     /**
-     * Load file from its contents and format
+     * Format used in the last load, after resolving aliases and detection
+     * @readonly
+     * @type {String}
+     */
+    get format() {
+        return this._format;
+    }
+
+    /**
+     * Candidate formats found by the last detection, as a list of
+     * {format, score} objects sorted by decreasing score
+     * @readonly
+     * @type {Object[]}
+     */
+    get candidates() {
+        return this._candidates.map((c) => ({...c}));
+    }
+
+    /**
+     * Rank the supported formats by how likely they are to match the given
+     * file contents
+     *
+     * @param  {String} contents    File contents
+     * @return {Object[]}           List of {format, score} objects for the
+     *                              formats that could match, sorted by
+     *                              decreasing score (between 0 and 1)
+     */
+    detect(contents) {
+        let ranked = [];
+        for (let f in formats) {
+            let score = formats[f].detect ? formats[f].detect(contents) : 0;
+            if (score > 0) {
+                ranked.push({
+                    format: f,
+                    score: score
+                });
+            }
+        }
+
+        return _.sortBy(ranked, (c) => -c.score);
+    }
+
+    /**
+     * Pick the format of a file from its contents. If no format matches, or
+     * if more than one matches equally well, the status is set to error and
+     * null is returned; the ranked candidates can then be found in
+     * .candidates
      *
      * @param  {String} contents    File contents
-     * @param  {String} format      File extension
+     * @return {String}             Detected format, or null
+     */
+    detectFormat(contents) {
+
+        this._candidates = this.detect(contents);
+        this._format = null;
+
+        let c = this._candidates;
+        if (c.length === 0) {
+            this._status = Loader.STATUS_ERROR;
+            this._error = 'Could not detect file format';
+            return null;
+        }
+
+        let best = c.filter((x) => (x.score === c[0].score));
+        if (best.length > 1) {
+            this._status = Loader.STATUS_ERROR;
+            this._error = 'Ambiguous file format: could be any of ' + 
+                best.map((x) => x.format).join(', ');
+            return null;
+        }
+
+        this._format = c[0].format;
+        return this._format;
+    }
+
+    /**
+     * Load file from its contents and format
+     *
+     * @param  {String | ArrayBuffer | Uint8Array} contents    File contents.
+     *                              Binary contents are decompressed if
+     *                              gzipped, and read as UTF-8 text. For zip
+     *                              archives, use loadArchive()
+     * @param  {String} format      Format name or file extension, or 'auto'
+     *                              to detect it from the contents
      * @param  {String} filename    Name of the file. If provided, this will be
      *                              added as a prefix to all the names in the dictionary
-     * @param  {Object} [options]   Optional parser-specific options (e.g. {shielding_tag, efg_tag} for xyz)
-     * @return {Object}             Dictionary of parsed structure(s)
+     * @param  {Object} [options]   Parser-specific options, overriding the
+     *                              format's defaults (e.g. {shielding_tag,
+     *                              efg_tag, index, trajectory} for xyz,
+     *                              {periodic} for cube)
+     * @return {Object}             Dictionary of parsed structure(s). With
+     *                              the trajectory option, each value is an
+     *                              Array of Atoms objects, one per frame
      */
     load(contents, format='cif', filename=null, options={}) {
 
-        const parsers = {
-            cif: CIF,
-            xyz: XYZ,
-            magres: Magres,
-            cell: CELL
-        };
+        try {
+            contents = Loader.readText(contents);
+        } catch (err) {
+            this._status = Loader.STATUS_ERROR;
+            this._error = err.message || err;
+            return;
+        }
 
         format = format.toLowerCase();
-        // Treat extxyz as xyz
-        if (format === 'extxyz') {
-            format = 'xyz';
+        if (format === 'auto') {
+            format = this.detectFormat(contents);
+            if (format === null) {
+                return;
+            }
+        } else {
+            format = resolveFormat(format);
         }
 
         this._error = '';
 
-        if (!(format in parsers)) {
+        if (format === null) {
             throw Error('Invalid file format');
         }
 
+        this._format = format;
+
+        let spec = formats[format];
         let structs;
 
         try {
-            if (format === 'xyz') {
-                // Support shielding_tag, efg_tag, and index for xyz
-                const shielding = options.shielding_tag || 'ms';
-                const efg = options.efg_tag || 'efg';
-                const index = (typeof options.index === 'number') ? options.index : -1;
-                // Pass filename only if provided; otherwise let parser use its default
-                if (filename) {
-                    structs = parsers[format].load(contents, filename, shielding, efg, index);
-                } else {
-                    structs = parsers[format].load(contents, undefined, shielding, efg, index);
-                }
-            } else if (filename) {
-                structs = parsers[format].load(contents, filename);
-            } else {
-                structs = parsers[format].load(contents);
-            }
+            // Pass filename only if provided; otherwise let parser use its
+            // default. Options left undefined keep the format's defaults
+            structs = spec.load(contents, filename || undefined,
+                _.defaults({}, _.omitBy(options, _.isUndefined), spec.options));
         } catch (err) {
-            // For XYZ parsing, let errors propagate so callers/tests can catch them.
-            if (format === 'xyz') {
+            if (spec.throwErrors) {
                 throw err;
             }
             this._status = Loader.STATUS_ERROR;
@@ -95,14 +234,378 @@ class Loader {
 
         return structs;
     }
+
+    /**
+     * Load all the files in a zip archive, each with its own format. Members
+     * that are directories, or macOS metadata, are skipped.
+     *
+     * @param  {ArrayBuffer | Uint8Array} data  Archive contents (can be
+     *                              gzipped as well)
+     * @param  {String} format      Format name or file extension for all the
+     *                              members, or 'auto' to use each member's
+     *                              extension, or detect its format from the
+     *                              contents if the extension is not known
+     * @param  {String} filename    Name of the archive. If provided, it's
+     *                              added as a prefix to the member paths
+     * @param  {Object} [options]   Parser-specific options, as in load()
+     * @return {Object[]}           One object per member, in the archive's
+     *                              order, with the member's name (its path,
+     *                              used as prefix for its structures), its
+     *                              format and text contents, and either its
+     *                              dictionary of `structures` or its `error`
+     *                              message
+     */
+    loadArchive(data, format='auto', filename=null, options={}) {
+
+        let members;
+        try {
+            members = Loader.unpackArchive(data);
+        } catch (err) {
+            this._status = Loader.STATUS_ERROR;
+            this._error = err.message || err;
+            return;
+        }
+
+        format = format.toLowerCase();
+
+        let results = _.map(members, (contents, path) => {
+
+            let name = filename? filename + '/' + path : path;
+            let fmt = (format === 'auto' && Loader.formatFromFilename(path)) || format;
+
+            let result = {
+                name: name,
+                format: null,
+                contents: contents
+            };
+
+            try {
+                let structs = this.load(contents, fmt, name, options);
+                result.format = this._format;
+                if (this._status === Loader.STATUS_ERROR) {
+                    result.error = this._error;
+                } else {
+                    result.structures = structs;
+                }
+            } catch (err) {
+                result.error = err.message || String(err);
+            }
+
+            return result;
+        });
+
+        this._error = '';
+        this._format = null;
+        this._status = Loader.STATUS_SUCCESS;
+
+        return results;
+    }
+
+    /**
+     * Load volumetric data (and atoms, if the format contains them) from a
+     * file's contents and format
+     *
+     * @param  {String | ArrayBuffer | Uint8Array} contents    File contents,
+     *                              possibly gzipped
+     * @param  {String} format      File extension (cube, den_fmt or chdiff_fmt)
+     * @param  {Object} [options]   Options: {periodic} for cube files,
+     *                              whether the grid spans the unit cell of
+     *                              a periodic system (default false).
+     *                              CASTEP grids are always periodic
+     * @return {Object}             Object with the Atoms (or null) in `atoms`
+     *                              and a dictionary of VolumetricData
+     *                              objects in `grids`
+     */
+    loadVolumetric(contents, format='cube', options={}) {
+
+        const parsers = {
+            cube: Cube,
+            den_fmt: DenFmt
+        };
+
+        const aliases = {
+            chdiff_fmt: 'den_fmt'
+        };
+
+        format = format.toLowerCase();
+        if (format in aliases) {
+            format = aliases[format];
+        }
+
+        this._error = '';
+
+        if (!(format in parsers)) {
+            throw Error('Invalid file format');
+        }
+
+        let vol;
+
+        try {
+            contents = Loader.readText(contents);
+            vol = (format === 'cube')? Cube.loadVolumetric(contents, !!options.periodic) :
+                parsers[format].loadVolumetric(contents);
+        } catch (err) {
+            this._status = Loader.STATUS_ERROR;
+            this._error = err.message || err;
+            return;
+        }
+
+        this._status = Loader.STATUS_SUCCESS;
+
+        return vol;
+    }
 }
 
+/**
+ * Register a new structure format, making it available to all Loaders (and
+ * to CrystVis.loadModels) by its name or any of its extensions
+ *
+ * @param  {String}   name              Name of the format
+ * @param  {Object}   spec              Format specification:
+ *
+ *  - `load(contents, filename, options)`: function parsing the file contents
+ *    and returning a dictionary of Atoms objects. `filename` may be undefined,
+ *    in which case the parser picks a default name
+ *  - `detect(contents)`: optional function scoring, from 0 to 1, how likely
+ *    the contents are to be in this format, used by `load(contents, 'auto')`
+ *  - `extensions`: optional list of file extensions that also refer to this
+ *    format
+ *  - `options`: optional dictionary of default options for `load`
+ *  - `throwErrors`: if true, errors in `load` are thrown instead of being
+ *    stored in the Loader's status
+ */
+Loader.registerFormat = function(name, spec) {
+
+    name = name.toLowerCase();
+
+    if (name === 'auto') {
+        throw Error('Invalid format name');
+    }
+    if (!spec || !_.isFunction(spec.load)) {
+        throw Error('Format ' + name + ' must provide a load function');
+    }
+    if (name in formats) {
+        throw Error('Format ' + name + ' is already registered');
+    }
+
+    formats[name] = {
+        load: spec.load,
+        detect: spec.detect || null,
+        extensions: _.uniq((spec.extensions || []).map((e) => e.toLowerCase())),
+        options: _.clone(spec.options || {}),
+        throwErrors: !!spec.throwErrors,
+        builtin: false
+    };
+};
+
+/**
+ * Remove a registered structure format
+ *
+ * @param  {String}   name              Name of the format
+ */
+Loader.unregisterFormat = function(name) {
+
+    name = name.toLowerCase();
+
+    if (!(name in formats)) {
+        throw Error('Format ' + name + ' is not registered');
+    }
+
+    delete formats[name];
+};
+
+/**
+ * Names of all the registered structure formats, with their extensions,
+ * default options and whether they are built into crystvis-js (and so also
+ * available to Web Workers) or were added with `registerFormat()`
+ *
+ * @return {Object}   Dictionary of {extensions, options, builtin} by format
+ *                    name
+ */
+Loader.formats = function() {
+    return _.mapValues(formats, (spec) => ({
+        extensions: Array.from(spec.extensions),
+        options: _.cloneDeep(spec.options),
+        builtin: spec.builtin
+    }));
+};
+
+/**
+ * Find which registered format a name or file extension refers to
+ *
+ * @param  {String}   ext               Format name or file extension
+ *
+ * @return {String}   Name of the format, or null if none matches
+ */
+Loader.formatFromExtension = function(ext) {
+    return resolveFormat(ext.toLowerCase());
+};
+
+/**
+ * Check whether some binary contents are a zip archive (possibly gzipped)
+ *
+ * @param  {String | ArrayBuffer | Uint8Array} data  File contents
+ *
+ * @return {Boolean}  True for zip archives
+ */
+Loader.isArchive = function(data) {
+    let bytes = asBytes(data);
+    return bytes !== null && isZip(gunzip(bytes));
+};
+
+/**
+ * Read the text of a file given as binary contents, decompressing it first
+ * if it's gzipped. Strings are returned unchanged.
+ *
+ * @param  {String | ArrayBuffer | Uint8Array} data  File contents
+ *
+ * @return {String}   Text of the file
+ */
+Loader.readText = function(data) {
+
+    if (typeof data === 'string') {
+        return data;
+    }
+
+    let bytes = asBytes(data);
+    if (bytes === null) {
+        throw Error('Invalid file contents: expected a string, ArrayBuffer or Uint8Array');
+    }
+
+    bytes = gunzip(bytes);
+    if (isZip(bytes)) {
+        throw Error('File is a zip archive: its members must be loaded with loadArchive()');
+    }
+
+    return strFromU8(bytes);
+};
+
+/**
+ * Extract the text of all the files in a zip archive. Directories and
+ * macOS metadata (__MACOSX/) are skipped, and gzipped members are
+ * decompressed.
+ *
+ * @param  {ArrayBuffer | Uint8Array} data  Archive contents
+ *
+ * @return {Object}   Dictionary of file contents by path in the archive
+ */
+Loader.unpackArchive = function(data) {
+
+    let bytes = asBytes(data);
+    if (bytes === null || !isZip(bytes = gunzip(bytes))) {
+        throw Error('Invalid zip archive');
+    }
+
+    let files = unzipSync(bytes, {
+        filter: (f) => !(f.name.endsWith('/') || f.name.startsWith('__MACOSX/'))
+    });
+
+    return _.mapValues(files, (b) => strFromU8(gunzip(b)));
+};
+
+/**
+ * Find which registered format a file name refers to, from its extension
+ * (ignoring a final .gz)
+ *
+ * @param  {String}   filename          File name or path
+ *
+ * @return {String}   Name of the format, or null if none matches
+ */
+Loader.formatFromFilename = function(filename) {
+    let m = /\.([^./\\]+)$/.exec(filename.replace(/\.gz$/i, ''));
+    return m? resolveFormat(m[1].toLowerCase()) : null;
+};
+
 // Define static properties old style, for better compatibility
 addStaticVar(Loader, 'STATUS_UNUSED', -1);
 addStaticVar(Loader, 'STATUS_SUCCESS', 0);
 addStaticVar(Loader, 'STATUS_ERROR', 1);
 
 
+// Built-in formats
+Loader.registerFormat('cif', {
+    load: CIF.load,
+    detect: CIF.detect,
+    extensions: ['mcif']
+});
+Loader.registerFormat('xyz', {
+    load: (contents, filename, options) => (options.trajectory?
+        XYZ.loadTrajectory(contents, filename, options.shielding_tag, options.efg_tag) :
+        XYZ.load(contents, filename, options.shielding_tag, options.efg_tag, options.index)),
+    detect: XYZ.detect,
+    extensions: ['extxyz'],
+    options: {
+        shielding_tag: 'ms',
+        efg_tag: 'efg',
+        index: -1,
+        // If true, load all frames as a trajectory
+        trajectory: false
+    },
+    // Let errors (e.g. invalid frame indices) propagate to the caller
+    throwErrors: true
+});
+Loader.registerFormat('magres', {
+    load: Magres.load,
+    detect: Magres.detect
+});
+Loader.registerFormat('cell', {
+    load: CELL.load,
+    detect: CELL.detect
+});
+Loader.registerFormat('poscar', {
+    load: POSCAR.load,
+    detect: POSCAR.detect,
+    extensions: ['contcar', 'vasp']
+});
+Loader.registerFormat('cube', {
+    load: (contents, filename, options) => Cube.load(contents, filename, options.periodic),
+    detect: Cube.detect,
+    options: {
+        // If true, the grid spans the unit cell of a periodic system
+        periodic: false
+    }
+});
+Loader.registerFormat('castep', {
+    load: (contents, filename, options) => (options.trajectory?
+        CASTEP.loadTrajectory(contents, filename) :
+        CASTEP.load(contents, filename, options.index)),
+    detect: CASTEP.detect,
+    options: {
+        index: -1,
+        // If true, load all ionic steps as a trajectory
+        trajectory: false
+    },
+    throwErrors: true
+});
+Loader.registerFormat('qe', {
+    load: QE.load,
+    detect: QE.detect,
+    extensions: ['pwi', 'pwo']
+});
+Loader.registerFormat('pdb', {
+    load: PDB.load,
+    detect: PDB.detect,
+    extensions: ['ent']
+});
+Loader.registerFormat('sdf', {
+    load: SDF.load,
+    detect: SDF.detect,
+    extensions: ['mol', 'sd']
+});
+Loader.registerFormat('shelx', {
+    load: SHELX.load,
+    detect: SHELX.detect,
+    extensions: ['res', 'ins']
+});
+Loader.registerFormat('ase', {
+    load: ASE.load,
+    detect: ASE.detect,
+    extensions: ['json']
+});
+_.forEach(formats, (spec) => {
+    spec.builtin = true;
+});
+
 export {
     Loader
 }
\ No newline at end of file
@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * @fileoverview Functions to measure distances, angles and dihedral angles
+ * between points, and Measurement class to keep track of one made on the
+ * atoms of a Model.
+ * @module
+ */
+
+import _ from 'lodash';
+import * as mjs from 'mathjs';
+
+// Types of measurement, by number of atoms
+const types = {
+    2: 'distance',
+    3: 'angle',
+    4: 'dihedral'
+};
+
+/**
+ * Distance between two points
+ *
+ * @param  {float[]} p1     First point
+ * @param  {float[]} p2     Second point
+ *
+ * @return {float}          Distance
+ */
+function distance(p1, p2) {
+    return mjs.norm(mjs.subtract(p2, p1));
+}
+
+/**
+ * Angle between three points, with the second one at the vertex
+ *
+ * @param  {float[]} p1     First point
+ * @param  {float[]} p2     Vertex
+ * @param  {float[]} p3     Third point
+ *
+ * @return {float}          Angle, in degrees
+ */
+function angle(p1, p2, p3) {
+    let v1 = mjs.subtract(p1, p2);
+    let v2 = mjs.subtract(p3, p2);
+    let n = mjs.norm(v1)*mjs.norm(v2);
+    if (n === 0) {
+        throw Error('Angle is undefined for coinciding points');
+    }
+    let c = _.clamp(mjs.dot(v1, v2)/n, -1, 1);
+    return Math.acos(c)*180.0/Math.PI;
+}
+
+/**
+ * Dihedral angle between four points: the angle between the plane of the
+ * first three and that of the last three, positive if clockwise looking from
+ * the second point towards the third (IUPAC convention)
+ *
+ * @param  {float[]} p1     First point
+ * @param  {float[]} p2     Second point
+ * @param  {float[]} p3     Third point
+ * @param  {float[]} p4     Fourth point
+ *
+ * @return {float}          Angle, in degrees, between -180 and 180
+ */
+function dihedral(p1, p2, p3, p4) {
+    let b1 = mjs.subtract(p2, p1);
+    let b2 = mjs.subtract(p3, p2);
+    let b3 = mjs.subtract(p4, p3);
+    let n1 = mjs.cross(b1, b2);
+    let n2 = mjs.cross(b2, b3);
+    if (mjs.norm(n1) === 0 || mjs.norm(n2) === 0) {
+        throw Error('Dihedral angle is undefined for collinear points');
+    }
+    let y = mjs.norm(b2)*mjs.dot(b1, n2);
+    let x = mjs.dot(n1, n2);
+    return Math.atan2(y, x)*180.0/Math.PI;
+}
+
+/** A measurement of the distance, angle or dihedral angle between atoms of a Model */
+class Measurement {
+
+    /**
+     * Create a Measurement between two (distance), three (angle) or four
+     * (dihedral angle) atoms of a model. Atoms are identified by their index
+     * and the cell of the periodic copy used, so that the measurement follows
+     * them when they move (e.g. with the frames of a trajectory) or when the
+     * model is reloaded with a different supercell. Measurements made with
+     * the minimum image convention use, for each atom after the first, the
+     * periodic copy closest to the atom before it, instead of the given one.
+     *
+     * @param  {Model}   model          Model the atoms belong to
+     * @param  {Array}   atoms          List of [index, ijk] pairs
+     * @param  {bool}    minimumImage   Whether to use the minimum image
+     *                                  convention
+     * @param  {Object}  parameters     Parameters for how it is drawn (see
+     *                                  Model.addMeasurement)
+     */
+    constructor(model, atoms, minimumImage = false, parameters = {}) {
+
+        if (!(atoms.length in types)) {
+            throw Error('Measurements need two, three or four atoms');
+        }
+
+        this._model = model;
+        this._atoms = atoms.map(([i, ijk]) => [i, Array.from(ijk)]);
+        this._mic = minimumImage;
+        this._parameters = _.cloneDeep(parameters);
+        this._mesh = null;
+    }
+
+    /**
+     * Model the atoms belong to
+     * @readonly
+     * @type {Model}
+     */
+    get model() {
+        return this._model;
+    }
+
+    /**
+     * Atoms measured, as [index, ijk] pairs
+     * @readonly
+     * @type {Array}
+     */
+    get atoms() {
+        return _.cloneDeep(this._atoms);
+    }
+
+    /**
+     * Whether the minimum image convention is used
+     * @readonly
+     * @type {bool}
+     */
+    get minimumImage() {
+        return this._mic;
+    }
+
+    /**
+     * Parameters for how the measurement is drawn
+     * @readonly
+     * @type {Object}
+     */
+    get parameters() {
+        return _.cloneDeep(this._parameters);
+    }
+
+    /**
+     * Type of measurement: 'distance', 'angle' or 'dihedral'
+     * @readonly
+     * @type {String}
+     */
+    get type() {
+        return types[this._atoms.length];
+    }
+
+    /**
+     * Cartesian positions of the atoms measured
+     * @readonly
+     * @type {Array}
+     */
+    get points() {
+        return this._model._measurePoints(this._atoms, this._mic);
+    }
+
+    /**
+     * Value of the measurement: distance in Angstrom, or angle in degrees
+     * @readonly
+     * @type {float}
+     */
+    get value() {
+        let p = this.points;
+        switch (this.type) {
+            case 'distance':
+                return distance(p[0], p[1]);
+            case 'angle':
+                return angle(p[0], p[1], p[2]);
+            default:
+                return dihedral(p[0], p[1], p[2], p[3]);
+        }
+    }
+
+    /**
+     * Text of the label drawn with the measurement: its value with three
+     * decimals for distances and one for angles, unless the parameters set
+     * a different precision or a function to make the label from the value
+     * @readonly
+     * @type {String}
+     */
+    get label() {
+        let v = this.value;
+        let lab = this._parameters.label;
+        if (_.isFunction(lab)) {
+            return String(lab(v));
+        }
+        let precision = this._parameters.precision;
+        if (precision === undefined) {
+            precision = (this.type === 'distance')? 3 : 1;
+        }
+        return v.toFixed(precision);
+    }
+}
+
+export {
+    distance,
+    angle,
+    dihedral,
+    Measurement
+};
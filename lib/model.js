@@ -23,6 +23,28 @@ import {
 import {
     ModelView as ModelView
 } from './modelview.js';
+import {
+    Writer as Writer
+} from './writer.js';
+import {
+    VolumetricData as VolumetricData
+} from './volumetric.js';
+import {
+    PropertyArray as PropertyArray
+} from './property.js';
+import {
+    CellList as CellList
+} from './neighbours.js';
+import {
+    BondList as BondList
+} from './bonds.js';
+import {
+    ModelEditor as ModelEditor,
+    EditHistory as EditHistory
+} from './editor.js';
+import {
+    Measurement as Measurement
+} from './measurement.js';
 
 
 const LABEL_HEIGHT = 0.04; // For now fixed, just a value that works
@@ -49,23 +71,10 @@ class AtomImage {
         this._img_index = utils.supercellIndex(index, this._ijk,
             model.supercell, model.length);
 
-        this._xyz0 = model._positions[index];
-
         this._bondsFrom = []; // BondImages of bonds for which this is atom1
         this._bondsTo = []; // BondImages of bonds for which this is atom2
 
-        if (!model.periodic) {
-            this._fxyz0 = null;
-            this._fxyz = null;
-            this._xyz = this._xyz0;
-        } else {
-            this._fxyz0 = model._scaled_positions[index];
-            this._fxyz = [this._fxyz0[0] + ijk[0],
-                this._fxyz0[1] + ijk[1],
-                this._fxyz0[2] + ijk[2]
-            ];
-            this._xyz = mjs.multiply(this._fxyz, model._cell);
-        }
+        this._updatePosition();
 
         this._isotope = null; // By default look up the model
 
@@ -75,7 +84,8 @@ class AtomImage {
         this._uses_cpk = true;
         this._base_radius = this.vdwRadius / 4.0;
         this._scale = 1.0;
-        this._opacity = 1.0;
+        // Partially occupied sites are drawn as partially transparent
+        this._opacity = this.occupancy;
         this._highlighted = false;
 
         this._mesh = null; // Will be created when first requested
@@ -83,6 +93,37 @@ class AtomImage {
 
         this._labels = {};
         this._ellipsoids = {};
+        this._vectors = {};
+    }
+
+    /**
+     * Compute the position of the image from the model's, and move its mesh
+     * (if any) there. For internal use
+     * @private
+     */
+    _updatePosition() {
+
+        var model = this._model;
+        var ijk = this._ijk;
+
+        this._xyz0 = model._positions[this._index];
+
+        if (!model.periodic) {
+            this._fxyz0 = null;
+            this._fxyz = null;
+            this._xyz = this._xyz0;
+        } else {
+            this._fxyz0 = model._scaled_positions[this._index];
+            this._fxyz = [this._fxyz0[0] + ijk[0],
+                this._fxyz0[1] + ijk[1],
+                this._fxyz0[2] + ijk[2]
+            ];
+            this._xyz = mjs.multiply(this._fxyz, model._cell);
+        }
+
+        if (this._mesh) {
+            this._mesh.position.set(this._xyz[0], this._xyz[1], this._xyz[2]);
+        }
     }
 
     /**
@@ -163,6 +204,26 @@ class AtomImage {
         return this._model._labels[this._index];
     }
 
+    /**
+     * Site occupancy of this atom (1 if not available)
+     * @readonly
+     * @type {float}
+     */
+    get occupancy() {
+        let occ = this._model._occupancies;
+        return occ? occ[this._index] : 1.0;
+    }
+
+    /**
+     * Disorder group of this atom (null if not disordered)
+     * @readonly
+     * @type {*}
+     */
+    get disorderGroup() {
+        let dgrp = this._model._disorder_groups;
+        return dgrp? dgrp[this._index] : null;
+    }
+
     /**
      * Periodic table information for this atom's element
      * @readonly
@@ -316,21 +377,23 @@ class AtomImage {
     }
 
     /** 
-     * Fractional coordinates of this atom's original
+     * Fractional coordinates of this atom's original (null if the model
+     * is not periodic)
      * @readonly
      * @type {float[]}
      */
     get fxyz0() {
-        return Array.from(this._fxyz0);
+        return this._fxyz0 ? Array.from(this._fxyz0) : null;
     }
 
     /** 
-     * Fractional coordinates of this atom image
+     * Fractional coordinates of this atom image (null if the model is not
+     * periodic)
      * @readonly
      * @type {float[]}
      */
     get fxyz() {
-        return Array.from(this._fxyz);
+        return this._fxyz ? Array.from(this._fxyz) : null;
     }
 
     /** 
@@ -352,6 +415,9 @@ class AtomImage {
         if (!this._mesh && r) {
             this._mesh = new r.Primitives.AtomMesh(this._xyz, this.radius, this._color);
             this._mesh.image = this;
+            if (this._opacity < 1) {
+                this._mesh.atom_opacity = this._opacity;
+            }
         }
         return this._mesh;
     }
@@ -624,7 +690,7 @@ class AtomImage {
 
         if (parameters.ditherSeed == null) {
             // As long as it's consistent for a given atom, the actual value is irrelevant
-            let seed = utils.hashCode(this._fxyz + name);
+            let seed = utils.hashCode((this._fxyz || this._xyz) + name);
             parameters.ditherSeed = seed/4294967295.0; // Reduce to ]0.5,-0.5]
         }
 
@@ -664,6 +730,60 @@ class AtomImage {
         }
     }
 
+    /**
+     * Add an arrow representing a vector (e.g. a magnetic moment or a force)
+     * to the atom.
+     * 
+     * @param {Array}   data        Cartesian components of the vector
+     * @param {String}  name        Name of the arrow
+     * @param {Object}  parameters  Additional options to pass (see ArrowMesh)
+     */
+    addVector(data, name, parameters = {}) {
+        this.removeVector(name);
+
+        parameters = _.clone(parameters); // Avoid editing the reference object
+        parameters.vector = Array.from(data);
+        parameters.labelParameters = _.merge({
+            height: LABEL_HEIGHT
+        }, parameters.labelParameters);
+
+        var r = this.renderer;
+        if (r) {
+            var arrow = new r.Primitives.ArrowMesh(parameters);
+            this._vectors[name] = arrow;
+            this.mesh.add(arrow);
+        }
+    }
+
+    /**
+     * Remove the arrow with a given name
+     * 
+     * @param {String}  name     Name of the arrow
+     */
+    removeVector(name) {
+        let l = this._vectors[name];
+        if (l && this._mesh)
+            this._mesh.remove(l);
+        delete this._vectors[name];
+    }
+
+    /**
+     * Retrieve or set an arrow's properties
+     * 
+     * @param {String}  name     Name of the arrow
+     * @param {String}  property Property to set
+     * @param {?}       value    Value to set. If omitted, returns the current
+     *                           value instead.
+     */
+    vectorProperty(name, property, value = null) {
+        // Falsy values such as 0 (black, or a null length) can be set too
+        if (value !== null && value !== undefined) {
+            this._vectors[name][property] = value;
+        } else {
+            return this._vectors[name][property];
+        }
+    }
+
     /**
      * Get the value for one array for this image
      * @param  {String} name    Name of the array
@@ -722,6 +842,20 @@ class BondImage {
 
     }
 
+    /**
+     * Recompute the length of the bond after its atoms have moved, and move
+     * its mesh (if any) accordingly. For internal use
+     * @private
+     */
+    _updatePosition() {
+
+        this._length = mjs.distance(this._im1.xyz, this._im2.xyz);
+
+        if (this._mesh) {
+            this._mesh.setEndpoints(this._im1.xyz, this._im2.xyz);
+        }
+    }
+
     /**
      * Model this bond belongs to
      * @readonly
@@ -781,6 +915,16 @@ class BondImage {
         return this._length;
     }
 
+    /**
+     * Bond order, as read from the file (e.g. 2 for double bonds, 1.5 for
+     * aromatic ones). Bonds found from distances only have order 1
+     * @readonly
+     * @type {float}
+     */
+    get order() {
+        return this._model._bondOrder(this._im1.index, this._im2.index);
+    }
+
     /**
      * Mesh corresponding to this bond image
      * @readonly
@@ -792,6 +936,13 @@ class BondImage {
             this._mesh = new r.Primitives.BondMesh(this.atom1.xyz, this.atom2.xyz,
                 this._radius,
                 this.atom1.color, this.atom2.color);
+            // Match partially transparent atoms
+            if (this.atom1.opacity < 1) {
+                this._mesh.bond_opacity_1 = this.atom1.opacity;
+            }
+            if (this.atom2.opacity < 1) {
+                this._mesh.bond_opacity_2 = this.atom2.opacity;
+            }
         }
         return this._mesh;
     }
@@ -910,21 +1061,79 @@ class Model {
      *                                        one with non-zero spin)
      * - `vdwScaling` (scale van der Waals radii by a constant factor)
      * - `vdwElementScaling` (table of per-element factors to scale VdW radii by)
-     */
-    constructor(atoms, parameters = {}) {
+     * - `explicitBonds` (how to use bonds listed in the file, e.g. PDB CONECT
+     *                    records or MOL bond blocks: 'override' uses only
+     *                    those, 'augment' adds them to the ones found from
+     *                    distances, 'ignore' uses distances only. The default,
+     *                    'auto', overrides for files that list all bonds, like
+     *                    MOL/SDF, and augments otherwise)
+     * - `bondingRules` (how bonds are found from distances, as an object with:
+     *                   `mode`, 'vdw' to bond atoms closer than the mean of
+     *                   their van der Waals radii (the default) or 'covalent'
+     *                   to bond those closer than the sum of their covalent
+     *                   radii plus `tolerance` (default 0.45 Angstrom); `pairs`,
+     *                   [min, max] distances for pairs of elements, like
+     *                   {'Si-O': [1.4, 1.9]}, used instead of the radii; and
+     *                   `exclude`, a list of elements that never bond)
+     * @param {Object}          build       Options for how the model is built:
+     *
+     * - `onProgress` (function called as onProgress(stage) before each
+     *                 expensive step; stages are 'bonds' and 'molecules')
+     * - `geometry` (bonds and molecules computed in advance for the same
+     *               atoms and parameters, as returned by `_geometry()`. Used
+     *               to skip their computation, e.g. when it was done in a
+     *               Web Worker)
+     * - `bondOverrides` (bonds added or removed by hand, as returned by
+     *                    `bondOverrides` for a model of the same atoms)
+     * - `measurements` (measurements to draw, by name, as objects with the
+     *                  `atoms`, `minimumImage` and `parameters` of those of
+     *                  a model of the same atoms)
+     */
+    constructor(atoms, parameters = {}, build = {}) {
 
         var defaults = {
             supercell: [1, 1, 1],
             molecularCrystal: false,
             useNMRActiveIsotopes: false,
             vdwScaling: 1.0,
-            vdwElementScaling: {}
+            vdwElementScaling: {},
+            explicitBonds: 'auto',
+            bondingRules: {
+                mode: 'vdw',
+                tolerance: 0.45,
+                pairs: {},
+                exclude: []
+            }
         };
 
         parameters = _.merge(defaults, parameters);
 
+        if (!['auto', 'override', 'augment', 'ignore'].includes(parameters.explicitBonds)) {
+            throw new Error('Invalid value for explicitBonds: ' + parameters.explicitBonds);
+        }
+
+        var rules = parameters.bondingRules;
+        if (!['vdw', 'covalent'].includes(rules.mode)) {
+            throw new Error('Invalid bonding mode: ' + rules.mode);
+        }
+        _.forEach(rules.pairs, function(range, key) {
+            if (key.split('-').length !== 2 || !(range instanceof Array) || range.length !== 2 ||
+                !(range[0] <= range[1])) {
+                throw new Error('Invalid bonding range for ' + key);
+            }
+        });
+
+        this._parameters = _.cloneDeep(parameters); // Used for edited models
         this._vdwScaling = parameters.vdwScaling;
         this._vdwElementScaling = parameters.vdwElementScaling;
+        this._explicitBonds = parameters.explicitBonds;
+        this._bonding_rules = rules;
+        this._bond_overrides = _.cloneDeep(build.bondOverrides || []);
+        this._molecularCrystal = false;
+        this._history = null; // Created when needed
+
+        const geometry = build.geometry || null;
+        const onProgress = build.onProgress || (() => {});
 
         const initMolecules = ((atoms, supercell) => {
 
@@ -954,6 +1163,7 @@ class Model {
             });
             this._nums = this._atoms_base._arrays['numbers'];
             this._positions = this._atoms_base._arrays['positions'];
+            this._cell_list = null; // Built when needed for neighbour searches
             this._cell = this._atoms_base._cell;
             this._pbc = this._atoms_base._pbc;
             this._periodic = !this._pbc.includes(false);
@@ -1015,22 +1225,14 @@ class Model {
                 return c;
             });
 
-            if (this._periodic) {
-                // R matrix: indispensable for calculations of periodic distances
-                this._r_matrix = mjs.multiply(this._cell, mjs.transpose(this._cell));
-                var ediag = mjs.eigs(this._r_matrix);
-                // Sort by eigenvalue 
-                var evecs = ediag.eigenvectors.map(e => e.vector);
-                ediag = _.zip(ediag.values, evecs);
-                ediag = _.sortBy(ediag, function(x) {
-                    return x[0];
-                });
-                ediag = _.unzip(ediag);
+            // Site occupancies and disorder groups, if any (e.g. from CIF
+            // files)
+            this._occupancies = this._atoms_base._arrays['occupancy'] || null;
+            this._disorder_groups = this._atoms_base._arrays['disorder_group'] || null;
+            this._disorder_assemblies = this._atoms_base._arrays['disorder_assembly'] || null;
 
-                this._r_diag = {
-                    values: ediag[0],
-                    vectors: ediag[1],
-                };
+            if (this._periodic) {
+                this._computeCellMatrices();
 
                 this._supercell = supercell; // Default
                 this._supercell_grid = utils.supercellGrid(supercell);
@@ -1040,21 +1242,41 @@ class Model {
             // Compile all images for this supercell
             this._atom_images = this._atomImages();
 
-            this._computeBonds();
-            this._computeMolecules();
-
+            if (geometry) {
+                this._bonds = geometry.bonds;
+                this._bond_orders = geometry.bondOrders;
+                this._molecules = geometry.molecules;
+                this._molinds = geometry.molinds;
+            } else {
+                onProgress('bonds');
+                this._computeBonds();
+                onProgress('molecules');
+                this._computeMolecules();
+            }
 
         }).bind(this);
 
+        // Cells by which atoms were moved to complete molecules, if any
+        var shifts = null;
+
+        if (geometry && geometry.molecularCrystal) {
+            // Positions were already moved to complete the molecules
+            this._molecularCrystal = true;
+            atoms = utils.cloneAtoms(atoms);
+            atoms.set_array('positions', geometry.positions);
+        }
+
         initMolecules(atoms, parameters.supercell);
 
         // if parameters.molecularCrystal, is null, we need to check if the atoms 
-        // contains organic molecules -- i.e. if there is at least one  C-H bond
-        if (parameters.molecularCrystal || (parameters.molecularCrystal === null &&
-            this._queryCHBond())) {
+        // contains organic molecules -- i.e. if there is at least one  C-H bond.
+        // Without periodicity molecules are always whole, so there's nothing to do
+        if (!geometry && this._periodic && (parameters.molecularCrystal || 
+            (parameters.molecularCrystal === null && this._queryCHBond()))) {
             this._molecularCrystal = true;
-            atoms = _.cloneDeep(atoms);
+            atoms = utils.cloneAtoms(atoms);
             var pos = this.positions;
+            shifts = [];
             for (let i = 0; i < this.length; ++i) {
                 let mol_i = this._molinds[i];
                 let mol = this._molecules[mol_i];
@@ -1062,16 +1284,32 @@ class Model {
                     var a = mol[j];
                     if (a.index == i) {
                         pos[i] = mjs.add(pos[i], this.fracToAbs(a.cell));
+                        shifts[i] = a.cell;
                     }
                 }
             }
 
+            // Bonds added or removed by hand now go to different cells
+            this._bond_overrides = this._bond_overrides.map(([i, j, c, bonded]) => {
+                return [i, j, [0, 1, 2].map((k) => c[k] - shifts[j][k] + shifts[i][k]), bonded];
+            });
+
             atoms.set_array('positions', pos);
             initMolecules(atoms, parameters.supercell);
         }
 
         this._primitives = {}; // Any additional primitives drawn on this model
 
+        // Measurements, with cells changed like those of the bonds if atoms
+        // were moved
+        this._measurements = {};
+        _.forEach(build.measurements || {}, (m, name) => {
+            var atoms = m.atoms.map(([i, c]) => {
+                return [i, shifts? [0, 1, 2].map((k) => c[k] - shifts[i][k]) : c];
+            });
+            this._measurements[name] = new Measurement(this, atoms, m.minimumImage, m.parameters);
+        });
+
         this._bond_images = this._bondImages();
 
         // A special ModelView for convenience
@@ -1087,6 +1325,7 @@ class Model {
             'sphere': this._querySphere,
             'bonded': this._queryBonded,
             'molecule': this._queryMolecule,
+            'disorder': this._queryDisorder,
         }, this);
 
         // By default no rendering
@@ -1168,6 +1407,19 @@ class Model {
         return this._atoms_base.info;
     }
 
+    /**
+     * Metadata of the calculation the model's data comes from (code,
+     * exchange-correlation functional, cutoff, k-points, pseudopotentials...),
+     * as read from the calculation block of Magres files, or null if not
+     * available. See the Magres loader for its properties
+     * @readonly
+     * @type {Object}
+     */
+    get calculation() {
+        let calc = this._atoms_base.info['magres-calculation'];
+        return calc? _.cloneDeep(calc) : null;
+    }
+
     /**
      * Whether this model is periodic in all three directions of space
      * @readonly
@@ -1195,6 +1447,34 @@ class Model {
         return Array.from(this._labels);
     }
 
+    /**
+     * Site occupancies of each atom, or null if not available
+     * @readonly
+     * @type {float[]}
+     */
+    get occupancies() {
+        return this._occupancies? Array.from(this._occupancies) : null;
+    }
+
+    /**
+     * Disorder groups of each atom (null for atoms that are not disordered),
+     * or null if not available
+     * @readonly
+     * @type {Array}
+     */
+    get disorderGroups() {
+        return this._disorder_groups? Array.from(this._disorder_groups) : null;
+    }
+
+    /**
+     * Disorder assemblies of each atom, or null if not available
+     * @readonly
+     * @type {Array}
+     */
+    get disorderAssemblies() {
+        return this._disorder_assemblies? Array.from(this._disorder_assemblies) : null;
+    }
+
     /**
      * Shape of the supercell for this model
      * @readonly
@@ -1249,6 +1529,27 @@ class Model {
         return this._cartesian_box;
     }
 
+    /**
+     * Rules used to find bonds from distances (see the constructor)
+     * @readonly
+     * @type {Object}
+     */
+    get bondingRules() {
+        return _.cloneDeep(this._bonding_rules);
+    }
+
+    /**
+     * Bonds added or removed by hand with addBond() and removeBond(), in
+     * order, as [i, j, cell, bonded] entries. They can be passed as the
+     * `bondOverrides` build option to keep them in a new model of the same
+     * atoms (as CrystVis.reloadModel() does)
+     * @readonly
+     * @type {Array[]}
+     */
+    get bondOverrides() {
+        return _.cloneDeep(this._bond_overrides);
+    }
+
     /**
      * Global scaling factor for Van der Waals radii
      * @readonly
@@ -1296,6 +1597,15 @@ class Model {
                 r.add(p);
             }
 
+            // And the measurements
+            for (let name in this._measurements) {
+                let m = this._measurements[name];
+                if (!m._mesh) {
+                    m._mesh = this._measurementMesh(m);
+                }
+                r.add(m._mesh);
+            }
+
         } else {
 
             if (this._renderer)
@@ -1342,6 +1652,162 @@ class Model {
         delete this._atoms_base._arrays[name];
     }
 
+    // Volumetric data is stored in the info of the underlying Atoms object,
+    // so that it's preserved when the model is reloaded
+    /**
+     * Attach volumetric data (e.g. a charge density) to this model
+     * @param {String}          name    Name to use for the data
+     * @param {VolumetricData}  data    Volumetric data to store
+     */
+    setVolumetricData(name, data) {
+        if (!(data instanceof VolumetricData)) {
+            throw Error('Volumetric data must be a VolumetricData object');
+        }
+        var info = this._atoms_base.info;
+        info['volumetric'] = info['volumetric'] || {};
+        info['volumetric'][name] = data;
+    }
+
+    /**
+     * Retrieve volumetric data attached to this model
+     * @param   {String}            name    Name of the data to retrieve
+     * @return  {VolumetricData}            Retrieved data
+     */
+    getVolumetricData(name) {
+        var vol = this._atoms_base.info['volumetric'] || {};
+        return vol[name];
+    }
+
+    /**
+     * Check if volumetric data with a given name is attached to this model
+     * @param   {String}    name    Name of the data to check
+     * @return  {bool}              Whether the data exists
+     */
+    hasVolumetricData(name) {
+        return (name in (this._atoms_base.info['volumetric'] || {}));
+    }
+
+    /**
+     * Delete volumetric data attached to this model
+     * @param   {String}    name    Name of the data to delete
+     */
+    deleteVolumetricData(name) {
+        var vol = this._atoms_base.info['volumetric'];
+        if (vol) {
+            delete vol[name];
+        }
+    }
+
+    /**
+     * Export this model to a file in the given format. Positions, the cell,
+     * crystallographic labels and all other per-atom arrays (including
+     * TensorData ones like ms, efg and isc) are written where the format
+     * supports them.
+     *
+     * @param  {String} format      Format to use (cif, xyz, cell, magres)
+     * @param  {Object} parameters  Additional options:
+     *
+     * - `supercell` (if true, export all atoms in the current supercell, with
+     *                the correspondingly larger cell, instead of only the
+     *                original cell)
+     * - `name` (name of the structure, used e.g. for the CIF data block)
+     *
+     * @return {String}             Contents of the exported file
+     */
+    export(format = 'cif', parameters = {}) {
+
+        var defaults = {
+            supercell: false,
+            name: null
+        };
+
+        parameters = _.merge(defaults, parameters);
+
+        var images;
+        var cell = this._cell;
+
+        if (parameters.supercell && this._periodic) {
+            images = this._atom_images;
+            cell = cell.map((r, i) => mjs.multiply(r, this._supercell[i]));
+        } else {
+            images = this._atom_images.filter((a) => {
+                return a.ijk.every((x) => (x === 0));
+            });
+        }
+
+        return this._exportImages(images, cell, format, parameters.name);
+    }
+
+    /**
+     * Export a list of atom images to a file in the given format. Used by
+     * Model.export and ModelView.export.
+     *
+     * @private
+     * @param  {AtomImage[]} images Atom images to export
+     * @param  {Array}  cell        Cell to use (null for non-periodic)
+     * @param  {String} format      Format to use
+     * @param  {String} name        Name of the structure
+     *
+     * @return {String}             Contents of the exported file
+     */
+    _exportImages(images, cell, format, name = null) {
+
+        var writer = new Writer();
+        return writer.write(this._imagesToAtoms(images, cell), format, name);
+    }
+
+    /**
+     * Build a new Atoms object out of a list of atom images, carrying over
+     * the info and all per-atom arrays of the original structure.
+     *
+     * @private
+     * @param  {AtomImage[]} images Atom images to use
+     * @param  {Array}  cell        Cell to use (null for non-periodic)
+     *
+     * @return {Atoms}              New Atoms object
+     */
+    _imagesToAtoms(images, cell) {
+
+        var base = this._atoms_base;
+        var N = this.length;
+        var indices = images.map((a) => a.index);
+        // Are any of the original atoms repeated?
+        var repeated = (_.uniq(indices).length < indices.length);
+
+        var atoms = new Atoms(images.map((a) => a.element),
+            images.map((a) => a.xyz), this._periodic ? cell : null,
+            _.clone(base.info));
+
+        for (let name in base._arrays) {
+            if (['symbols', 'numbers', 'positions'].includes(name)) {
+                continue;
+            }
+            if (name === 'magres-labels' && repeated) {
+                // These must be unique, so they will have to be rebuilt
+                continue;
+            }
+
+            let arr = base._arrays[name];
+            // Two-atom arrays (e.g. isc) must be sliced along both dimensions
+            let twoatom = arr.every((v) => (_.isArray(v) && v.length === N)) &&
+                arr.some((v) => v.some((x) => (x instanceof Object && !_.isArray(x))));
+
+            if (arr instanceof PropertyArray) {
+                atoms.set_array(name, arr.subset(indices));
+                continue;
+            }
+
+            atoms.set_array(name, indices.map((i) => {
+                if (twoatom) {
+                    return indices.map((j) => arr[i][j]);
+                }
+                return arr[i];
+            }));
+        }
+
+        return atoms;
+    }
+
     // These functions are for adding and removing graphical representations
     // that are meant to be drawn on to of the existing 3D model
     
@@ -1420,52 +1886,318 @@ class Model {
     }
 
     /**
-     * Remove the graphical object with a given name
+     * Add an isosurface drawn on model
      * 
-     * @param {String}  name     Name of the graphical object to remove
+     * @param {VolumetricData | String} data    Volumetric data, or name of 
+     *                                          the data attached to the model
+     * @param {float}           threshold   Value of the isosurface
+     * @param {String}          name        Name to use for the isosurface object
+     * @param {Object}          parameters  Additional parameters (see IsosurfaceMesh)
      */
-    removeGraphics(name) {
-        var g = this._primitives[name];
-        var r = this._renderer;
-        if (g && r)
-            r.remove(g);
-        delete this._primitives[name];
-    }
+    addIsosurface(data, threshold, name='isosurface', parameters = {}) {
 
-    /**
-     * Remove all graphical objects
-     */
-    clearGraphics() {
-        var r = this._renderer;
+        if (_.isString(data)) {
+            if (!this.hasVolumetricData(data)) {
+                throw Error('No volumetric data named ' + data + ' found');
+            }
+            data = this.getVolumetricData(data);
+        }
 
+        this.removeGraphics(name);
+
+        var r = this._renderer;
         if (r) {
-            _.map(this._primitives, function(g) {
-                r.remove(g);
-            });            
-        }
 
-        this._primitives = {};
+            parameters = _.merge({
+                color: 0x00ff00,
+                opacity: 0.5,
+                opacityMode: r.Primitives.IsosurfaceMesh.RENDER_DITHER,
+                isoMethod: r.Primitives.IsosurfaceMesh.ISO_SURFACE_NETS
+            }, parameters); // Avoid editing the reference object
+
+            var iso = new r.Primitives.IsosurfaceMesh(data, threshold, null, 
+                parameters);
+
+            this._primitives[name] = iso;
+            r.add(iso);
+        }
     }
 
     /**
-     * Compute the bonds within the model. For internal use
-     * @private
+     * Add a measurement drawn on model: a labelled line for the distance
+     * between two atoms, an arc for the angle between three, or a wedge for
+     * the dihedral angle between four. Atoms are identified by index and
+     * periodic copy, so the measurement follows them when they move (e.g.
+     * in a trajectory), and is kept if the model is reloaded (e.g. with a
+     * different supercell) by CrystVis.reloadModel().
+     * 
+     * @param {Array}  atoms            Atoms to measure, as AtomImages,
+     *                                  indices or labels (see distance())
+     * @param {String} name             Name to use for the measurement
+     * @param {Object} parameters       Additional parameters:
+     *
+     * - `minimumImage` (if true, use the minimum image convention, see
+     *                  minimumImageDistance(). Default is false)
+     * - `color`, `linewidth`, `onOverlay` (for the line or arc)
+     * - `dashed` (whether the line of distances is dashed. Default is true)
+     * - `radius` (of the arc or wedge for angles, default 0.5 Angstrom)
+     * - `opacity` (of the wedge for dihedral angles, default 0.5)
+     * - `height` (of the label)
+     * - `precision` (number of decimals in the label, by default 3 for
+     *               distances and 1 for angles)
+     * - `label` (function returning the label from the value, instead)
+     *
+     * @return {Measurement}            The measurement
+     */
+    addMeasurement(atoms, name = 'measurement', parameters = {}) {
+
+        parameters = _.merge({
+            minimumImage: false,
+            color: 0xffffff,
+            linewidth: 1,
+            dashed: true,
+            radius: 0.5,
+            opacity: 0.5,
+            height: LABEL_HEIGHT,
+            onOverlay: false
+        }, parameters);
+
+        var mic = parameters.minimumImage;
+        delete parameters.minimumImage;
+        var m = new Measurement(this, atoms.map((a) => this._atomRef(a)), mic, parameters);
+        // Fail now if it can't be measured
+        m.value;
+
+        this.removeMeasurement(name);
+        this._measurements[name] = m;
+
+        var r = this._renderer;
+        if (r) {
+            m._mesh = this._measurementMesh(m);
+            r.add(m._mesh);
+        }
+
+        return m;
+    }
+
+    /**
+     * Remove the measurement with a given name
+     * 
+     * @param {String}  name     Name of the measurement to remove
+     */
+    removeMeasurement(name) {
+        var m = this._measurements[name];
+        var r = this._renderer;
+        if (m && m._mesh && r) {
+            r.remove(m._mesh);
+        }
+        delete this._measurements[name];
+    }
+
+    /**
+     * Measurements drawn on this model, by name
+     * @readonly
+     * @type {Object}
+     */
+    get measurements() {
+        return _.clone(this._measurements);
+    }
+
+    /**
+     * Build the mesh for a measurement. For internal use
+     * @private
+     */
+    _measurementMesh(m) {
+
+        var P = this._renderer.Primitives;
+        var pars = m._parameters;
+        var pts = m.points;
+        var mesh;
+
+        switch (m.type) {
+            case 'distance':
+                mesh = new P.LineMesh(pts[0], pts[1], {
+                    color: pars.color,
+                    dashed: pars.dashed,
+                    linewidth: pars.linewidth,
+                    onOverlay: pars.onOverlay
+                });
+                break;
+            case 'angle':
+                mesh = new P.AngleArcMesh(pts[0], pts[1], pts[2], {
+                    color: pars.color,
+                    radius: pars.radius,
+                    linewidth: pars.linewidth,
+                    onOverlay: pars.onOverlay
+                });
+                break;
+            default:
+                mesh = new P.DihedralWedgeMesh(pts[0], pts[1], pts[2], pts[3], {
+                    color: pars.color,
+                    opacity: pars.opacity,
+                    radius: pars.radius,
+                    onOverlay: pars.onOverlay
+                });
+        }
+
+        var label = new P.TextSprite(m.label, {
+            color: pars.color,
+            fixScale: true,
+            faceCamera: true,
+            height: pars.height,
+            shift: [LABEL_HEIGHT, 0, 0],
+            onOverlay: pars.onOverlay
+        });
+        if (mesh.labelPosition) {
+            label.position.copy(mesh.labelPosition);
+        }
+        mesh.add(label);
+
+        return mesh;
+    }
+
+    /**
+     * Redraw the measurements after the atoms moved. For internal use
+     * @private
+     */
+    _updateMeasurements() {
+        var r = this._renderer;
+        _.forEach(this._measurements, (m) => {
+            if (m._mesh && r) {
+                r.remove(m._mesh);
+            }
+            m._mesh = null;
+            if (r) {
+                m._mesh = this._measurementMesh(m);
+                r.add(m._mesh);
+            }
+        });
+    }
+
+    /**
+     * Measurements as objects with their atoms, minimumImage flag and
+     * parameters, to pass as the `measurements` build option for a new
+     * model of the same atoms. For internal use
+     * @private
+     */
+    _measurementData() {
+        return _.mapValues(this._measurements, (m) => ({
+            atoms: m.atoms,
+            minimumImage: m.minimumImage,
+            parameters: m.parameters
+        }));
+    }
+
+    /**
+     * Remove the graphical object with a given name
+     * 
+     * @param {String}  name     Name of the graphical object to remove
+     */
+    removeGraphics(name) {
+        var g = this._primitives[name];
+        var r = this._renderer;
+        if (g && r)
+            r.remove(g);
+        delete this._primitives[name];
+    }
+
+    /**
+     * Remove all graphical objects
+     */
+    clearGraphics() {
+        var r = this._renderer;
+
+        if (r) {
+            _.map(this._primitives, function(g) {
+                r.remove(g);
+            });            
+        }
+
+        this._primitives = {};
+
+        for (let name in this._measurements) {
+            this.removeMeasurement(name);
+        }
+    }
+
+    /**
+     * Compute the matrices derived from the cell that are needed for
+     * periodic distance calculations. For internal use
+     * @private
+     */
+    _computeCellMatrices() {
+        // R matrix: indispensable for calculations of periodic distances
+        this._r_matrix = mjs.multiply(this._cell, mjs.transpose(this._cell));
+        var ediag = mjs.eigs(this._r_matrix);
+        // Sort by eigenvalue 
+        var evecs = ediag.eigenvectors.map(e => e.vector);
+        ediag = _.zip(ediag.values, evecs);
+        ediag = _.sortBy(ediag, function(x) {
+            return x[0];
+        });
+        ediag = _.unzip(ediag);
+
+        this._r_diag = {
+            values: ediag[0],
+            vectors: ediag[1],
+        };
+    }
+
+    /**
+     * Compute the bonds within the model. For internal use
+     * @private
      */
     _computeBonds() {
 
-        var N = this.length;
-        this._bondmat = Array(N); // Bond matrix
-        this._bondmat = _.map(this._bondmat, function() {
-            return _.map(Array(N), function() {
-                return [];
-            });
+        this._bonds = new BondList(this.length);
+        this._bond_orders = {};
+
+        // Bonds listed in the file?
+        var explicit = this._atoms_base.info['bonds'];
+        var mode = explicit? this._explicitBonds : 'ignore';
+        if (mode === 'auto') {
+            mode = this._atoms_base.info['bonds_complete']? 'override' : 'augment';
+        }
+
+        if (mode !== 'override') {
+            this._computeDistanceBonds();
+        }
+        if (mode !== 'ignore') {
+            this._addExplicitBonds(explicit);
+        }
+
+        // Bonds added or removed by hand come last
+        this._bond_overrides.forEach(([i, j, c, bonded]) => {
+            if (!bonded) {
+                this._bonds.remove(i, j, c);
+            } else if (!this._bonds.has(i, j, c)) {
+                this._bonds.add(i, j, c);
+            }
         });
+    }
+
+    /**
+     * Find bonds from the distance between atoms, following the bonding
+     * rules: by comparing it with their van der Waals or covalent radii,
+     * or with the range given for their elements. For internal use
+     * @private
+     */
+    _computeDistanceBonds() {
+
+        var rules = this._bonding_rules;
+        var symbols = this.symbols;
+        var covalent = (rules.mode === 'covalent');
+        var tol = rules.tolerance;
 
-        // Van der Waals radii by element
+        // Radii by element
         var vdwf = this._vdwScaling;
         var vdwf_table = this._vdwElementScaling;
 
-        var vdwr = _.map(this.symbols, function(s) {
+        var vdwr = _.map(symbols, function(s) {
+            if (covalent) {
+                return data.getCovalentRadius(s);
+            }
+
             var f = vdwf;
 
             if (s in vdwf_table) {
@@ -1475,79 +2207,196 @@ class Model {
             return data.getVdwRadius(s)*f;
         });
 
+        // Distance ranges for pairs of elements, both ways round
+        var pair_ranges = {};
+        _.forEach(rules.pairs, function(range, key) {
+            var [el1, el2] = key.split('-');
+            _.set(pair_ranges, [el1, el2], range);
+            _.set(pair_ranges, [el2, el1], range);
+        });
+
         var maxr = _.max(vdwr);
+        if (covalent) {
+            maxr = 2 * maxr + tol;
+        }
+        _.forEach(rules.pairs, function(range) {
+            maxr = Math.max(maxr, range[1]);
+        });
+
+        var isBonded = function(i, j, r) {
+            var range = pair_ranges[symbols[i]] && pair_ranges[symbols[i]][symbols[j]];
+            if (range) {
+                return (r >= range[0] && r <= range[1]);
+            }
+            if (covalent) {
+                return r < vdwr[i] + vdwr[j] + tol;
+            }
+            return r < (vdwr[i] + vdwr[j]) / 2.0;
+        };
+
+        // Excluded elements never bond
+        var excl = _.map(symbols, function(s) {
+            return rules.exclude.includes(s);
+        });
+
+        // Atoms in different groups of the same disorder assembly are
+        // alternatives to each other, so they never bond
+        var dgrp = this._disorder_groups;
+        var dasm = this._disorder_assemblies;
+        var excluded = function(i, j) {
+            return excl[i] || excl[j] || (dgrp && dgrp[i] !== null && dgrp[j] !== null &&
+                dgrp[i] !== dgrp[j] && (!dasm || dasm[i] === dasm[j]));
+        };
 
         var cell = this.cell;
-        var sgrid = [
-            [0, 0, 0]
-        ];
         var p = this._positions;
 
+        // Only images within the minimum supercell are bonded, as the
+        // search is not guaranteed to go further for all atom pairs
+        var smax = [0, 0, 0];
         if (this._periodic) {
-            var scell = this.minimumSupercell(maxr);
-            sgrid = utils.supercellGrid(scell);
+            smax = _.map(this.minimumSupercell(maxr), function(s) {
+                return (s - 1) / 2;
+            });
         }
 
-        // Now iterate over all atom pairs
+        var clist = this._cellList(maxr);
+
         for (let i = 0; i < this.length; ++i) {
 
             var p1 = p[i];
 
-            for (let j = i; j < this.length; ++j) {
+            // Bonded images of each atom j >= i
+            var found = {};
 
+            var cands = clist.candidates(p1, maxr);
+            for (let k = 0; k < cands.length; ++k) {
+                let [j, c] = cands[k];
+                if (j < i || excluded(i, j)) {
+                    continue;
+                }
+                if ((i == j) && (c[0] == 0 && c[1] == 0 && c[2] == 0)) {
+                    // Just the same atom, skip
+                    continue;
+                }
+                if (Math.abs(c[0]) > smax[0] || Math.abs(c[1]) > smax[1] ||
+                    Math.abs(c[2]) > smax[2]) {
+                    continue;
+                }
                 var p2 = p[j];
+                var r = [0, 0, 0];
+                // Here we write the algebra explicitly 
+                // for efficiency reasons
+                if (this._periodic) {
+                    r[0] = c[0] * cell[0][0] + c[1] * cell[1][0] + c[2] * cell[2][0];
+                    r[1] = c[0] * cell[0][1] + c[1] * cell[1][1] + c[2] * cell[2][1];
+                    r[2] = c[0] * cell[0][2] + c[1] * cell[1][2] + c[2] * cell[2][2];
+                }
+                r = [p2[0] - p1[0] + r[0], p2[1] - p1[1] + r[1], p2[2] - p1[2] + r[2]];
+                r = Math.sqrt(r[0] * r[0] + r[1] * r[1] + r[2] * r[2]);
+                if (isBonded(i, j, r)) {
+                    // Bond!
+                    found[j] = found[j] || [];
+                    found[j].push(c);
+                }
+            }
 
-                for (let k = 0; k < sgrid.length; ++k) {
-                    var c = sgrid[k];
-                    if ((i == j) && (c[0] == 0 && c[1] == 0 && c[2] == 0)) {
-                        // Just the same atom, skip
-                        continue;
-                    }
-                    var r = [0, 0, 0];
-                    // Here we write the algebra explicitly 
-                    // for efficiency reasons
-                    if (this._periodic) {
-                        r[0] = c[0] * cell[0][0] + c[1] * cell[1][0] + c[2] * cell[2][0];
-                        r[1] = c[0] * cell[0][1] + c[1] * cell[1][1] + c[2] * cell[2][1];
-                        r[2] = c[0] * cell[0][2] + c[1] * cell[1][2] + c[2] * cell[2][2];
-                    }
-                    r = [p2[0] - p1[0] + r[0], p2[1] - p1[1] + r[1], p2[2] - p1[2] + r[2]];
-                    r = Math.sqrt(r[0] * r[0] + r[1] * r[1] + r[2] * r[2]);
-                    if (r < (vdwr[i] + vdwr[j]) / 2.0) {
-                        // Bond!
-                        this._bondmat[i][j].push([c[0], c[1], c[2]]);
-                        this._bondmat[j][i].push([-c[0], -c[1], -c[2]]);
-                    }
+            // Bonds are stored by atom and cell, in order
+            var js = _.sortBy(_.keys(found).map(Number));
+            for (let j of js) {
+                var cs = found[j].sort(function(c1, c2) {
+                    return (c1[0] - c2[0]) || (c1[1] - c2[1]) || (c1[2] - c2[2]);
+                });
+                for (let c of cs) {
+                    this._bonds.add(i, j, c);
                 }
             }
         }
     }
 
+    /**
+     * Cell list of the atoms of the model, binned for searches up to the
+     * given distance. The last one is kept for further use. For internal
+     * use
+     * @private
+     *
+     * @param {float}   r       Distance
+     *
+     * @return {CellList}       Cell list
+     */
+    _cellList(r) {
+        if (!this._cell_list || this._cell_list.binsize !== r) {
+            this._cell_list = new CellList(this._positions, this._periodic? this.cell : null, r);
+        }
+        return this._cell_list;
+    }
+
+    /**
+     * Add bonds listed in the file, as [i, j, order] triplets. In periodic
+     * models each bond goes to the closest periodic copy of atom j. For
+     * internal use
+     * @private
+     */
+    _addExplicitBonds(bonds) {
+
+        var fp = this._scaled_positions;
+
+        for (let b = 0; b < bonds.length; ++b) {
+            let [i, j, order] = bonds[b];
+            if (i === j) {
+                continue;
+            }
+            if (i > j) {
+                [i, j] = [j, i];
+            }
+
+            var c = [0, 0, 0];
+            if (this._periodic) {
+                c = [0, 1, 2].map((k) => -Math.round(fp[j][k] - fp[i][k]));
+            }
+
+            if (!this._bonds.has(i, j, c)) {
+                this._bonds.add(i, j, c);
+            }
+            this._bond_orders[i + '_' + j] = order;
+        }
+    }
+
+    /**
+     * Order of the bond between two atoms of the original cell, as given in
+     * the file, or 1 if it wasn't given
+     * @private
+     * @param  {int} i  Index of the first atom
+     * @param  {int} j  Index of the second atom
+     * @return {float}  Bond order
+     */
+    _bondOrder(i, j) {
+        var key = Math.min(i, j) + '_' + Math.max(i, j);
+        var order = this._bond_orders? this._bond_orders[key] : undefined;
+        return (order === undefined)? 1 : order;
+    }
+
     /**
      * Check if any C-H bonds are present
      * @return {bool} Whether any C-H bonds are present
      * @private
      */
     _queryCHBond() {
-        // make sure bondmat is present
-        if (!this._bondmat) {
+        // make sure the bonds are present
+        if (!this._bonds) {
             this._computeBonds();
         }
 
         var symbols = this._atoms_base.get_chemical_symbols();
-        var bondmat = this._bondmat;
         var n = symbols.length;
         for (var i = 0; i < n; i++) {
-            var bonds = bondmat[i];
+            var bonds = this._bonds.row(i);
             var a = symbols[i];
             if (a == 'C') {
                 // loop over bonds and check if any are H
-                for (var j = 0; j < n; j++) {
-                    // if bonds[j] is not an empty array
-                    if (bonds[j].length) { 
-                        if (symbols[j] == 'H') {
-                            return true;
-                        }
+                for (var k = 0; k < bonds.length; k++) {
+                    if (symbols[bonds[k][0]] == 'H') {
+                        return true;
                     }
                 }
             }
@@ -1573,38 +2422,44 @@ class Model {
         }
 
         var mol_sets = [];
-        var unsorted_atoms = _.range(this.length);
+        var sorted = new Uint8Array(this.length);
+        var next_atom = 0;
 
-        while (unsorted_atoms.length > 0) {
+        while (next_atom < this.length) {
             var mol_queue = [
-                [unsorted_atoms.shift(), [0, 0, 0]]
+                [next_atom, [0, 0, 0]]
             ];
+            sorted[next_atom] = 1;
             var current_mol = [];
             var current_mol_cells = [];
-            while (mol_queue.length > 0) {
-                var ac1 = mol_queue.shift();
+            // Read the queue without shifting it, which is slow for large
+            // molecules
+            for (let q = 0; q < mol_queue.length; ++q) {
+                var ac1 = mol_queue[q];
                 var a1 = ac1[0];
                 var c1 = ac1[1];
 
                 current_mol.push(a1);
                 current_mol_cells.push(c1);
-                // Find linked atoms
-                var link1 = this._bondmat[a1];
-                for (let i in link1) {
-                    var a2 = parseInt(i);
-                    var link12 = link1[i];
+                // Find linked atoms; all copies of an unsorted atom bonded to
+                // this one are added
+                var link1 = this._bonds.row(a1);
+                var a2_added = -1;
+                for (let k = 0; k < link1.length; ++k) {
+                    var a2 = link1[k][0];
                     // Is a2 still unsorted?
-                    if (!unsorted_atoms.includes(a2) || link12.length == 0)
+                    if (sorted[a2] && a2 !== a2_added)
                         continue;
 
-                    for (let j = 0; j < link12.length; ++j) {
-                        var c2 = link12[j];
-                        mol_queue.push([a2, mjs.add(c1, c2)]);
-                    }
-
-                    unsorted_atoms.splice(unsorted_atoms.indexOf(a2), 1);
+                    var c2 = link1[k][1];
+                    mol_queue.push([a2, [c1[0] + c2[0], c1[1] + c2[1], c1[2] + c2[2]]]);
+                    sorted[a2] = 1;
+                    a2_added = a2;
                 }
             }
+            while (next_atom < this.length && sorted[next_atom]) {
+                ++next_atom;
+            }
             mol_sets.push([
                 current_mol,
                 current_mol_cells
@@ -1636,6 +2491,25 @@ class Model {
         }
     }
 
+    /**
+     * Return the bonds and molecules computed for this model, in a form that
+     * can be passed back to the constructor as `build.geometry`. For
+     * internal use
+     * @private
+     * @return {Object}  Bonds (as a BondList), molecules, molecule index of each atom
+     *                   and, for molecular crystals, the moved positions
+     */
+    _geometry() {
+        return {
+            bonds: this._bonds,
+            molecules: this._molecules,
+            molinds: this._molinds,
+            bondOrders: this._bond_orders,
+            molecularCrystal: this._molecularCrystal,
+            positions: this._molecularCrystal? this._positions : null
+        };
+    }
+
     /**
      * Return a list of all AtomImages within the given supercell.
      *
@@ -1660,27 +2534,40 @@ class Model {
      * Return a list of all BondImages within the given supercell.
      *
      * @private
+     * @param  {Object} [reuse]  Existing BondImage objects to use again,
+     *                           as lists by key. Those used are taken out
      * @return {BondImage[]}  List of BondImage objects
      */
-    _bondImages() {
+    _bondImages(reuse = {}) {
         var bondimgs = [];
 
         for (let ii = 0; ii < this._atom_images.length; ++ii) {
             var im1 = this._atom_images[ii];
             var i = im1.index;
-            var bonds = this._bondmat[i];
+            var bonds = this._bonds.row(i);
             var c1 = im1.ijk;
-            for (let j = i; j < this.length; ++j) {
-                var blist = bonds[j];
-                for (let k = 0; k < blist.length; ++k) {
-                    var r = blist[k];
-                    var c2 = [c1[0] + r[0], c1[1] + r[1], c1[2] + r[2]];
-                    var jj = utils.supercellIndex(j, c2, this._supercell, this.length);
-                    if (jj >= 0 && jj < this._atom_images.length) {
-                        var im2 = this._atom_images[jj];
-                        var bimg = new BondImage(this, im1, im2);
-                        bondimgs.push(bimg);
+            for (let k = 0; k < bonds.length; ++k) {
+                var [j, r] = bonds[k];
+                if (j < i) {
+                    continue;
+                }
+                var c2 = [c1[0] + r[0], c1[1] + r[1], c1[2] + r[2]];
+                var jj = utils.supercellIndex(j, c2, this._supercell, this.length);
+                if (jj >= 0 && jj < this._atom_images.length) {
+                    var im2 = this._atom_images[jj];
+                    var bimg;
+                    var key = im1.imgIndex + '_' + im2.imgIndex;
+                    if (reuse[key] && reuse[key].length > 0) {
+                        bimg = reuse[key].shift();
+                        im1._bondsFrom.push(bimg);
+                        im2._bondsTo.push(bimg);
+                        if (reuse[key].length === 0) {
+                            delete reuse[key];
+                        }
+                    } else {
+                        bimg = new BondImage(this, im1, im2);
                     }
+                    bondimgs.push(bimg);
                 }
             }
         }
@@ -1725,12 +2612,16 @@ class Model {
     /**
      * Compute and return the minimum supercell that guarantees
      * containing all atoms at a maximum distance r from those in the
-     * [0,0,0] cell.
+     * [0,0,0] cell. For non-periodic models this is always [1, 1, 1].
      * 
      * @param {float}   r       Maximum distance that must be contained within the supercell
      */
     minimumSupercell(r) {
 
+        if (!this.periodic) {
+            return [1, 1, 1];
+        }
+
         var diag = _.map(this._r_diag.values, function(x) {
             return mjs.pow(x, -0.5)
         });
@@ -1755,6 +2646,365 @@ class Model {
         return scell;
     }
 
+    /**
+     * Find all atoms within a given distance of an atom. In periodic models
+     * these include all periodic copies, even outside of the supercell
+     * being displayed, and the atom's own copies in other cells.
+     *
+     * @param  {int}     index     Index of the atom
+     * @param  {float}   cutoff    Maximum distance, in Angstrom
+     *
+     * @return {Object[]}          Neighbours, as objects with the index of
+     *                             the atom, the cell of the copy (ijk) and
+     *                             the distance, sorted by distance
+     */
+    neighbours(index, cutoff) {
+
+        if (!(index >= 0 && index < this.length)) {
+            throw Error('Invalid atom index');
+        }
+
+        var cell = this.cell;
+        var p = this._positions;
+        var p1 = p[index];
+
+        var found = [];
+        var cands = this._cellList(cutoff).candidates(p1, cutoff);
+
+        for (let k = 0; k < cands.length; ++k) {
+            let [j, c] = cands[k];
+            if ((j == index) && (c[0] == 0 && c[1] == 0 && c[2] == 0)) {
+                continue;
+            }
+            var x = p[j];
+            if (this._periodic) {
+                x = mjs.add(x, mjs.multiply(c, cell));
+            }
+            var d = mjs.distance(x, p1);
+            if (d <= cutoff) {
+                found.push({
+                    index: j,
+                    ijk: c,
+                    distance: d
+                });
+            }
+        }
+
+        return _.sortBy(found, ['distance', 'index', 'ijk[0]', 'ijk[1]', 'ijk[2]']);
+    }
+
+    /**
+     * Add a bond by hand, between an atom and a copy of another one (or of
+     * itself, in periodic models), whatever their distance. Molecules are
+     * updated, but atoms are not moved to complete them. The bond is kept
+     * when the model is reloaded.
+     *
+     * @param {int}   i             Index of the first atom
+     * @param {int}   j             Index of the second atom
+     * @param {int[]} [cell]        Cell of the copy of the second atom,
+     *                              relative to the first one
+     */
+    addBond(i, j, cell = [0, 0, 0]) {
+        this._overrideBond(i, j, cell, true);
+    }
+
+    /**
+     * Remove a bond by hand, between an atom and a copy of another one.
+     * Molecules are updated. The bond stays removed when the model is
+     * reloaded, even if the bonding rules would find it.
+     *
+     * @param {int}   i             Index of the first atom
+     * @param {int}   j             Index of the second atom
+     * @param {int[]} [cell]        Cell of the copy of the second atom,
+     *                              relative to the first one
+     */
+    removeBond(i, j, cell = [0, 0, 0]) {
+        this._overrideBond(i, j, cell, false);
+    }
+
+    /**
+     * Add or remove a bond, and record it as an override. For internal use
+     * @private
+     */
+    _overrideBond(i, j, cell, bonded) {
+
+        var N = this.length;
+        if (!(Number.isInteger(i) && Number.isInteger(j) && i >= 0 && j >= 0 && i < N && j < N)) {
+            throw new Error('Invalid atom index');
+        }
+        if (!(cell instanceof Array) || cell.length !== 3 || !cell.every(Number.isInteger) ||
+            (!this._periodic && !_.isEqual(cell, [0, 0, 0])) || (i === j && _.isEqual(cell, [0, 0, 0]))) {
+            throw new Error('Invalid bond cell');
+        }
+
+        cell = Array.from(cell);
+        var rcell = cell.map((x) => -x);
+
+        // Only the last override of each bond matters
+        this._bond_overrides = this._bond_overrides.filter(([i2, j2, c2]) => {
+            return !((i2 === i && j2 === j && _.isEqual(c2, cell)) ||
+                (i2 === j && j2 === i && _.isEqual(c2, rcell)));
+        });
+        this._bond_overrides.push([i, j, cell, bonded]);
+
+        if (!bonded) {
+            this._bonds.remove(i, j, cell);
+        } else if (!this._bonds.has(i, j, cell)) {
+            this._bonds.add(i, j, cell);
+        }
+
+        this._updateBonds();
+    }
+
+    /**
+     * Recompute molecules and bond images after the bonds changed, keeping
+     * the images of the bonds that are still there. For internal use
+     * @private
+     */
+    _updateBonds() {
+
+        this._computeMolecules();
+
+        var old = _.groupBy(this._bond_images, 'key');
+        this._atom_images.forEach((a) => {
+            a._bondsFrom = [];
+            a._bondsTo = [];
+        });
+        this._bond_images = this._bondImages(old);
+
+        var r = this._renderer;
+        if (r) {
+            // Images left in old are those of removed bonds
+            _.forEach(old, (bimgs) => {
+                bimgs.forEach((b) => {
+                    if (b._mesh) {
+                        r.remove(b._mesh, 'model');
+                    }
+                });
+            });
+            this._bond_images.forEach((b) => {
+                if (!b._mesh) {
+                    b.visible = b._visible;
+                }
+            });
+        }
+    }
+
+    /**
+     * Distance between two atoms. Atoms can be given as AtomImages (for a
+     * specific periodic copy), as indices or as crystallographic labels
+     * (for the first atom with that label); the last two refer to atoms in
+     * the original cell
+     *
+     * @param  {AtomImage | int | String} a     First atom
+     * @param  {AtomImage | int | String} b     Second atom
+     *
+     * @return {float}      Distance, in Angstrom
+     */
+    distance(a, b) {
+        return this._measure([a, b], false);
+    }
+
+    /**
+     * Angle between three atoms, with the second one at the vertex (see
+     * distance() for how to give them)
+     *
+     * @param  {AtomImage | int | String} a     First atom
+     * @param  {AtomImage | int | String} b     Atom at the vertex
+     * @param  {AtomImage | int | String} c     Third atom
+     *
+     * @return {float}      Angle, in degrees
+     */
+    angle(a, b, c) {
+        return this._measure([a, b, c], false);
+    }
+
+    /**
+     * Dihedral angle between four atoms: the angle between the planes of
+     * a, b, c and b, c, d, positive if clockwise looking from b to c (see
+     * distance() for how to give them)
+     *
+     * @param  {AtomImage | int | String} a     First atom
+     * @param  {AtomImage | int | String} b     Second atom
+     * @param  {AtomImage | int | String} c     Third atom
+     * @param  {AtomImage | int | String} d     Fourth atom
+     *
+     * @return {float}      Angle, in degrees, between -180 and 180
+     */
+    dihedral(a, b, c, d) {
+        return this._measure([a, b, c, d], false);
+    }
+
+    /**
+     * Distance between two atoms with the minimum image convention: the
+     * shortest distance between a and any periodic copy of b. The same as
+     * distance() for non-periodic models
+     *
+     * @param  {AtomImage | int | String} a     First atom
+     * @param  {AtomImage | int | String} b     Second atom
+     *
+     * @return {float}      Distance, in Angstrom
+     */
+    minimumImageDistance(a, b) {
+        return this._measure([a, b], true);
+    }
+
+    /**
+     * Angle between three atoms with the minimum image convention: using
+     * the periodic copies of a and c closest to b
+     *
+     * @param  {AtomImage | int | String} a     First atom
+     * @param  {AtomImage | int | String} b     Atom at the vertex
+     * @param  {AtomImage | int | String} c     Third atom
+     *
+     * @return {float}      Angle, in degrees
+     */
+    minimumImageAngle(a, b, c) {
+        return this._measure([a, b, c], true);
+    }
+
+    /**
+     * Dihedral angle between four atoms with the minimum image convention:
+     * using the periodic copy of b closest to a, then that of c closest to
+     * it, and that of d closest to c
+     *
+     * @param  {AtomImage | int | String} a     First atom
+     * @param  {AtomImage | int | String} b     Second atom
+     * @param  {AtomImage | int | String} c     Third atom
+     * @param  {AtomImage | int | String} d     Fourth atom
+     *
+     * @return {float}      Angle, in degrees, between -180 and 180
+     */
+    minimumImageDihedral(a, b, c, d) {
+        return this._measure([a, b, c, d], true);
+    }
+
+    /**
+     * Measure a distance or angle between atoms. For internal use
+     * @private
+     */
+    _measure(atoms, mic) {
+        return new Measurement(this, atoms.map((a) => this._atomRef(a)), mic).value;
+    }
+
+    /**
+     * Index and cell of an atom given as AtomImage, index or label. For
+     * internal use
+     * @private
+     */
+    _atomRef(a) {
+        if (a instanceof AtomImage) {
+            if (a._model !== this) {
+                throw new Error('Atom image belongs to a different model');
+            }
+            return [a.index, a.ijk];
+        }
+        if (Number.isInteger(a)) {
+            if (a < 0 || a >= this.length) {
+                throw new Error('Invalid atom index');
+            }
+            return [a, [0, 0, 0]];
+        }
+        if (_.isString(a)) {
+            var i = this._labels.indexOf(a);
+            if (i < 0) {
+                throw new Error('No atom with label ' + a);
+            }
+            return [i, [0, 0, 0]];
+        }
+        throw new Error('Atoms must be given as AtomImages, indices or labels');
+    }
+
+    /**
+     * Cartesian positions of atoms given as [index, ijk] pairs, optionally
+     * replacing each but the first with its periodic copy closest to the
+     * one before. For internal use
+     * @private
+     */
+    _measurePoints(atoms, mic) {
+        var pts = [];
+        atoms.forEach(([i, ijk], k) => {
+            var p = this._positions[i];
+            if (this._periodic) {
+                p = mjs.add(p, this.fracToAbs(ijk));
+            }
+            if (mic && k > 0) {
+                p = mjs.add(pts[k - 1], this._minimumImageVector(mjs.subtract(p, pts[k - 1])));
+            }
+            pts.push(p);
+        });
+        return pts;
+    }
+
+    /**
+     * Shortest vector among the periodic copies of a given one. For
+     * internal use
+     * @private
+     */
+    _minimumImageVector(v) {
+
+        if (!this._periodic) {
+            return v;
+        }
+
+        // Bring it in the cell around the origin first, then look at any
+        // copy that could be shorter
+        var fv = this.absToFrac(v).map((x) => x - Math.round(x));
+        v = this.fracToAbs(fv);
+        var best = v;
+        var dbest = mjs.norm(v);
+        for (let c of utils.supercellGrid(this.minimumSupercell(dbest))) {
+            var u = mjs.add(v, this.fracToAbs(c));
+            var d = mjs.norm(u);
+            if (d < dbest) {
+                best = u;
+                dbest = d;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Start editing the structure of this model. Edits are recorded on the
+     * returned ModelEditor, e.g.
+     *
+     *     model.edit().moveAtoms(view, [0, 0, 1]).setElement(view2, 'N').apply()
+     *
+     * and applying them returns a new Model; this one is left unchanged.
+     *
+     * @return {ModelEditor}    Editor for this model
+     */
+    edit() {
+        return new ModelEditor(this);
+    }
+
+    /**
+     * History of the edits leading to this model, and after it, if any
+     * were undone. Models made with edit() share the history of the one
+     * they were edited from
+     * @readonly
+     * @type {EditHistory}
+     */
+    get history() {
+        if (!this._history) {
+            this._history = new EditHistory(this);
+        }
+        return this._history;
+    }
+
+    /**
+     * Make a new model out of edited atoms, with the same parameters as
+     * this one. For internal use
+     * @private
+     */
+    _rebuild(atoms, bondOverrides, measurements = {}) {
+        return new Model(atoms, this._parameters, {
+            bondOverrides: bondOverrides,
+            measurements: measurements
+        });
+    }
+
     /**
      * Find a group of atoms based on a given query and return as AtomImages
      * @param  {Array} query  A search query for atoms. Must use nested lists 
@@ -1917,6 +3167,27 @@ class Model {
         return this._queryIndices(indices);
     }
 
+    /**
+     * @private
+     */
+    _queryDisorder(group, assembly = null, ordered = false) {
+
+        var dgrp = this._disorder_groups || Array(this.length).fill(null);
+        var dasm = this._disorder_assemblies;
+
+        var indices = _.filter(_.range(this.length), function(i) {
+            if (dgrp[i] === null) {
+                return ordered || group === null;
+            }
+            if (assembly !== null && (!dasm || String(dasm[i]) !== String(assembly))) {
+                return false;
+            }
+            return group !== null && String(dgrp[i]) === String(group);
+        });
+
+        return this._queryIndices(indices);
+    }
+
     /**
      * @private
      */
@@ -2055,25 +3326,27 @@ class Model {
 
         var found = [];
 
-        for (let i = fxmin[0]; i < fxmax[0]; ++i) {
-            for (let j = fxmin[1]; j < fxmax[1]; ++j) {
-                for (let k = fxmin[2]; k < fxmax[2]; ++k) {
-                    for (let a = 0; a < this.length; ++a) {
-
-                        var ind = utils.supercellIndex(a, [i, j, k], this._supercell,
-                            this.length);
-                        var aimg = this._atom_images[ind];
+        var cands = this._cellList(r).candidates(x0, r);
+        for (let k = 0; k < cands.length; ++k) {
+            let [a, c] = cands[k];
+            if (c[0] < fxmin[0] || c[1] < fxmin[1] || c[2] < fxmin[2] ||
+                c[0] >= fxmax[0] || c[1] >= fxmax[1] || c[2] >= fxmax[2]) {
+                continue;
+            }
 
-                        // Is it in the sphere?
-                        var isin = mjs.distance(aimg.xyz, x0) <= r;
+            var ind = utils.supercellIndex(a, c, this._supercell, this.length);
+            var aimg = this._atom_images[ind];
 
-                        if (isin)
-                            found.push(ind);
-                    }
-                }
+            // Is it in the sphere?
+            if (mjs.distance(aimg.xyz, x0) <= r) {
+                found.push(ind);
             }
         }
 
+        found.sort(function(i1, i2) {
+            return i1 - i2;
+        });
+
         return found;
     }
 
@@ -2099,34 +3372,52 @@ class Model {
             return [];
         }
 
-        function a2ii(a) {
-            return a.imgIndex;
-        }
-
         // Find all atoms that are at most [distance] bonds away from the ones
-        // passed as argument
+        // passed as argument, following the bonds found by the neighbour
+        // search from one image to the next
+
+        var N = this.length;
+        var scell = this._supercell;
+        var nimg = this._atom_images.length;
+        var bondlist = this._bonds;
+        var images = this._atom_images;
+
+        function bondedImages(ii) {
+            var a = images[ii];
+            var c1 = a.ijk;
+            var bonded = [];
+            var blist = bondlist.row(a.index);
+            for (let k = 0; k < blist.length; ++k) {
+                var [j, r] = blist[k];
+                var jj = utils.supercellIndex(j, [c1[0] + r[0], c1[1] + r[1], c1[2] + r[2]],
+                    scell, N);
+                if (jj >= 0 && jj < nimg) {
+                    bonded.push(jj);
+                }
+            }
+            return bonded;
+        }
 
-        var bonded_tree = [atoms]; // We start with distance zero and build up
+        var start = _.map(atoms, function(a) {
+            return a.imgIndex;
+        });
+        var layer = start; // We start with distance zero and build up
         var found = [];
 
         for (let d = 1; d <= distance; ++d) {
-            var previous = bonded_tree[d - 1];
-            var next = [];
-            for (let i = 0; i < previous.length; ++i) {
-                next = next.concat(previous[i].bondedAtoms);
-            }
-            bonded_tree.push(next);
+            layer = _.uniq(_.flatMap(layer, bondedImages));
             if (!exact) {
-                found = found.concat(_.map(next, a2ii));
+                found = found.concat(layer);
             } else if (d == distance) {
-                found = _.map(next, a2ii);
+                found = layer;
             }
         }
 
         found = _.uniq(found); // Remove duplicate values
-        found = _.difference(found, _.map(bonded_tree[0], function(a) {
-            return a.imgIndex;
-        })); // Remove the starting atoms
+        found = _.difference(found, start); // Remove the starting atoms
+        found.sort(function(i1, i2) {
+            return i1 - i2;
+        });
 
         return found;
     }
@@ -7,6 +7,9 @@
  */
 
 import _ from 'lodash';
+import {
+    adpProbabilityScale
+} from './utils.js';
 
 /** A 'view' representing a subset of atom images of a model, used for selection and further manipulations */
 class ModelView {
@@ -440,6 +443,154 @@ class ModelView {
             return this;
     }
 
+    /**
+     * Add thermal ellipsoids (as in ORTEP plots) to the atom images in this
+     * ModelView, based on the anisotropic displacement parameters stored in
+     * the 'adp' array (as loaded from CIF files). The ellipsoids are scaled
+     * so that they contain the atom with the given probability. Atoms without
+     * displacement parameters are skipped.
+     * 
+     * @param {float}                           probability Probability level
+     *                                                      (e.g. 0.5 for 50%)
+     * @param {String}                          name        Name of the ellipsoids
+     * @param {Object | Object[] | Function}    args        Arguments for creating
+     *                                                      the ellipsoids
+     */
+    addThermalEllipsoids(probability = 0.5, name = 'adp', args = {}) {
+
+        if (!this._model.hasArray('adp')) {
+            throw Error('Model has no displacement parameters');
+        }
+
+        let scale = adpProbabilityScale(probability);
+        args = this._standardValueArray(args);
+
+        for (var i = 0; i < this.length; ++i) {
+            var aimg = this._images[i];
+            var U = aimg.getArrayValue('adp');
+            if (!U) {
+                continue;
+            }
+            // Eigenvalues are mean square displacements
+            var radii = U.eigenvalues.map((x) => Math.sqrt(Math.max(x, 0)));
+            aimg.addEllipsoid([radii, U.eigenvectors], name, _.assign({}, args[i], {
+                scalingFactor: scale
+            }));
+        }
+
+        return this;
+    }
+
+    /**
+     * Add arrows representing vectors (e.g. magnetic moments or forces) to
+     * the atom images in this ModelView. Atoms whose vector is null or
+     * undefined are skipped.
+     * 
+     * @param {String | Array[] | Function}     data    Cartesian vectors. Can be
+     *                                                  the name of an array of
+     *                                                  the model (e.g. 'moment'
+     *                                                  or 'forces'), an Array
+     *                                                  with one vector per atom
+     *                                                  image, or a function
+     *                                                  returning the vector for
+     *                                                  each atom image
+     * @param {String | String[] | Function}    name    Name of the arrows
+     * @param {Object | Object[] | Function}    args    Arguments for creating the
+     *                                                  arrows (see ArrowMesh)
+     */
+    addVectors(data, name = 'vector', args = {}) {
+
+        if (_.isString(data)) {
+            if (!this._model.hasArray(data)) {
+                throw Error('Model has no array named ' + data);
+            }
+            let arr = data;
+            data = (a) => a.getArrayValue(arr);
+        }
+
+        data = this._standardValueArray(data);
+        name = this._standardValueArray(name);
+        args = this._standardValueArray(args);
+
+        for (var i = 0; i < this.length; ++i) {
+            if (data[i] === null || data[i] === undefined) {
+                continue;
+            }
+            var aimg = this._images[i];
+            aimg.addVector(data[i], name[i], args[i]);
+        }
+
+        return this;
+    }
+
+    /**
+     * Remove arrows from the atom images in this ModelView
+     * 
+     * @param {String | String[] | Function}    name    Name of the arrows to remove
+     */
+    removeVectors(name = 'vector') {
+
+        name = this._standardValueArray(name);
+
+        for (var i = 0; i < this.length; ++i) {
+            var aimg = this._images[i];
+            aimg.removeVector(name[i]);
+        }
+
+        return this;
+    }
+
+    /**
+     * Get or set arrows' properties for the atom images in this ModelView
+     * 
+     * @param {String | String[] | Function}    name        Name of the arrows
+     * @param {String | String[] | Function}    property    Property to get or set
+     * @param {Any | Any[] | Function}          value       If not provided, get. If provided,
+     *                                                      set this value
+     */
+    vectorProperties(name = 'vector', property = 'color', value = null) {
+
+        name = this._standardValueArray(name);
+        property = this._standardValueArray(property);
+
+        var ans = null;
+        if (value !== null) {
+            value = this._standardValueArray(value);
+        } else {
+            ans = [];
+        }
+
+        for (var i = 0; i < this.length; ++i) {
+            var aimg = this._images[i];
+            if (value !== null) {
+                aimg.vectorProperty(name[i], property[i], value[i]);
+            } else {
+                ans.push(aimg.vectorProperty(name[i], property[i]));
+            }
+        }
+
+        if (value === null)
+            return ans;
+        else
+            return this;
+    }
+
+    /**
+     * Export the atoms in this view to a file in the given format, as a
+     * structure with the same cell as the model. See Model.export for what
+     * data is written.
+     * 
+     * @param  {String} format  Format to use (cif, xyz, cell, magres)
+     * @param  {String} name    Name of the structure, used e.g. for the
+     *                          CIF data block
+     *
+     * @return {String}         Contents of the exported file
+     */
+    export(format = 'cif', name = null) {
+        return this._model._exportImages(this._images, this._model.cell, 
+            format, name);
+    }
+
     // ─── Serialisation helpers ───────────────────────────────────────────────────
 
     /**
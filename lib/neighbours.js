@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * @fileoverview CellList class to find the atoms within a given distance of
+ * a point, binning them in space so that only nearby ones are looked at.
+ * @module
+ */
+
+import _ from 'lodash';
+import * as mjs from 'mathjs';
+
+// Largest number of bins along each direction
+const MAX_BINS = 1000;
+
+// Relative tolerance on the search range, so that rounding errors in the
+// binning never leave out an atom
+const TOLERANCE = 1e-8;
+
+class CellList {
+
+    /**
+     * Create a CellList object, binning a set of positions. For periodic
+     * systems the bins divide the unit cell along the lattice vectors, so
+     * that any cell (including triclinic ones) is handled, and periodic
+     * copies of the atoms are found by wrapping around it; otherwise they
+     * divide the box containing all positions.
+     *
+     * @param {Array}   positions   Cartesian positions of the atoms
+     * @param {Array}   [cell]      Unit cell (lattice vectors as rows), or
+     *                              null for non-periodic systems
+     * @param {float}   [binsize]   Smallest width of the bins. Searches are
+     *                              fastest for distances of this order
+     */
+    constructor(positions, cell = null, binsize = 1.0) {
+
+        if (!(binsize > 0)) {
+            throw Error('Invalid bin size for cell list');
+        }
+
+        this._periodic = (cell !== null);
+        this._binsize = binsize;
+
+        if (this._periodic) {
+            // Positions are binned in fractional coordinates. The planes at
+            // constant fractional coordinate k are 1/|b_k| apart, with b_k
+            // the k-th column of the inverse cell
+            this._transform = mjs.inv(cell);
+            this._origin = [0, 0, 0];
+            this._scale = _.range(3).map((k) => mjs.norm(this._transform.map((row) => row[k])));
+        } else {
+            // Positions are binned in the box containing them all
+            let lo = _.range(3).map((k) => _.min(positions.map((p) => p[k])) || 0);
+            let hi = _.range(3).map((k) => _.max(positions.map((p) => p[k])) || 0);
+            let size = _.zipWith(lo, hi, (l, h) => (h - l)*(1 + TOLERANCE) + binsize);
+            this._transform = [0, 1, 2].map((i) => [0, 1, 2].map((k) => (i === k)? 1.0/size[k] : 0));
+            this._origin = lo;
+            this._scale = size.map((s) => 1.0/s);
+        }
+
+        this._nbins = this._scale.map((s) => _.clamp(Math.floor(1.0/(binsize*s)), 1, MAX_BINS));
+
+        // Cell of each atom, and contents of each (non-empty) bin
+        this._cells = [];
+        this._bins = new Map();
+        for (let i = 0; i < positions.length; ++i) {
+            let u = this._coordinates(positions[i]);
+            let s = this._periodic? u.map(Math.floor) : [0, 0, 0];
+            let b = _.zipWith(u, s, this._nbins, (x, c, n) => _.clamp(Math.floor((x - c)*n), 0, n - 1));
+            let key = this._key(b);
+            if (!this._bins.has(key)) {
+                this._bins.set(key, []);
+            }
+            this._bins.get(key).push(i);
+            this._cells.push(s);
+        }
+    }
+
+    get periodic() {
+        return this._periodic;
+    }
+
+    get binsize() {
+        return this._binsize;
+    }
+
+    /**
+     * Find the atoms that may be within a distance r of a point. All those
+     * that are are returned (with the cell of the periodic copy that is),
+     * but some may be further away, so distances must still be checked.
+     * For non-periodic systems the cell is always [0, 0, 0].
+     *
+     * @param  {float[]} x  Cartesian position of the point
+     * @param  {float}   r  Distance
+     *
+     * @return {Array}      List of [index, ijk] pairs, with the index of an
+     *                      atom and the cell of its copy
+     */
+    candidates(x, r) {
+
+        let u = this._coordinates(x);
+        let s = this._periodic? u.map(Math.floor) : [0, 0, 0];
+
+        // Range of bins to look at along each direction (unwrapped for
+        // periodic systems)
+        let ranges = _.range(3).map((k) => {
+            let n = this._nbins[k];
+            let h = (r*this._scale[k] + TOLERANCE)*(1 + TOLERANCE);
+            let b0 = Math.floor((u[k] - s[k] - h)*n);
+            let b1 = Math.floor((u[k] - s[k] + h)*n);
+            if (!this._periodic) {
+                b0 = Math.max(b0, 0);
+                b1 = Math.min(b1, n - 1);
+            }
+            return _.range(b0, b1 + 1);
+        });
+
+        let found = [];
+
+        for (let b0 of ranges[0]) {
+            for (let b1 of ranges[1]) {
+                for (let b2 of ranges[2]) {
+                    let b = [b0, b1, b2];
+                    let atoms = this._bins.get(this._key(b.map((x, k) => (x % this._nbins[k] + this._nbins[k]) % this._nbins[k])));
+                    if (!atoms) {
+                        continue;
+                    }
+                    // Cell the bin is in, relative to that of the point
+                    let t = b.map((x, k) => Math.floor(x/this._nbins[k]));
+                    for (let i of atoms) {
+                        let c = this._cells[i];
+                        found.push([i, [s[0] + t[0] - c[0], s[1] + t[1] - c[1], s[2] + t[2] - c[2]]]);
+                    }
+                }
+            }
+        }
+
+        return found;
+    }
+
+    // Coordinates used for binning: fractional for periodic systems,
+    // relative to the bounding box otherwise
+    _coordinates(x) {
+        let ic = this._transform;
+        let o = this._origin;
+        let d = [x[0] - o[0], x[1] - o[1], x[2] - o[2]];
+        return [d[0] * ic[0][0] + d[1] * ic[1][0] + d[2] * ic[2][0],
+            d[0] * ic[0][1] + d[1] * ic[1][1] + d[2] * ic[2][1],
+            d[0] * ic[0][2] + d[1] * ic[1][2] + d[2] * ic[2][2]
+        ];
+    }
+
+    _key(b) {
+        return (b[0]*this._nbins[1] + b[1])*this._nbins[2] + b[2];
+    }
+}
+
+export {
+    CellList
+};
@@ -87,6 +87,30 @@ class BondMesh extends THREE.Group {
 
         super();
 
+        var mat0 = _phong.clone();
+        mat0.color = new THREE.Color(color0);
+        var mat1 = _phong.clone();
+        mat1.color = new THREE.Color(color1);
+
+        var bond0 = new THREE.Mesh(unitCylinder, mat0);
+        bond0.scale.set(radius, radius, 1);
+        var bond1 = new THREE.Mesh(unitCylinder, mat1);
+        bond1.scale.set(radius, radius, 1);
+
+        this.add(bond0);
+        this.add(bond1);
+
+        this.setEndpoints(p0, p1);
+    }
+
+    /**
+     * Move the bond to join two new points
+     * 
+     * @param {Array} p0        Position of the first atom
+     * @param {Array} p1        Position of the second atom
+     */
+    setEndpoints(p0, p1) {
+
         p0 = new THREE.Vector3(p0[0], p0[1], p0[2]);
         p1 = new THREE.Vector3(p1[0], p1[1], p1[2]);
 
@@ -94,29 +118,18 @@ class BondMesh extends THREE.Group {
         dp.sub(p0);
         var l = dp.length();
 
-        // Halfpoint?
-        var hv = p0.clone();
-        hv.addScaledVector(dp, 0.5);
-
         var rmat = new THREE.Matrix4();
         rmat.lookAt(p0, p1, new THREE.Vector3(0, 0, 1));
 
-        var mat0 = _phong.clone();
-        mat0.color = new THREE.Color(color0);
-        var mat1 = _phong.clone();
-        mat1.color = new THREE.Color(color1);
+        var bond0 = this.children[0];
+        var bond1 = this.children[1];
 
-        var bond0 = new THREE.Mesh(unitCylinder, mat0);
-        bond0.scale.set(radius, radius, l / 2.0);
+        bond0.scale.z = l / 2.0;
         bond0.position.copy(p0.clone().addScaledVector(dp, 0.25));
         bond0.setRotationFromMatrix(rmat);
-        var bond1 = new THREE.Mesh(unitCylinder, mat1);
-        bond1.scale.set(radius, radius, l / 2.0);
+        bond1.scale.z = l / 2.0;
         bond1.position.copy(p1.clone().addScaledVector(dp, -0.25));
         bond1.setRotationFromMatrix(rmat);
-
-        this.add(bond0);
-        this.add(bond1);
     }
 
     get bond_radius() {
@@ -50,6 +50,19 @@ class BoxMesh extends THREE.LineSegments {
         this.matrixAutoUpdate = false;
     }
 
+    /**
+     * Change the lattice the box is drawn for
+     * @param  {Array}  lattice     Lattice parameters for the unit cell
+     */
+    set lattice(lattice) {
+        if (lattice instanceof Array) {
+            lattice = cellMatrix3(lattice);
+        }
+        this.matrix.setFromMatrix3(lattice);
+        this.matrix.setPosition( (new Vector3(0.5, 0.5, 0.5)).applyMatrix3(lattice) );
+        this.matrixWorldNeedsUpdate = true;
+    }
+
     get color() {
         return this.material.color.getHex();
     }
@@ -137,6 +150,26 @@ class AxesMesh extends THREE.Group {
         }
     }
 
+    /**
+     * Change the lattice the axes are drawn for
+     * @param  {Array}  lattice     Lattice parameters for the unit cell
+     */
+    set lattice(lattice) {
+        var arrows = this.children.filter((c) => (c instanceof THREE.ArrowHelper));
+        var labels = this.children.filter((c) => (c instanceof TextSprite));
+
+        for (var i = 0; i < 3; ++i) {
+            var dir = new THREE.Vector3(lattice[i][0], lattice[i][1], lattice[i][2]);
+            var l = dir.length() / 3.0;
+            dir.normalize();
+            arrows[i].setDirection(dir);
+            arrows[i].setLength(l);
+            if (labels[i]) {
+                labels[i].position.copy(dir.clone().multiplyScalar(l * 1.1));
+            }
+        }
+    }
+
     get xColor() {
         return this.children[0].line.material.color.getHex();
     }
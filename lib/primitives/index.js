@@ -27,7 +27,10 @@ import {
 } from './ellipsoid.js'
 
 import {
-    LineMesh
+    LineMesh,
+    ArrowMesh,
+    AngleArcMesh,
+    DihedralWedgeMesh
 } from './shapes.js'
 
 import {
@@ -42,6 +45,9 @@ export {
     AxesMesh,
     EllipsoidMesh,
     LineMesh,
+    ArrowMesh,
+    AngleArcMesh,
+    DihedralWedgeMesh,
     IsosurfaceMesh,
     ImageSprite,
     TextSprite
@@ -7,6 +7,7 @@ import {
     DitherMaterial
 } from './dither.js';
 import { cellMatrix3, addStaticVar } from '../utils.js';
+import { VolumetricData } from '../volumetric.js';
 
 class IsosurfaceMesh extends THREE.Mesh {
 
@@ -22,12 +23,17 @@ class IsosurfaceMesh extends THREE.Mesh {
          * be considered as spanning the orthorombic cell. If no cell is 
          * passed, field's own dimensions will be used.
          *
+         * Field can also be a VolumetricData object, in which case its own
+         * lattice and origin are used unless a lattice is passed explicitly.
+         * For periodic data the surface is closed across the boundaries of
+         * the cell.
+         *
          * Three methods are available:
          * 0 = surface nets
          * 1 = marching cubes
          * 2 = marching tetrahedra
          * 
-         * @param {Array} field             Volumetric data
+         * @param {Array | VolumetricData} field   Volumetric data
          * @param {float} threshold         Isosurface threshold 
          * @param {Array} lattice           Unit cell on which the data is defined
          * @param {Object} parameters       Options:
@@ -52,16 +58,34 @@ class IsosurfaceMesh extends THREE.Mesh {
 
         // First compute the isosurface vertices and faces
         var dims = [0, 0, 0];
-
-        try {
-            dims[0] = field.length;
-            dims[1] = field[0].length;
-            dims[2] = field[0][0].length;
-        } catch {
-            // If we're here, something is wrong with field
-            throw Error('Invalid field for isosurface rendering');
+        var value;
+        var origin = [0, 0, 0];
+        var periodic = false;
+
+        if (field instanceof VolumetricData) {
+            dims = field.shape;
+            value = field.get.bind(field);
+            lattice = lattice || field.lattice;
+            origin = field.origin;
+            periodic = field.periodic;
+        } else {
+            try {
+                dims[0] = field.length;
+                dims[1] = field[0].length;
+                dims[2] = field[0][0].length;
+            } catch {
+                // If we're here, something is wrong with field
+                throw Error('Invalid field for isosurface rendering');
+            }
+            value = function(x, y, z) {
+                return field[x][y][z];
+            };
         }
 
+        // For periodic data, sample one extra point in each direction
+        // (wrapping around) so that the surface reaches the cell boundaries
+        var sdims = periodic ? dims.map((n) => n + 1) : dims;
+
         if (lattice instanceof Array) {
             lattice = cellMatrix3(lattice);    
         }
@@ -72,8 +96,8 @@ class IsosurfaceMesh extends THREE.Mesh {
             throw Error('Invalid method for isosurface rendering');
         }
 
-        var mesh = isofunc(dims, function(x, y, z) {
-            return field[x][y][z] - threshold;
+        var mesh = isofunc(sdims, function(x, y, z) {
+            return value(x, y, z) - threshold;
         });
 
         // Convert positions to absolute coordinates
@@ -100,7 +124,6 @@ class IsosurfaceMesh extends THREE.Mesh {
         verts = new Float32Array(verts);
         geometry.setAttribute('position', new THREE.BufferAttribute(verts, 3));
         geometry.computeVertexNormals();
-        geometry.computeFaceNormals();
 
         var c = new THREE.Color(parameters.color);
         var material;
@@ -132,6 +155,7 @@ class IsosurfaceMesh extends THREE.Mesh {
 
         super(geometry, material);
 
+        this.position.set(origin[0], origin[1], origin[2]);
         this.opacityMode = parameters.opacityMode;
         this.renderOrder = 0.5;
     }
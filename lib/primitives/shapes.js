@@ -10,6 +10,9 @@ import * as THREE from 'three';
 import {
     AtomImage
 } from '../model.js';
+import {
+    TextSprite
+} from './sprites.js';
 
 class LineMesh extends THREE.Line {
 
@@ -95,6 +98,333 @@ class LineMesh extends THREE.Line {
 
 }
 
+class ArrowMesh extends THREE.ArrowHelper {
+
+    /**
+     * Create an arrow representing a vector (e.g. a magnetic moment or a
+     * force), to attach to an atom
+     * 
+     * @param  {Object} parameters             Options:
+     *                                             - vector
+     *                                             - color
+     *                                             - scalingFactor (arrow length
+     *                                               over vector length)
+     *                                             - centered (if true, the arrow
+     *                                               goes through its origin
+     *                                               instead of starting there)
+     *                                             - headLength and headWidth
+     *                                               (as fractions of the length)
+     *                                             - label (text to show at the
+     *                                               tip)
+     *                                             - labelParameters (see
+     *                                               TextSprite)
+     *                                             
+     */
+    constructor(parameters = {}) {
+
+        var defaults = {
+            vector: [0, 0, 1],
+            color: 0xffffff,
+            scalingFactor: 1.0,
+            centered: false,
+            headLength: 0.25,
+            headWidth: 0.12,
+            label: null,
+            labelParameters: {}
+        };
+
+        parameters = _.merge(defaults, parameters);
+
+        super(new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, 0, 0), 1, 
+            parameters.color);
+
+        this._centered = parameters.centered;
+        this._headLength = parameters.headLength;
+        this._headWidth = parameters.headWidth;
+        this._scalefactor = parameters.scalingFactor;
+        this._offset = new THREE.Vector3();
+
+        if (parameters.label !== null) {
+            this._label = new TextSprite(String(parameters.label), _.merge({
+                faceCamera: true,
+                fixScale: true
+            }, parameters.labelParameters));
+            this.add(this._label);
+        }
+
+        this.vector = parameters.vector;
+    }
+
+    get vector() {
+        return Array.from(this._vector);
+    }
+
+    set vector(v) {
+        this._vector = v;
+        this._updateArrow();
+    }
+
+    get scalingFactor() {
+        return this._scalefactor;
+    }
+
+    set scalingFactor(s) {
+        this._scalefactor = s;
+        this._updateArrow();
+    }
+
+    get color() {
+        return this.line.material.color.getHex();
+    }
+
+    set color(c) {
+        this.setColor(c);
+    }
+
+    /**
+     * Length of the arrow
+     * @type {Number}
+     */
+    get length() {
+        return this._length;
+    }
+
+    _updateArrow() {
+        var v = new THREE.Vector3(this._vector[0], this._vector[1], this._vector[2]);
+        var l = v.length()*this._scalefactor;
+
+        this._length = l;
+        // Nothing to point anywhere
+        this.visible = (l > 0);
+        if (l > 0) {
+            this.setDirection(v.normalize());
+            this.setLength(l, this._headLength*l, this._headWidth*l);
+        }
+
+        // Arrows point along y in their own frame
+        this._offset.set(0, this._centered? -l/2.0 : 0, 0).applyQuaternion(this.quaternion);
+        this.position.copy(this._offset);
+        if (this._label) {
+            this._label.position.set(0, this._centered? l/2.0 : l, 0);
+        }
+    }
+
+    updateMatrixWorld(force) {
+        // Atom meshes are scaled by the atom radius; undo that, so that the
+        // length of the arrow is the one of the vector
+        if (this.parent) {
+            var s = this.parent.scale;
+            this.scale.set(1.0/s.x, 1.0/s.y, 1.0/s.z);
+            this.position.copy(this._offset).divide(s);
+        }
+        super.updateMatrixWorld(force);
+    }
+
+}
+
+// Points along a circular arc around the origin, starting along the unit
+// vector u and turning towards the unit vector w (perpendicular to it)
+function arcPoints(u, w, radius, angle) {
+    var n = Math.max(2, Math.ceil(Math.abs(angle)/(Math.PI/36)));
+    return _.range(n+1).map((k) => {
+        var t = angle*k/n;
+        return u.clone().multiplyScalar(Math.cos(t)*radius).addScaledVector(w, Math.sin(t)*radius);
+    });
+}
+
+// Unit vector perpendicular to a given one, in the plane of another one if
+// possible
+function perpendicular(u, v) {
+    var w = v.clone().addScaledVector(u, -v.dot(u));
+    if (w.lengthSq() < 1e-12) {
+        // Any will do
+        w = new THREE.Vector3(1, 0, 0).cross(u);
+        if (w.lengthSq() < 1e-12) {
+            w = new THREE.Vector3(0, 1, 0).cross(u);
+        }
+    }
+    return w.normalize();
+}
+
+// Interpret a point given as an AtomImage or Array
+function toVector(p) {
+    if (p instanceof AtomImage) {
+        p = p.xyz;
+    }
+    return new THREE.Vector3(p[0], p[1], p[2]);
+}
+
+class AngleArcMesh extends THREE.Line {
+
+    /**
+     * Create an arc showing the angle between three points, drawn around
+     * the second one
+     * 
+     * @param  {Array | AtomImage}  p1         First point
+     * @param  {Array | AtomImage}  p2         Vertex of the angle
+     * @param  {Array | AtomImage}  p3         Third point
+     * @param  {Object} parameters             Options:
+     *                                             - color
+     *                                             - radius
+     *                                             - linewidth
+     *                                             
+     */
+    constructor(p1, p2, p3, parameters = {}) {
+
+        var defaults = {
+            color: 0xffffff,
+            radius: 0.5,
+            linewidth: 1,
+            onOverlay: false
+        };
+
+        parameters = _.merge(defaults, parameters);
+
+        var center = toVector(p2);
+        var v1 = toVector(p1).sub(center);
+        var v2 = toVector(p3).sub(center);
+        var angle = v1.angleTo(v2);
+
+        var u = v1.clone().normalize();
+        var w = perpendicular(u, v2);
+        var r = parameters.radius;
+
+        var geo = new THREE.BufferGeometry().setFromPoints(arcPoints(u, w, r, angle));
+        var mat = new THREE.LineBasicMaterial({
+            color: new THREE.Color(parameters.color),
+            linewidth: parameters.linewidth,
+            depthTest: !parameters.onOverlay
+        });
+
+        super(geo, mat);
+        this.position.copy(center);
+
+        if (parameters.onOverlay)
+            this.renderOrder = 9999;
+
+        this._label_position = arcPoints(u, w, 1.3*r, angle/2.0).pop();
+    }
+
+    /**
+     * Point just outside the middle of the arc, relative to its vertex,
+     * where a label can be placed
+     * @readonly
+     * @type {THREE.Vector3}
+     */
+    get labelPosition() {
+        return this._label_position.clone();
+    }
+
+    get color() {
+        return this.material.color.getHex();
+    }
+
+    set color(c) {
+        this.material.color.set(c);
+    }
+
+}
+
+class DihedralWedgeMesh extends THREE.Mesh {
+
+    /**
+     * Create a wedge showing the dihedral angle between four points: a
+     * circular sector around the axis between the second and third points,
+     * going from the direction of the first to that of the fourth
+     * 
+     * @param  {Array | AtomImage}  p1         First point
+     * @param  {Array | AtomImage}  p2         Second point
+     * @param  {Array | AtomImage}  p3         Third point
+     * @param  {Array | AtomImage}  p4         Fourth point
+     * @param  {Object} parameters             Options:
+     *                                             - color
+     *                                             - opacity
+     *                                             - radius
+     *                                             
+     */
+    constructor(p1, p2, p3, p4, parameters = {}) {
+
+        var defaults = {
+            color: 0xffffff,
+            opacity: 0.5,
+            radius: 0.5,
+            onOverlay: false
+        };
+
+        parameters = _.merge(defaults, parameters);
+
+        var a2 = toVector(p2);
+        var a3 = toVector(p3);
+        var axis = a3.clone().sub(a2).normalize();
+        var center = a2.clone().add(a3).divideScalar(2.0);
+
+        // Directions of the first and last points, perpendicular to the axis
+        var u = perpendicular(axis, toVector(p1).sub(a2));
+        var v = perpendicular(axis, toVector(p4).sub(a3));
+        var w = axis.clone().cross(u);
+        var angle = u.angleTo(v)*((v.dot(w) < 0)? -1 : 1);
+        var r = parameters.radius;
+
+        // Fan of triangles around the center
+        var arc = arcPoints(u, w, r, angle);
+        var vertices = [];
+        for (let k = 1; k < arc.length; ++k) {
+            vertices.push(0, 0, 0);
+            vertices.push(arc[k-1].x, arc[k-1].y, arc[k-1].z);
+            vertices.push(arc[k].x, arc[k].y, arc[k].z);
+        }
+        var geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+
+        var mat = new THREE.MeshBasicMaterial({
+            color: new THREE.Color(parameters.color),
+            opacity: parameters.opacity,
+            transparent: (parameters.opacity < 1),
+            side: THREE.DoubleSide,
+            depthWrite: false,
+            depthTest: !parameters.onOverlay
+        });
+
+        super(geo, mat);
+        this.position.copy(center);
+
+        if (parameters.onOverlay)
+            this.renderOrder = 9999;
+
+        this._label_position = arcPoints(u, w, 1.2*r, angle/2.0).pop();
+    }
+
+    /**
+     * Point just outside the middle of the wedge, relative to its center,
+     * where a label can be placed
+     * @readonly
+     * @type {THREE.Vector3}
+     */
+    get labelPosition() {
+        return this._label_position.clone();
+    }
+
+    get color() {
+        return this.material.color.getHex();
+    }
+
+    set color(c) {
+        this.material.color.set(c);
+    }
+
+    get opacity() {
+        return this.material.opacity;
+    }
+
+    set opacity(o) {
+        this.material.opacity = o;
+    }
+
+}
+
 export {
-    LineMesh
+    LineMesh,
+    ArrowMesh,
+    AngleArcMesh,
+    DihedralWedgeMesh
 }
\ No newline at end of file
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * @fileoverview PropertyArray class to store per-atom properties (like
+ * forces, charges or magnetic moments) in typed arrays, with a declared
+ * type and shape.
+ * @module
+ */
+
+import _ from 'lodash';
+
+// Storage for each data type
+const storage = {
+    'float64': Float64Array,
+    'int32': Int32Array,
+    'bool': Uint8Array,
+    'string': Array
+};
+
+// Define the elements of an Array as accessors, reading and writing the
+// values through get(j) and set(j, value)
+function defineElements(arr, count, get, set) {
+    for (let j = 0; j < count; ++j) {
+        Object.defineProperty(arr, j, {
+            get: () => get(j),
+            set: (v) => {
+                set(j, v);
+            },
+            enumerable: true
+        });
+    }
+}
+
+class PropertyArray extends Array {
+
+    /**
+     * Create a PropertyArray object, storing one value per atom. Values are
+     * kept in a flat typed array (a plain Array for strings) with the last
+     * index running fastest, and can be accessed per atom by index, like in
+     * an ordinary Array: element i is a scalar for shape [N], and an Array of
+     * the values of atom i otherwise (split in rows if the shape is
+     * [N, n, m]). The flat array is the only copy of the values: rows of
+     * numbers are views on it, rows of booleans and strings read and write
+     * it through accessors, and so does assigning to an element.
+     *
+     * @param {TypedArray | Array} data     Values of all atoms
+     * @param {String}  dtype               Data type: 'float64', 'int32',
+     *                                      'bool' or 'string'
+     * @param {int[]}   shape               Shape of the data; the first
+     *                                      dimension is the number of atoms
+     */
+    constructor(data, dtype, shape) {
+
+        if (!(dtype in storage)) {
+            throw Error('Invalid data type for property array: ' + dtype);
+        }
+
+        if (!(shape instanceof Array) || shape.length < 1 || shape.length > 3 ||
+            shape.some((n) => (!Number.isInteger(n) || n < 0))) {
+            throw Error('Invalid shape for property array');
+        }
+
+        let size = shape.reduce((a, b) => a*b, 1);
+        if (data.length !== size) {
+            throw Error('Property array data size does not match its shape');
+        }
+
+        let N = shape[0];
+        super(N);
+
+        let dclass = storage[dtype];
+        if (!(data instanceof dclass)) {
+            data = dclass.from(data, (dtype === 'bool')? ((x) => (x? 1 : 0)) : undefined);
+        }
+
+        this._data = data;
+        this._dtype = dtype;
+        this._shape = Array.from(shape);
+
+        let n = (N > 0)? size/N : 0;
+        const get = (dtype === 'bool')? ((k) => (data[k] === 1)) : ((k) => data[k]);
+        const set = (dtype === 'bool')? ((k, x) => {
+            data[k] = x? 1 : 0;
+        }) : ((k, x) => {
+            data[k] = x;
+        });
+        const row = (start, len) => {
+            if (dtype === 'float64' || dtype === 'int32') {
+                return data.subarray(start, start+len);
+            }
+            let r = new Array(len);
+            defineElements(r, len, (j) => get(start+j), (j, x) => set(start+j, x));
+            return r;
+        };
+
+        if (shape.length === 1) {
+            defineElements(this, N, get, set);
+            return;
+        }
+
+        let rows = _.range(N).map((i) => ((shape.length === 2)? row(i*n, n) :
+            _.range(shape[1]).map((j) => row(i*n + j*shape[2], shape[2]))));
+        defineElements(this, N, (i) => rows[i], (i, v) => {
+            v = _.flattenDeep(Array.from(v, (x) => ((ArrayBuffer.isView(x))? Array.from(x) : x)));
+            if (v.length !== n) {
+                throw Error('Property array values must have ' + n + ' elements');
+            }
+            v.forEach((x, j) => set(i*n+j, x));
+        });
+    }
+
+    // Methods like map() or filter() return ordinary Arrays
+    static get [Symbol.species]() {
+        return Array;
+    }
+
+    /**
+     * Build a PropertyArray from a list of per-atom values (scalars, or
+     * Arrays of equal length)
+     *
+     * @param  {Array}  values  Values, one per atom
+     * @param  {String} dtype   Data type (see constructor)
+     *
+     * @return {PropertyArray}  Property array
+     */
+    static fromValues(values, dtype) {
+        let v0 = values[0];
+        let shape = [values.length];
+        if (v0 instanceof Array || ArrayBuffer.isView(v0)) {
+            shape.push(v0.length);
+            if (values.some((v) => (v.length !== v0.length))) {
+                throw Error('All values of a property array must have the same length');
+            }
+        }
+        let data = (shape.length > 1)? _.flatMap(values, (v) => Array.from(v)) : values;
+        return new PropertyArray(data, dtype, shape);
+    }
+
+    get data() {
+        return this._data;
+    }
+
+    get dtype() {
+        return this._dtype;
+    }
+
+    get shape() {
+        return Array.from(this._shape);
+    }
+
+    /**
+     * Number of values per atom
+     * @type {int}
+     */
+    get size() {
+        return this._shape.slice(1).reduce((a, b) => a*b, 1);
+    }
+
+    /**
+     * Return a copy of this array
+     *
+     * @return {PropertyArray}  Copy
+     */
+    copy() {
+        return new PropertyArray(this._data.slice(), this._dtype, this._shape);
+    }
+
+    /**
+     * Return a new PropertyArray with the values of the given atoms only
+     *
+     * @param  {int[]} indices  Indices of the atoms
+     *
+     * @return {PropertyArray}  Property array for the given atoms
+     */
+    subset(indices) {
+        let n = this.size;
+        let data = new (storage[this._dtype])(indices.length*n);
+        indices.forEach((i, k) => {
+            for (let j = 0; j < n; ++j) {
+                data[k*n+j] = this._data[i*n+j];
+            }
+        });
+        return new PropertyArray(data, this._dtype, [indices.length].concat(this._shape.slice(1)));
+    }
+}
+
+export {
+    PropertyArray
+};
@@ -627,67 +627,6 @@ class Renderer {
 
 }
 
-/**
- * Add a vector field representation to the model
- * 
- * @param {Array} points            List of origins for the vectors
- * @param {Array} vectors           Vectors to plot
- * @param {*} colors                Colors for each vector. Can be a single color, an array of colors, or a function that takes 
- *                                  origin, vector, and index, and returns a color.
- * @param {float} scale             Scaling factor
- * 
- * @returns {THREE.Group}           Rendered object
- */
-
-/*
-_addVectorField: function(points, vectors, colors, scale) {
-
-    var N = points.length;
-    if (vectors.length != N)
-        throw 'Points and vectors arrays not matching for vector field';
-
-    // We always reduce colors to a function with signature (p, v, i) but
-    // it can also be an array or a single scalar.
-    colors = colors || 0xffffff;
-    switch (typeof colors) {
-        case 'function':
-            break;
-        case 'object':
-            if (colors.length != N)
-                throw 'Colors array not matching for vector field';
-            var colors_arr = colors.slice();
-            colors = function(p, v, i) {
-                return colors_arr[i];
-            }
-            break;
-        default:
-            var colors_val = colors;
-            colors = function(p, v, i) {
-                return colors_val;
-            }
-    }
-    scale = scale || 1;
-
-    var vfield = new THREE.Group();
-
-    for (var i = 0; i < N; ++i) {
-        var p = points[i];
-        var v = vectors[i];
-        var c = colors(p, v, i);
-        var l = v.length();
-        v.normalize();
-        var arr = new THREE.ArrowHelper(v, p, l, c, 0.2 * l, 0.1 * l);
-        vfield.add(arr);
-    }
-
-    this._g._plots.add(vfield);
-
-    return vfield;
-},
-
-*/
-
-
 export {
     Renderer,
     themes
@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * @fileoverview Class holding models made of multiple frames, like molecular
+ * dynamics or geometry optimisation trajectories
+ * @module
+ */
+
+import _ from 'lodash';
+import * as mjs from 'mathjs';
+
+import * as utils from './utils.js';
+import {
+    Model as Model
+} from './model.js';
+
+// Arrays that define the atoms themselves, and can't change between frames
+const fixed_arrays = ['symbols', 'numbers', 'positions'];
+
+/** A Model holding all the frames of a trajectory. Only one frame is shown at
+ * a time; changing frame moves the atoms and bonds in place, keeping the
+ * bonds, molecules and any graphics (labels, ellipsoids) of the first frame */
+class TrajectoryModel extends Model {
+
+    /**
+     * @class
+     * @param {crystcif.Atoms[]} frames     Frames of the trajectory, in
+     *                                      crystcif's Atoms format. All must
+     *                                      have the same atoms in the same
+     *                                      order
+     * @param {Object}           parameters Additional options, as for Model
+     * @param {Object}           build      Options for how the model is
+     *                                      built, as for Model
+     */
+    constructor(frames, parameters = {}, build = {}) {
+
+        if (!(frames instanceof Array) || frames.length === 0) {
+            throw new Error('TrajectoryModel must be initialised with a non-empty Array of Atoms objects');
+        }
+
+        let f0 = frames[0];
+        let symbols = f0.get_chemical_symbols();
+        let periodic = !f0.get_pbc().includes(false);
+        frames.forEach((f) => {
+            if (!_.isEqual(f.get_chemical_symbols(), symbols)) {
+                throw new Error('All frames of a trajectory must have the same atoms');
+            }
+            if (!f.get_pbc().includes(false) !== periodic) {
+                throw new Error('All frames of a trajectory must have the same periodicity');
+            }
+        });
+
+        // Work on a copy, as changing frame overwrites the arrays
+        super(utils.cloneAtoms(f0), parameters, build);
+
+        this._frames = frames;
+        this._frame = 0;
+
+        // Molecular crystals may have had atoms moved by lattice vectors
+        // to complete molecules; apply the same shifts to all frames
+        this._frame_shifts = null;
+        if (this._periodic) {
+            let fpos0 = f0.get_scaled_positions();
+            this._frame_shifts = this._scaled_positions.map((p, i) => {
+                return p.map((x, j) => Math.round(x - fpos0[i][j]));
+            });
+        }
+    }
+
+    /**
+     * Number of frames in the trajectory
+     * @readonly
+     * @type {int}
+     */
+    get frameCount() {
+        return this._frames.length;
+    }
+
+    /**
+     * Index of the frame currently loaded
+     * @readonly
+     * @type {int}
+     */
+    get frame() {
+        return this._frame;
+    }
+
+    /**
+     * Frames of the trajectory, in crystcif's Atoms format
+     * @readonly
+     * @type {crystcif.Atoms[]}
+     */
+    get frames() {
+        return Array.from(this._frames);
+    }
+
+    /**
+     * Bonds added or removed by hand, as for Model. Cells are given for
+     * the atoms of the frames, before any shift to complete molecules, so
+     * that they can be used for a new model of the same frames
+     * @readonly
+     * @type {Array[]}
+     */
+    get bondOverrides() {
+        let shifts = this._frame_shifts;
+        return super.bondOverrides.map(([i, j, c, bonded]) => {
+            if (shifts) {
+                c = c.map((x, k) => x + shifts[j][k] - shifts[i][k]);
+            }
+            return [i, j, c, bonded];
+        });
+    }
+
+    /**
+     * Measurements converted back to the cells of the frames' atoms, as for
+     * bondOverrides. For internal use
+     * @private
+     */
+    _measurementData() {
+        let shifts = this._frame_shifts;
+        return _.mapValues(super._measurementData(), (m) => {
+            if (shifts) {
+                m.atoms = m.atoms.map(([i, c]) => [i, c.map((x, k) => x + shifts[i][k])]);
+            }
+            return m;
+        });
+    }
+
+    /**
+     * Trajectories can not be edited: this always throws an error
+     */
+    edit() {
+        throw new Error('Trajectories can not be edited');
+    }
+
+    /**
+     * Load a different frame of the trajectory. Positions, cell, info and
+     * per-atom arrays are replaced by the frame's (keeping any other info
+     * stored on the model), and the meshes of atoms, bonds and cell are
+     * moved in place.
+     *
+     * @param {int} index   Index of the frame to load. Negative values count
+     *                      from the end
+     */
+    setFrame(index) {
+
+        let n = this._frames.length;
+        if (index < 0) {
+            index += n;
+        }
+        if (!Number.isInteger(index) || index < 0 || index >= n) {
+            throw new Error('Frame index out of range');
+        }
+
+        let f = this._frames[index];
+        let base = this._atoms_base;
+
+        // Per-atom arrays and info
+        _.forEach(f._arrays, (arr, name) => {
+            if (!fixed_arrays.includes(name)) {
+                base._arrays[name] = arr;
+            }
+        });
+        // Only the frames' own info is replaced, so anything stored on the
+        // model (e.g. volumetric data) is kept
+        _.forEach(this._frames[this._frame].info, (v, key) => {
+            delete base.info[key];
+        });
+        _.assign(base.info, f.info);
+
+        let pos;
+        if (this._periodic) {
+            let cell = f.get_cell();
+            let fpos = f.get_scaled_positions().map((p, i) => {
+                return mjs.add(p, this._frame_shifts[i]);
+            });
+            pos = mjs.multiply(fpos, cell);
+
+            base._cell = cell;
+            base._inv_cell = mjs.inv(cell);
+            this._cell = base._cell;
+            this._inv_cell = base._inv_cell;
+            this._scaled_positions = fpos;
+            this._computeCellMatrices();
+        } else {
+            pos = f.get_positions();
+        }
+
+        base._arrays['positions'] = pos;
+        this._positions = pos;
+        this._cell_list = null;
+
+        this._frame = index;
+
+        // Now move everything
+        _.forEach(this._atom_images, (a) => {
+            a._updatePosition();
+        });
+        _.forEach(this._bond_images, (b) => {
+            b._updatePosition();
+        });
+        if (this._cartesian_box) {
+            this._cartesian_box.lattice = this._cell;
+        }
+        if (this._cartesian_axes) {
+            this._cartesian_axes.lattice = this._cell;
+        }
+        this._updateMeasurements();
+    }
+}
+
+export {
+    TrajectoryModel
+}
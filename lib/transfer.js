@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * @fileoverview Functions to pass loaded structures and their geometry
+ * between threads (e.g. to and from a Web Worker). Messages can only carry
+ * plain data, so class instances are turned into tagged objects and rebuilt
+ * on the other side
+ * @module
+ */
+
+import _ from 'lodash';
+import {
+    Atoms as Atoms
+} from '@ccp-nc/crystcif-parse';
+import {
+    TensorData as TensorData
+} from './tensor.js';
+import {
+    VolumetricData as VolumetricData
+} from './volumetric.js';
+import {
+    PropertyArray as PropertyArray
+} from './property.js';
+import {
+    BondList as BondList
+} from './bonds.js';
+
+const class_tag = '__crystvis_class__';
+
+// Classes that are rebuilt from their own fields
+const field_classes = {
+    'Atoms': Atoms,
+    'VolumetricData': VolumetricData
+};
+
+/**
+ * Turn a structure (an Atoms object, or an Array of them for trajectories)
+ * into plain data that can be posted to or from a Web Worker. TensorData and
+ * VolumetricData found in its arrays and info are converted too.
+ *
+ * @param  {crystcif.Atoms | crystcif.Atoms[]} s    Structure to encode
+ *
+ * @return {Object}     Encoded structure
+ */
+function encodeStructure(s) {
+
+    if (s instanceof TensorData) {
+        let enc = {
+            data: s.data
+        };
+        enc[class_tag] = 'TensorData';
+        return enc;
+    }
+
+    if (s instanceof PropertyArray) {
+        // Only the flat data; the per-atom views would each carry a copy
+        // of it
+        let enc = {
+            data: s.data,
+            dtype: s.dtype,
+            shape: s.shape
+        };
+        enc[class_tag] = 'PropertyArray';
+        return enc;
+    }
+
+    for (let cname in field_classes) {
+        if (s instanceof field_classes[cname]) {
+            let enc = {
+                fields: _.mapValues(_.assign({}, s), encodeStructure)
+            };
+            enc[class_tag] = cname;
+            return enc;
+        }
+    }
+
+    if (s instanceof Array) {
+        return s.map(encodeStructure);
+    }
+    if (_.isPlainObject(s)) {
+        return _.mapValues(s, encodeStructure);
+    }
+
+    // Anything else (numbers, strings, typed arrays...) can be posted as it is
+    return s;
+}
+
+/**
+ * Rebuild a structure encoded with encodeStructure
+ *
+ * @param  {Object} enc     Encoded structure
+ *
+ * @return {crystcif.Atoms | crystcif.Atoms[]}  Decoded structure
+ */
+function decodeStructure(enc) {
+
+    if (enc instanceof Array) {
+        return enc.map(decodeStructure);
+    }
+    if (!_.isPlainObject(enc)) {
+        return enc;
+    }
+
+    let cname = enc[class_tag];
+    if (cname === 'TensorData') {
+        return new TensorData(enc.data);
+    }
+    if (cname === 'PropertyArray') {
+        return new PropertyArray(enc.data, enc.dtype, enc.shape);
+    }
+    if (cname in field_classes) {
+        let obj = Object.create(field_classes[cname].prototype);
+        return _.assign(obj, _.mapValues(enc.fields, decodeStructure));
+    }
+
+    return _.mapValues(enc, decodeStructure);
+}
+
+/**
+ * Turn the geometry of a Model (as returned by its `_geometry()` method)
+ * into plain data to post between threads. The bonds are stored as a list
+ * of [i, j, cells] entries with i <= j.
+ *
+ * @param  {Object} geom    Model geometry
+ *
+ * @return {Object}         Encoded geometry
+ */
+function encodeGeometry(geom) {
+    return _.assign({}, geom, {
+        size: geom.bonds.length,
+        bonds: geom.bonds.pairs()
+    });
+}
+
+/**
+ * Rebuild a Model geometry encoded with encodeGeometry
+ *
+ * @param  {Object} enc     Encoded geometry
+ *
+ * @return {Object}         Model geometry, to pass to the Model constructor
+ */
+function decodeGeometry(enc) {
+
+    let geom = _.assign({}, enc, {
+        bonds: BondList.fromPairs(enc.size, enc.bonds)
+    });
+    delete geom.size;
+
+    return geom;
+}
+
+export {
+    encodeStructure,
+    decodeStructure,
+    encodeGeometry,
+    decodeGeometry
+}
@@ -6,7 +6,11 @@
  */
 
 import _ from 'lodash';
+import * as mjs from 'mathjs';
 import * as THREE from 'three';
+import {
+    PropertyArray
+} from './property.js';
 
 /**
  * Compute a full list of indices of all cells for 
@@ -184,6 +188,100 @@ function floatEqual(a, b, tol=1e-6) {
     return Math.abs(a-b) < tol;
 }
 
+/**
+ * Compute the factor by which the square roots of the eigenvalues of an
+ * anisotropic displacement tensor have to be scaled to get an ellipsoid
+ * containing the atom with the given probability (e.g. 1.5382 for 50%). This
+ * is the quantile of the chi distribution with three degrees of freedom.
+ *
+ * @param {float} probability   Probability, between 0 and 1 (excluded)
+ *
+ * @return {float}              Scaling factor
+ */
+function adpProbabilityScale(probability) {
+
+    if (!(probability > 0 && probability < 1)) {
+        throw Error('Probability must be between 0 and 1');
+    }
+
+    // Cumulative distribution function of the chi distribution with k = 3
+    const cdf = (c) => (mjs.erf(c/Math.SQRT2) - Math.sqrt(2/Math.PI)*c*Math.exp(-c*c/2));
+
+    // Bisection; the CDF is monotonic
+    let c0 = 0;
+    let c1 = 10;
+    for (let i = 0; i < 60; ++i) {
+        let c = (c0+c1)/2;
+        if (cdf(c) < probability) {
+            c0 = c;
+        } else {
+            c1 = c;
+        }
+    }
+
+    return (c0+c1)/2;
+}
+
+/**
+ * Parse a symmetry operation in the 'x, -y+1/2, z' form into a rotation
+ * matrix and a translation vector, acting on fractional coordinates
+ *
+ * @param  {String} op      Symmetry operation
+ *
+ * @return {Array}          Rotation matrix and translation vector, as [R, t]
+ */
+function parseSymOp(op) {
+
+    let rows = op.replace(/[\s']/g, '').toLowerCase().split(',');
+    if (rows.length !== 3) {
+        throw Error('Invalid symmetry operation ' + op);
+    }
+
+    const frac = (x) => {
+        let [n, d] = x.split('/').map(parseFloat);
+        return (d === undefined)? n : n/d;
+    };
+
+    let R = [];
+    let t = [];
+    rows.forEach((r) => {
+        let row = [0, 0, 0];
+        let tr = 0;
+        (r.match(/[+-]?[^+-]+/g) || []).forEach((term) => {
+            let sign = (term[0] === '-')? -1 : 1;
+            term = term.replace(/^[+-]/, '');
+            let ax = 'xyz'.indexOf(term.slice(-1));
+            if (ax >= 0) {
+                let coef = term.slice(0, -1).replace('*', '');
+                row[ax] += sign*(coef? frac(coef) : 1);
+            } else {
+                tr += sign*frac(term);
+            }
+        });
+        if (row.some(isNaN) || isNaN(tr)) {
+            throw Error('Invalid symmetry operation ' + op);
+        }
+        R.push(row);
+        t.push(tr);
+    });
+
+    return [R, t];
+}
+
+/**
+ * Make a deep copy of an Atoms object, including its arrays and info.
+ * PropertyArrays are copied with their own method, as lodash can't rebuild
+ * them
+ * 
+ * @param  {crystcif.Atoms} atoms   Atoms object to copy
+ * 
+ * @return {crystcif.Atoms}         Copy
+ */
+function cloneAtoms(atoms) {
+    return _.cloneDeepWith(atoms, (v) => ((v instanceof PropertyArray)? v.copy() : undefined));
+}
+
 export {
-    supercellGrid, supercellIndex, cellMatrix3, addStaticVar, shiftCpkColor, hashCode, floatEqual
+    supercellGrid, supercellIndex, cellMatrix3, addStaticVar, shiftCpkColor, hashCode, floatEqual,
+    adpProbabilityScale, parseSymOp, cloneAtoms
 }
\ No newline at end of file
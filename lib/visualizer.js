@@ -5,7 +5,7 @@
  * @module
  */
 
-import * as _ from 'lodash';
+import _ from 'lodash';
 
 import {
     Renderer as Renderer
@@ -21,12 +21,19 @@ import {
 import {
     ModelView as ModelView
 } from './modelview.js';
+import {
+    TrajectoryModel as TrajectoryModel
+} from './trajectory.js';
 import {
     AtomMesh
 } from './primitives/index.js';
 import {
     addStaticVar
 } from './utils.js';
+import {
+    decodeStructure,
+    decodeGeometry
+} from './transfer.js';
 
 
 const model_parameter_defaults = {
@@ -34,6 +41,26 @@ const model_parameter_defaults = {
     molecularCrystal: false
 };
 
+// Reason to reject with when an asynchronous load is aborted
+function abortReason(signal) {
+    return signal.reason || new DOMException('Model loading was aborted', 'AbortError');
+}
+
+// Start a worker for loadModelsAsync, if the environment allows it
+function createLoadWorker(url = null) {
+    if (typeof Worker === 'undefined') {
+        return null;
+    }
+    try {
+        return new Worker(url || new URL('./worker.js', import.meta.url), {
+            type: 'module'
+        });
+    } catch {
+        // E.g. bundled code, where the worker's location is unknown
+        return null;
+    }
+}
+
 /** An object providing a full interface to a renderer for crystallographic models */
 class CrystVis {
 
@@ -97,6 +124,15 @@ class CrystVis {
         this._model_list_change_cbs = [];
         this._display_change_cbs    = [];
         this._camera_change_cbs     = [];
+        this._frame_change_cbs      = [];
+
+        // Trajectory playback
+        this._frame_rate = 10;      // Frames per second
+        this._play_timer = null;
+        this._play_loop = true;
+
+        // Unbinding functions for the undo/redo keyboard shortcuts
+        this._edit_shortcuts = [];
 
         // Subscribe to camera changes from the renderer
         this._camera_unsub = this._renderer.onCameraChange((state) => {
@@ -357,14 +393,278 @@ class CrystVis {
         };
     }
 
+    /**
+     * Subscribe to frame-change events, fired whenever the frame of the
+     * displayed trajectory changes (by `seek()` or during playback).
+     *
+     * @param  {Function} callback  `callback(frame: int, frameCount: int)`
+     * @return {Function}           Unsubscribe function
+     */
+    onFrameChange(callback) {
+        this._frame_change_cbs.push(callback);
+        return () => {
+            this._frame_change_cbs = this._frame_change_cbs.filter(cb => cb !== callback);
+        };
+    }
+
+    _emitFrameChange() {
+        const m = this._current_model;
+        this._frame_change_cbs.forEach(cb => cb(m.frame, m.frameCount));
+    }
+
+    // ─── Trajectory playback ─────────────────────────────────────────────────────
+
+    /**
+     * Return the displayed model if it's a trajectory, or throw an error
+     * @private
+     */
+    _currentTrajectory() {
+        if (!(this._current_model instanceof TrajectoryModel)) {
+            throw new Error('CrystVis: the displayed model is not a trajectory');
+        }
+        return this._current_model;
+    }
+
+    /**
+     * Index of the frame shown for the displayed trajectory, or null if the
+     * displayed model is not a trajectory
+     * @readonly
+     * @type {int}
+     */
+    get frame() {
+        const m = this._current_model;
+        return (m instanceof TrajectoryModel)? m.frame : null;
+    }
+
+    /**
+     * Number of frames of the displayed trajectory, or null if the
+     * displayed model is not a trajectory
+     * @readonly
+     * @type {int}
+     */
+    get frameCount() {
+        const m = this._current_model;
+        return (m instanceof TrajectoryModel)? m.frameCount : null;
+    }
+
+    /**
+     * Playback speed for trajectories, in frames per second
+     * @type {float}
+     */
+    get frameRate() {
+        return this._frame_rate;
+    }
+
+    set frameRate(fps) {
+        if (!(fps > 0)) {
+            throw new Error('CrystVis: frame rate must be positive');
+        }
+        this._frame_rate = fps;
+        if (this.playing) {
+            // Restart with the new rate
+            this._startTimer();
+        }
+    }
+
+    /**
+     * Whether a trajectory is being played
+     * @readonly
+     * @type {bool}
+     */
+    get playing() {
+        return this._play_timer !== null;
+    }
+
+    /**
+     * Show a given frame of the displayed trajectory
+     *
+     * @param  {int} frame  Index of the frame. Negative values count from
+     *                      the end
+     */
+    seek(frame) {
+        const m = this._currentTrajectory();
+        m.setFrame(frame);
+        this._emitFrameChange();
+    }
+
+    /**
+     * Start playing the displayed trajectory, from the current frame
+     *
+     * @param  {float} fps  Frames per second. If omitted, use the current
+     *                      frameRate
+     * @param  {bool}  loop If true, restart from the first frame after the
+     *                      last one; otherwise stop there
+     */
+    play(fps = null, loop = true) {
+        if (this._isDisposed) {
+            throw new Error('CrystVis: cannot call play() on a disposed instance');
+        }
+        const m = this._currentTrajectory();
+        if (fps !== null) {
+            this.frameRate = fps;
+        }
+        this._play_loop = loop;
+        if (!loop && m.frame === m.frameCount - 1) {
+            // Start over
+            this.seek(0);
+        }
+        this._startTimer();
+    }
+
+    /**
+     * Stop playing the displayed trajectory, leaving the current frame shown
+     */
+    pause() {
+        if (this._play_timer !== null) {
+            clearInterval(this._play_timer);
+            this._play_timer = null;
+        }
+    }
+
+    /**
+     * Advance to the next frame during playback
+     * @private
+     */
+    _playStep() {
+        const m = this._current_model;
+        let next = m.frame + 1;
+        if (next >= m.frameCount) {
+            if (!this._play_loop) {
+                this.pause();
+                return;
+            }
+            next = 0;
+        }
+        this.seek(next);
+    }
+
+    /**
+     * (Re)start the playback timer
+     * @private
+     */
+    _startTimer() {
+        this.pause();
+        this._play_timer = setInterval(this._playStep.bind(this), 1000.0 / this._frame_rate);
+    }
+
+    // ─── Structure editing ───────────────────────────────────────────────────────
+
+    /**
+     * Apply the edits recorded on a ModelEditor (see `Model.edit()`) and
+     * replace the edited model with the result, under the same name. If it
+     * was displayed, the new model is displayed instead, keeping the camera
+     * where it was.
+     *
+     * @param  {ModelEditor} editor     Editor of one of the loaded models
+     * @return {Model}                  The edited model
+     */
+    applyEdit(editor) {
+        if (this._isDisposed) {
+            throw new Error('CrystVis: cannot call applyEdit() on a disposed instance');
+        }
+        const name = _.findKey(this._models, (m) => (m === editor.model));
+        if (name === undefined) {
+            throw new Error('CrystVis: the edited model is not loaded');
+        }
+        const m = editor.apply();
+        this._replaceModel(name, m);
+        return m;
+    }
+
+    /**
+     * Undo the last edit of the displayed model, going back to the previous
+     * model in its history (see `Model.history`)
+     *
+     * @return {bool}   Whether there was an edit to undo
+     */
+    undo() {
+        const m = this._current_model;
+        const prev = m? m.history.undo() : null;
+        if (!prev) {
+            return false;
+        }
+        this._replaceModel(this._current_mname, prev);
+        return true;
+    }
+
+    /**
+     * Redo the last undone edit of the displayed model
+     *
+     * @return {bool}   Whether there was an edit to redo
+     */
+    redo() {
+        const m = this._current_model;
+        const next = m? m.history.redo() : null;
+        if (!next) {
+            return false;
+        }
+        this._replaceModel(this._current_mname, next);
+        return true;
+    }
+
+    /**
+     * Bind the usual keyboard shortcuts for undo (Ctrl+Z, or Cmd+Z) and redo
+     * (Ctrl+Shift+Z or Ctrl+Y) of the edits of the displayed model. Keys
+     * typed in text fields are left alone.
+     *
+     * @param  {EventTarget} target     Element to listen to. Default is the
+     *                                  whole document
+     * @return {Function}               Function to unbind the shortcuts
+     */
+    bindEditShortcuts(target = null) {
+        target = target || document;
+        const onKeyDown = (event) => {
+            const t = event.target;
+            if (t && (t.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(t.tagName))) {
+                return;
+            }
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+                return;
+            }
+            const key = event.key.toLowerCase();
+            let done;
+            if (key === 'z') {
+                done = event.shiftKey? this.redo() : this.undo();
+            } else if (key === 'y' && !event.shiftKey) {
+                done = this.redo();
+            } else {
+                return;
+            }
+            if (done) {
+                event.preventDefault();
+            }
+        };
+        target.addEventListener('keydown', onKeyDown);
+        const unbind = () => {
+            target.removeEventListener('keydown', onKeyDown);
+            this._edit_shortcuts = this._edit_shortcuts.filter((u) => (u !== unbind));
+        };
+        this._edit_shortcuts.push(unbind);
+        return unbind;
+    }
+
+    /**
+     * Replace a loaded model with another one (e.g. an edited version),
+     * displaying it if the old one was displayed
+     * @private
+     */
+    _replaceModel(name, model) {
+        this._models[name] = model;
+        if (this._current_mname === name) {
+            const camera = this.getCameraState();
+            this.displayModel(name);
+            this.setCameraState(camera);
+        }
+    }
+
     // ─── Model source / parameter / metadata APIs ────────────────────────────────
 
     /**
-     * Return the raw file text and format extension originally passed to
-     * `loadModels()` for the named model.
+     * Return the raw file text, format extension and parser options 
+     * originally passed to `loadModels()` for the named model.
      *
      * @param  {String} name  Model name
-     * @return {{ text: string, extension: string }|null}
+     * @return {{ text: string, extension: string, options: Object }|null}
      */
     getModelSource(name) {
         const src = this._model_sources[name];
@@ -385,14 +685,16 @@ class CrystVis {
 
     /**
      * Return metadata stored alongside the named model:
-     * `{ prefix, originalName }`.
+     * `{ prefix, originalName, calculation }`, where `calculation` describes
+     * how the model's data was computed (see `Model.calculation`), or is
+     * null if the file did not say.
      *
      * @param  {String} name  Model name
-     * @return {{ prefix: string, originalName: string }|null}
+     * @return {{ prefix: string, originalName: string, calculation: Object|null }|null}
      */
     getModelMeta(name) {
         const m = this._model_meta[name];
-        return m ? { ...m } : null;
+        return m ? _.cloneDeep(m) : null;
     }
 
     // ─── Atomic unload ───────────────────────────────────────────────────────────
@@ -495,6 +797,12 @@ class CrystVis {
         }
         this._isDisposed = true;
 
+        // Stop any trajectory playback
+        this.pause();
+
+        // Unbind the undo/redo keyboard shortcuts
+        this._edit_shortcuts.forEach((unbind) => unbind());
+
         // Unsubscribe camera-change listener before tearing down the renderer
         if (this._camera_unsub) {
             this._camera_unsub();
@@ -525,6 +833,7 @@ class CrystVis {
         this._model_list_change_cbs = [];
         this._display_change_cbs    = [];
         this._camera_change_cbs     = [];
+        this._frame_change_cbs      = [];
     }
 
     centerCamera(center = [0, 0, 0], shift = [0, 0]) {
@@ -537,9 +846,21 @@ class CrystVis {
     /**
      * Load one or more atomic models from a file's contents
      * 
-     * @param  {String} contents    The contents of the structure file
-     * @param  {String} format      The file's format (cif, xyz, etc.). Default is cif.
-     * @param  {String} prefix      Prefix to use when naming the models. Default is empty.
+     * @param  {String | ArrayBuffer | Uint8Array} contents    The contents of
+     *                              the structure file. Binary contents can be
+     *                              gzipped, or a zip archive: then each file
+     *                              in it is loaded with its own format (see
+     *                              `Loader.loadArchive()`), and its path in
+     *                              the archive is used as prefix for its
+     *                              models (after `prefix` and a slash, if
+     *                              one is given). Errors are then reported
+     *                              for each file in the status map
+     * @param  {String} format      The file's format (cif, xyz, etc., or any format 
+     *                              added with `Loader.registerFormat()`). Default is auto, 
+     *                              which picks the format from the contents (see 
+     *                              `detectFormat()`); the format picked is stored
+     *                              in the model's source (see `getModelSource()`).
+     * @param  {String} prefix      Prefix to use when naming the models. Default is the format.
      * @param  {Object} parameters  Loading parameters:
      * 
      *  - `supercell`: supercell size (only used if the structure is periodic)
@@ -547,6 +868,14 @@ class CrystVis {
      *  - `useNMRActiveIsotopes`: if true, all isotopes are set by default to the most common one with non-zero spin
      *  - `vdwScaling`: scale van der Waals radii by a constant factor
      *  - `vdwElementScaling`: table of per-element factors to scale VdW radii by
+     *  - `explicitBonds`: how to use bonds listed in the file (PDB, MOL/SDF): 'override', 'augment', 'ignore' or 'auto'
+     *  - `bondingRules`: how bonds are found from distances: `mode` ('vdw' or 'covalent', with a `tolerance` in
+     *    Angstrom), `pairs` ([min, max] distances by pair of elements, e.g. `{'Si-O': [1.4, 1.9]}`) and `exclude`
+     *    (elements that never bond). See `Model`
+     * @param  {Object} options     Options for the format's parser, overriding
+     *                              its defaults (e.g. `{index: 0}` to load the 
+     *                              first frame of an xyz file). See 
+     *                              `Loader.registerFormat()`.
      *                                          
      * @return {Object}             Status map of the models we tried to load. Keys are the model names (strings that can be
      *                              passed directly to `displayModel()`). Values are `0` for a successful load, or an error
@@ -554,35 +883,348 @@ class CrystVis {
      *                              `visualizer.displayModel(Object.keys(loaded)[0])` and check
      *                              `loaded[modelName] !== 0` to detect errors.
      */
-    loadModels(contents, format = 'cif', prefix = null, parameters = {}) {
+    loadModels(contents, format = 'auto', prefix = null, parameters = {}, options = {}) {
         if (this._isDisposed) {
             throw new Error('CrystVis: cannot call loadModels() on a disposed instance');
         }
         // clear existing notifications
         this.clearNotifications();
 
-        parameters = _.merge(model_parameter_defaults, parameters);
+        parameters = _.merge({}, model_parameter_defaults, parameters);
 
-        // By default, it's cif
         format = format.toLowerCase();
 
+        try {
+            if (Loader.isArchive(contents)) {
+                return this._loadArchive(contents, format, prefix, parameters, options);
+            }
+            contents = Loader.readText(contents);
+        } catch (err) {
+            return this._loadError(prefix || format, err.message || err);
+        }
+
+        if (format === 'auto') {
+            format = this._loader.detectFormat(contents);
+            if (format === null) {
+                return this._loadError(prefix || 'auto', this._loader.error_message);
+            }
+        }
+
         // By default, same as the format
         prefix = prefix || format;
 
-        var structs = this._loader.load(contents, format, prefix);
+        var structs = this._loader.load(contents, format, prefix, options);
 
-        var status = {};
+        if (this._loader.status == Loader.STATUS_ERROR) {
+            return this._loadError(prefix, this._loader.error_message);
+        }
+
+        var models = _.mapValues(structs, (s) => (s? this._makeModel(s, parameters) : null));
+
+        return this._addModels(models, contents, format, prefix, parameters, options);
+    }
+
+    /**
+     * Load the models of all the files in a zip archive, and return their
+     * status map
+     * @private
+     */
+    _loadArchive(data, format, prefix, parameters, options) {
+
+        var members = this._loader.loadArchive(data, format, prefix, options);
 
         if (this._loader.status == Loader.STATUS_ERROR) {
-            status[prefix] = this._loader.error_message;
-            // display error notification to user
-            this.addNotification('Error loading model: '+ prefix);
-            this.addNotification(this._loader.error_message);            
-            return status;
+            return this._loadError(prefix || format, this._loader.error_message);
+        }
+
+        var status = {};
+
+        members.forEach((m) => {
+            var models;
+            try {
+                if ('error' in m) {
+                    throw Error(m.error);
+                }
+                models = _.mapValues(m.structures, (s) => (s? this._makeModel(s, parameters) : null));
+            } catch (err) {
+                _.assign(status, this._loadError(m.name, err.message || err));
+                return;
+            }
+            _.assign(status, this._addModels(models, m.contents, m.format, m.name, parameters, options));
+        });
+
+        return status;
+    }
+
+    /**
+     * Load one or more atomic models from a file's contents without blocking
+     * the page. When Web Workers are available, parsing and the computation
+     * of bonds and molecules (the slow part for large structures) run in a
+     * worker; otherwise they run on the main thread, one step at a time.
+     * Formats added with `Loader.registerFormat()` are always read on the
+     * main thread, as the worker does not know about them.
+     *
+     * @param  {String | ArrayBuffer | Uint8Array} contents    The contents of
+     *                              the structure file, as in `loadModels()`.
+     *                              The files in a zip archive are loaded one
+     *                              after the other; if the load is aborted,
+     *                              the models of those already loaded are
+     *                              kept
+     * @param  {String} format      The file's format, as in `loadModels()`
+     * @param  {String} prefix      Prefix to use when naming the models. Default is the format.
+     * @param  {Object} parameters  Loading parameters, as in `loadModels()`
+     * @param  {Object} options     Options for the format's parser, as in `loadModels()`
+     * @param  {Object} control     Options for the asynchronous load:
+     *
+     *  - `signal`: an AbortSignal to cancel the load. The returned Promise
+     *    is then rejected with the signal's reason (an AbortError by
+     *    default) and no model is added
+     *  - `onProgress`: function called as `onProgress(stage, name)` as the
+     *    load goes on. Stages are 'parse' (with a null name), then 'bonds'
+     *    and 'molecules' for each structure found in the file
+     *  - `useWorker`: if false, never use a Web Worker. Default is true
+     *  - `workerURL`: URL of the worker script, for when crystvis-js is
+     *    bundled and `lib/worker.js` can't be found next to this module
+     *
+     * @return {Promise<Object>}    Promise resolving to the same status map
+     *                              as returned by `loadModels()`
+     */
+    loadModelsAsync(contents, format = 'auto', prefix = null, parameters = {}, options = {}, control = {}) {
+
+        const signal = control.signal || null;
+
+        if (this._isDisposed) {
+            return Promise.reject(new Error('CrystVis: cannot call loadModelsAsync() on a disposed instance'));
+        }
+        if (signal && signal.aborted) {
+            return Promise.reject(abortReason(signal));
+        }
+
+        // clear existing notifications
+        this.clearNotifications();
+
+        parameters = _.merge({}, model_parameter_defaults, parameters);
+
+        format = format.toLowerCase();
+
+        let members;
+        try {
+            if (!Loader.isArchive(contents)) {
+                return this._loadAsync(Loader.readText(contents), format, prefix, parameters, options, control);
+            }
+            members = Loader.unpackArchive(contents);
+        } catch (err) {
+            return Promise.resolve(this._loadError(prefix || format, err.message || err));
+        }
+
+        const status = {};
+        let loading = Promise.resolve();
+
+        _.forEach(members, (text, path) => {
+            const name = prefix? prefix + '/' + path : path;
+            const fmt = (format === 'auto' && Loader.formatFromFilename(path)) || format;
+            loading = loading.then(() => this._loadAsync(text, fmt, name, parameters, options, control).catch((err) => {
+                if (this._isDisposed || (signal && signal.aborted)) {
+                    throw err;
+                }
+                return this._loadError(name, err.message || err);
+            })).then((s) => {
+                _.assign(status, s);
+            });
+        });
+
+        return loading.then(() => status);
+    }
+
+    /**
+     * Load the models of a single file for loadModelsAsync
+     * @private
+     */
+    _loadAsync(contents, format, prefix, parameters, options, control) {
+
+        const signal = control.signal || null;
+        const onProgress = control.onProgress || (() => {});
+
+        if (format === 'auto') {
+            // Detection is fast compared to the rest, so we do it here
+            format = this._loader.detectFormat(contents);
+            if (format === null) {
+                return Promise.resolve(this._loadError(prefix || 'auto', this._loader.error_message));
+            }
         }
 
+        // By default, same as the format
+        prefix = prefix || format;
+
+        const job = {
+            contents: contents,
+            format: format,
+            prefix: prefix,
+            parameters: parameters,
+            options: options
+        };
+
+        const fname = Loader.formatFromExtension(format);
+        const builtin = fname !== null && Loader.formats()[fname].builtin;
+        const worker = (builtin && control.useWorker !== false)? createLoadWorker(control.workerURL) : null;
+
+        const loading = worker? this._loadInWorker(worker, job, signal, onProgress) :
+            this._loadStepwise(job, signal, onProgress);
+
+        return loading.then((result) => {
+            if (this._isDisposed) {
+                throw new Error('CrystVis: instance was disposed while loading models');
+            }
+            if ('error' in result) {
+                return this._loadError(prefix, result.error);
+            }
+            return this._addModels(result.models, contents, format, prefix, parameters, options);
+        });
+    }
+
+    /**
+     * Run the work of loadModelsAsync on the main thread, yielding to the
+     * page after parsing and after each model is built
+     * @private
+     */
+    _loadStepwise(job, signal, onProgress) {
+
+        return new Promise((resolve, reject) => {
+
+            const models = {};
+            const steps = [() => {
+                onProgress('parse', null);
+                let structs = this._loader.load(job.contents, job.format, job.prefix, job.options);
+                if (this._loader.status == Loader.STATUS_ERROR) {
+                    return {
+                        error: this._loader.error_message
+                    };
+                }
+                _.forEach(structs, (s, n) => {
+                    steps.push(() => {
+                        models[n] = s? this._makeModel(s, job.parameters, {
+                            onProgress: (stage) => onProgress(stage, n)
+                        }) : null;
+                    });
+                });
+            }];
+
+            const next = () => {
+                if (signal && signal.aborted) {
+                    reject(abortReason(signal));
+                    return;
+                }
+                if (steps.length === 0) {
+                    resolve({
+                        models: models
+                    });
+                    return;
+                }
+                try {
+                    let result = steps.shift()();
+                    if (result) {
+                        resolve(result);
+                        return;
+                    }
+                } catch (err) {
+                    reject(err);
+                    return;
+                }
+                setTimeout(next, 0);
+            };
+
+            setTimeout(next, 0);
+        });
+    }
+
+    /**
+     * Run the work of loadModelsAsync in a Web Worker, then build the models
+     * from the geometry it computed. Falls back to _loadStepwise if the
+     * worker fails to start
+     * @private
+     */
+    _loadInWorker(worker, job, signal, onProgress) {
+
+        return new Promise((resolve, reject) => {
+
+            const onAbort = () => {
+                stop();
+                reject(abortReason(signal));
+            };
+            const stop = () => {
+                worker.terminate();
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+
+            worker.onmessage = (e) => {
+                const msg = e.data;
+                switch (msg.type) {
+                    case 'progress':
+                        onProgress(msg.stage, msg.name);
+                        break;
+                    case 'error':
+                        stop();
+                        resolve({
+                            error: msg.message
+                        });
+                        break;
+                    case 'exception':
+                        stop();
+                        reject(new Error(msg.message));
+                        break;
+                    case 'done':
+                        stop();
+                        try {
+                            resolve({
+                                models: _.mapValues(msg.structures, (s) => (s? this._makeModel(decodeStructure(s.atoms), job.parameters, {
+                                    geometry: decodeGeometry(s.geometry)
+                                }) : null))
+                            });
+                        } catch (err) {
+                            reject(err);
+                        }
+                        break;
+                }
+            };
+
+            // Errors inside the worker are sent as messages, so this only
+            // happens if the worker script itself could not be loaded
+            worker.onerror = (e) => {
+                stop();
+                e.preventDefault();
+                this._loadStepwise(job, signal, onProgress).then(resolve, reject);
+            };
+
+            worker.postMessage(job);
+        });
+    }
+
+    /**
+     * Create a Model (or a TrajectoryModel, for loaders returning an Array
+     * of frames) from a loaded structure
+     * @private
+     */
+    _makeModel(s, parameters, build = {}) {
+        return (s instanceof Array)? new TrajectoryModel(s, parameters, build) :
+            new Model(s, parameters, build);
+    }
+
+    /**
+     * Add newly built models under unique names, and return their status map
+     * @private
+     */
+    _addModels(models, contents, format, prefix, parameters, options) {
+
+        var status = {};
+
         // Now make unique names
-        for (var n in structs) {
+        for (var n in models) {
             var iter = 0;
             var coll = true;
             var nn = n;
@@ -591,16 +1233,16 @@ class CrystVis {
                 coll = nn in this._models;
                 iter++;
             }
-            var s = structs[n];
-            if (!s) {
+            var m = models[n];
+            if (!m) {
                 status[nn] = 'Model could not load properly';
                 this.addNotification('Model '+ nn + ' could not load properly');
                 continue;
             }
-            this._models[nn] = new Model(s, parameters);
-            this._model_sources[nn]     = { text: contents, extension: format };
+            this._models[nn] = m;
+            this._model_sources[nn]     = { text: contents, extension: format, options: _.cloneDeep(options) };
             this._model_parameters[nn]  = JSON.parse(JSON.stringify(parameters));
-            this._model_meta[nn]        = { prefix: prefix, originalName: n };
+            this._model_meta[nn]        = { prefix: prefix, originalName: n, calculation: m.calculation };
             status[nn] = 0; // Success
         }
 
@@ -609,7 +1251,21 @@ class CrystVis {
     }
 
     /**
-     * Reload a model, possibly with new parameters
+     * Notify the user of a failed load, and return its status map
+     * @private
+     */
+    _loadError(name, message) {
+        var status = {};
+        status[name] = message;
+        // display error notification to user
+        this.addNotification('Error loading model: '+ name);
+        this.addNotification(message);
+        return status;
+    }
+
+    /**
+     * Reload a model, possibly with new parameters. Bonds added or removed
+     * by hand (with `Model.addBond()` and `Model.removeBond()`) are kept
      * 
      * @param  {String} name       Name of the model to reload.
      * @param  {Object} parameters Loading parameters as in .loadModels()
@@ -631,10 +1287,21 @@ class CrystVis {
             this.displayModel();
         }
 
-        var s = this._models[name]._atoms_base;
-        parameters = _.merge(model_parameter_defaults, parameters);
+        var m = this._models[name];
+        parameters = _.merge({}, model_parameter_defaults, parameters);
+
+        // Bonds added or removed by hand, and measurements, are kept
+        var build = {
+            bondOverrides: m.bondOverrides,
+            measurements: m._measurementData()
+        };
 
-        this._models[name] = new Model(s, parameters);
+        if (m instanceof TrajectoryModel) {
+            this._models[name] = new TrajectoryModel(m.frames, parameters, build);
+            this._models[name].setFrame(m.frame);
+        } else {
+            this._models[name] = new Model(m._atoms_base, parameters, build);
+        }
         this._model_parameters[name] = JSON.parse(JSON.stringify(parameters));
 
         if (current) {
@@ -642,6 +1309,80 @@ class CrystVis {
         }
     }
 
+    /**
+     * Rank the supported formats by how likely they are to match the given
+     * file contents. Useful to let the user choose when loading with the 
+     * 'auto' format fails because the contents are ambiguous.
+     *
+     * @param  {String} contents    The contents of the structure file
+     * @return {Object[]}           List of {format, score} objects sorted by
+     *                              decreasing score (between 0 and 1)
+     */
+    detectFormat(contents) {
+        return this._loader.detect(contents);
+    }
+
+    /**
+     * Load volumetric data (like a charge density or an electrostatic
+     * potential) from a file and attach it to a loaded model. Once loaded,
+     * isosurfaces can be drawn with `model.addIsosurface(name, threshold)`.
+     *
+     * @param  {String} contents    The contents of the file
+     * @param  {String} format      The file's format (cube, den_fmt or 
+     *                              chdiff_fmt). Default is cube.
+     * @param  {String} name        Name to store the data under. If the
+     *                              file contains more than one grid (e.g. a
+     *                              spin-polarised density) this is used as
+     *                              prefix. By default, the name of each grid
+     *                              in the file (cube, density or spin_density)
+     * @param  {String} modelName   Model to attach the data to. Default is
+     *                              the currently displayed one.
+     *
+     * @return {Object}             Status map of the data we tried to load.
+     *                              Keys are the names of the grids, values 
+     *                              are `0` for success or an error message.
+     */
+    loadVolumetricData(contents, format = 'cube', name = null, modelName = null) {
+        if (this._isDisposed) {
+            throw new Error('CrystVis: cannot call loadVolumetricData() on a disposed instance');
+        }
+
+        modelName = modelName || this._current_mname;
+        if (!(modelName in this._models)) {
+            throw 'The requested model does not exist';
+        }
+        var m = this._models[modelName];
+
+        format = format.toLowerCase();
+
+        // Cube grids are periodic if the model is
+        var vol = this._loader.loadVolumetric(contents, format, {
+            periodic: m.periodic
+        });
+
+        var status = {};
+
+        if (this._loader.status == Loader.STATUS_ERROR) {
+            status[name || format] = this._loader.error_message;
+            this.addNotification('Error loading volumetric data: ' + (name || format));
+            this.addNotification(this._loader.error_message);
+            return status;
+        }
+
+        var gnames = Object.keys(vol.grids);
+        for (var i = 0; i < gnames.length; ++i) {
+            var gn = gnames[i];
+            var nn = gn;
+            if (name) {
+                nn = (gnames.length > 1)? name + '_' + gn : name;
+            }
+            m.setVolumetricData(nn, vol.grids[gn]);
+            status[nn] = 0;
+        }
+
+        return status;
+    }
+
     /**
      * Render a model
      * 
@@ -653,6 +1394,9 @@ class CrystVis {
             throw new Error('CrystVis: cannot call displayModel() on a disposed instance');
         }
 
+        // Playback only applies to the displayed model
+        this.pause();
+
         if (this._current_model) {
             // clear notifications from previous model
             this.clearNotifications();
@@ -690,8 +1434,16 @@ class CrystVis {
         });
         this._selected = new ModelView(m, []); // Empty
 
-        // Set the camera in a way that will center the model
-        var c = m.fracToAbs([0.5, 0.5, 0.5]);
+        // Set the camera in a way that will center the model (on the cell, 
+        // or on the atoms if there is none)
+        var c;
+        if (m.periodic) {
+            c = m.fracToAbs([0.5, 0.5, 0.5]);
+        } else if (m.length > 0) {
+            c = _.map(_.unzip(m.positions), _.mean);
+        } else {
+            c = [0, 0, 0];
+        }
         this._renderer.resetOrbitCenter(c[0], c[1], c[2]);
 
         this._displayed.show();
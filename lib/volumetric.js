@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * @fileoverview VolumetricData class to store data defined on a regular grid,
+ * like charge densities or electrostatic potentials.
+ * @module
+ */
+
+import _ from 'lodash';
+
+class VolumetricData {
+
+    /**
+     * Create a VolumetricData object, storing values on a regular grid
+     * spanning a given lattice. Values are stored in a flat typed array with
+     * the last index running fastest, so that the value at grid point
+     * (i, j, k) is found at data[(i*shape[1] + j)*shape[2] + k].
+     * 
+     * @param {Float32Array | Float64Array | Array} data   Grid values
+     * @param {int[]}   shape       Number of grid points along each lattice vector
+     * @param {Array}   lattice     3x3 matrix of the vectors spanned by the grid
+     *                              (as rows), in Angstrom
+     * @param {float[]} [origin]    Position of the grid point (0, 0, 0), in Angstrom
+     * @param {bool}    [periodic]  Whether the grid is periodic, namely whether
+     *                              point shape[i] would coincide with point 0
+     * 
+     */
+    constructor(data, shape, lattice, origin = [0, 0, 0], periodic = true) {
+
+        if (!(shape instanceof Array) || shape.length !== 3 ||
+            shape.some((n) => (!Number.isInteger(n) || n < 1))) {
+            throw Error('Invalid shape for volumetric data');
+        }
+
+        if (data.length !== shape[0]*shape[1]*shape[2]) {
+            throw Error('Volumetric data size does not match its shape');
+        }
+
+        if (!ArrayBuffer.isView(data)) {
+            data = Float64Array.from(data);
+        }
+
+        this._data = data;
+        this._shape = Array.from(shape);
+        this._lattice = JSON.parse(JSON.stringify(lattice));
+        this._origin = Array.from(origin);
+        this._periodic = periodic;
+
+        this._min = _.min(data);
+        this._max = _.max(data);
+    }
+
+    get data() {
+        return this._data;
+    }
+
+    get shape() {
+        return Array.from(this._shape);
+    }
+
+    get lattice() {
+        return JSON.parse(JSON.stringify(this._lattice));
+    }
+
+    get origin() {
+        return Array.from(this._origin);
+    }
+
+    get periodic() {
+        return this._periodic;
+    }
+
+    get min() {
+        return this._min;
+    }
+
+    get max() {
+        return this._max;
+    }
+
+    /**
+     * Value at a given grid point. If the grid is periodic, indices are
+     * wrapped around.
+     * 
+     * @param  {int} i  Index along the first lattice vector
+     * @param  {int} j  Index along the second lattice vector
+     * @param  {int} k  Index along the third lattice vector
+     * 
+     * @return {float}  Value at the grid point
+     */
+    get(i, j, k) {
+        var s = this._shape;
+        if (this._periodic) {
+            i = ((i % s[0]) + s[0]) % s[0];
+            j = ((j % s[1]) + s[1]) % s[1];
+            k = ((k % s[2]) + s[2]) % s[2];
+        }
+        return this._data[(i*s[1] + j)*s[2] + k];
+    }
+}
+
+export {
+    VolumetricData
+}
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * @fileoverview Web Worker used by CrystVis.loadModelsAsync to parse files
+ * and compute the bonds and molecules of the models away from the main
+ * thread. It receives a message with the contents, format, prefix,
+ * parameters and options of the load, and answers with:
+ *
+ *  - `{type: 'progress', stage, name}` before each step ('parse', then
+ *    'bonds' and 'molecules' for each structure)
+ *  - `{type: 'error', message}` if the Loader could not read the file
+ *  - `{type: 'exception', message}` if anything else went wrong
+ *  - `{type: 'done', structures}` with the encoded atoms and geometry of each
+ *    structure (or null for structures that did not load)
+ * @module
+ */
+
+import {
+    Loader as Loader
+} from './loader.js';
+import {
+    Model as Model
+} from './model.js';
+import {
+    TrajectoryModel as TrajectoryModel
+} from './trajectory.js';
+import {
+    encodeStructure,
+    encodeGeometry
+} from './transfer.js';
+
+self.onmessage = function(e) {
+
+    const job = e.data;
+
+    try {
+        self.postMessage({ type: 'progress', stage: 'parse', name: null });
+
+        let loader = new Loader();
+        let structs = loader.load(job.contents, job.format, job.prefix, job.options);
+
+        if (loader.status == Loader.STATUS_ERROR) {
+            self.postMessage({ type: 'error', message: loader.error_message });
+            return;
+        }
+
+        let structures = {};
+        for (let n in structs) {
+            let s = structs[n];
+            if (!s) {
+                structures[n] = null;
+                continue;
+            }
+            let build = {
+                onProgress: (stage) => {
+                    self.postMessage({ type: 'progress', stage: stage, name: n });
+                }
+            };
+            let m = (s instanceof Array)? new TrajectoryModel(s, job.parameters, build) :
+                new Model(s, job.parameters, build);
+            structures[n] = {
+                atoms: encodeStructure(s),
+                geometry: encodeGeometry(m._geometry())
+            };
+        }
+
+        self.postMessage({ type: 'done', structures: structures });
+    } catch (err) {
+        self.postMessage({ type: 'exception', message: (err && err.message) || String(err) });
+    }
+};
@@ -0,0 +1,61 @@
+'use strict';
+
+/** 
+ * @fileoverview Class for writing Atoms objects to different types of files
+ * @module 
+ */
+
+import * as CIF from './formats/cif.js';
+import * as XYZ from './formats/xyz.js';
+import * as Magres from './formats/magres.js';
+import * as CELL from './formats/cell.js';
+
+/**
+ * Writer - Object used to convert Atoms objects into the text contents of
+ * various file types.
+ */
+class Writer {
+
+    /**
+     * Write a structure in the given format
+     *
+     * @param  {Atoms}  atoms       Structure to write
+     * @param  {String} format      File extension
+     * @param  {String} name        Name of the structure, used where the
+     *                              format supports it (e.g. CIF data block)
+     * @return {String}             Contents of the file
+     */
+    write(atoms, format='cif', name=null) {
+
+        const writers = {
+            cif: CIF,
+            xyz: XYZ,
+            magres: Magres,
+            cell: CELL
+        };
+
+        // Alternative names for the same formats
+        const aliases = {
+            extxyz: 'xyz'
+        };
+
+        format = format.toLowerCase();
+        if (format in aliases) {
+            format = aliases[format];
+        }
+
+        if (!(format in writers)) {
+            throw Error('Invalid file format');
+        }
+
+        if (name) {
+            return writers[format].write(atoms, name);
+        } else {
+            return writers[format].write(atoms);
+        }
+    }
+}
+
+export {
+    Writer
+}
@@ -0,0 +1,78 @@
+'use strict';
+
+import * as chai from 'chai';
+
+import _ from 'lodash';
+
+import {
+    Atoms as Atoms
+} from '@ccp-nc/crystcif-parse';
+import {
+    Model
+} from '../lib/model.js';
+import {
+    BondList
+} from '../lib/bonds.js';
+
+const expect = chai.expect
+
+// Fractional positions on an n x n x n grid, with the given motif (in
+// fractional coordinates of a grid cell) at each point
+function gridPositions(n, motif) {
+    var fpos = [];
+    for (let c of _.range(n*n*n)) {
+        var ijk = [Math.floor(c/(n*n)), Math.floor(c/n) % n, c % n];
+        motif.forEach((p) => {
+            fpos.push(_.zipWith(ijk, p, (x, y) => (x + y)/n));
+        });
+    }
+    return fpos;
+}
+
+// Build a model, reporting how long it took if CRYSTVIS_BENCHMARK is set
+function timeModel(atoms) {
+    var t0 = Date.now();
+    var m = new Model(atoms);
+    if (process.env.CRYSTVIS_BENCHMARK) {
+        console.log('        ' + m.length + ' atoms, ' + m._bonds.size + ' bonds: ' +
+            (Date.now() - t0) + ' ms');
+    }
+    return m;
+}
+
+describe('#benchmark', function() {
+
+    this.timeout(60000);
+
+    it('should bond large cubic cells with storage linear in the number of bonds', function() {
+        for (let n of [16, 24]) {
+            // Simple cubic carbon, with six bonds per atom
+            var N = n*n*n;
+            var fpos = gridPositions(n, [[0.5, 0.5, 0.5]]);
+            var a = new Atoms(_.fill(Array(N), 'C'), fpos, [[1.5*n, 1.5*n, 1.5*n], [90, 90, 90]], {}, true);
+            var m = timeModel(a);
+
+            expect(m._bonds.size).to.equal(3*N);
+            expect(m._bonds.row(0).length).to.equal(6);
+            expect(m._molecules.length).to.equal(1);
+            // Bonds are stored as one list per atom, with one entry per
+            // bond, rather than one per atom pair
+            expect(m._bonds).to.be.instanceOf(BondList);
+            expect(m._bonds.length).to.equal(N);
+            expect(_.range(N).every((i) => m._bonds.row(i).length === 6)).to.be.true;
+        }
+    });
+
+    it('should bond large triclinic cells of molecules', function() {
+        // H2 molecules 3 Angstrom apart
+        var n = 12;
+        var fpos = gridPositions(n, [[0.4, 0.5, 0.5], [0.4 + 0.74/3, 0.5, 0.5]]);
+        var N = fpos.length;
+        var a = new Atoms(_.fill(Array(N), 'H'), fpos, [[3*n, 3*n, 3*n], [80, 95, 100]], {}, true);
+        var m = timeModel(a);
+
+        expect(m._bonds.size).to.equal(N/2);
+        expect(m._molecules.length).to.equal(N/2);
+        expect(m._molecules.every((mol) => mol.length === 2)).to.be.true;
+    });
+});
@@ -0,0 +1,9 @@
+TITL Si2-1234-5678-9 -0.01 40.0260 -325.6789 0.00 0.00 2 (Fd-3m) n - 3
+REM
+REM in /home/user/airss/Si.cell
+CELL 1.54180 3.8670 3.8670 3.8670 60.00000 60.00000 60.00000
+LATT -1
+SFAC Si
+Si 1 0.0000000 0.0000000 0.0000000 1.0
+Si 1 0.2500000 0.2500000 0.2500000 1.0
+END
@@ -0,0 +1,30 @@
+TITL test_p21c in P2(1)/c
+REM Made-up structure for testing the SHELX reader
+CELL 0.71073   5.0000   6.0000   7.0000  90.000 100.000  90.000
+ZERR    2.00   0.0010   0.0010   0.0010   0.000   0.010   0.000
+LATT 1
+SYMM -X, 0.5+Y, 0.5-Z
+SFAC C H O FE
+UNIT 4 4 8 2
+L.S. 10
+PLAN 5
+FMAP 2
+WGHT    0.050000    0.100000
+FVAR       1.00000   0.70000
+FE1   4    0.000000    0.000000    0.000000    10.50000    0.01000    0.01100 =
+         0.01200    0.00000    0.00100    0.00000
+O1    3    0.200000    0.100000    0.300000    11.00000    0.02000    0.02100 =
+         0.02200    0.00000    0.00200    0.00000
+PART 1
+C1    1    0.400000    0.250000    0.100000    21.00000    0.03000
+PART 2
+C1B   1    0.420000    0.270000    0.120000   -21.00000    0.03000
+PART 0
+AFIX 13
+H1    2    0.350000    0.350000    0.150000    11.00000   -1.20000
+AFIX 0
+HKLF 4
+
+REM  test_p21c in P2(1)/c
+Q1    1   0.1000  0.2000  0.3000  11.00000  0.05    0.50
+END
@@ -0,0 +1,242 @@
+'use strict';
+
+import * as chai from 'chai';
+import chaiAlmost from 'chai-almost'
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url';
+
+import _ from 'lodash'
+
+import { Loader } from '../lib/loader.js'
+import { Model } from '../lib/model.js'
+import { ModelEditor, EditHistory } from '../lib/editor.js'
+import { PropertyArray } from '../lib/property.js'
+import { TrajectoryModel } from '../lib/trajectory.js'
+
+const expect = chai.expect
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+chai.use(chaiAlmost(1e-3));
+
+// Load test files
+var loader = new Loader();
+
+// Pyridine: ring 0-1-2-3-4-5, N is atom 3, H atoms 6 to 10
+var xyz = fs.readFileSync(path.join(__dirname, 'data', 'pyridine_nocell.xyz'), "utf8");
+var pyr = loader.load(xyz, 'xyz')['xyz'];
+
+xyz = fs.readFileSync(path.join(__dirname, 'data', 'si8.xyz'), "utf8");
+var si8 = loader.load(xyz, 'xyz')['xyz'];
+
+xyz = fs.readFileSync(path.join(__dirname, 'data', 'props.xyz'), "utf8");
+var props = loader.load(xyz, 'xyz')['xyz'];
+
+var cif = fs.readFileSync(path.join(__dirname, 'data', 'org.cif'), "utf8");
+var org = loader.load(cif, 'cif')['1501936'];
+
+var magres = fs.readFileSync(path.join(__dirname, 'data', 'ethanol.magres'), "utf8");
+var ethanol = loader.load(magres, 'magres')['magres'];
+
+// Acetic acid, with its bonds listed in the file
+var sdf = fs.readFileSync(path.join(__dirname, 'data', 'acetic.sdf'), "utf8");
+var acetic = loader.load(sdf, 'sdf')['sdf_1'];
+
+// With ionic constraints
+var cell = fs.readFileSync(path.join(__dirname, 'data', 'muon.cell'), "utf8");
+var muon = loader.load(cell, 'cell')['cell'];
+
+var traj = fs.readFileSync(path.join(__dirname, 'data', 'h2o_traj.xyz'), "utf8");
+var h2oframes = loader.load(traj, 'xyz', null, { trajectory: true })['xyz'];
+
+describe('#editor', function() {
+
+    it('should move, change, delete and add atoms', function() {
+        var m = new Model(pyr);
+        var e = m.edit();
+        expect(e).to.be.instanceOf(ModelEditor);
+        expect(e.model).to.equal(m);
+
+        var hydrogens = m.find({ 'elements': 'H' });
+        var m2 = e.moveAtoms(m.view([0]), [0, 0, 5.0])
+            .setElement(m.view([3]), 'C')
+            .deleteAtoms(hydrogens)
+            .addAtom('He', [10.0, 0, 0])
+            .apply();
+
+        // The original is left as it was
+        expect(m.length).to.equal(11);
+        expect(m.symbols[3]).to.equal('N');
+
+        expect(m2).to.be.instanceOf(Model);
+        expect(m2.length).to.equal(7);
+        expect(m2.symbols).to.deep.equal(['C', 'C', 'C', 'C', 'C', 'C', 'He']);
+        expect(m2.positions[0]).to.be.deep.almost.equal(_.zipWith(m.positions[0], [0, 0, 5.0], _.add));
+        expect(m2.positions[6]).to.deep.equal([10.0, 0, 0]);
+
+        // Bonds, molecules and labels are recomputed
+        expect(m2._bonds.size).to.equal(4);
+        expect(m2._molecules.length).to.equal(3);
+        expect(m2.atoms.map((a) => a.crystLabel)).to.deep.equal(['C_1', 'C_2', 'C_3', 'C_4', 'C_5', 'C_6', 'He_1']);
+    });
+
+    it('should act on all periodic copies of an atom', function() {
+        var m = new Model(pyr, { supercell: [3, 3, 3] });
+        var si = new Model(si8, { supercell: [2, 2, 2] });
+        var copies = si.find({ 'indices': 0 });
+        expect(copies.length).to.equal(8);
+
+        var si2 = si.edit().deleteAtoms(copies.find({ 'cell': [[1, 1, 1]] })).apply();
+        expect(si2.length).to.equal(7);
+        expect(si2.supercell).to.deep.equal([2, 2, 2]);
+        expect(si2.atoms.length).to.equal(56);
+
+        si2 = si.edit().moveAtoms(copies, [0.1, 0, 0]).apply();
+        expect(si2.positions[0]).to.be.deep.almost.equal(_.zipWith(si.positions[0], [0.1, 0, 0], _.add));
+
+        // Non-periodic models have no supercell
+        expect(m.edit().deleteAtoms(m.view([0])).apply().supercell).to.deep.equal([1, 1, 1]);
+    });
+
+    it('should keep crystallographic labels, making new ones for changed atoms', function() {
+        var m = new Model(org);
+        expect(m._labels.slice(0, 4)).to.deep.equal(['O1', 'O1', 'O2', 'O2']);
+
+        var m2 = m.edit().setElement(m.view([0, 1]), 'S').setElement(m.view([2]), 'S')
+            .addAtom('O', [0, 0, 0]).apply();
+        expect(m2.length).to.equal(m.length + 1);
+        expect(m2._labels.slice(0, 4)).to.deep.equal(['S1', 'S1', 'S2', 'O2']);
+        expect(m2._labels.slice(4, -1)).to.deep.equal(m._labels.slice(4));
+        // O1 is now free
+        expect(m2._labels[m2.length - 1]).to.equal('O1');
+    });
+
+    it('should carry over per-atom arrays and bonds edited by hand', function() {
+        var m = new Model(props);
+        m.removeBond(0, 2);
+        var m2 = m.edit().deleteAtoms(m.view([1])).addAtom('H', [0, 1, 0]).apply();
+
+        var charge = m2._atoms_base.get_array('charge');
+        expect(charge).to.be.instanceOf(PropertyArray);
+        expect(Array.from(charge)).to.deep.equal([-0.84, 0.42, 0]);
+        expect(m2._atoms_base.get_array('site')).to.deep.equal(['Ow', 'Hw', '']);
+        expect(m2._atoms_base.get_array('stress').shape).to.deep.equal([3, 9]);
+        expect(m2._atoms_base.info['energy']).to.equal(m._atoms_base.info['energy']);
+
+        // Atom 2 is now atom 1
+        expect(m2.bondOverrides).to.deep.equal([[0, 1, [0, 0, 0], false]]);
+        expect(m2._bonds.has(0, 1, [0, 0, 0])).to.be.false;
+        expect(m2._bonds.has(0, 2, [0, 0, 0])).to.be.true;
+
+        // Overrides of deleted atoms are dropped
+        m2 = m.edit().deleteAtoms(m.view([2])).apply();
+        expect(m2.bondOverrides).to.deep.equal([]);
+
+        // Magres labels and tensors
+        m = new Model(ethanol);
+        m2 = m.edit().deleteAtoms(m.view([0])).apply();
+        var ms = m2._atoms_base.get_array('ms');
+        expect(ms.length).to.equal(8);
+        expect(ms[0]).to.equal(m._atoms_base.get_array('ms')[1]);
+        expect(m2._atoms_base.get_array('magres-labels')[0]).to.deep.equal(['H', 2]);
+
+        m2 = m.edit().addAtom('H', [0, 0, 0]).apply();
+        expect(m2._atoms_base.get_array('ms')[9]).to.be.null;
+        expect(m2._atoms_base.get_array('magres-labels')).to.be.undefined;
+    });
+
+    it('should renumber the bonds and constraints listed in the file', function() {
+        var m = new Model(acetic);
+        expect(m._bonds.size).to.equal(7);
+
+        // Bonds of deleted atoms are dropped
+        var m2 = m.edit().deleteAtoms(m.view([0])).apply();
+        expect(m2._atoms_base.info['bonds']).to.deep.equal([[0, 1, 2], [0, 2, 1], [2, 6, 1]]);
+        expect(m2._bonds.size).to.equal(3);
+        expect(m.edit().deleteAtoms(m.view([7])).apply()._bonds.size).to.equal(6);
+
+        // New atoms get bonds from distances
+        m2 = m.edit().addAtom('H', [0, 0, 1.0]).apply();
+        expect(m2._atoms_base.info['bonds_complete']).to.be.false;
+        expect(m2.atoms[8].bondedAtoms.map((a) => a.index)).to.include(0);
+        expect(m._atoms_base.info['bonds_complete']).to.be.true;
+
+        // Ions are numbered within their species
+        m = new Model(muon);
+        m2 = m.edit().deleteAtoms(m.view([0])).apply();
+        expect(m2._atoms_base.info['ionic_constraints']).to.deep.equal([
+            { constraint: 1, species: 'Si', ion: 1, atom: 0, vector: [1, 0, 0] },
+            { constraint: 2, species: 'H:Mu', ion: 1, atom: 3, vector: [0, 0, 1] }
+        ]);
+
+        // Without the muon no label differs from its element, and no
+        // warning is given about it
+        var warnings = [];
+        var warn = console.warn;
+        console.warn = (msg) => warnings.push(msg);
+        try {
+            m2 = m.edit().deleteAtoms(m.view([4])).apply();
+        } finally {
+            console.warn = warn;
+        }
+        expect(warnings).to.deep.equal([]);
+        expect(m2._atoms_base.get_array('labels')).to.be.undefined;
+        expect(m2._atoms_base.info['ionic_constraints'].map((c) => c.atom)).to.deep.equal([1]);
+
+        // The edited model is exported with the cell extras
+        m2 = m.edit().deleteAtoms(m.view([0])).apply();
+        var a = Object.values(loader.load(m2.export('cell'), 'cell'))[0];
+        expect(a.get_array('labels')).to.deep.equal(['Si', 'Ga', 'Al', 'H:Mu']);
+        expect(a.get_array('spin')).to.deep.equal([-1.5, 0, 0, 0]);
+        expect(a.get_array('mixture')).to.deep.equal([null, [1, 0.75], [1, 0.25], null]);
+        expect(a.info['ionic_constraints']).to.deep.equal(m2._atoms_base.info['ionic_constraints']);
+        expect(a.info['symmetry_ops']).to.deep.equal(muon.info['symmetry_ops']);
+        expect(a.info['fix_all_ions']).to.be.false;
+    });
+
+    it('should keep a history of the edits', function() {
+        var m = new Model(pyr);
+        var h = m.history;
+        expect(h).to.be.instanceOf(EditHistory);
+        expect(h.current).to.equal(m);
+        expect(h.canUndo).to.be.false;
+
+        var m2 = m.edit().deleteAtoms(m.view([10])).apply();
+        var m3 = m2.edit().deleteAtoms(m2.view([9])).apply();
+        expect(m3.history).to.equal(h);
+        expect([h.length, h.index]).to.deep.equal([3, 2]);
+
+        expect(h.undo()).to.equal(m2);
+        expect(h.undo()).to.equal(m);
+        expect(h.undo()).to.be.null;
+        expect(h.redo()).to.equal(m2);
+        expect(h.canRedo).to.be.true;
+
+        // A new edit drops the models that were undone
+        var m4 = m2.edit().setElement(m2.view([0]), 'N').apply();
+        expect([h.length, h.index]).to.deep.equal([3, 2]);
+        expect(h.current).to.equal(m4);
+        expect(h.redo()).to.be.null;
+
+        // Also when editing an earlier model
+        var m5 = m.edit().addAtom('H', [0, 0, 5]).apply();
+        expect([h.length, h.index]).to.deep.equal([2, 1]);
+        expect(h.undo()).to.equal(m);
+        expect(h.redo()).to.equal(m5);
+    });
+
+    it('should refuse invalid edits', function() {
+        var m = new Model(pyr);
+        var other = new Model(pyr);
+        var e = m.edit();
+
+        expect(() => e.deleteAtoms(other.view([0]))).to.throw('Edits must use a ModelView of the edited model');
+        expect(() => e.deleteAtoms([0])).to.throw('Edits must use a ModelView of the edited model');
+        expect(() => e.setElement(m.view([0]), 'Xx')).to.throw('Invalid element: Xx');
+        expect(() => e.addAtom('C', [0, 0])).to.throw('Invalid vector or position');
+        expect(() => e.moveAtoms(m.view([0]), [0, NaN, 0])).to.throw('Invalid vector or position');
+
+        expect(() => new TrajectoryModel(h2oframes).edit()).to.throw('Trajectories can not be edited');
+    });
+});
@@ -2,12 +2,18 @@
 
 import * as chai from 'chai';
 import chaiAlmost from 'chai-almost'
+import _ from 'lodash';
 
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url';
 
+import { Atoms } from '@ccp-nc/crystcif-parse';
+import { gzipSync, zipSync, strToU8 } from 'fflate';
+
 import { Loader } from '../lib/loader.js'
+import { Model } from '../lib/model.js'
+import { PropertyArray } from '../lib/property.js'
 
 const expect = chai.expect
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -190,17 +196,112 @@ describe('#loading', function() {
         expect(a.get_array('castep_labels')).to.deep.equal(['NULL', 'NULL', 'NULL', 'NULL', 'NULL', 'NULL', 'NULL', 'NULL']);
     });
     
-    it('should throw an error for files without a lattice', function() {
+    it('should load typed per-atom arrays from an extended XYZ file', function() {
+        var loader = new Loader();
+        var xyz = fs.readFileSync(path.join(__dirname, 'data', 'props.xyz'), "utf8");
+        var a = loader.load(xyz, 'xyz')['xyz'];
+
+        var forces = a.get_array('forces');
+        expect(forces).to.be.instanceOf(PropertyArray);
+        expect(forces.dtype).to.equal('float64');
+        expect(forces.shape).to.deep.equal([3, 3]);
+        expect(forces.data).to.be.instanceOf(Float64Array);
+        expect(Array.from(forces[2])).to.deep.equal([-0.05, -0.01, 0.10]);
+
+        var charge = a.get_array('charge');
+        expect(charge.shape).to.deep.equal([3]);
+        expect(charge).to.deep.equal([-0.84, 0.42, 0.42]);
+
+        var tag = a.get_array('tag');
+        expect(tag.dtype).to.equal('int32');
+        expect(tag.data).to.be.instanceOf(Int32Array);
+        expect(tag).to.deep.equal([1, 2, 2]);
+
+        var fixed = a.get_array('fixed');
+        expect(fixed.dtype).to.equal('bool');
+        expect(fixed.shape).to.deep.equal([3, 3]);
+        expect(fixed[2]).to.deep.equal([false, true, false]);
+
+        var site = a.get_array('site');
+        expect(site.dtype).to.equal('string');
+        expect(site).to.deep.equal(['Ow', 'Hw', 'Hw']);
+
+        // Nine columns that aren't NMR tensors stay nine values per atom
+        var stress = a.get_array('stress');
+        expect(stress.shape).to.deep.equal([3, 9]);
+        expect(Array.from(stress[1]).slice(0, 3)).to.deep.equal([4.0, 0.5, 0.0]);
+
+        // The same values from the model and its atom images
+        var m = new Model(a);
+        expect(m.getArray('forces')).to.equal(forces);
+        expect(Array.from(m.atoms[1].getArrayValue('forces'))).to.deep.equal([-0.05, 0.01, 0.10]);
+        expect(m.atoms[0].getArrayValue('tag')).to.equal(1);
+        expect(m.atoms[2].getArrayValue('site')).to.equal('Hw');
+
+        // The values are only stored in the flat data
+        forces.data[0] = 1.0;
+        expect(forces[0][0]).to.equal(1.0);
+        forces[1] = [2.0, 3.0, 4.0];
+        expect(Array.from(forces.data.slice(3, 6))).to.deep.equal([2.0, 3.0, 4.0]);
+        fixed[0][1] = true;
+        expect(fixed.data[1]).to.equal(1);
+        fixed.data[2] = 1;
+        expect(fixed[0]).to.deep.equal([true, true, true]);
+        charge[0] = -1.0;
+        expect(charge.data[0]).to.equal(-1.0);
+        site.data[0] = 'O';
+        expect(site[0]).to.equal('O');
+        expect(() => (forces[0] = [1.0])).to.throw('Property array values must have 3 elements');
+
+        // 3D shapes are split in rows
+        var t = new PropertyArray([0, 1, 2, 3, 4, 5, 6, 7], 'int32', [2, 2, 2]);
+        expect(Array.from(t[1][0])).to.deep.equal([4, 5]);
+        t[1] = [[0, 0], [0, 1]];
+        expect(Array.from(t.data)).to.deep.equal([0, 1, 2, 3, 0, 0, 0, 1]);
+
+        expect(() => new PropertyArray([1, 2, 3], 'complex', [3])).to.throw('Invalid data type for property array: complex');
+        expect(() => new PropertyArray([1, 2, 3], 'float64', [2])).to.throw('Property array data size does not match its shape');
+    });
+
+    it('should load files without a lattice as non-periodic', function() {
         var loader = new Loader();
         
-        // Create a plain XYZ file without Extended XYZ format
+        // Plain XYZ file, no Extended XYZ format
         var plain_xyz = `3
 water molecule
 O 0.0 0.0 0.0
 H 1.0 0.0 0.0
 H 0.0 1.0 0.0`;
         
-        expect(() => loader.load(plain_xyz, 'xyz')).to.throw('No unit cell');
+        var a = loader.load(plain_xyz, 'xyz')['xyz'];
+        expect(a.get_chemical_symbols()).to.deep.equal(['O', 'H', 'H']);
+        expect(a.get_positions()[1]).to.deep.almost.equal([1.0, 0.0, 0.0]);
+        expect(a.get_cell()).to.be.null;
+        expect(a.get_pbc()).to.deep.equal([false, false, false]);
+        expect(a.info.comment).to.equal('water molecule');
+
+        // Extended XYZ without Lattice, or explicitly non-periodic
+        var ext_xyz = `2
+Properties=species:S:1:pos:R:3:charge:R:1 energy=-1.5
+H 0.0 0.0 0.0 0.5
+H 0.0 0.0 0.74 -0.5`;
+        a = loader.load(ext_xyz, 'xyz')['xyz'];
+        expect(a.get_cell()).to.be.null;
+        expect(a.get_array('charge')).to.deep.equal([0.5, -0.5]);
+        expect(a.info.energy).to.equal('-1.5');
+
+        a = loader.load(ext_xyz.replace('energy=-1.5', 'Lattice="5 0 0 0 5 0 0 0 5" pbc="F F F"'), 
+            'xyz')['xyz'];
+        expect(a.get_cell()).to.be.null;
+
+        // Magres without lattice
+        var magres = fs.readFileSync(path.join(__dirname, 'data', 'ethanol_nocell.magres'), "utf8");
+        a = loader.load(magres, 'magres')['magres'];
+        expect(loader.status).to.equal(Loader.STATUS_SUCCESS);
+        expect(a.get_cell()).to.be.null;
+        expect(a.length()).to.equal(9);
+        expect(a.get_positions()[0]).to.deep.equal([2.129659, 2.823711, 2.349943]);
+        expect(a.get_array('ms')[4].data[0][0]).to.almost.equal(25.946849893);
     });
     
     it('should throw an error for invalid frame indices', function() {
@@ -229,6 +330,82 @@ H 0.0 1.0 0.0`;
         ]);
     });
 
+    it('should load displacement parameters from a CIF file', function() {
+
+        var loader = new Loader();
+
+        var cif = fs.readFileSync(path.join(__dirname, 'data', 'adp.cif'), "utf8");
+        var a = loader.load(cif)['adptest'];
+        var adp = a.get_array('adp');
+        var labels = a.get_array('labels');
+
+        expect(adp.length).to.equal(16);
+
+        // Anisotropic; the trace is invariant under the conversion to
+        // Cartesian coordinates
+        expect(labels[0]).to.equal('C1');
+        expect(adp[0].isotropy).to.be.almost.equal(0.019885);
+        chai.expect(adp[0].data).to.deep.almost.equal([
+            [0.014663, -0.002558, 0.000541],
+            [-0.002558, 0.025, 0.003],
+            [0.000541, 0.003, 0.02]
+        ]);
+        // Copy generated by the 2-fold screw axis along b
+        chai.expect(adp[1].data).to.deep.almost.equal([
+            [0.014663, 0.002558, 0.000541],
+            [0.002558, 0.025, -0.003],
+            [0.000541, -0.003, 0.02]
+        ]);
+        // Inversion leaves it unchanged
+        chai.expect(adp[2].data).to.deep.almost.equal(adp[0].data);
+
+        // Isotropic fallback; no ADPs at all for hydrogens
+        expect(labels[4]).to.equal('O1');
+        chai.expect(adp[4].data).to.deep.almost.equal([[0.03, 0, 0], [0, 0.03, 0], [0, 0, 0.03]]);
+        expect(labels[12]).to.equal('H1');
+        expect(adp[12]).to.be.null;
+
+        // B instead of U
+        var bcif = cif.replace(/_U_(11|22|33|23|13|12)/g, '_B_$1').replace(/0\.0(\d+)\(\d\)/g, (m, d) => 
+            (parseFloat('0.0' + d)*8*Math.PI*Math.PI).toFixed(6));
+        var b = loader.load(bcif)['adptest'];
+        chai.expect(b.get_array('adp')[0].data).to.deep.almost.equal(adp[0].data);
+
+        // No displacement parameters, no array
+        cif = fs.readFileSync(path.join(__dirname, 'data', 'CHA.cif'), "utf8");
+        a = loader.load(cif)['CHA'];
+        expect(a.get_array('adp')).to.be.undefined;
+    });
+
+    it('should load magnetic moments from a magnetic CIF file', function() {
+
+        var loader = new Loader();
+
+        var mcif = fs.readFileSync(path.join(__dirname, 'data', 'magnetic.mcif'), "utf8");
+        var a = loader.load(mcif)['magtest'];
+
+        // Expanded with the magnetic operations and centring
+        expect(a.get_array('labels')).to.deep.equal(['Fe1', 'Fe1'].concat(Array(8).fill('Co1'), Array(4).fill('O1')));
+        expect(a.get_scaled_positions()[1]).to.deep.almost.equal([0.5, 0.5, 0.5]);
+
+        var m = a.get_array('moment');
+        // Reversed by the anti-translation
+        expect(m[0]).to.deep.almost.equal([0, 3, 0]);
+        expect(m[1]).to.deep.almost.equal([0, -3, 0]);
+        // Along the unit vectors of a and c
+        var cell = a.get_cell();
+        var m0 = [0, 1, 2].map((i) => cell[0][i]/4.0 + cell[2][i]/6.0);
+        expect(m[2]).to.deep.almost.equal(m0);
+        // Axial vector: the two-fold axis along b flips x and z, inversion
+        // does nothing
+        expect(m[3]).to.deep.almost.equal([-m0[0], 0, -m0[2]]);
+        expect(m[4]).to.deep.almost.equal(m0);
+        expect(m[6]).to.deep.almost.equal([-m0[0], 0, -m0[2]]);
+        expect(m[10]).to.be.null;
+
+        expect(Loader.formatFromExtension('mcif')).to.equal('cif');
+    });
+
     it('should load properly a Magres file', function() {
 
         var loader = new Loader();
@@ -374,6 +551,55 @@ H 0.0 1.0 0.0`;
         expect(ratios['H:Mu'].gamma).to.almost.equal(8.5162e8);
     });
 
+    it('should parse the calculation block of Magres files', function() {
+
+        var loader = new Loader();
+
+        // Units given after the cutoff, in Hartree
+        var magres = fs.readFileSync(path.join(__dirname, 'data', 'ethanol.magres'), "utf8");
+        var calc = loader.load(magres, 'magres')['magres'].info['magres-calculation'];
+        expect(calc.code).to.equal('CASTEP');
+        expect(calc.version).to.equal('7.0');
+        expect(calc.hgVersion).to.equal('0d37235409d7+ magres-efg 2013-02-07');
+        expect(calc.name).to.equal('ethanol');
+        expect(calc.comment).to.be.null;
+        expect(calc.xcFunctional).to.equal('PBE');
+        expect(calc.cutoffEnergy).to.almost.equal(1088.4554);
+        expect(calc.kpointGrid).to.deep.equal([1, 1, 1]);
+        expect(calc.kpointOffset).to.deep.equal([0.25, 0.25, 0.25]);
+        expect(calc.pseudopotentials).to.deep.equal({});
+
+        // Units inline, and pseudopotentials
+        magres = fs.readFileSync(path.join(__dirname, 'data', 'optimized_muon_65-hf.magres'), "utf8");
+        calc = loader.load(magres, 'magres')['magres'].info['magres-calculation'];
+        expect(calc.version).to.equal('25.1');
+        expect(calc.platform).to.equal('linux_x86_64_gfortran10');
+        expect(calc.xcFunctional).to.equal('RSCAN');
+        expect(calc.cutoffEnergy).to.equal(800);
+        expect(calc.kpointGrid).to.deep.equal([2, 1, 1]);
+        expect(Object.keys(calc.pseudopotentials)).to.deep.equal(['H', 'C', 'N', 'O', 'S', 'Fe', 'Br', 'H:Mu']);
+        expect(calc.pseudopotentials['H:Mu']).to.equal('1|0.6|13|15|17|10(qc=8)');
+
+        // Unknown tags are kept as text, missing ones are null
+        magres = '#$magres-abinitio-v1.0\n[calculation]\ncalc_code QE-GIPAW\ncalc_smearing gaussian 0.01\n' +
+            'calc_cutoffenergy 30 Ry\n[/calculation]\n[atoms]\natom H H 1 0 0 0\n[/atoms]\n';
+        calc = loader.load(magres, 'magres')['magres'].info['magres-calculation'];
+        expect(calc.code).to.equal('QE-GIPAW');
+        expect(calc.version).to.be.null;
+        expect(calc.kpointGrid).to.be.null;
+        expect(calc.cutoffEnergy).to.almost.equal(408.1708);
+        expect(calc.other).to.deep.equal({'calc_smearing': 'gaussian 0.01'});
+
+        loader.load(magres.replace('30 Ry', '30 kcal'), 'magres');
+        expect(loader.status).to.equal(Loader.STATUS_ERROR);
+        expect(loader.error_message).to.equal('Invalid Magres file format: invalid cutoff energy');
+
+        // No calculation block
+        magres = fs.readFileSync(path.join(__dirname, 'data', 'hf_test.magres'), "utf8");
+        expect(loader.load(magres.replace(/\[calculation\][^]*\[\/calculation\]\n/, ''),
+            'magres')['magres'].info).to.not.have.property('magres-calculation');
+    });
+
     it('should load properly a CELL file', function() {
         var loader = new Loader();
 
@@ -399,4 +625,598 @@ H 0.0 1.0 0.0`;
         expect(a.get_cell()).to.almost.deep.equal([[3.7042404756, 0, 0], [0, 3.7042404756, 0], [0, 0, 3.7042404756]]);
         expect(a.get_positions()[1]).to.almost.deep.equal([1.8521202378, 0.0, 0.0]);
     });
-});
\ No newline at end of file
+
+    it('should load CASTEP extras from a CELL file', function() {
+        var loader = new Loader();
+
+        var cell = fs.readFileSync(path.join(__dirname, 'data', 'muon.cell'), "utf8");
+        var a = loader.load(cell, 'cell')['cell'];
+
+        expect(a.get_chemical_symbols()).to.deep.equal(['Si', 'Si', 'Ga', 'Al', 'H']);
+        expect(a.get_array('labels')).to.deep.equal(['Si', 'Si', 'Ga', 'Al', 'H:Mu']);
+        expect(a.get_array('spin')).to.deep.equal([1.5, -1.5, 0, 0, 0]);
+        expect(a.get_array('mixture')).to.deep.equal([null, null, [1, 0.75], [1, 0.25], null]);
+        expect(a.get_array('occupancy')).to.deep.equal([1, 1, 0.75, 0.25, 1]);
+
+        expect(a.info['species_mass']['H:Mu']).to.be.almost.equal(0.1134);
+        expect(a.info['fix_all_ions']).to.be.false;
+        expect(a.info['ionic_constraints']).to.deep.equal([
+            { constraint: 1, species: 'Si', ion: 2, atom: 1, vector: [1, 0, 0] },
+            { constraint: 2, species: 'H:Mu', ion: 1, atom: 4, vector: [0, 0, 1] }
+        ]);
+        expect(a.info['symmetry_ops']).to.have.lengthOf(2);
+        expect(a.info['symmetry_ops'][1]).to.deep.equal([[[-1, 0, 0], [0, -1, 0], [0, 0, -1]], [0.5, 0.5, 0]]);
+
+        // The two atoms of the mixture are alternatives, so they don't bond
+        var m = new Model(a);
+        expect(m.atoms[2].bondedAtoms.map((b) => b.index)).to.not.include(3);
+        expect(m.atoms[4].crystLabel).to.equal('H:Mu');
+
+        // Plain files have none of these
+        a = loader.load(fs.readFileSync(path.join(__dirname, 'data', 'ethanol.cell'), "utf8"), 'cell')['cell'];
+        expect(a.info).to.deep.equal({});
+        expect(a._arrays).to.not.have.property('spin');
+        expect(a._arrays).to.not.have.property('labels');
+    });
+
+    it('should load a CASTEP output file', function() {
+        var loader = new Loader();
+
+        var castep = fs.readFileSync(path.join(__dirname, 'data', 'si2mu.castep'), "utf8");
+        var a = loader.load(castep, 'castep')['castep'];
+
+        // Last step: the end of the optimisation, with populations and NMR
+        expect(a.get_chemical_symbols()).to.deep.equal(['Si', 'Si', 'H']);
+        expect(a.get_array('labels')).to.deep.equal(['Si', 'Si', 'H:Mu']);
+        expect(a.get_cell()).to.deep.almost.equal([[5.4, 0, 0], [0, 5.4, 0], [0, 0, 5.4]]);
+        expect(a.get_scaled_positions()[2]).to.deep.almost.equal([0.5, 0.51, 0.5]);
+        expect(a.info['energy']).to.equal(-229.2);
+        expect(a.info['free_energy']).to.equal(-229.20005);
+        expect(a.info['enthalpy']).to.equal(-229.2);
+        expect(a.info['pressure']).to.equal(0.1);
+        expect(a.info['stress'][0]).to.deep.equal([-0.1, 0, 0]);
+        expect(a.get_array('forces')).to.deep.equal([[0.001, 0.002, 0.003], [-0.001, -0.002, -0.003], [0, 0.001, 0]]);
+        expect(a.get_array('charge')).to.deep.equal([-0.1, -0.05, 0.15]);
+        expect(a.get_array('spin')).to.deep.equal([0.2, -0.2, 0.3]);
+        expect(a.get_array('ms_iso')).to.deep.equal([370.12, 371.0, 25.4]);
+        expect(a.get_array('ms_asym')).to.deep.equal([0.3, 0.1, 0.05]);
+
+        // First step
+        a = loader.load(castep, 'castep', null, { index: 0 })['castep'];
+        expect(a.get_cell()[0][0]).to.equal(5.43);
+        expect(a.info['enthalpy']).to.be.almost.equal(-229.123457);
+        expect(a.get_array('forces')[2]).to.deep.equal([0, 0.1, 0]);
+        expect(a._arrays).to.not.have.property('charge');
+
+        // All steps
+        var frames = loader.load(castep, 'castep', null, { trajectory: true })['castep'];
+        expect(frames).to.have.lengthOf(2);
+        var m = new Model(frames[1]);
+        expect(m.getArray('charge')).to.deep.equal([-0.1, -0.05, 0.15]);
+
+        expect(() => loader.load(castep, 'castep', null, { index: 2 })).to.throw('Step index out of range for CASTEP file.');
+    });
+
+    it('should load Quantum ESPRESSO input files', function() {
+        var loader = new Loader();
+        var alat = 10.2*0.529177210903;
+
+        // ibrav and celldm, positions in alat
+        var pwi = fs.readFileSync(path.join(__dirname, 'data', 'si.pwi'), "utf8");
+        var a = loader.load(pwi, 'qe')['qe'];
+        expect(a.get_cell()).to.deep.almost.equal([[-alat/2, 0, alat/2], [0, alat/2, alat/2], [-alat/2, alat/2, 0]]);
+        expect(a.get_positions()[1]).to.deep.almost.equal([alat/4, alat/4, alat/4]);
+        expect(a.info['namelists']['system']['ecutwfc']).to.equal(30.0);
+        expect(a.info['namelists']['control']['prefix']).to.equal('si');
+        expect(a.info['species_mass']).to.deep.equal({ Si: 28.086 });
+        expect(a._arrays).to.not.have.property('labels');
+
+        // CELL_PARAMETERS in alat from A, positions in bohr, custom labels
+        pwi = fs.readFileSync(path.join(__dirname, 'data', 'fe.pwi'), "utf8");
+        a = loader.load(pwi, 'qe')['qe'];
+        expect(a.get_cell()).to.deep.almost.equal([[2.87, 0, 0], [0, 2.87, 0], [0, 0, 2.87]]);
+        expect(a.get_chemical_symbols()).to.deep.equal(['Fe', 'Fe']);
+        expect(a.get_array('labels')).to.deep.equal(['Fe1', 'Fe2']);
+        expect(a.get_scaled_positions()[1]).to.deep.almost.equal([0.5, 0.5, 0.5]);
+        expect(a.get_array('selective_dynamics')).to.deep.equal([[false, false, false], [true, true, true]]);
+        expect(a.info['namelists']['system']['starting_magnetization(2)']).to.equal(-0.5);
+
+        // A, C with ibrav = 4, positions in angstrom and crystal
+        var hex = "&SYSTEM\n ibrav = 4, A = 2.46, C = 6.70, nat = 1, ntyp = 1\n/\nATOMIC_POSITIONS angstrom\nC 0.0 1.42028 0.0\n";
+        a = loader.load(hex, 'qe')['qe'];
+        expect(a.get_cell()).to.deep.almost.equal([[2.46, 0, 0], [-1.23, 2.13042, 0], [0, 0, 6.70]]);
+        expect(a.get_scaled_positions()[0]).to.deep.almost.equal([1/3, 2/3, 0]);
+        a = loader.load(hex.replace('angstrom\nC 0.0 1.42028 0.0', 'crystal\nC 0.5 0.5 0.5'), 'qe')['qe'];
+        expect(a.get_positions()[0]).to.deep.almost.equal([0.615, 1.06521, 3.35]);
+
+        loader.load(hex.replace('angstrom', 'crystal_sg'), 'qe');
+        expect(loader.status).to.equal(Loader.STATUS_ERROR);
+        expect(loader.error_message).to.equal('Invalid Quantum ESPRESSO file: unsupported ATOMIC_POSITIONS units crystal_sg');
+    });
+
+    it('should load Quantum ESPRESSO output files', function() {
+        var loader = new Loader();
+        var alat = 10.2*0.529177210903;
+
+        // Final coordinates of a relaxation
+        var pwo = fs.readFileSync(path.join(__dirname, 'data', 'si_relax.pwo'), "utf8");
+        var a = loader.load(pwo, 'qe')['qe'];
+        expect(a.get_cell()[0]).to.deep.almost.equal([-alat/2, 0, alat/2]);
+        expect(a.get_scaled_positions()[1]).to.deep.almost.equal([0.25, 0.25, 0.25]);
+
+        // Shielding tensors from GIPAW
+        var out = fs.readFileSync(path.join(__dirname, 'data', 'si.gipaw.out'), "utf8");
+        a = loader.load(out, 'qe')['qe'];
+        expect(a.get_positions()[1]).to.deep.almost.equal([alat/4, alat/4, alat/4]);
+        var ms = a.get_array('ms');
+        expect(ms[0].isotropy).to.be.almost.equal(403.57);
+        expect(ms[1].isotropy).to.be.almost.equal(410.0);
+        expect(ms[1].eigenvalues).to.deep.almost.equal([400.0, 410.0, 420.0]);
+    });
+
+    it('should load properly a PDB file', function() {
+        var loader = new Loader();
+        var pdb = fs.readFileSync(path.join(__dirname, 'data', 'formaldehyde.pdb'), "utf8");
+        var a = loader.load(pdb, 'pdb')['pdb'];
+
+        expect(a.get_cell()).to.deep.almost.equal([[10, 0, 0], [0, 10, 0], [0, 0, 10]]);
+        expect(a.get_chemical_symbols()).to.deep.equal(['C', 'O', 'H', 'H', 'O', 'O', 'C']);
+        expect(a.get_array('labels')).to.deep.equal(['C1', 'O1', 'H1', 'H2', 'O', 'O', 'CA']);
+        expect(a.get_array('residue_name')).to.deep.equal(['FOR', 'FOR', 'FOR', 'FOR', 'HOH', 'HOH', 'ALA']);
+        expect(a.get_array('residue_number')).to.deep.equal([1, 1, 1, 1, 2, 2, 3]);
+        expect(a.get_array('chain')[6]).to.equal('B');
+        expect(a.get_array('occupancy')).to.deep.equal([1, 1, 1, 1, 0.6, 0.4, 1]);
+        expect(a.get_array('disorder_group')).to.deep.equal([null, null, null, null, 'A', 'B', null]);
+        expect(a.get_array('b_factor')[1]).to.equal(12.0);
+
+        // CONECT records, with the repeated C=O bond as a double bond
+        expect(a.info['bonds']).to.deep.equal([[0, 1, 2], [0, 2, 1], [0, 3, 1]]);
+        expect(a.info['bonds_complete']).to.be.false;
+
+        // The placeholder cell means no cell
+        a = loader.load(pdb.replace(/10\.000/g, ' 1.000'), 'pdb')['pdb'];
+        expect(a.get_cell()).to.be.null;
+    });
+
+    it('should load properly MOL and SDF files', function() {
+        var loader = new Loader();
+        var sdf = fs.readFileSync(path.join(__dirname, 'data', 'acetic.sdf'), "utf8");
+        var structs = loader.load(sdf, 'sdf', 'acetic');
+        expect(Object.keys(structs)).to.deep.equal(['acetic_1', 'acetic_2']);
+
+        // V2000
+        var a = structs['acetic_1'];
+        expect(a.get_cell()).to.be.null;
+        expect(a.get_chemical_symbols()).to.deep.equal(['C', 'C', 'O', 'O', 'H', 'H', 'H', 'H']);
+        expect(a.get_positions()[3]).to.deep.almost.equal([2.14, -1.18, 0]);
+        expect(a.info['title']).to.equal('acetic acid');
+        expect(a.info['bonds'].length).to.equal(7);
+        expect(a.info['bonds'][1]).to.deep.equal([1, 2, 2]);
+        expect(a.info['bonds_complete']).to.be.true;
+        expect(a.info['sdf_data']).to.deep.equal({'NAME': 'acetic acid', 'MW': '60.05'});
+        expect(a.get_array('formal_charge')).to.be.undefined;
+
+        // V3000, with aromatic bonds and a charge on a continued line
+        a = structs['acetic_2'];
+        expect(a.info['title']).to.equal('acetate');
+        expect(a.get_chemical_symbols()).to.deep.equal(['C', 'C', 'O', 'O']);
+        expect(a.info['bonds']).to.deep.equal([[0, 1, 1], [1, 2, 1.5], [1, 3, 1.5]]);
+        expect(a.get_array('formal_charge')).to.deep.equal([0, 0, 0, -1]);
+
+        // A single MOL file, with charges from the properties block
+        var mol = sdf.split('$$$$')[0].replace('M  END', 'M  CHG  1   4  -1\nM  END');
+        a = loader.load(mol, 'mol')['sdf'];
+        expect(a.get_array('formal_charge')).to.deep.equal([0, 0, 0, -1, 0, 0, 0, 0]);
+    });
+
+    it('should load properly SHELX res files', function() {
+
+        var loader = new Loader();
+
+        var res = fs.readFileSync(path.join(__dirname, 'data', 'shelx.res'), "utf8");
+        var a = loader.load(res, 'res')['shelx'];
+        expect(loader.format).to.equal('shelx');
+        expect(a.info.title).to.equal('test_p21c in P2(1)/c');
+        expect(a.get_cell()[0]).to.deep.almost.equal([5, 0, 0]);
+
+        // Fe1 sits on an inversion centre, so it has only two copies in
+        // P2(1)/c; Q-peaks are skipped
+        var labels = a.get_array('labels');
+        expect(_.countBy(labels)).to.deep.equal({'FE1': 2, 'O1': 4, 'C1': 4, 'C1B': 4, 'H1': 4});
+        expect(_.countBy(a.get_chemical_symbols())).to.deep.equal({'Fe': 2, 'O': 4, 'C': 8, 'H': 4});
+        var fpos = a.get_scaled_positions();
+        expect(fpos[labels.indexOf('FE1')+1]).to.deep.almost.equal([0, 0.5, 0.5]);
+        var o1 = _.filter(fpos, (p, i) => labels[i] === 'O1');
+        expect(o1).to.deep.almost.equal([[0.2, 0.1, 0.3], [0.8, 0.6, 0.2], [0.8, 0.9, 0.7], [0.2, 0.4, 0.8]]);
+
+        // Occupancies from free variables, with the special position
+        // factor taken out, and PARTs as disorder groups
+        var occ = a.get_array('occupancy');
+        var dgrp = a.get_array('disorder_group');
+        expect(occ[labels.indexOf('FE1')]).to.almost.equal(1.0);
+        expect(occ[labels.indexOf('C1')]).to.almost.equal(0.7);
+        expect(occ[labels.indexOf('C1B')]).to.almost.equal(0.3);
+        expect(dgrp[labels.indexOf('C1')]).to.equal(1);
+        expect(dgrp[labels.indexOf('C1B')]).to.equal(2);
+        expect(dgrp[labels.indexOf('H1')]).to.be.null;
+
+        // Crystallographic labels are kept in the model
+        var m = new Model(a);
+        expect(m.view(_.range(m.length)).uniqueSites().length).to.equal(5);
+        expect(m.viewFromLabels(['O1']).length).to.equal(4);
+
+        // AIRSS results
+        res = fs.readFileSync(path.join(__dirname, 'data', 'airss.res'), "utf8");
+        a = loader.load(res, 'auto')['shelx'];
+        expect(a.length()).to.equal(2);
+        expect(a.info.airss).to.deep.equal({
+            name: 'Si2-1234-5678-9',
+            pressure: -0.01,
+            volume: 40.026,
+            enthalpy: -325.6789,
+            spin: 0,
+            modSpin: 0,
+            spaceGroup: 'Fd-3m',
+            timesFound: 3
+        });
+        expect(a.get_array('occupancy')).to.be.undefined;
+
+        // Centred lattices
+        res = 'TITL\nCELL 1 4 4 4 90 90 90\nLATT -4\nSFAC Na Cl\nNA1 1 0 0 0 11\nCL1 2 0.5 0.5 0.5 11\nEND\n';
+        a = loader.load(res, 'shelx')['shelx'];
+        expect(a.get_chemical_symbols()).to.deep.equal(['Na', 'Na', 'Na', 'Na', 'Cl', 'Cl', 'Cl', 'Cl']);
+
+        loader.load(res.replace('CL1 2', 'CL1 3'), 'shelx');
+        expect(loader.error_message).to.equal('Invalid SHELX file: atom CL1 has an invalid SFAC number');
+        loader.load(res.replace('CELL 1 4 4 4 90 90 90\n', ''), 'shelx');
+        expect(loader.error_message).to.equal('Invalid SHELX file: no CELL line found');
+    });
+
+    it('should load ASE JSON files and databases', function() {
+
+        var loader = new Loader();
+
+        // One model per row, named after its id
+        var db = fs.readFileSync(path.join(__dirname, 'data', 'ase_db.json'), "utf8");
+        var structs = loader.load(db, 'json');
+        expect(loader.format).to.equal('ase');
+        expect(Object.keys(structs)).to.deep.equal(['ase_1', 'ase_2']);
+
+        var h2o = structs['ase_1'];
+        expect(h2o.get_chemical_symbols()).to.deep.equal(['O', 'H', 'H']);
+        expect(h2o.get_pbc()).to.deep.equal([false, false, false]);
+        expect(h2o.get_positions()[1]).to.deep.almost.equal([0, 0.763239, -0.477047]);
+        expect(h2o.get_array('forces')).to.be.an.instanceof(PropertyArray);
+        expect(h2o.get_array('forces').shape).to.deep.equal([3, 3]);
+        expect(Array.from(h2o.get_array('forces')[2])).to.deep.almost.equal([0, -0.6, 0.4]);
+        // Key-value pairs and results in the info; NaN is read as null
+        expect(h2o.info.name).to.equal('water');
+        expect(h2o.info.relaxed).to.be.true;
+        expect(h2o.info.energy).to.almost.equal(2.10469);
+        expect(h2o.info.stress).to.deep.equal([null, 0, 0, 0, 0, 0]);
+        expect(h2o.info.calculator_parameters).to.deep.equal({asap_cutoff: false});
+
+        var si = structs['ase_2'];
+        expect(si.get_pbc()).to.deep.equal([true, true, true]);
+        expect(si.get_cell()[0]).to.deep.almost.equal([0, 2.715, 2.715]);
+        expect(si.get_array('tags').dtype).to.equal('int32');
+        expect(Array.from(si.get_array('tags'))).to.deep.equal([1, 2]);
+        expect(Array.from(si.get_array('initial_magmoms'))).to.deep.equal([0.5, -0.5]);
+        expect(si.info.data.bands).to.deep.equal([[-5.1, 1.2], [-4.9, 1.4]]);
+
+        // A single Atoms object
+        var json = fs.readFileSync(path.join(__dirname, 'data', 'ase_atoms.json'), "utf8");
+        var fe = loader.load(json, 'auto', 'iron')['iron'];
+        expect(fe.get_chemical_symbols()).to.deep.equal(['Fe', 'Fe']);
+        expect(fe.info).to.deep.equal({comment: 'bcc iron', spacegroup: 229});
+        expect(fe.get_array('site').dtype).to.equal('string');
+        expect(Array.from(fe.get_array('site'))).to.deep.equal(['corner', 'centre']);
+        expect(fe.get_array('fixed').dtype).to.equal('bool');
+        expect(fe.get_array('fixed')[0]).to.deep.equal([true, true, true]);
+
+        var m = new Model(fe);
+        expect(m.getArray('initial_magmoms')[1]).to.equal(2.2);
+
+        // Databases with one row give a single model
+        var one = JSON.parse(db.replace('NaN', '0.0'));
+        delete one['2'];
+        one.ids = [1];
+        expect(Object.keys(loader.load(JSON.stringify(one), 'ase'))).to.deep.equal(['ase']);
+
+        loader.load('{"positions": [[0, 0, 0]]', 'ase');
+        expect(loader.status).to.equal(Loader.STATUS_ERROR);
+        expect(loader.error_message).to.match(/^Invalid ASE JSON file/);
+        loader.load('{"1": {"numbers": [1]}}', 'ase');
+        expect(loader.error_message).to.equal('Invalid ASE JSON file: no numbers or positions found for ase');
+    });
+
+    it('should load properly a POSCAR file', function() {
+        var loader = new Loader();
+
+        // VASP 5 header, Direct coordinates and selective dynamics
+        var poscar = fs.readFileSync(path.join(__dirname, 'data', 'TiO2_seldyn.poscar'), "utf8");
+        var a = loader.load(poscar, 'poscar')['poscar'];
+
+        expect(loader.status).to.equal(Loader.STATUS_SUCCESS);
+        expect(a.get_chemical_symbols()).to.deep.equal(['Ti', 'Ti', 'O', 'O', 'O', 'O']);
+        expect(a.get_cell()).to.deep.almost.equal([[4.5937, 0, 0], [0, 4.5937, 0], [0, 0, 2.9587]]);
+        expect(a.get_positions()[1]).to.deep.almost.equal([2.29685, 2.29685, 1.47935]);
+        expect(a.get_array('selective_dynamics')[0]).to.deep.equal([false, false, false]);
+        expect(a.get_array('selective_dynamics')[2]).to.deep.equal([true, true, false]);
+        expect(a.info.comment).to.equal('Rutile TiO2 - relaxed surface layer');
+
+        // VASP 4 header (species in the comment line), Cartesian
+        // coordinates and a negative scaling factor (volume)
+        var vasp4 = `Si
+-64.0
+1.0 0.0 0.0
+0.0 1.0 0.0
+0.0 0.0 1.0
+2
+Cartesian
+0.0 0.0 0.0
+0.25 0.25 0.25
+`;
+        a = loader.load(vasp4, 'vasp')['poscar'];
+        expect(a.get_chemical_symbols()).to.deep.equal(['Si', 'Si']);
+        expect(a.get_cell()).to.deep.almost.equal([[4, 0, 0], [0, 4, 0], [0, 0, 4]]);
+        expect(a.get_positions()[1]).to.deep.almost.equal([1, 1, 1]);
+        expect(a.get_array('selective_dynamics')).to.be.undefined;
+
+        // Test for failure
+        loader.load('Nothing\n1.0\n', 'poscar');
+        expect(loader.status).to.equal(Loader.STATUS_ERROR);
+        expect(loader.error_message).to.equal('Invalid POSCAR file: file is too short');
+    });
+
+    it('should load properly a Gaussian cube file', function() {
+
+        var loader = new Loader();
+        var cube = fs.readFileSync(path.join(__dirname, 'data', 'H2.cube'), "utf8");
+
+        var vol = loader.loadVolumetric(cube, 'cube');
+        expect(loader.status).to.equal(Loader.STATUS_SUCCESS);
+
+        var b2a = 0.52917721067;
+        var lattice = [
+            [8*b2a, 0, 0],
+            [0, 8*b2a, 0],
+            [0, 0, 8*b2a]
+        ];
+        var a = vol.atoms;
+        expect(a.get_chemical_symbols()).to.deep.equal(['H', 'H']);
+        expect(a.get_positions()[0]).to.deep.almost.equal([3.3*b2a, 4.0*b2a, 4.0*b2a]);
+        // Molecular by default
+        expect(a.get_cell()).to.be.null;
+
+        var g = vol.grids.cube;
+        expect(g.periodic).to.be.false;
+        expect(g.shape).to.deep.equal([4, 4, 4]);
+        expect(g.lattice).to.deep.almost.equal(lattice);
+        expect(g.get(0, 0, 0)).to.almost.equal(0.5);
+        expect(g.get(1, 2, 3)).to.almost.equal(123.5);
+        expect(g.get(3, 3, 3)).to.almost.equal(333.5);
+
+        // Periodic, with the grid spanning the cell
+        vol = loader.loadVolumetric(cube, 'cube', { periodic: true });
+        expect(vol.atoms.get_cell()).to.deep.almost.equal(lattice);
+        expect(vol.grids.cube.periodic).to.be.true;
+
+        // As a structure
+        a = loader.load(cube, 'cube')['cube'];
+        expect(a.length()).to.equal(2);
+        expect(a.get_cell()).to.be.null;
+        expect(a.info.volumetric.cube.get(1, 2, 3)).to.almost.equal(123.5);
+        a = loader.load(cube, 'cube', null, { periodic: true })['cube'];
+        expect(a.get_cell()).to.deep.almost.equal(lattice);
+        expect(a.info.volumetric.cube.periodic).to.be.true;
+
+        // Truncated
+        loader.loadVolumetric(cube.split('\n').slice(0, 12).join('\n'), 'cube');
+        expect(loader.status).to.equal(Loader.STATUS_ERROR);
+        expect(loader.error_message).to.equal('Invalid cube file: not enough grid values');
+    });
+
+    it('should load properly a CASTEP den_fmt file', function() {
+
+        var loader = new Loader();
+        var den = fs.readFileSync(path.join(__dirname, 'data', 'test.den_fmt'), "utf8");
+
+        var vol = loader.loadVolumetric(den, 'den_fmt');
+        expect(loader.status).to.equal(Loader.STATUS_SUCCESS);
+        expect(vol.atoms).to.be.null;
+
+        var g = vol.grids.density;
+        expect(g.shape).to.deep.equal([3, 3, 3]);
+        expect(g.lattice).to.deep.almost.equal([
+            [3, 0, 0],
+            [0, 3, 0],
+            [0, 0, 3]
+        ]);
+        expect(g.get(1, 2, 0)).to.almost.equal(120);
+        expect(g.get(2, 0, 1)).to.almost.equal(201);
+        expect(vol.grids.spin_density.get(2, 0, 1)).to.almost.equal(-3);
+
+        // Same format, different extension
+        vol = loader.loadVolumetric(den, 'chdiff_fmt');
+        expect(vol.grids.density.get(2, 2, 2)).to.almost.equal(222);
+
+        // Not a structure file
+        expect(() => loader.load(den, 'den_fmt')).to.throw('Invalid file format');
+    });
+
+    it('should detect file formats from their contents', function() {
+
+        var loader = new Loader();
+        var expected = {
+            'org.cif': 'cif',
+            'CHA.cif': 'cif',
+            'si8.xyz': 'xyz',
+            'pyridine_nocell.xyz': 'xyz',
+            'ethanol.cell': 'cell',
+            'ethanol.magres': 'magres',
+            'hf_test.magres': 'magres',
+            'TiO2_seldyn.poscar': 'poscar',
+            'H2.cube': 'cube',
+            'si2mu.castep': 'castep',
+            'si.pwi': 'qe',
+            'si_relax.pwo': 'qe',
+            'si.gipaw.out': 'qe',
+            'formaldehyde.pdb': 'pdb',
+            'acetic.sdf': 'sdf',
+            'shelx.res': 'shelx',
+            'airss.res': 'shelx',
+            'ase_db.json': 'ase',
+            'ase_atoms.json': 'ase',
+        };
+
+        for (let fname in expected) {
+            var contents = fs.readFileSync(path.join(__dirname, 'data', fname), "utf8");
+            var ranked = loader.detect(contents);
+            expect(ranked[0].format, fname).to.equal(expected[fname]);
+            expect(loader.detectFormat(contents)).to.equal(expected[fname]);
+        }
+
+        // Loading with auto detection
+        var cell = fs.readFileSync(path.join(__dirname, 'data', 'ethanol.cell'), "utf8");
+        var a = loader.load(cell, 'auto')['cell'];
+        expect(loader.status).to.equal(Loader.STATUS_SUCCESS);
+        expect(loader.format).to.equal('cell');
+        expect(loader.candidates[0]).to.deep.equal({format: 'cell', score: 1.0});
+        expect(a.length()).to.equal(9);
+
+        // Explicit formats are reported after resolving aliases
+        loader.load(cell, 'CELL');
+        expect(loader.format).to.equal('cell');
+
+        // Nothing recognisable
+        expect(loader.load('Hello world\n', 'auto')).to.be.undefined;
+        expect(loader.status).to.equal(Loader.STATUS_ERROR);
+        expect(loader.error_message).to.equal('Could not detect file format');
+        expect(loader.candidates).to.deep.equal([]);
+
+        // Ambiguous
+        loader.load('#$magres-abinitio-v1.0\ndata_test\n_atom_site_label\n', 'auto');
+        expect(loader.status).to.equal(Loader.STATUS_ERROR);
+        expect(loader.error_message).to.equal('Ambiguous file format: could be any of cif, magres');
+        expect(loader.candidates.map((c) => c.format)).to.deep.equal(['cif', 'magres']);
+    });
+
+    it('should load gzipped files and zip archives', function() {
+
+        var loader = new Loader();
+        var cell = fs.readFileSync(path.join(__dirname, 'data', 'ethanol.cell'), "utf8");
+        var xyz = fs.readFileSync(path.join(__dirname, 'data', 'si8.xyz'), "utf8");
+
+        // Plain bytes, and gzipped ones, as Uint8Array or ArrayBuffer
+        var gz = gzipSync(strToU8(cell));
+        expect(Loader.readText(strToU8(cell))).to.equal(cell);
+        expect(Loader.readText(gz.buffer)).to.equal(cell);
+        expect(loader.load(gz, 'auto')['cell'].length()).to.equal(9);
+        expect(loader.format).to.equal('cell');
+        expect(Loader.isArchive(gz)).to.be.false;
+        expect(Loader.isArchive(cell)).to.be.false;
+
+        // Corrupted data
+        expect(loader.load(gz.slice(0, 20), 'cell')).to.be.undefined;
+        expect(loader.status).to.equal(Loader.STATUS_ERROR);
+
+        var zip = zipSync({
+            'ethanol.cell': strToU8(cell),
+            'data': {
+                'si8.xyz': gzipSync(strToU8(xyz)),
+                'notes.txt': strToU8('Hello world\n')
+            },
+            '__MACOSX': {
+                '._ethanol.cell': strToU8('junk')
+            }
+        });
+        expect(Loader.isArchive(zip)).to.be.true;
+        expect(Loader.isArchive(gzipSync(zip))).to.be.true;
+        expect(Object.keys(Loader.unpackArchive(zip))).to.deep.equal(['ethanol.cell', 'data/si8.xyz', 'data/notes.txt']);
+        expect(() => Loader.readText(zip)).to.throw('File is a zip archive');
+        expect(loader.load(zip, 'cell')).to.be.undefined;
+        expect(loader.status).to.equal(Loader.STATUS_ERROR);
+
+        var members = loader.loadArchive(zip, 'auto', 'run');
+        expect(loader.status).to.equal(Loader.STATUS_SUCCESS);
+        expect(members.map((m) => m.name)).to.deep.equal(['run/ethanol.cell', 'run/data/si8.xyz', 'run/data/notes.txt']);
+        expect(members.map((m) => m.format)).to.deep.equal(['cell', 'xyz', null]);
+        expect(members[0].structures['run/ethanol.cell'].length()).to.equal(9);
+        expect(members[1].contents).to.equal(xyz);
+        expect(members[1].structures['run/data/si8.xyz'].length()).to.equal(8);
+        expect(members[2].error).to.equal('Could not detect file format');
+
+        // A single format for all members
+        members = loader.loadArchive(zip, 'cell');
+        expect(members[0].structures).to.have.property('ethanol.cell');
+        expect(members[1].error).to.be.a('string');
+
+        expect(Loader.formatFromFilename('data/si8.xyz.gz')).to.equal('xyz');
+        expect(Loader.formatFromFilename('README')).to.be.null;
+        expect(loader.loadArchive(gz)).to.be.undefined;
+        expect(loader.error_message).to.equal('Invalid zip archive');
+    });
+
+    it('should support registering new formats', function() {
+
+        // A minimal in-house format: one 'element x y z' line per atom, with
+        // an optional scaling of the coordinates
+        Loader.registerFormat('Simple', {
+            load: function(contents, filename = 'simple', options = {}) {
+                let lines = contents.split('\n').filter((l) => l.trim().length > 0);
+                if (lines[0] !== 'SIMPLE') {
+                    throw Error('Not a simple file');
+                }
+                let atoms = lines.slice(1).map((l) => l.trim().split(/\s+/));
+                let structs = {};
+                structs[filename] = new Atoms(atoms.map((a) => a[0]),
+                    atoms.map((a) => a.slice(1).map((x) => parseFloat(x)*options.scale)));
+                return structs;
+            },
+            detect: (contents) => (contents.startsWith('SIMPLE')? 1.0 : 0),
+            extensions: ['smp'],
+            options: {
+                scale: 1.0
+            }
+        });
+
+        expect(Loader.formats()['simple']).to.deep.equal({
+            extensions: ['smp'], 
+            options: {scale: 1.0},
+            builtin: false
+        });
+        expect(Loader.formats()['cif'].builtin).to.be.true;
+        expect(Loader.formatFromExtension('SMP')).to.equal('simple');
+        expect(Loader.formatFromExtension('contcar')).to.equal('poscar');
+        expect(Loader.formatFromExtension('pdf')).to.be.null;
+        expect(() => Loader.registerFormat('simple', {load: () => ({})})).to.throw('Format simple is already registered');
+        expect(() => Loader.registerFormat('other', {})).to.throw('Format other must provide a load function');
+
+        var loader = new Loader();
+        var simple = 'SIMPLE\nO 0 0 0\nH 1 0 0\nH 0 1 0\n';
+
+        var a = loader.load(simple, 'smp')['simple'];
+        expect(loader.format).to.equal('simple');
+        expect(a.get_chemical_symbols()).to.deep.equal(['O', 'H', 'H']);
+        expect(a.get_positions()[1]).to.deep.equal([1, 0, 0]);
+
+        a = loader.load(simple, 'auto', 'water', {scale: 2.0})['water'];
+        expect(loader.format).to.equal('simple');
+        expect(a.get_positions()[1]).to.deep.equal([2, 0, 0]);
+
+        // Options left undefined keep their defaults
+        a = loader.load(simple, 'smp', null, {scale: undefined})['simple'];
+        expect(a.get_positions()[1]).to.deep.equal([1, 0, 0]);
+
+        // Errors are stored in the status
+        expect(loader.load('NOT SIMPLE', 'simple')).to.be.undefined;
+        expect(loader.status).to.equal(Loader.STATUS_ERROR);
+        expect(loader.error_message).to.equal('Not a simple file');
+
+        Loader.unregisterFormat('simple');
+        expect(Loader.formats()).to.not.have.property('simple');
+        expect(() => loader.load(simple, 'smp')).to.throw('Invalid file format');
+        expect(() => Loader.unregisterFormat('simple')).to.throw('Format simple is not registered');
+    });
+});
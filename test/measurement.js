@@ -0,0 +1,154 @@
+'use strict';
+
+import * as chai from 'chai';
+import chaiAlmost from 'chai-almost'
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url';
+
+import { Atoms } from '@ccp-nc/crystcif-parse'
+
+import { Loader } from '../lib/loader.js'
+import { Model } from '../lib/model.js'
+import { distance, angle, dihedral, Measurement } from '../lib/measurement.js'
+import { TrajectoryModel } from '../lib/trajectory.js'
+
+const expect = chai.expect
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+chai.use(chaiAlmost(1e-3));
+
+// Load test files
+var loader = new Loader();
+
+// Two water molecules in a 10 Angstrom cell; the second one is split across
+// the boundaries
+var xyz = fs.readFileSync(path.join(__dirname, 'data', 'H2O.xyz'), "utf8");
+var h2o = loader.load(xyz, 'xyz')['xyz'];
+
+xyz = fs.readFileSync(path.join(__dirname, 'data', 'pyridine_nocell.xyz'), "utf8");
+var pyr = loader.load(xyz, 'xyz')['xyz'];
+
+var traj = fs.readFileSync(path.join(__dirname, 'data', 'h2o_traj.xyz'), "utf8");
+var h2oframes = loader.load(traj, 'xyz', null, { trajectory: true })['xyz'];
+
+describe('#measurement', function() {
+
+    it('should measure distances, angles and dihedral angles between points', function() {
+        expect(distance([0, 0, 0], [1, 2, 2])).to.almost.equal(3);
+        expect(angle([1, 0, 0], [0, 0, 0], [0, 1, 0])).to.almost.equal(90);
+        expect(angle([1, 0, 0], [0, 0, 0], [-2, 0, 0])).to.almost.equal(180);
+
+        // Positive if clockwise looking from the second point to the third
+        var p = [[1, 0, 0], [0, 0, 0], [0, 0, 1]];
+        expect(dihedral(...p, [0, 1, 1])).to.almost.equal(90);
+        expect(dihedral(...p, [0, -1, 1])).to.almost.equal(-90);
+        expect(dihedral(...p, [1, 0, 1])).to.almost.equal(0);
+        expect(Math.abs(dihedral(...p, [-1, 0, 1]))).to.almost.equal(180);
+
+        expect(() => angle([1, 0, 0], [1, 0, 0], [0, 1, 0])).to.throw('Angle is undefined for coinciding points');
+        expect(() => dihedral([0, 0, -1], ...p.slice(1), [0, 1, 1])).to.throw('Dihedral angle is undefined for collinear points');
+    });
+
+    it('should measure atoms given by index, label or image', function() {
+        var m = new Model(h2o);
+
+        expect(m.distance(0, 1)).to.almost.equal(0.9686);
+        expect(m.angle(1, 0, 2)).to.almost.equal(104.0);
+        expect(m.distance(m._labels[1], m._labels[2])).to.almost.equal(2*0.763239);
+
+        // Images are used as they are, indices and labels refer to the
+        // original cell
+        var m3 = new Model(h2o, { supercell: [3, 3, 3] });
+        var copy = m3.find({ 'cell': [[0, 0, -1]] }).atoms.find((a) => a.index === 4);
+        expect(m3.distance(3, copy)).to.almost.equal(0.9686);
+        expect(m3.distance(3, 4)).to.almost.equal(9.4346);
+
+        var cis = new Model(new Atoms(['C', 'C', 'C', 'C'], [[1, 0, 0], [0, 0, 0], [0, 0, 1.5], [1, 0, 1.5]]));
+        expect(cis.dihedral(0, 1, 2, 3)).to.almost.equal(0);
+
+        expect(() => m.distance(0, 6)).to.throw('Invalid atom index');
+        expect(() => m.distance(0, 'X1')).to.throw('No atom with label X1');
+        expect(() => m.distance(0, copy)).to.throw('Atom image belongs to a different model');
+        expect(() => m.distance(0, [0, 0, 0])).to.throw('Atoms must be given as AtomImages, indices or labels');
+    });
+
+    it('should use the minimum image convention if asked to', function() {
+        var m = new Model(h2o);
+
+        expect(m.distance(3, 4)).to.almost.equal(9.4346);
+        expect(m.minimumImageDistance(3, 4)).to.almost.equal(0.9686);
+        expect(m.minimumImageDistance(4, 5)).to.almost.equal(2*0.763239);
+        expect(m.minimumImageAngle(4, 3, 5)).to.almost.equal(104.0);
+
+        // A skewed cell, where the closest copy is not necessarily the one
+        // nearest in fractional coordinates
+        var cell = [[1, 0, 0], [0.95, 0.2, 0], [0.4, 0.3, 2]];
+        var q = [0.93, 0.21, 0.8];
+        var tric = new Model(new Atoms(['H', 'H'], [[0, 0, 0], q], cell));
+        var dmin = Infinity;
+        for (let i = -4; i <= 4; ++i) {
+            for (let j = -4; j <= 4; ++j) {
+                for (let k = -4; k <= 4; ++k) {
+                    dmin = Math.min(dmin, distance([0, 0, 0], q.map((x, n) => x + i*cell[0][n] +
+                        j*cell[1][n] + k*cell[2][n])));
+                }
+            }
+        }
+        expect(tric.minimumImageDistance(0, 1)).to.almost.equal(dmin);
+
+        // Same as the plain measurements without periodicity
+        var pm = new Model(pyr);
+        expect(pm.minimumImageAngle(0, 1, 2)).to.equal(pm.angle(0, 1, 2));
+    });
+
+    it('should keep measurements attached to the atoms', function() {
+        var m = new Model(h2o);
+        var meas = m.addMeasurement([4, 3, 5], 'hoh', { minimumImage: true, precision: 2 });
+
+        expect(meas).to.be.instanceOf(Measurement);
+        expect(meas.type).to.equal('angle');
+        expect(meas.atoms).to.deep.equal([[4, [0, 0, 0]], [3, [0, 0, 0]], [5, [0, 0, 0]]]);
+        expect(meas.label).to.equal('104.00');
+        expect(Object.keys(m.measurements)).to.deep.equal(['hoh']);
+
+        meas = m.addMeasurement([3, 4], 'oh', { label: (v) => v.toFixed(1) + ' A' });
+        expect(meas.type).to.equal('distance');
+        expect(meas.label).to.equal('9.4 A');
+
+        // Molecular crystals move atoms to complete molecules, but the
+        // measurements still refer to the same copies
+        var mc = new Model(h2o, { molecularCrystal: true }, { measurements: m._measurementData() });
+        expect(mc.measurements['hoh'].value).to.almost.equal(104.0);
+        expect(mc.measurements['oh'].value).to.almost.equal(9.4346);
+        expect(mc.measurements['oh'].atoms[1][1]).to.deep.equal([0, 0, 1]);
+        expect(mc.measurements['oh'].label).to.equal('9.4 A');
+
+        // Edits renumber them, and drop those of deleted atoms
+        var m2 = m.edit().deleteAtoms(m.view([0, 4])).apply();
+        expect(Object.keys(m2.measurements)).to.deep.equal([]);
+        m2 = m.edit().deleteAtoms(m.view([0])).apply();
+        expect(m2.measurements['oh'].atoms.map((a) => a[0])).to.deep.equal([2, 3]);
+        expect(m2.measurements['oh'].value).to.almost.equal(9.4346);
+
+        m.removeMeasurement('hoh');
+        expect(Object.keys(m.measurements)).to.deep.equal(['oh']);
+        m.clearGraphics();
+        expect(m.measurements).to.deep.equal({});
+
+        expect(() => m.addMeasurement([0])).to.throw('Measurements need two, three or four atoms');
+        expect(() => m.addMeasurement([0, 0, 1])).to.throw('Angle is undefined for coinciding points');
+        expect(m.measurements).to.deep.equal({});
+    });
+
+    it('should follow the atoms through the frames of a trajectory', function() {
+        var m = new TrajectoryModel(h2oframes);
+        var meas = m.addMeasurement([1, 0, 2], 'hoh');
+        var v0 = meas.value;
+
+        m.setFrame(2);
+        expect(meas.value).to.not.almost.equal(v0);
+        expect(meas.value).to.almost.equal(m.angle(1, 0, 2));
+    });
+});
@@ -22,6 +22,25 @@ import {
 import {
     Loader as Loader
 } from '../lib/loader.js';
+import {
+    VolumetricData
+} from '../lib/volumetric.js';
+import {
+    TensorData
+} from '../lib/tensor.js';
+import {
+    PropertyArray
+} from '../lib/property.js';
+import {
+    BondList
+} from '../lib/bonds.js';
+import * as data from '../lib/data.js';
+import {
+    encodeStructure,
+    decodeStructure,
+    encodeGeometry,
+    decodeGeometry
+} from '../lib/transfer.js';
 
 chai.use(chaiAlmost(1e-3));
 
@@ -43,13 +62,12 @@ var orgmodel = new Model(org);
 
 var xyz = fs.readFileSync(path.join(__dirname, 'data', 'pyridine_nocell.xyz'), "utf8");
 var loader = new Loader();
-// try to load an xyz with no unit cell, catch the error
-try {
-    loader.load(xyz, 'xyz');
-} catch (e) {
-    // Accept either the short legacy message or the more descriptive one
-    expect(e.message).to.match(/No unit cell/);
-}
+// no unit cell: non-periodic molecule
+var pyrnc = loader.load(xyz, 'xyz')['xyz'];
+var pyrncmodel = new Model(pyrnc, {
+    supercell: [3, 3, 3],
+    molecularCrystal: true
+});
 
 // manually added in dummy cell:
 xyz = fs.readFileSync(path.join(__dirname, 'data', 'pyridine.xyz'), "utf8");
@@ -160,6 +178,16 @@ describe('#model', function() {
         expect(simodel.periodic).to.be.true;
     });
 
+    it('should return the calculation metadata', function() {
+        let magres = fs.readFileSync(path.join(__dirname, 'data', 'ethanol.magres'), "utf8");
+        let m = new Model(loader.load(magres, 'magres')['magres']);
+        expect(m.calculation.xcFunctional).to.equal('PBE');
+        // A copy
+        m.calculation.kpointGrid[0] = 4;
+        expect(m.calculation.kpointGrid).to.deep.equal([1, 1, 1]);
+        expect(chamodel.calculation).to.be.null;
+    });
+
     it('should correctly identify CH bond presence', function() {
         expect(chamodel._queryCHBond()).to.be.false;
         expect(simodel._queryCHBond()).to.be.false;
@@ -249,20 +277,21 @@ describe('#model', function() {
 
     it('should identify the right bonds', function() {
 
-        var bonds = h2omodel._bondmat;
+        var bonds = h2omodel._bonds;
 
-        expect(bonds[0][1]).to.deep.equal([
+        expect(bonds.cells(0, 1)).to.deep.equal([
             [0, 0, 0]
         ]);
-        expect(bonds[0][2]).to.deep.equal([
+        expect(bonds.cells(0, 2)).to.deep.equal([
             [0, 0, 0]
         ]);
-        expect(bonds[3][4]).to.deep.equal([
+        expect(bonds.cells(3, 4)).to.deep.equal([
             [0, 0, -1]
         ]);
-        expect(bonds[3][5]).to.deep.equal([
+        expect(bonds.cells(3, 5)).to.deep.equal([
             [0, -1, -1]
         ]);
+        expect(bonds.size).to.equal(4);
 
     });
 
@@ -326,6 +355,397 @@ describe('#model', function() {
     });
 });
 
+describe('#nonperiodic', function() {
+
+    it('should load a molecule without a cell', function() {
+        expect(pyrncmodel.periodic).to.be.false;
+        expect(pyrncmodel.cell).to.be.null;
+        // Supercell and molecular crystal options are ignored
+        expect(pyrncmodel.supercell).to.deep.equal([1, 1, 1]);
+        expect(pyrncmodel.atoms.length).to.equal(11);
+        expect(pyrncmodel.minimumSupercell(10.0)).to.deep.equal([1, 1, 1]);
+        expect(pyrncmodel.fracToAbs([0.5, 0.5, 0.5])).to.be.null;
+
+        var a = pyrncmodel.atoms[0];
+        expect(a.xyz).to.deep.almost.equal([-0.180226841, 0.360945118, -1.120304970]);
+        expect(a.fxyz).to.be.null;
+        expect(a.fxyz0).to.be.null;
+        expect(a.crystLabel).to.equal('C_1');
+    });
+
+    it('should compute bonds and molecules', function() {
+        // Six ring bonds plus five C-H/N bonds
+        expect(pyrncmodel._bond_images.length).to.equal(11);
+        expect(pyrncmodel.atoms[3].bondedAtoms.map((a) => a.index).sort()).to.deep.equal([2, 4]);
+        expect(pyrncmodel._molecules.length).to.equal(1);
+    });
+
+    it('should support queries', function() {
+        var found = pyrncmodel.find({
+            'sphere': [pyrncmodel.atoms[3], 1.5]
+        });
+        expect(found.indices.sort()).to.deep.equal([2, 3, 4]);
+
+        found = pyrncmodel.find({
+            'box': [[-1, -1, 0.5], [1, 3, 2]]
+        });
+        expect(found.indices.sort()).to.deep.equal([2, 3, 4, 8]);
+
+        found = pyrncmodel.find({
+            'bonded': [[pyrncmodel.atoms[0]], 1]
+        });
+        expect(found.indices.sort()).to.deep.equal([1, 5, 6]);
+
+        found = pyrncmodel.find({
+            'molecule': [[pyrncmodel.atoms[0]]]
+        });
+        expect(found.length).to.equal(11);
+
+        found = pyrncmodel.find({
+            'cell': [[0, 0, 0]]
+        });
+        expect(found.length).to.equal(11);
+    });
+
+    it('should export without a cell', function() {
+        var b = loader.load(pyrncmodel.export('xyz'), 'xyz')['xyz'];
+        expect(b.get_cell()).to.be.null;
+        expect(b.get_positions()).to.deep.almost.equal(pyrnc.get_positions());
+        expect(() => pyrncmodel.export('cell')).to.throw(/non-periodic/);
+    });
+});
+
+describe('#disorder', function() {
+
+    var cif = fs.readFileSync(path.join(__dirname, 'data', 'disorder.cif'), "utf8");
+    var dis = loader.load(cif, 'cif')['disorder'];
+    var dismodel = new Model(dis);
+
+    it('should load occupancies and disorder groups', function() {
+        expect(dismodel.occupancies).to.deep.equal([1, 0.6, 0.4, 1, 0.5]);
+        expect(dismodel.disorderGroups).to.deep.equal([null, 1, 2, null, 2]);
+        expect(dismodel.disorderAssemblies).to.deep.equal([null, 'A', 'A', null, 'B']);
+        expect(dismodel.atoms[2].occupancy).to.equal(0.4);
+        expect(dismodel.atoms[2].opacity).to.equal(0.4);
+        expect(dismodel.atoms[1].disorderGroup).to.equal(1);
+        expect(chamodel.occupancies).to.be.null;
+        expect(chamodel.atoms[0].occupancy).to.equal(1);
+    });
+
+    it('should only bond atoms within the same disorder group', function() {
+        const bonded = (i) => _.sortBy(dismodel.atoms[i].bondedAtoms.map((a) => a.crystLabel));
+        expect(bonded(0)).to.deep.equal(['C2A', 'C2B', 'O1']);
+        // Alternatives in the same assembly do not bond...
+        expect(bonded(1)).to.deep.equal(['C1', 'N3A']);
+        expect(bonded(2)).to.deep.equal(['C1']);
+        // ...but different assemblies do
+        expect(bonded(4)).to.deep.equal(['C2A']);
+    });
+
+    it('should select disorder components', function() {
+        expect(dismodel.find({'disorder': [1]}).indices).to.deep.equal([1]);
+        expect(dismodel.find({'disorder': [2]}).indices).to.deep.equal([2, 4]);
+        expect(dismodel.find({'disorder': [2, 'A']}).indices).to.deep.equal([2]);
+        expect(dismodel.find({'disorder': [2, 'A', true]}).indices).to.deep.equal([0, 2, 3]);
+        expect(dismodel.find({'disorder': [null]}).indices).to.deep.equal([0, 3]);
+    });
+
+    it('should export occupancies and disorder groups to CIF', function() {
+        var b = loader.load(dismodel.export('cif'), 'cif')['crystvis'];
+        expect(b.get_array('occupancy')).to.deep.equal([1, 0.6, 0.4, 1, 0.5]);
+        expect(b.get_array('disorder_group')).to.deep.equal([null, 1, 2, null, 2]);
+        expect(b.get_array('disorder_assembly')).to.deep.equal([null, 'A', 'A', null, 'B']);
+    });
+});
+
+describe('#explicitbonds', function() {
+
+    var sdf = fs.readFileSync(path.join(__dirname, 'data', 'acetic.sdf'), "utf8");
+    var pdb = fs.readFileSync(path.join(__dirname, 'data', 'formaldehyde.pdb'), "utf8");
+
+    const bondCount = (m) => _.sum(m.atoms.map((a) => a.bonds.length))/2;
+
+    it('should use all the bonds of a MOL file', function() {
+        var a = loader.load(sdf, 'sdf')['sdf_1'];
+        var m = new Model(a);
+        expect(bondCount(m)).to.equal(7);
+        var co = _.find(m.atoms[1].bonds, (b) => b.atom1.index + b.atom2.index === 3);
+        expect(co.order).to.equal(2);
+        expect(m.atoms[0].bonds[0].order).to.equal(1);
+
+        // Drop the O-H bond: it's gone unless distances are used too
+        a.info['bonds'] = a.info['bonds'].slice(0, 6);
+        expect(bondCount(new Model(a))).to.equal(6);
+        expect(bondCount(new Model(a, {explicitBonds: 'augment'}))).to.equal(7);
+        m = new Model(a, {explicitBonds: 'ignore'});
+        expect(bondCount(m)).to.equal(7);
+        expect(m.atoms[1].bonds.every((b) => b.order === 1)).to.be.true;
+
+        expect(() => new Model(a, {explicitBonds: 'always'})).to.throw('Invalid value for explicitBonds: always');
+    });
+
+    it('should add the bonds of a PDB file to the computed ones', function() {
+        // Make the C=O bond too long to be found from distances
+        var a = loader.load(pdb.replace('   1.210', '   1.900'), 'pdb')['pdb'];
+        var m = new Model(a);
+        expect(m.atoms[0].bondedAtoms.map((b) => b.index).sort()).to.deep.equal([1, 2, 3]);
+        expect(bondCount(new Model(a, {explicitBonds: 'ignore'}))).to.equal(2);
+        // Alternate locations still don't bond to each other
+        expect(m.atoms[4].bonds).to.deep.equal([]);
+    });
+});
+
+describe('#neighbours', function() {
+
+    // A small triclinic cell, so that neighbours come from several images
+    var fpos = [[0.1, 0.2, 0.3], [0.6, 0.55, 0.9], [0.95, 0.05, 0.5], [0.4, 0.8, 0.1]];
+    var tric = new Atoms(['C', 'O', 'H', 'N'], fpos, [[3.1, 3.6, 4.2], [71, 104, 118]], {}, true);
+    var tricmodel = new Model(tric);
+
+    // All images within a cutoff, found by looking at many cells
+    function bruteNeighbours(m, i, cutoff) {
+        var found = [];
+        var p = m.positions;
+        var n = 4;
+        for (let j = 0; j < m.length; ++j) {
+            for (let c of _.range(Math.pow(2*n+1, 3))) {
+                var ijk = [Math.floor(c/Math.pow(2*n+1, 2)), Math.floor(c/(2*n+1)) % (2*n+1), c % (2*n+1)];
+                ijk = ijk.map((x) => x - n);
+                if (j === i && _.isEqual(ijk, [0, 0, 0])) {
+                    continue;
+                }
+                var x = _.zipWith(p[j], m.fracToAbs(ijk), (a, b) => a + b);
+                var d = Math.sqrt(_.sum(_.zipWith(x, p[i], (a, b) => (a - b)*(a - b))));
+                if (d <= cutoff) {
+                    found.push(j + '_' + ijk.join('_'));
+                }
+            }
+        }
+        return found.sort();
+    }
+
+    it('should find the neighbours of an atom', function() {
+        var nb = simodel.neighbours(0, 2.5);
+        expect(nb.length).to.equal(4);
+        nb.forEach((n) => {
+            expect(n.distance).to.be.almost.equal(5.44*Math.sqrt(3)/4);
+        });
+        var d = simodel.neighbours(0, 4.0).map((n) => n.distance);
+        expect(d.length).to.equal(16);
+        expect(d).to.deep.equal(_.sortBy(d));
+
+        nb = pyrncmodel.neighbours(3, 1.5);
+        expect(nb.map((n) => n.index).sort()).to.deep.equal([2, 4]);
+        expect(nb[0].ijk).to.deep.equal([0, 0, 0]);
+
+        expect(() => simodel.neighbours(8, 2.5)).to.throw('Invalid atom index');
+    });
+
+    it('should find all periodic copies in triclinic cells', function() {
+        for (let i = 0; i < tricmodel.length; ++i) {
+            for (let cutoff of [1.0, 2.5, 6.0]) {
+                var nb = tricmodel.neighbours(i, cutoff).map((n) => n.index + '_' + n.ijk.join('_'));
+                expect(nb.sort()).to.deep.equal(bruteNeighbours(tricmodel, i, cutoff));
+            }
+        }
+    });
+
+    // Bonds from distances, by looking at every image within the minimum
+    // supercell, as sorted lists of cells by atom pair
+    function bruteBonds(m, scale) {
+        var p = m.positions;
+        var vdwr = m.symbols.map((s) => data.getVdwRadius(s)*scale);
+        var smax = m.minimumSupercell(_.max(vdwr)).map((s) => (s - 1)/2);
+        var cells = [];
+        for (let a = -smax[0]; a <= smax[0]; ++a) {
+            for (let b = -smax[1]; b <= smax[1]; ++b) {
+                for (let c = -smax[2]; c <= smax[2]; ++c) {
+                    cells.push([a, b, c]);
+                }
+            }
+        }
+        var bonds = {};
+        for (let i = 0; i < m.length; ++i) {
+            for (let j = 0; j < m.length; ++j) {
+                var found = cells.filter((c) => {
+                    if (i === j && _.isEqual(c, [0, 0, 0])) {
+                        return false;
+                    }
+                    var x = m.periodic? _.zipWith(p[j], m.fracToAbs(c), (u, v) => u + v) : p[j];
+                    var d = Math.sqrt(_.sum(_.zipWith(x, p[i], (u, v) => (u - v)*(u - v))));
+                    return d < (vdwr[i] + vdwr[j])/2;
+                });
+                if (found.length > 0) {
+                    bonds[i + '_' + j] = found.map((c) => c.join('_')).sort();
+                }
+            }
+        }
+        return bonds;
+    }
+
+    // The same, from the model's bond list
+    function modelBonds(m) {
+        var bonds = {};
+        for (let i = 0; i < m.length; ++i) {
+            for (let [j, c] of m._bonds.row(i)) {
+                bonds[i + '_' + j] = _.uniq((bonds[i + '_' + j] || []).concat([c.join('_')])).sort();
+            }
+        }
+        return bonds;
+    }
+
+    it('should bond the atoms within the sum of their radii', function() {
+        // Triclinic, with bonds across several cells
+        var m = new Model(tric, {vdwScaling: 1.4});
+        var bonds = modelBonds(m);
+        expect(_.size(bonds)).to.be.above(0);
+        expect(bonds).to.deep.equal(bruteBonds(m, 1.4));
+
+        // Molecular crystal, with the positions moved to complete the
+        // molecules, displayed as a supercell
+        m = new Model(org, {molecularCrystal: true, supercell: [2, 2, 2]});
+        expect(m._molecularCrystal).to.be.true;
+        expect(modelBonds(m)).to.deep.equal(bruteBonds(m, 1.0));
+
+        expect(modelBonds(simodel3)).to.deep.equal(bruteBonds(simodel3, 1.0));
+        expect(modelBonds(pyrncmodel)).to.deep.equal(bruteBonds(pyrncmodel, 1.0));
+    });
+});
+
+describe('#bondingrules', function() {
+
+    const bondCount = (m) => m._bonds.size;
+
+    it('should bond atoms by covalent radii', function() {
+        // Pyridine has the same bonds either way
+        var m = new Model(pyrnc, {
+            bondingRules: { mode: 'covalent' }
+        });
+        expect(bondCount(m)).to.equal(11);
+        expect(m.bondingRules.tolerance).to.equal(0.45);
+
+        // O-H bonds in water are 0.97 Angstrom long, and the sum of the
+        // covalent radii is 0.97 too
+        var tol = (t) => bondCount(new Model(h2o, { bondingRules: { mode: 'covalent', tolerance: t } }));
+        expect(tol(0.1)).to.equal(4);
+        expect(tol(-0.1)).to.equal(0);
+
+        expect(() => new Model(h2o, { bondingRules: { mode: 'ionic' } })).to.throw('Invalid bonding mode: ionic');
+    });
+
+    it('should use distance ranges for pairs of elements', function() {
+        // No C-H bonds
+        var m = new Model(pyrnc, {
+            bondingRules: { pairs: { 'H-C': [0.0, 0.5] } }
+        });
+        expect(bondCount(m)).to.equal(6);
+        expect(m._molecules.length).to.equal(6);
+
+        // C-N bonds (1.34 Angstrom) longer than those found from the radii
+        m = new Model(pyrnc, {
+            bondingRules: { pairs: { 'C-N': [1.0, 2.5], 'C-C': [2.0, 3.0] } }
+        });
+        expect(m.atoms[3].bondedAtoms.map((a) => a.index).sort()).to.deep.equal([1, 2, 4, 5]);
+
+        // Bonds longer than the van der Waals radii, across the cell
+        m = new Model(si, {
+            bondingRules: { pairs: { 'Si-Si': [3.0, 4.0] } }
+        });
+        expect(m._bonds.row(0).length).to.equal(12);
+
+        expect(() => new Model(pyrnc, { bondingRules: { pairs: { 'C': [1, 2] } } })).to.throw('Invalid bonding range for C');
+        expect(() => new Model(pyrnc, { bondingRules: { pairs: { 'C-N': [2, 1] } } })).to.throw('Invalid bonding range for C-N');
+    });
+
+    it('should not bond excluded elements', function() {
+        var m = new Model(pyrnc, {
+            bondingRules: { exclude: ['H'] }
+        });
+        expect(bondCount(m)).to.equal(6);
+        expect(m.atoms[6].bonds).to.deep.equal([]);
+    });
+
+    it('should add and remove bonds by hand', function() {
+        var m = new Model(pyrnc);
+        var a3 = m.atoms[3];
+
+        m.removeBond(3, 2);
+        expect(bondCount(m)).to.equal(10);
+        expect(a3.bondedAtoms.map((a) => a.index)).to.deep.equal([4]);
+        expect(m._molecules.length).to.equal(1);
+        m.removeBond(0, 1);
+        expect(m._molecules.length).to.equal(2);
+
+        m.addBond(2, 3);
+        m.addBond(6, 10);
+        expect(bondCount(m)).to.equal(11);
+        expect(m._molecules.length).to.equal(1);
+        expect(m.bondOverrides).to.deep.equal([[0, 1, [0, 0, 0], false], [2, 3, [0, 0, 0], true],
+            [6, 10, [0, 0, 0], true]]);
+        expect(m.atoms[6].bondedAtoms.map((a) => a.index).sort()).to.deep.equal([0, 10]);
+
+        // They're kept in a new model
+        var m2 = new Model(pyrnc, {}, { bondOverrides: m.bondOverrides });
+        expect(m2._bonds).to.deep.equal(m._bonds);
+
+        expect(() => m.addBond(0, 11)).to.throw('Invalid atom index');
+        expect(() => m.addBond(0, 0)).to.throw('Invalid bond cell');
+        expect(() => m.addBond(0, 1, [1, 0, 0])).to.throw('Invalid bond cell');
+    });
+
+    it('should keep bonds added by hand to other cells', function() {
+        var m = new Model(h2o, { supercell: [3, 3, 3] });
+        m.addBond(0, 0, [1, 0, 0]);
+        expect(m._bonds.has(0, 0, [1, 0, 0]) && m._bonds.has(0, 0, [-1, 0, 0])).to.be.true;
+        expect(m._molinds[0]).to.equal(m._molinds[1]);
+        var a = m.find({ 'cell': [[0, 0, 0]] }).atoms[0];
+        expect(_.uniq(a.bondedAtoms.map((b) => b.id)).sort()).to.deep.equal(['0_-1_0_0', '0_1_0_0', '1_0_0_0', '2_0_0_0']);
+
+        // Molecules are completed across the new bond, whose cell changes
+        // accordingly
+        var mc = new Model(h2o, { molecularCrystal: true }, { bondOverrides: [[0, 3, [0, 0, 1], true]] });
+        var [i, j, c] = mc.bondOverrides[0];
+        expect([i, j]).to.deep.equal([0, 3]);
+        expect(mc._bonds.has(0, 3, c)).to.be.true;
+        expect(mc._molecules.length).to.equal(1);
+    });
+});
+
+describe('#volumetric', function() {
+
+    it('should store volumetric data and keep it on reload', function() {
+
+        var cube = fs.readFileSync(path.join(__dirname, 'data', 'H2.cube'), "utf8");
+        var a = loader.load(cube, 'cube')['cube'];
+        var m = new Model(a);
+
+        // A molecule
+        expect(m.periodic).to.be.false;
+        expect(m.atoms[0].fxyz).to.be.null;
+        expect(m.minimumSupercell(5.0)).to.deep.equal([1, 1, 1]);
+
+        expect(m.hasVolumetricData('cube')).to.be.true;
+        var g = m.getVolumetricData('cube');
+        expect(g).to.be.instanceOf(VolumetricData);
+
+        m.setVolumetricData('other', g);
+        expect(m.hasVolumetricData('other')).to.be.true;
+
+        // Same Atoms, new model
+        var m2 = new Model(m._atoms_base, {supercell: [2, 2, 2]});
+        expect(m2.getVolumetricData('other')).to.equal(g);
+
+        m.deleteVolumetricData('other');
+        expect(m.hasVolumetricData('other')).to.be.false;
+
+        expect(() => m.setVolumetricData('bad', [1, 2, 3])).to.throw();
+        expect(() => m.addIsosurface('missing', 1.0)).to.throw('No volumetric data named missing found');
+        // No renderer: nothing is drawn
+        m.addIsosurface('cube', 100.0);
+        expect(m._primitives).to.deep.equal({});
+    });
+});
+
 describe('#modelview', function() {
 
     it('should correctly AND two successive queries', function() {
@@ -512,4 +932,51 @@ describe('Model#viewFromLabels', function() {
             .to.deep.equal(mv.indices.slice().sort((a,b)=>a-b));
     });
 
-});
\ No newline at end of file
+});
+
+describe('#geometry', function() {
+
+    it('rebuilds a model from precomputed geometry', function() {
+        var a = new Loader().load(fs.readFileSync(path.join(__dirname, 'data', 'org.cif'), "utf8"), 'cif')['1501936'];
+        var stages = [];
+        var m = new Model(a, {
+            molecularCrystal: true
+        }, {
+            onProgress: (stage) => stages.push(stage)
+        });
+        // Molecular crystals compute everything twice
+        expect(stages).to.deep.equal(['bonds', 'molecules', 'bonds', 'molecules']);
+
+        // Pass everything through a structured clone, as a Web Worker would
+        var a2 = decodeStructure(structuredClone(encodeStructure(a)));
+        var geom = decodeGeometry(structuredClone(encodeGeometry(m._geometry())));
+
+        expect(a2).to.be.instanceOf(Atoms);
+        expect(a2.get_positions()).to.deep.equal(a.get_positions());
+        expect(a2.get_array('adp')[0]).to.be.instanceOf(TensorData);
+        expect(a2.get_array('adp')[0].data).to.deep.equal(a.get_array('adp')[0].data);
+
+        // Typed arrays are sent as a whole
+        var x = new Loader().load(fs.readFileSync(path.join(__dirname, 'data', 'props.xyz'), "utf8"), 'xyz')['xyz'];
+        var x2 = decodeStructure(structuredClone(encodeStructure(x)));
+        expect(x2.get_array('forces')).to.be.instanceOf(PropertyArray);
+        expect(x2.get_array('forces').data).to.deep.equal(x.get_array('forces').data);
+        expect(x2.get_array('stress').shape).to.deep.equal([3, 9]);
+
+        stages = [];
+        var m2 = new Model(a2, {
+            molecularCrystal: true
+        }, {
+            geometry: geom,
+            onProgress: (stage) => stages.push(stage)
+        });
+        expect(stages).to.deep.equal([]);
+        expect(m2.positions).to.deep.equal(m.positions);
+        expect(m2._bonds).to.be.instanceOf(BondList);
+        expect(m2._bonds).to.deep.equal(m._bonds);
+        expect(m2._molecules).to.deep.equal(m._molecules);
+        expect(m2._molinds).to.deep.equal(m._molinds);
+        expect(m2._molecularCrystal).to.be.true;
+        expect(m2.atoms[0].bondedAtoms.length).to.equal(m.atoms[0].bondedAtoms.length);
+    });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+import * as chai from 'chai';
+import chaiAlmost from 'chai-almost'
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url';
+
+import _ from 'lodash'
+import { Atoms } from '@ccp-nc/crystcif-parse'
+
+import { Loader } from '../lib/loader.js'
+import { TrajectoryModel } from '../lib/trajectory.js'
+import { VolumetricData } from '../lib/volumetric.js'
+import * as Primitives from '../lib/primitives/index.js';
+
+const expect = chai.expect
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+chai.use(chaiAlmost(1e-3));
+
+var xyz = fs.readFileSync(path.join(__dirname, 'data', 'h2o_traj.xyz'), "utf8");
+
+describe('#trajectory', function() {
+
+    it('should load all frames of an extended XYZ file', function() {
+        var loader = new Loader();
+        var frames = loader.load(xyz, 'xyz', null, { trajectory: true })['xyz'];
+
+        expect(frames).to.be.an('array').with.lengthOf(3);
+        expect(frames[1].get_cell()[0][0]).to.equal(5.5);
+        expect(frames[2].get_array('charge')).to.deep.equal([-0.84, 0.42, 0.42]);
+        expect(frames[2].info['energy']).to.equal('-2.0');
+
+        // Default is still the last frame only
+        var a = loader.load(xyz, 'xyz')['xyz'];
+        expect(a.get_positions()).to.deep.equal(frames[2].get_positions());
+    });
+
+    it('should change frame in place', function() {
+        var loader = new Loader();
+        var frames = loader.load(xyz, 'xyz', null, { trajectory: true })['xyz'];
+        var m = new TrajectoryModel(frames, { supercell: [2, 1, 1] });
+
+        expect(m.frameCount).to.equal(3);
+        expect(m.frame).to.equal(0);
+
+        var a = m.atoms[1];
+        var b = a.bonds[0];
+        expect(b.length).to.be.almost.equal(0.9571);
+        var atoms = m.atoms;
+
+        m.setFrame(-1);
+        expect(m.frame).to.equal(2);
+        expect(m.cell).to.deep.equal(frames[2].get_cell());
+        expect(m.positions).to.deep.almost.equal(frames[2].get_positions());
+        expect(m.getArray('charge')).to.deep.equal([-0.84, 0.42, 0.42]);
+        expect(m.info['energy']).to.equal('-2.0');
+
+        // Same images and bonds, moved
+        expect(m.atoms).to.deep.equal(atoms);
+        expect(a.xyz).to.deep.almost.equal([1.0, 0.7, 0.0]);
+        // Periodic copy in the next cell
+        var a2 = m.find({ 'cell': [[1, 0, 0]] }).atoms[1];
+        expect(a2.xyz).to.deep.almost.equal([7.0, 0.7, 0.0]);
+        expect(b.length).to.be.almost.equal(Math.sqrt(0.8*0.8 + 0.7*0.7));
+
+        // The frames themselves are untouched
+        expect(frames[0].get_array('charge')).to.deep.equal([-0.80, 0.40, 0.40]);
+        m.setFrame(0);
+        expect(a.xyz).to.deep.almost.equal([0.757, 0.586, 0.0]);
+
+        expect(() => m.setFrame(3)).to.throw('Frame index out of range');
+        expect(() => m.setFrame(0.5)).to.throw('Frame index out of range');
+    });
+
+    it('should keep info stored on the model when changing frame', function() {
+        var frames = [{ 'step': 0, 'first': true }, { 'step': 1 }].map((info) => {
+            return new Atoms(['He', 'He'], [[0, 0, 0], [4, 0, 0]], null, info);
+        });
+        var m = new TrajectoryModel(frames);
+        var g = new VolumetricData([1, 2, 3, 4, 5, 6, 7, 8], [2, 2, 2], [[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+        m.setVolumetricData('grid', g);
+
+        m.setFrame(1);
+        expect(m.info['step']).to.equal(1);
+        expect(m.info).to.not.have.property('first');
+        expect(m.getVolumetricData('grid')).to.equal(g);
+
+        m.setFrame(0);
+        expect(m.info['first']).to.be.true;
+        expect(m.getVolumetricData('grid')).to.equal(g);
+        // The frames themselves are untouched
+        expect(frames[1].info).to.deep.equal({ 'step': 1 });
+    });
+
+    it('should find neighbours in the current frame', function() {
+        var frames = [[0, 0, 0, 4, 0, 0], [0, 0, 0, 1, 0, 0]].map((p) => {
+            return new Atoms(['He', 'He'], _.chunk(p, 3));
+        });
+        var m = new TrajectoryModel(frames);
+
+        expect(m.neighbours(0, 1.5)).to.deep.equal([]);
+        m.setFrame(1);
+        expect(m.neighbours(0, 1.5).map((n) => n.index)).to.deep.equal([1]);
+    });
+
+    it('should move meshes when rendered', function() {
+        var loader = new Loader();
+        var frames = loader.load(xyz, 'xyz', null, { trajectory: true })['xyz'];
+        var m = new TrajectoryModel(frames);
+        m._renderer = {
+            Primitives: Primitives
+        };
+
+        var a = m.atoms[1];
+        var b = a.bonds[0];
+        var am = a.mesh;
+        var bm = b.mesh;
+        var box = new Primitives.BoxMesh(m.cell);
+        m._cartesian_box = box;
+
+        m.setFrame(1);
+        expect(am.position.toArray()).to.deep.almost.equal([0.9, 0.6, 0.0]);
+        // Each half of the bond is scaled to half its length
+        expect(bm.children[0].scale.z).to.be.almost.equal(b.length/2.0);
+        expect(box.matrix.elements[0]).to.equal(5.5);
+    });
+
+    it('should refuse inconsistent frames', function() {
+        var loader = new Loader();
+        var frames = loader.load(xyz, 'xyz', null, { trajectory: true })['xyz'];
+        var pyr = loader.load(fs.readFileSync(path.join(__dirname, 'data', 'pyridine.xyz'), "utf8"), 'xyz')['xyz'];
+
+        expect(() => new TrajectoryModel([])).to.throw();
+        expect(() => new TrajectoryModel([frames[0], pyr])).to.throw('All frames of a trajectory must have the same atoms');
+    });
+});
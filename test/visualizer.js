@@ -9,9 +9,17 @@
  */
 
 import * as chai from 'chai';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { CrystVis } from '../lib/visualizer.js';
+import { Loader } from '../lib/loader.js';
+import * as Primitives from '../lib/primitives/index.js';
+import * as THREE from 'three';
+import { gzipSync, zipSync, strToU8 } from 'fflate';
 
 const expect = chai.expect;
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -97,6 +105,11 @@ function makeMockVis(mockRenderer) {
     vis._model_list_change_cbs = [];
     vis._display_change_cbs    = [];
     vis._camera_change_cbs     = [];
+    vis._frame_change_cbs      = [];
+    vis._frame_rate = 10;
+    vis._play_timer = null;
+    vis._play_loop = true;
+    vis._edit_shortcuts = [];
     // Wire the renderer's camera-change signal to the vis callback array,
     // mirroring what the real constructor does.
     vis._camera_unsub = r.onCameraChange((state) => {
@@ -201,6 +214,16 @@ describe('CrystVis#dispose', function () {
 
 describe('CrystVis#isDisposed guard', function () {
 
+    it('loadModelsAsync() should reject after disposal', function () {
+        const { vis } = makeMockVis();
+        vis.dispose();
+        return vis.loadModelsAsync('', 'xyz').then(() => {
+            throw new Error('Loading should have failed');
+        }, (err) => {
+            expect(err.message).to.equal('CrystVis: cannot call loadModelsAsync() on a disposed instance');
+        });
+    });
+
     it('loadModels() should throw after disposal', function () {
         const { vis } = makeMockVis();
         vis.dispose();
@@ -358,6 +381,22 @@ describe('CrystVis#getModelSource / getModelParameters / getModelMeta', function
         expect(vis._model_meta['m'].prefix).to.equal('cif');
     });
 
+    it('getModelMeta() reports how the data was computed', function () {
+        const { vis } = makeMockVis();
+        vis._loader = new Loader();
+        const magres = fs.readFileSync(path.join(__dirname, 'data', 'ethanol.magres'), 'utf8');
+        const cell = fs.readFileSync(path.join(__dirname, 'data', 'ethanol.cell'), 'utf8');
+
+        vis.loadModels(magres, 'magres');
+        vis.loadModels(cell, 'cell');
+        const meta = vis.getModelMeta('magres');
+        expect(meta.calculation.code).to.equal('CASTEP');
+        expect(meta.calculation.kpointOffset).to.deep.equal([0.25, 0.25, 0.25]);
+        meta.calculation.code = 'changed';
+        expect(vis.getModelMeta('magres').calculation.code).to.equal('CASTEP');
+        expect(vis.getModelMeta('cell').calculation).to.be.null;
+    });
+
 });
 
 // ---------------------------------------------------------------------------
@@ -473,3 +512,595 @@ describe('CrystVis#unloadAll', function () {
     });
 
 });
+
+describe('CrystVis#loadVolumetricData', function () {
+
+    function loadH2(vis) {
+        vis._loader = new Loader();
+        const cube = fs.readFileSync(path.join(__dirname, 'data', 'H2.cube'), 'utf8');
+        vis.loadModels(cube, 'cube');
+        return cube;
+    }
+
+    it('attaches grids to the named model', function () {
+        const { vis } = makeMockVis();
+        loadH2(vis);
+        const den = fs.readFileSync(path.join(__dirname, 'data', 'test.den_fmt'), 'utf8');
+
+        let status = vis.loadVolumetricData(den, 'den_fmt', null, 'cube');
+        expect(status).to.deep.equal({ density: 0, spin_density: 0 });
+        expect(vis._models['cube'].hasVolumetricData('spin_density')).to.be.true;
+
+        status = vis.loadVolumetricData(den, 'den_fmt', 'rho', 'cube');
+        expect(status).to.deep.equal({ rho_density: 0, rho_spin_density: 0 });
+
+        // The cube grid was attached when loading the model itself
+        expect(vis._models['cube'].hasVolumetricData('cube')).to.be.true;
+        expect(vis._models['cube'].periodic).to.be.false;
+
+        // Cube grids are periodic if the model is
+        const cube = loadH2(vis);
+        vis.loadVolumetricData(cube, 'cube', 'again', 'cube');
+        expect(vis._models['cube'].getVolumetricData('again').periodic).to.be.false;
+        const cell = fs.readFileSync(path.join(__dirname, 'data', 'ethanol.cell'), 'utf8');
+        vis.loadModels(cell, 'cell');
+        vis.loadVolumetricData(cube, 'cube', 'again', 'cell');
+        expect(vis._models['cell'].getVolumetricData('again').periodic).to.be.true;
+        vis.loadModels(cube, 'cube', 'pcube', {}, { periodic: true });
+        expect(vis._models['pcube'].periodic).to.be.true;
+        expect(vis.getModelSource('pcube').options).to.deep.equal({ periodic: true });
+    });
+
+    it('reports parsing errors', function () {
+        const { vis } = makeMockVis();
+        loadH2(vis);
+        const status = vis.loadVolumetricData('garbage', 'den_fmt', 'rho', 'cube');
+        expect(status).to.deep.equal({ rho: 'Invalid CASTEP grid file: incomplete header' });
+    });
+
+    it('throws for missing models', function () {
+        const { vis } = makeMockVis();
+        expect(() => vis.loadVolumetricData('', 'cube')).to.throw('The requested model does not exist');
+    });
+});
+
+describe('CrystVis#loadModels format detection', function () {
+
+    it('detects the format when none is given', function () {
+        const { vis } = makeMockVis();
+        vis._loader = new Loader();
+        const cell = fs.readFileSync(path.join(__dirname, 'data', 'ethanol.cell'), 'utf8');
+
+        const status = vis.loadModels(cell);
+        expect(status).to.deep.equal({ cell: 0 });
+        expect(vis.getModelSource('cell').extension).to.equal('cell');
+        expect(vis.detectFormat(cell)[0].format).to.equal('cell');
+    });
+
+    it('reports undetectable contents', function () {
+        const { vis } = makeMockVis();
+        vis._loader = new Loader();
+        const status = vis.loadModels('Hello world\n');
+        expect(status).to.deep.equal({ auto: 'Could not detect file format' });
+        expect(vis._notifications).to.include('Could not detect file format');
+    });
+
+    it('loads registered formats with parser options', function () {
+        const { vis } = makeMockVis();
+        vis._loader = new Loader();
+        Loader.registerFormat('h2', {
+            load: (contents, filename = 'h2', options = {}) => {
+                const structs = {};
+                structs[filename] = new Loader().load('2\n\nH 0 0 0\nH 0 0 ' + options.r + '\n', 'xyz')['xyz'];
+                return structs;
+            },
+            detect: (contents) => (contents.trim() === 'H2' ? 1.0 : 0),
+            options: { r: 0.74 }
+        });
+        try {
+            let status = vis.loadModels('H2', 'auto', null, {}, { r: 0.8 });
+            expect(status).to.deep.equal({ h2: 0 });
+            expect(vis._models['h2'].positions[1][2]).to.equal(0.8);
+            expect(vis.getModelSource('h2')).to.deep.equal({ text: 'H2', extension: 'h2', options: { r: 0.8 } });
+        } finally {
+            Loader.unregisterFormat('h2');
+        }
+    });
+});
+
+describe('CrystVis#loadModelsAsync', function () {
+
+    const cif = fs.readFileSync(path.join(__dirname, 'data', 'CHA.cif'), 'utf8');
+
+    it('loads the same models as loadModels, reporting progress', function () {
+        const { vis } = makeMockVis();
+        vis._loader = new Loader();
+        const stages = [];
+
+        return vis.loadModelsAsync(cif, 'cif', null, { supercell: [2, 1, 1] }, {}, {
+            onProgress: (stage, name) => stages.push([stage, name])
+        }).then((status) => {
+            expect(status).to.deep.equal({ cif_CHA: 0 });
+            expect(stages).to.deep.equal([['parse', null], ['bonds', 'cif_CHA'], ['molecules', 'cif_CHA']]);
+            expect(vis.getModelParameters('cif_CHA').supercell).to.deep.equal([2, 1, 1]);
+
+            const sync = vis.loadModels(cif, 'cif', null, { supercell: [2, 1, 1] });
+            expect(sync).to.deep.equal({ cif_CHA_1: 0 });
+            expect(vis._models['cif_CHA']._bonds).to.deep.equal(vis._models['cif_CHA_1']._bonds);
+        });
+    });
+
+    it('reports loading errors like loadModels', function () {
+        const { vis } = makeMockVis();
+        vis._loader = new Loader();
+
+        return vis.loadModelsAsync('Hello world\n').then((status) => {
+            expect(status).to.deep.equal({ auto: 'Could not detect file format' });
+            return vis.loadModelsAsync('data_x\n_cell_length_a\n', 'cif');
+        }).then((status) => {
+            expect(status.cif).to.be.a('string');
+            expect(vis._notifications).to.include('Error loading model: cif');
+        });
+    });
+
+    it('can be aborted', function () {
+        const { vis } = makeMockVis();
+        vis._loader = new Loader();
+        const ctrl = new AbortController();
+
+        const loading = vis.loadModelsAsync(cif, 'cif', null, {}, {}, {
+            signal: ctrl.signal,
+            onProgress: (stage) => {
+                if (stage === 'parse') {
+                    ctrl.abort();
+                }
+            }
+        });
+
+        return loading.then(() => {
+            throw new Error('Loading should have been aborted');
+        }, (err) => {
+            expect(err.name).to.equal('AbortError');
+            expect(vis._models).to.deep.equal({});
+            // Already aborted signals fail straight away
+            return vis.loadModelsAsync(cif, 'cif', null, {}, {}, { signal: ctrl.signal });
+        }).then(() => {
+            throw new Error('Loading should have been aborted');
+        }, (err) => {
+            expect(err.name).to.equal('AbortError');
+        });
+    });
+});
+
+describe('CrystVis#loadModels with compressed files', function () {
+
+    const cell = fs.readFileSync(path.join(__dirname, 'data', 'ethanol.cell'), 'utf8');
+    const xyz = fs.readFileSync(path.join(__dirname, 'data', 'si8.xyz'), 'utf8');
+    const zip = zipSync({
+        'ethanol.cell': strToU8(cell),
+        'si/si8.xyz.gz': gzipSync(strToU8(xyz)),
+        'bad.cif': strToU8('data_x\n_cell_length_a\n')
+    });
+
+    it('loads gzipped contents', function () {
+        const { vis } = makeMockVis();
+        vis._loader = new Loader();
+
+        expect(vis.loadModels(gzipSync(strToU8(cell)))).to.deep.equal({ cell: 0 });
+        expect(vis.getModelSource('cell').text).to.equal(cell);
+    });
+
+    it('loads each file of a zip archive, reporting errors per file', function () {
+        const { vis } = makeMockVis();
+        vis._loader = new Loader();
+
+        const status = vis.loadModels(zip.buffer, 'auto', 'run');
+        expect(status['run/ethanol.cell']).to.equal(0);
+        expect(status['run/si/si8.xyz.gz']).to.equal(0);
+        expect(status['run/bad.cif']).to.be.a('string');
+        expect(vis.getModelSource('run/si/si8.xyz.gz')).to.deep.include({ text: xyz, extension: 'xyz' });
+        expect(vis.getModelMeta('run/ethanol.cell').prefix).to.equal('run/ethanol.cell');
+        expect(vis._notifications).to.include('Error loading model: run/bad.cif');
+    });
+
+    it('loads zip archives asynchronously', function () {
+        const { vis } = makeMockVis();
+        vis._loader = new Loader();
+
+        return vis.loadModelsAsync(zip).then((status) => {
+            expect(Object.keys(status)).to.deep.equal(['ethanol.cell', 'si/si8.xyz.gz', 'bad.cif']);
+            expect(status['si/si8.xyz.gz']).to.equal(0);
+            expect(status['bad.cif']).to.be.a('string');
+            expect(vis.loadModels(cell, 'cell', 'ethanol.cell')).to.deep.equal({ 'ethanol.cell_1': 0 });
+            expect(vis._models['ethanol.cell']._bonds).to.deep.equal(vis._models['ethanol.cell_1']._bonds);
+        });
+    });
+});
+
+describe('CrystVis#displayModel', function () {
+
+    it('centres the camera on non-periodic models', function () {
+        const { vis, renderer } = makeMockVis();
+        renderer.Primitives = Primitives;
+        renderer.theme = { cell_line_color: 0xffffff };
+        renderer.resetOrbitCenter = function (x, y, z) {
+            this._center = [x, y, z];
+        };
+        vis._loader = new Loader();
+        const xyz = fs.readFileSync(path.join(__dirname, 'data', 'pyridine_nocell.xyz'), 'utf8');
+        vis.loadModels(xyz, 'xyz');
+        vis.displayModel('xyz');
+
+        expect(vis.model.periodic).to.be.false;
+        expect(vis.model.box).to.be.undefined;
+        const c = renderer._center;
+        expect(c[0]).to.be.closeTo(-0.180226841, 1e-6);
+        expect(c[1]).to.be.closeTo(0.360945118, 1e-6);
+        expect(c[2]).to.be.closeTo(0.0752094, 1e-6);
+    });
+});
+
+describe('ModelView#addThermalEllipsoids', function () {
+
+    it('draws displacement ellipsoids at the requested probability', function () {
+        const { vis, renderer } = makeMockVis();
+        renderer.Primitives = Primitives;
+        renderer.theme = { cell_line_color: 0xffffff };
+        vis._loader = new Loader();
+        const cif = fs.readFileSync(path.join(__dirname, 'data', 'adp.cif'), 'utf8');
+        vis.loadModels(cif, 'cif');
+        vis.displayModel('cif_adptest');
+
+        const view = vis.displayed;
+        view.addThermalEllipsoids(0.5);
+
+        const c1 = view.atoms[0];
+        const e = c1._ellipsoids['adp'];
+        expect(e).to.be.instanceOf(Primitives.EllipsoidMesh);
+        expect(e.scalingFactor).to.be.closeTo(1.5382, 1e-4);
+        const U = c1.getArrayValue('adp');
+        const s = U.eigenvalues.map((x) => Math.sqrt(x) * 1.5382);
+        expect(e.scale.toArray()).to.deep.almost.equal(s);
+
+        // No displacement parameters for hydrogens
+        const h = vis.model.find({ 'elements': 'H' });
+        expect(h.atoms.every((a) => a._ellipsoids['adp'] === undefined)).to.be.true;
+
+        view.addThermalEllipsoids(0.9);
+        expect(c1._ellipsoids['adp'].scalingFactor).to.be.closeTo(2.5003, 1e-4);
+        view.removeEllipsoids('adp');
+        expect(c1._ellipsoids['adp']).to.be.undefined;
+
+        expect(() => view.addThermalEllipsoids(1.5)).to.throw('Probability must be between 0 and 1');
+    });
+});
+
+describe('ModelView#addVectors', function () {
+
+    function loadMagnetic() {
+        const { vis, renderer } = makeMockVis();
+        renderer.Primitives = Primitives;
+        renderer.theme = { cell_line_color: 0xffffff };
+        vis._loader = new Loader();
+        const mcif = fs.readFileSync(path.join(__dirname, 'data', 'magnetic.mcif'), 'utf8');
+        vis.loadModels(mcif, 'cif');
+        vis.displayModel('cif_magtest');
+        return vis;
+    }
+
+    it('draws arrows from a per-atom array', function () {
+        const vis = loadMagnetic();
+        const view = vis.displayed;
+        view.addVectors('moment', 'moment', { color: 0x00ff00, scalingFactor: 0.5, centered: true });
+
+        const fe = view.atoms[0];
+        const arrow = fe._vectors['moment'];
+        expect(arrow).to.be.instanceOf(Primitives.ArrowMesh);
+        expect(arrow.vector).to.deep.equal([0, 3, 0]);
+        expect(arrow.length).to.be.closeTo(1.5, 1e-12);
+        expect(arrow.color).to.equal(0x00ff00);
+
+        // Centred on the atom, whatever its radius
+        arrow.updateMatrixWorld(true);
+        const start = arrow.localToWorld(new THREE.Vector3(0, 0, 0)).sub(fe.mesh.position);
+        const tip = arrow.localToWorld(new THREE.Vector3(0, 1.5, 0)).sub(fe.mesh.position);
+        expect(start.toArray()).to.deep.almost.equal([0, -0.75, 0]);
+        expect(tip.toArray()).to.deep.almost.equal([0, 0.75, 0]);
+
+        // No moments on oxygen
+        const o = vis.model.find({ 'elements': 'O' });
+        expect(o.atoms.every((a) => a._vectors['moment'] === undefined)).to.be.true;
+
+        view.find({ 'elements': 'Fe' }).vectorProperties('moment', 'scalingFactor', 1.0);
+        expect(arrow.length).to.be.closeTo(3.0, 1e-12);
+        // Falsy values are set too
+        fe.vectorProperty('moment', 'color', 0);
+        expect(arrow.color).to.equal(0);
+        fe.vectorProperty('moment', 'scalingFactor', 0);
+        expect(arrow.length).to.equal(0);
+        expect(arrow.visible).to.be.false;
+        expect(fe.vectorProperty('moment', 'scalingFactor')).to.equal(0);
+        view.removeVectors('moment');
+        expect(fe._vectors['moment']).to.be.undefined;
+
+        expect(() => view.addVectors('forces')).to.throw('Model has no array named forces');
+    });
+
+    it('draws arrows from a callback', function () {
+        const vis = loadMagnetic();
+        const view = vis.displayed;
+        view.addVectors((a) => [0, 0, a.index], 'z', { color: 0xff0000 });
+
+        expect(view.atoms[0]._vectors['z'].visible).to.be.false;
+        const arrow = view.atoms[3]._vectors['z'];
+        expect(arrow.vector).to.deep.equal([0, 0, 3]);
+        expect(arrow.length).to.be.closeTo(3.0, 1e-12);
+        expect(view.vectorProperties('z', 'color')).to.deep.equal(Array(view.length).fill(0xff0000));
+    });
+});
+
+describe('CrystVis trajectory playback', function () {
+
+    function loadTrajectory() {
+        const { vis, renderer } = makeMockVis();
+        renderer.Primitives = Primitives;
+        renderer.theme = { cell_line_color: 0xffffff };
+        vis._loader = new Loader();
+        const xyz = fs.readFileSync(path.join(__dirname, 'data', 'h2o_traj.xyz'), 'utf8');
+        vis.loadModels(xyz, 'xyz', 'traj', {}, { trajectory: true });
+        vis.displayModel('traj');
+        return vis;
+    }
+
+    it('seeks frames and fires frame-change events', function () {
+        const vis = loadTrajectory();
+        const events = [];
+        const unsub = vis.onFrameChange((f, n) => events.push([f, n]));
+
+        expect(vis.frame).to.equal(0);
+        expect(vis.frameCount).to.equal(3);
+
+        const mesh = vis.model.atoms[0].mesh;
+        vis.seek(2);
+        expect(vis.frame).to.equal(2);
+        expect(mesh.position.toArray()).to.deep.equal([0.2, 0, 0]);
+        expect(vis.model.box.matrix.elements[0]).to.equal(6.0);
+        unsub();
+        vis.seek(1);
+        expect(events).to.deep.equal([[2, 3]]);
+
+        // Reloading keeps the frame
+        vis.reloadModel('traj', { supercell: [2, 2, 2] });
+        expect(vis.frame).to.equal(1);
+        expect(vis.model.atoms.length).to.equal(24);
+    });
+
+    it('plays and pauses', function (done) {
+        const vis = loadTrajectory();
+        const frames = [];
+        vis.onFrameChange((f) => frames.push(f));
+
+        vis.play(200, false);
+        expect(vis.playing).to.be.true;
+        expect(vis.frameRate).to.equal(200);
+
+        setTimeout(() => {
+            // Stopped at the last frame without looping
+            expect(frames).to.deep.equal([1, 2]);
+            expect(vis.playing).to.be.false;
+            expect(vis.frame).to.equal(2);
+
+            vis.play();
+            expect(vis.playing).to.be.true;
+            vis.pause();
+            expect(vis.playing).to.be.false;
+            expect(() => { vis.frameRate = 0; }).to.throw('frame rate must be positive');
+            done();
+        }, 100);
+    });
+
+    it('refuses playback for ordinary models', function () {
+        const { vis, renderer } = makeMockVis();
+        renderer.Primitives = Primitives;
+        renderer.theme = { cell_line_color: 0xffffff };
+        vis._loader = new Loader();
+        const xyz = fs.readFileSync(path.join(__dirname, 'data', 'h2o_traj.xyz'), 'utf8');
+        vis.loadModels(xyz, 'xyz');
+        vis.displayModel('xyz');
+
+        expect(vis.frame).to.be.null;
+        expect(vis.frameCount).to.be.null;
+        expect(() => vis.play()).to.throw('the displayed model is not a trajectory');
+        expect(() => vis.seek(0)).to.throw('the displayed model is not a trajectory');
+    });
+});
+
+describe('CrystVis#reloadModel bond edits', function () {
+
+    function loadEthanol(vis, parameters) {
+        vis._loader = new Loader();
+        const cell = fs.readFileSync(path.join(__dirname, 'data', 'ethanol.cell'), 'utf8');
+        const status = vis.loadModels(cell, 'cell', 'ethanol', parameters);
+        return vis._models[Object.keys(status)[0]];
+    }
+
+    it('keeps bonds added or removed by hand', function () {
+        const { vis } = makeMockVis();
+        const m = loadEthanol(vis);
+        const [i, j, cells] = m._bonds.pairs()[0];
+
+        m.removeBond(i, j, cells[0]);
+        m.addBond(0, 1, [0, 0, 1]);
+        const overrides = m.bondOverrides;
+
+        vis.reloadModel('ethanol', { supercell: [2, 1, 1] });
+        const m2 = vis._models['ethanol'];
+        expect(m2).to.not.equal(m);
+        expect(m2.supercell).to.deep.equal([2, 1, 1]);
+        expect(m2.bondOverrides).to.deep.equal(overrides);
+        expect(m2._bonds.has(i, j, cells[0])).to.be.false;
+        expect(m2._bonds.has(0, 1, [0, 0, 1])).to.be.true;
+    });
+
+    it('does not change the default parameters', function () {
+        const { vis } = makeMockVis();
+        loadEthanol(vis, { supercell: [2, 2, 2], bondingRules: { mode: 'covalent' } });
+        const m = loadEthanol(vis);
+        expect(m.supercell).to.deep.equal([1, 1, 1]);
+        expect(m.bondingRules.mode).to.equal('vdw');
+    });
+});
+
+describe('CrystVis structure editing', function () {
+
+    function displayPyridine() {
+        const { vis, renderer } = makeMockVis();
+        renderer.Primitives = Primitives;
+        renderer.theme = { cell_line_color: 0xffffff };
+        vis._loader = new Loader();
+        const xyz = fs.readFileSync(path.join(__dirname, 'data', 'pyridine_nocell.xyz'), 'utf8');
+        vis.loadModels(xyz, 'xyz', 'pyr');
+        vis.displayModel('pyr');
+        return { vis, renderer };
+    }
+
+    it('replaces the edited model and undoes and redoes edits', function () {
+        const { vis, renderer } = displayPyridine();
+        const m = vis.model;
+        const displays = [];
+        vis.onDisplayChange((name) => displays.push(name));
+        renderer._cameraState.zoom = 2;
+
+        const m2 = vis.applyEdit(m.edit().deleteAtoms(m.view([10])));
+        expect(vis.model).to.equal(m2);
+        expect(vis._models['pyr']).to.equal(m2);
+        expect(vis.modelList).to.deep.equal(['pyr']);
+        expect(vis.displayed.length).to.equal(10);
+        expect(displays).to.deep.equal(['pyr']);
+        // The camera stays where it was
+        expect(renderer._setCameraStateCalls.pop().zoom).to.equal(2);
+
+        expect(vis.undo()).to.be.true;
+        expect(vis.model).to.equal(m);
+        expect(vis.undo()).to.be.false;
+        expect(vis.redo()).to.be.true;
+        expect(vis.model).to.equal(m2);
+        expect(vis.redo()).to.be.false;
+
+        const other = vis.model.edit();
+        vis.deleteModel('pyr');
+        expect(() => vis.applyEdit(other)).to.throw('CrystVis: the edited model is not loaded');
+        expect(vis.undo()).to.be.false;
+    });
+
+    it('binds keyboard shortcuts for undo and redo', function () {
+        const { vis } = displayPyridine();
+        const m = vis.model;
+        const m2 = vis.applyEdit(m.edit().setElement(m.view([3]), 'C'));
+
+        const target = document.createElement('div');
+        const input = document.createElement('input');
+        target.appendChild(input);
+        const unbind = vis.bindEditShortcuts(target);
+        const press = (el, key, mods = {}) => {
+            const ev = new window.KeyboardEvent('keydown', Object.assign({ key: key, bubbles: true,
+                cancelable: true }, mods));
+            el.dispatchEvent(ev);
+            return ev.defaultPrevented;
+        };
+
+        expect(press(target, 'z')).to.be.false;
+        expect(press(input, 'z', { ctrlKey: true })).to.be.false;
+        expect(vis.model).to.equal(m2);
+
+        expect(press(target, 'z', { ctrlKey: true })).to.be.true;
+        expect(vis.model).to.equal(m);
+        expect(press(target, 'Z', { metaKey: true, shiftKey: true })).to.be.true;
+        expect(vis.model).to.equal(m2);
+        vis.undo();
+        expect(press(target, 'y', { ctrlKey: true })).to.be.true;
+        expect(vis.model).to.equal(m2);
+        // Nothing left to redo
+        expect(press(target, 'y', { ctrlKey: true })).to.be.false;
+
+        unbind();
+        expect(vis._edit_shortcuts).to.deep.equal([]);
+        press(target, 'z', { ctrlKey: true });
+        expect(vis.model).to.equal(m2);
+
+        vis.bindEditShortcuts(target);
+        vis.dispose();
+        expect(vis._edit_shortcuts).to.deep.equal([]);
+    });
+});
+
+describe('CrystVis measurements', function () {
+
+    function displayFile(fname, format, options) {
+        const { vis, renderer } = makeMockVis();
+        // Fonts can't be loaded here, so labels only keep their text
+        class MockSprite extends THREE.Object3D {
+            constructor(text) {
+                super();
+                this.text = text;
+            }
+        }
+        renderer.Primitives = Object.assign({}, Primitives, { TextSprite: MockSprite });
+        renderer.theme = { cell_line_color: 0xffffff };
+        renderer._added = new Set();
+        renderer.add = (o) => renderer._added.add(o);
+        renderer.remove = (o) => renderer._added.delete(o);
+        vis._loader = new Loader();
+        const contents = fs.readFileSync(path.join(__dirname, 'data', fname), 'utf8');
+        const status = vis.loadModels(contents, format, 'm', {}, options);
+        vis.displayModel(Object.keys(status)[0]);
+        return { vis, renderer };
+    }
+
+    it('draws lines, arcs and wedges with their values', function () {
+        const { vis, renderer } = displayFile('pyridine_nocell.xyz', 'xyz');
+        const m = vis.model;
+
+        const d = m.addMeasurement([0, 1], 'd');
+        const a = m.addMeasurement([0, 1, 2], 'a', { color: 0xff0000 });
+        const t = m.addMeasurement([0, 1, 2, 3], 't');
+
+        expect(d._mesh).to.be.instanceOf(Primitives.LineMesh);
+        expect(d._mesh.children[0].text).to.equal(d.label);
+        expect(a._mesh).to.be.instanceOf(Primitives.AngleArcMesh);
+        expect(a._mesh.color).to.equal(0xff0000);
+        expect(a._mesh.children[0].text).to.equal(a.label);
+        expect(a._mesh.children[0].position.length()).to.be.closeTo(0.65, 1e-6);
+        expect(t._mesh).to.be.instanceOf(Primitives.DihedralWedgeMesh);
+        [d, a, t].forEach((x) => expect(renderer._added.has(x._mesh)).to.be.true);
+
+        // Replacing or removing them removes their meshes
+        const old = a._mesh;
+        m.addMeasurement([1, 2, 3], 'a');
+        expect(renderer._added.has(old)).to.be.false;
+        m.removeMeasurement('d');
+        expect(renderer._added.has(d._mesh)).to.be.false;
+    });
+
+    it('keeps measurements when the model is reloaded or changes frame', function () {
+        const { vis, renderer } = displayFile('H2O.xyz', 'xyz');
+        vis.model.addMeasurement([3, 4], 'oh');
+        vis.model.addMeasurement([4, 3, 5], 'hoh', { minimumImage: true });
+
+        vis.reloadModel('m', { supercell: [2, 2, 2] });
+        const m = vis.model;
+        expect(m.supercell).to.deep.equal([2, 2, 2]);
+        expect(Object.keys(m.measurements)).to.deep.equal(['oh', 'hoh']);
+        expect(m.measurements['oh'].value).to.be.closeTo(9.4346, 1e-3);
+        expect(m.measurements['hoh'].value).to.be.closeTo(104.0, 1e-3);
+        expect(renderer._added.has(m.measurements['oh']._mesh)).to.be.true;
+
+        const traj = displayFile('h2o_traj.xyz', 'xyz', { trajectory: true });
+        const meas = traj.vis.model.addMeasurement([1, 0, 2], 'hoh');
+        const mesh = meas._mesh;
+        traj.vis.seek(1);
+        expect(traj.renderer._added.has(mesh)).to.be.false;
+        expect(traj.renderer._added.has(meas._mesh)).to.be.true;
+        expect(meas._mesh.children[0].text).to.equal(meas.label);
+    });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+import * as chai from 'chai';
+import chaiAlmost from 'chai-almost'
+
+import { VolumetricData } from '../lib/volumetric.js'
+import { IsosurfaceMesh } from '../lib/primitives/isosurface.js'
+
+const expect = chai.expect
+
+chai.use(chaiAlmost(1e-3));
+
+// A sphere-like field centred in the cell
+function sphereData(n, periodic=true) {
+    var data = new Float32Array(n*n*n);
+    for (let i = 0; i < n; ++i) {
+        for (let j = 0; j < n; ++j) {
+            for (let k = 0; k < n; ++k) {
+                let r2 = (i-n/2)**2 + (j-n/2)**2 + (k-n/2)**2;
+                data[(i*n + j)*n + k] = Math.exp(-r2/n);
+            }
+        }
+    }
+    return new VolumetricData(data, [n, n, n], [[5, 0, 0], [0, 5, 0], [0, 0, 5]], 
+        [1, 2, 3], periodic);
+}
+
+describe('#volumetricdata', function() {
+    it('should store and index grid values', function() {
+
+        var vd = new VolumetricData([0, 1, 2, 3, 4, 5, 6, 7], [2, 2, 2], 
+            [[2, 0, 0], [0, 2, 0], [0, 0, 2]]);
+
+        expect(vd.data).to.be.instanceOf(Float64Array);
+        expect(vd.shape).to.deep.equal([2, 2, 2]);
+        expect(vd.origin).to.deep.equal([0, 0, 0]);
+        expect(vd.min).to.equal(0);
+        expect(vd.max).to.equal(7);
+        expect(vd.get(1, 0, 1)).to.equal(5);
+        // Periodic wrapping
+        expect(vd.get(3, -2, 1)).to.equal(5);
+
+        expect(() => new VolumetricData([0, 1, 2], [2, 2, 2], 
+            [[2, 0, 0], [0, 2, 0], [0, 0, 2]])).to.throw('Volumetric data size does not match its shape');
+    });
+
+    it('should build an isosurface from a typed grid', function() {
+
+        var vd = sphereData(10);
+        var iso = new IsosurfaceMesh(vd, 0.5, null);
+
+        var pos = iso.geometry.getAttribute('position').array;
+        expect(pos.length).to.be.above(0);
+        // Shifted by the origin, and inside the cell
+        expect(iso.position.toArray()).to.deep.equal([1, 2, 3]);
+        expect(Math.min(...pos)).to.be.above(0);
+        expect(Math.max(...pos)).to.be.below(5);
+    });
+});
@@ -0,0 +1,201 @@
+'use strict';
+
+import * as chai from 'chai';
+import chaiAlmost from 'chai-almost'
+
+import _ from 'lodash';
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url';
+
+import { Loader } from '../lib/loader.js'
+import { Writer } from '../lib/writer.js'
+import { Model } from '../lib/model.js'
+import { TensorData } from '../lib/tensor.js'
+
+const expect = chai.expect
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+chai.use(chaiAlmost(1e-3));
+
+function loadFile(fname, format) {
+    var loader = new Loader();
+    var contents = fs.readFileSync(path.join(__dirname, 'data', fname), "utf8");
+    return _.values(loader.load(contents, format))[0];
+}
+
+function reload(contents, format) {
+    var loader = new Loader();
+    var structs = loader.load(contents, format);
+    expect(loader.status).to.equal(Loader.STATUS_SUCCESS);
+    return _.values(structs)[0];
+}
+
+function tensorsData(arr) {
+    return arr.map((t) => (t instanceof TensorData? t.data : t));
+}
+
+describe('#writing', function() {
+
+    it('should round-trip a CIF file', function() {
+
+        var a = loadFile('org.cif', 'cif');
+        var w = new Writer();
+        var cif = w.write(a, 'cif', 'org');
+
+        expect(cif.startsWith('data_org')).to.be.true;
+
+        var b = reload(cif, 'cif');
+        expect(b.get_chemical_symbols()).to.deep.equal(a.get_chemical_symbols());
+        expect(b.get_array('labels')).to.deep.equal(a.get_array('labels'));
+        // CIF files only store the cell parameters, so compare the
+        // fractional coordinates
+        expect(b.get_scaled_positions()).to.deep.almost.equal(a.get_scaled_positions());
+    });
+
+    it('should round-trip an extended XYZ file', function() {
+
+        var a = loadFile('ethanol_with_tensors.xyz', 'xyz');
+        a.set_array('fixed', _.range(a.length()).map((i) => (i%2 === 0)));
+        var b = reload(new Writer().write(a, 'extxyz'), 'xyz');
+
+        expect(b.get_chemical_symbols()).to.deep.equal(a.get_chemical_symbols());
+        expect(b.get_positions()).to.deep.almost.equal(a.get_positions());
+        expect(b.get_cell()).to.deep.almost.equal(a.get_cell());
+        expect(b.get_array('ms')[0]).to.be.instanceOf(TensorData);
+        expect(tensorsData(b.get_array('ms'))).to.deep.almost.equal(tensorsData(a.get_array('ms')));
+        expect(b.get_array('fixed')).to.deep.equal(a.get_array('fixed'));
+    });
+
+    it('should keep the types of extended XYZ arrays', function() {
+
+        var a = loadFile('props.xyz', 'xyz');
+        var b = reload(new Writer().write(a, 'extxyz'), 'xyz');
+
+        ['forces', 'charge', 'tag', 'fixed', 'site', 'stress'].forEach((name) => {
+            var arr = b.get_array(name);
+            expect(arr.dtype, name).to.equal(a.get_array(name).dtype);
+            expect(arr.shape, name).to.deep.equal(a.get_array(name).shape);
+            expect(Array.from(arr.data), name).to.deep.almost.equal(Array.from(a.get_array(name).data));
+        });
+    });
+
+    it('should round-trip a CASTEP cell file', function() {
+
+        var a = loadFile('ethanol.cell', 'cell');
+        var b = reload(new Writer().write(a, 'cell'), 'cell');
+
+        expect(b.get_chemical_symbols()).to.deep.equal(a.get_chemical_symbols());
+        expect(b.get_positions()).to.deep.almost.equal(a.get_positions());
+        expect(b.get_cell()).to.deep.almost.equal(a.get_cell());
+        expect(b.get_array('labels')).to.be.undefined;
+
+        // Labels are written as custom species
+        var labels = a.get_chemical_symbols();
+        labels[0] = 'H:Mu';
+        labels[6] = 'C1';
+        a.set_array('labels', labels);
+        var cell = new Writer().write(a, 'cell');
+        expect(cell).to.include('H:Mu ');
+        expect(cell).to.include('C:C1 ');
+
+        b = reload(cell, 'cell');
+        expect(b.get_chemical_symbols()).to.deep.equal(a.get_chemical_symbols());
+        expect(b.get_array('labels')).to.deep.equal(labels.map((l, i) => (i === 6? 'C:C1' : l)));
+    });
+
+    it('should write back the extras of a CASTEP cell file', function() {
+
+        var a = loadFile('muon.cell', 'cell');
+        var cell = new Writer().write(a, 'cell');
+        var b = reload(cell, 'cell');
+
+        expect(b.get_array('labels')).to.deep.equal(a.get_array('labels'));
+        expect(b.get_positions()).to.deep.almost.equal(a.get_positions());
+        for (let arr of ['spin', 'mixture', 'occupancy', 'disorder_assembly', 'disorder_group']) {
+            expect(b.get_array(arr)).to.deep.equal(a.get_array(arr));
+        }
+        expect(b.info['species_mass']['H:Mu']).to.almost.equal(a.info['species_mass']['H:Mu']);
+        expect(b.info['fix_all_ions']).to.be.false;
+        expect(b.info['ionic_constraints']).to.deep.equal(a.info['ionic_constraints']);
+        expect(b.info['symmetry_ops']).to.deep.equal(a.info['symmetry_ops']);
+
+        // Also when exported from a Model
+        b = reload(new Model(a).export('cell'), 'cell');
+        expect(b.get_array('spin')).to.deep.equal(a.get_array('spin'));
+        expect(b.get_array('mixture')).to.deep.equal(a.get_array('mixture'));
+        expect(b.info['ionic_constraints']).to.deep.equal(a.info['ionic_constraints']);
+        expect(b.info['symmetry_ops']).to.deep.equal(a.info['symmetry_ops']);
+    });
+
+    it('should round-trip a Magres file', function() {
+
+        var a = loadFile('ethanol.magres', 'magres');
+        var b = reload(new Writer().write(a, 'magres'), 'magres');
+
+        expect(b.get_chemical_symbols()).to.deep.equal(a.get_chemical_symbols());
+        expect(b.get_positions()).to.deep.almost.equal(a.get_positions());
+        expect(b.get_cell()).to.deep.almost.equal(a.get_cell());
+        expect(b.get_array('labels')).to.deep.equal(a.get_array('labels'));
+        expect(b.get_array('magres-labels')).to.deep.equal(a.get_array('magres-labels'));
+        expect(b.info.sus.data).to.deep.almost.equal(a.info.sus.data);
+        expect(b.info['magres-blocks'].calculation).to.equal(a.info['magres-blocks'].calculation);
+
+        for (let tag of ['ms', 'efg']) {
+            expect(tensorsData(b.get_array(tag))).to.deep.almost.equal(tensorsData(a.get_array(tag)));
+        }
+        for (let tag of ['isc', 'isc_fc']) {
+            expect(b.get_array(tag).map(tensorsData)).to.deep.almost.equal(
+                a.get_array(tag).map(tensorsData));
+        }
+    });
+
+    it('should refuse invalid formats or structures', function() {
+
+        var a = loadFile('ethanol.cell', 'cell');
+        var w = new Writer();
+
+        expect(() => w.write(a, 'pdf')).to.throw('Invalid file format');
+
+        var xyz = fs.readFileSync(path.join(__dirname, 'data', 'pyridine.xyz'), "utf8");
+        var p = reload(xyz, 'xyz');
+        p._pbc = [false, false, false];
+        expect(() => w.write(p, 'cell')).to.throw(/non-periodic/);
+    });
+
+    it('should export a Model and ModelView', function() {
+
+        var a = loadFile('ethanol.magres', 'magres');
+        var m = new Model(a, {
+            supercell: [2, 1, 1]
+        });
+
+        // Whole model: only the original cell
+        var b = reload(m.export('magres'), 'magres');
+        expect(b.length()).to.equal(9);
+        expect(b.get_positions()).to.deep.almost.equal(a.get_positions());
+
+        // Supercell
+        b = reload(m.export('cell', {supercell: true}), 'cell');
+        expect(b.length()).to.equal(18);
+        expect(b.get_cell()[0]).to.deep.almost.equal([12, 0, 0]);
+
+        // A subset
+        var view = m.find({
+            'elements': [['C', 'O']]
+        }).find({
+            'cell': [[0, 0, 0]]
+        });
+        b = reload(view.export('magres'), 'magres');
+        expect(b.get_chemical_symbols()).to.deep.equal(['C', 'C', 'O']);
+        expect(b.get_array('magres-labels')).to.deep.equal([['C', 1], ['C', 2], ['O', 1]]);
+        expect(tensorsData(b.get_array('ms'))).to.deep.almost.equal(
+            tensorsData(a.get_array('ms').slice(6)));
+        // Two-atom arrays are sliced on both sides
+        expect(b.get_array('isc')[0][1].data).to.deep.almost.equal(a.get_array('isc')[6][7].data);
+
+        b = reload(view.export('xyz'), 'xyz');
+        expect(b.get_array('labels')).to.deep.equal(['C', 'C', 'O']);
+        expect(b.get_positions()).to.deep.almost.equal(a.get_positions().slice(6));
+    });
+});